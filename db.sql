@@ -17,6 +17,21 @@ SET xmloption = content;
 SET client_min_messages = warning;
 SET row_security = off;
 
+--
+-- Name: audit_log_append_only(); Type: FUNCTION; Schema: public; Owner: neondb_owner
+--
+
+CREATE FUNCTION public.audit_log_append_only() RETURNS trigger
+    LANGUAGE plpgsql
+    AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$;
+
+
+ALTER FUNCTION public.audit_log_append_only() OWNER TO neondb_owner;
+
 SET default_tablespace = '';
 
 SET default_table_access_method = heap;
@@ -28,13 +43,30 @@ SET default_table_access_method = heap;
 CREATE TABLE public."Attendance" (
     attendance_id integer NOT NULL,
     user_id integer NOT NULL,
-    location_id integer NOT NULL,
+    location_id integer,
     type character varying(50),
     "timestamp" timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
     user_latitude double precision,
     user_longitude double precision,
     status character varying(50),
-    notes text
+    notes text,
+    distance_meters double precision,
+    class_schedule_id integer,
+    gps_accuracy double precision,
+    altitude double precision,
+    device_timestamp timestamp without time zone,
+    is_mock_location boolean,
+    anomaly_score integer DEFAULT 0 NOT NULL,
+    anomaly_flags text[] DEFAULT '{}'::text[] NOT NULL,
+    review_status character varying(20),
+    reviewed_by integer,
+    reviewed_at timestamp without time zone,
+    review_note text,
+    idempotency_key character varying(100),
+    synced_at timestamp without time zone,
+    voided_at timestamp without time zone,
+    voided_by integer,
+    void_reason text
 );
 
 
@@ -72,7 +104,10 @@ CREATE TABLE public."Locations" (
     latitude double precision NOT NULL,
     longitude double precision NOT NULL,
     radius double precision,
-    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    is_active boolean DEFAULT true NOT NULL,
+    boundary jsonb,
+    CONSTRAINT "Locations_geofence_check" CHECK (((radius IS NOT NULL) OR (boundary IS NOT NULL)))
 );
 
 
@@ -146,12 +181,35 @@ CREATE TABLE public.notifications (
     notification_id integer,
     title text NOT NULL,
     message text NOT NULL,
-    created_at timestamp without time zone NOT NULL
+    created_at timestamp without time zone NOT NULL,
+    user_id integer
 );
 
 
 ALTER TABLE public.notifications OWNER TO neondb_owner;
 
+--
+-- Name: notifications_notification_id_seq; Type: SEQUENCE; Schema: public; Owner: neondb_owner
+--
+
+CREATE SEQUENCE public.notifications_notification_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.notifications_notification_id_seq OWNER TO neondb_owner;
+
+--
+-- Name: notifications_notification_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: neondb_owner
+--
+
+ALTER SEQUENCE public.notifications_notification_id_seq OWNED BY public.notifications.notification_id;
+
+
 --
 -- Name: user_2fa_codes; Type: TABLE; Schema: public; Owner: neondb_owner
 --
@@ -159,169 +217,2250 @@ ALTER TABLE public.notifications OWNER TO neondb_owner;
 CREATE TABLE public.user_2fa_codes (
     user_id integer,
     code text NOT NULL,
-    expires_at timestamp without time zone NOT NULL
+    expires_at timestamp without time zone NOT NULL,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    failed_attempts integer DEFAULT 0 NOT NULL
 );
 
 
 ALTER TABLE public.user_2fa_codes OWNER TO neondb_owner;
 
 --
--- Name: Attendance attendance_id; Type: DEFAULT; Schema: public; Owner: neondb_owner
+-- Name: user_sessions; Type: TABLE; Schema: public; Owner: neondb_owner
 --
 
-ALTER TABLE ONLY public."Attendance" ALTER COLUMN attendance_id SET DEFAULT nextval('public."Attendance_attendance_id_seq"'::regclass);
+CREATE TABLE public.user_sessions (
+    session_id integer NOT NULL,
+    user_id integer NOT NULL,
+    refresh_token_hash text NOT NULL,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    expires_at timestamp without time zone NOT NULL,
+    revoked_at timestamp without time zone,
+    device_name character varying(150),
+    user_agent text,
+    ip_address character varying(64),
+    last_seen_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
 
+ALTER TABLE public.user_sessions OWNER TO neondb_owner;
 
 --
--- Name: Locations location_id; Type: DEFAULT; Schema: public; Owner: neondb_owner
+-- Name: user_sessions_session_id_seq; Type: SEQUENCE; Schema: public; Owner: neondb_owner
 --
 
-ALTER TABLE ONLY public."Locations" ALTER COLUMN location_id SET DEFAULT nextval('public."Locations_location_id_seq"'::regclass);
+CREATE SEQUENCE public.user_sessions_session_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
 
 
+ALTER SEQUENCE public.user_sessions_session_id_seq OWNER TO neondb_owner;
+
 --
--- Name: User user_id; Type: DEFAULT; Schema: public; Owner: neondb_owner
+-- Name: user_sessions_session_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: neondb_owner
 --
 
-ALTER TABLE ONLY public."User" ALTER COLUMN user_id SET DEFAULT nextval('public."User_user_id_seq"'::regclass);
+ALTER SEQUENCE public.user_sessions_session_id_seq OWNED BY public.user_sessions.session_id;
 
 
 --
--- Data for Name: Attendance; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+-- Name: password_reset_tokens; Type: TABLE; Schema: public; Owner: neondb_owner
 --
 
-COPY public."Attendance" (attendance_id, user_id, location_id, type, "timestamp", user_latitude, user_longitude, status, notes) FROM stdin;
-\.
+CREATE TABLE public.password_reset_tokens (
+    token_id integer NOT NULL,
+    user_id integer NOT NULL,
+    token_hash text NOT NULL,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    expires_at timestamp without time zone NOT NULL,
+    used_at timestamp without time zone
+);
+
 
+ALTER TABLE public.password_reset_tokens OWNER TO neondb_owner;
 
 --
--- Data for Name: Locations; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+-- Name: password_reset_tokens_token_id_seq; Type: SEQUENCE; Schema: public; Owner: neondb_owner
 --
 
-COPY public."Locations" (location_id, location_name, latitude, longitude, radius, created_at) FROM stdin;
-1	Telkom University Bandung	-6.97321	107.63014	50	2025-12-25 01:57:25.948011
-\.
+CREATE SEQUENCE public.password_reset_tokens_token_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
 
 
+ALTER SEQUENCE public.password_reset_tokens_token_id_seq OWNER TO neondb_owner;
+
 --
--- Data for Name: User; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+-- Name: password_reset_tokens_token_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: neondb_owner
 --
 
-COPY public."User" (user_id, name, username_email, password_hash, role, nim_nip) FROM stdin;
-1	Alice Johnson	alice@example.com	hashed_password_1	student	NIM12345
-2	Bob Smith	bob@example.com	hashed_password_2	student	NIM12346
-3	Carol Lee	carol@example.com	hashed_password_3	teacher	NIP98765
-4	David Kim	david@example.com	hashed_password_4	student	NIM12347
-5	Eva Martinez	eva@example.com	hashed_password_5	teacher	NIP98766
-6	Radhofan	radhofun@gmail.com	password	student	1301223058
-7	Pronen	amliste28@gmail.com	amliste28	developer	NIP232323
-\.
+ALTER SEQUENCE public.password_reset_tokens_token_id_seq OWNED BY public.password_reset_tokens.token_id;
 
 
 --
--- Data for Name: notifications; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+-- Name: role_permissions; Type: TABLE; Schema: public; Owner: neondb_owner
 --
 
-COPY public.notifications (notification_id, title, message, created_at) FROM stdin;
-1	Welcome	Thanks for signing up! We hope you enjoy our service.	2025-12-23 09:00:00
-2	Maintenance	Scheduled maintenance will occur tonight at 11 PM.	2025-12-23 12:00:00
-3	Update	New features have been added to your dashboard.	2025-12-23 15:30:00
-4	Reminder	Don’t forget to complete your profile to get personalized recommendations.	2025-12-23 16:45:00
-5	Alert	Unusual login attempt detected on your account.	2025-12-23 18:20:00
-\.
+CREATE TABLE public.role_permissions (
+    role character varying(50) NOT NULL,
+    permission character varying(100) NOT NULL,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
 
 
+ALTER TABLE public.role_permissions OWNER TO neondb_owner;
+
 --
--- Data for Name: user_2fa_codes; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+-- Name: auth_throttle; Type: TABLE; Schema: public; Owner: neondb_owner
 --
 
-COPY public.user_2fa_codes (user_id, code, expires_at) FROM stdin;
-\N	8yjjs9	2025-12-19 08:26:26.933958
-\N	kp2iwi	2025-12-19 08:28:37.599793
-\N	7nshla	2025-12-19 08:31:28.192955
-\N	hafrtg	2025-12-19 08:36:42.588127
-\N	s1nlxg	2025-12-19 08:36:46.037027
-\N	m3ohx6	2025-12-19 08:37:22.507206
-\N	p0cjac	2025-12-19 08:37:45.394148
-2	4ywipk	2025-12-22 12:39:46.456344
-\.
+CREATE TABLE public.auth_throttle (
+    subject_type character varying(10) NOT NULL,
+    subject character varying(255) NOT NULL,
+    action character varying(20) NOT NULL,
+    failures integer DEFAULT 0 NOT NULL,
+    last_failed_at timestamp without time zone,
+    locked_until timestamp without time zone
+);
 
 
+ALTER TABLE public.auth_throttle OWNER TO neondb_owner;
+
 --
--- Name: Attendance_attendance_id_seq; Type: SEQUENCE SET; Schema: public; Owner: neondb_owner
+-- Name: user_totp; Type: TABLE; Schema: public; Owner: neondb_owner
 --
 
-SELECT pg_catalog.setval('public."Attendance_attendance_id_seq"', 1, false);
+CREATE TABLE public.user_totp (
+    user_id integer NOT NULL,
+    secret text NOT NULL,
+    confirmed_at timestamp without time zone,
+    last_used_step bigint,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
 
 
+ALTER TABLE public.user_totp OWNER TO neondb_owner;
+
 --
--- Name: Locations_location_id_seq; Type: SEQUENCE SET; Schema: public; Owner: neondb_owner
+-- Name: user_backup_codes; Type: TABLE; Schema: public; Owner: neondb_owner
 --
 
-SELECT pg_catalog.setval('public."Locations_location_id_seq"', 1, false);
+CREATE TABLE public.user_backup_codes (
+    code_id integer NOT NULL,
+    user_id integer NOT NULL,
+    code_hash text NOT NULL,
+    used_at timestamp without time zone,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
 
+ALTER TABLE public.user_backup_codes OWNER TO neondb_owner;
 
 --
--- Name: User_user_id_seq; Type: SEQUENCE SET; Schema: public; Owner: neondb_owner
+-- Name: user_backup_codes_code_id_seq; Type: SEQUENCE; Schema: public; Owner: neondb_owner
 --
 
-SELECT pg_catalog.setval('public."User_user_id_seq"', 7, true);
+CREATE SEQUENCE public.user_backup_codes_code_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
 
 
+ALTER SEQUENCE public.user_backup_codes_code_id_seq OWNER TO neondb_owner;
+
 --
--- Name: Attendance Attendance_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+-- Name: user_backup_codes_code_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: neondb_owner
 --
 
-ALTER TABLE ONLY public."Attendance"
-    ADD CONSTRAINT "Attendance_pkey" PRIMARY KEY (attendance_id);
+ALTER SEQUENCE public.user_backup_codes_code_id_seq OWNED BY public.user_backup_codes.code_id;
 
 
 --
--- Name: Locations Locations_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+-- Name: mail_outbox; Type: TABLE; Schema: public; Owner: neondb_owner
 --
 
-ALTER TABLE ONLY public."Locations"
-    ADD CONSTRAINT "Locations_pkey" PRIMARY KEY (location_id);
+CREATE TABLE public.mail_outbox (
+    mail_id integer NOT NULL,
+    to_address character varying(255) NOT NULL,
+    template character varying(50) NOT NULL,
+    subject text NOT NULL,
+    text_body text,
+    html_body text,
+    status character varying(20) DEFAULT 'pending'::character varying NOT NULL,
+    attempts integer DEFAULT 0 NOT NULL,
+    last_error text,
+    next_attempt_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    sent_at timestamp without time zone
+);
 
 
+ALTER TABLE public.mail_outbox OWNER TO neondb_owner;
+
 --
--- Name: User User_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+-- Name: mail_outbox_mail_id_seq; Type: SEQUENCE; Schema: public; Owner: neondb_owner
 --
 
-ALTER TABLE ONLY public."User"
-    ADD CONSTRAINT "User_pkey" PRIMARY KEY (user_id);
+CREATE SEQUENCE public.mail_outbox_mail_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
 
 
+ALTER SEQUENCE public.mail_outbox_mail_id_seq OWNER TO neondb_owner;
+
 --
--- Name: User User_username_email_key; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+-- Name: mail_outbox_mail_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: neondb_owner
 --
 
-ALTER TABLE ONLY public."User"
-    ADD CONSTRAINT "User_username_email_key" UNIQUE (username_email);
+ALTER SEQUENCE public.mail_outbox_mail_id_seq OWNED BY public.mail_outbox.mail_id;
 
 
 --
--- Name: Attendance Attendance_location_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+-- Name: audit_log; Type: TABLE; Schema: public; Owner: neondb_owner
 --
 
-ALTER TABLE ONLY public."Attendance"
-    ADD CONSTRAINT "Attendance_location_id_fkey" FOREIGN KEY (location_id) REFERENCES public."Locations"(location_id) ON DELETE CASCADE;
+CREATE TABLE public.audit_log (
+    audit_id integer NOT NULL,
+    actor_user_id integer,
+    actor_email character varying(150),
+    action character varying(50) NOT NULL,
+    entity_type character varying(50) NOT NULL,
+    entity_id character varying(100),
+    before_data jsonb,
+    after_data jsonb,
+    changes jsonb,
+    ip_address character varying(64),
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
 
 
+ALTER TABLE public.audit_log OWNER TO neondb_owner;
+
 --
--- Name: Attendance Attendance_user_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+-- Name: audit_log_audit_id_seq; Type: SEQUENCE; Schema: public; Owner: neondb_owner
 --
 
-ALTER TABLE ONLY public."Attendance"
-    ADD CONSTRAINT "Attendance_user_id_fkey" FOREIGN KEY (user_id) REFERENCES public."User"(user_id) ON DELETE CASCADE;
+CREATE SEQUENCE public.audit_log_audit_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
 
 
+ALTER SEQUENCE public.audit_log_audit_id_seq OWNER TO neondb_owner;
+
 --
--- Name: user_2fa_codes user_2fa_codes_user_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+-- Name: audit_log_audit_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: neondb_owner
 --
 
-ALTER TABLE ONLY public.user_2fa_codes
-    ADD CONSTRAINT user_2fa_codes_user_id_fkey FOREIGN KEY (user_id) REFERENCES public."User"(user_id);
+ALTER SEQUENCE public.audit_log_audit_id_seq OWNED BY public.audit_log.audit_id;
+
+
+--
+-- Name: attendance_sessions; Type: TABLE; Schema: public; Owner: neondb_owner
+--
+
+CREATE TABLE public.attendance_sessions (
+    session_id integer NOT NULL,
+    user_id integer NOT NULL,
+    location_id integer NOT NULL,
+    checkin_attendance_id integer NOT NULL,
+    checkout_attendance_id integer,
+    checked_in_at timestamp without time zone NOT NULL,
+    checked_out_at timestamp without time zone,
+    duration_seconds integer,
+    reminded_at timestamp without time zone
+);
+
+
+ALTER TABLE public.attendance_sessions OWNER TO neondb_owner;
+
+--
+-- Name: attendance_sessions_session_id_seq; Type: SEQUENCE; Schema: public; Owner: neondb_owner
+--
+
+CREATE SEQUENCE public.attendance_sessions_session_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.attendance_sessions_session_id_seq OWNER TO neondb_owner;
+
+--
+-- Name: attendance_sessions_session_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: neondb_owner
+--
+
+ALTER SEQUENCE public.attendance_sessions_session_id_seq OWNED BY public.attendance_sessions.session_id;
+
+
+--
+-- Name: attendance_rules; Type: TABLE; Schema: public; Owner: neondb_owner
+--
+
+CREATE TABLE public.attendance_rules (
+    role character varying(50) NOT NULL,
+    expected_start time without time zone DEFAULT '08:00:00'::time without time zone NOT NULL,
+    expected_end time without time zone DEFAULT '17:00:00'::time without time zone NOT NULL,
+    late_grace_minutes integer DEFAULT 15 NOT NULL,
+    early_leave_grace_minutes integer DEFAULT 0 NOT NULL,
+    working_days integer[] DEFAULT '{1,2,3,4,5}'::integer[] NOT NULL,
+    updated_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+
+ALTER TABLE public.attendance_rules OWNER TO neondb_owner;
+
+--
+-- Name: courses; Type: TABLE; Schema: public; Owner: neondb_owner
+--
+
+CREATE TABLE public.courses (
+    course_id integer NOT NULL,
+    code character varying(30) NOT NULL,
+    name character varying(150) NOT NULL,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+
+ALTER TABLE public.courses OWNER TO neondb_owner;
+
+--
+-- Name: courses_course_id_seq; Type: SEQUENCE; Schema: public; Owner: neondb_owner
+--
+
+CREATE SEQUENCE public.courses_course_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.courses_course_id_seq OWNER TO neondb_owner;
+
+--
+-- Name: courses_course_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: neondb_owner
+--
+
+ALTER SEQUENCE public.courses_course_id_seq OWNED BY public.courses.course_id;
+
+
+--
+-- Name: class_groups; Type: TABLE; Schema: public; Owner: neondb_owner
+--
+
+CREATE TABLE public.class_groups (
+    group_id integer NOT NULL,
+    course_id integer NOT NULL,
+    name character varying(50) NOT NULL,
+    teacher_id integer,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+
+ALTER TABLE public.class_groups OWNER TO neondb_owner;
+
+--
+-- Name: class_groups_group_id_seq; Type: SEQUENCE; Schema: public; Owner: neondb_owner
+--
+
+CREATE SEQUENCE public.class_groups_group_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.class_groups_group_id_seq OWNER TO neondb_owner;
+
+--
+-- Name: class_groups_group_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: neondb_owner
+--
+
+ALTER SEQUENCE public.class_groups_group_id_seq OWNED BY public.class_groups.group_id;
+
+
+--
+-- Name: enrollments; Type: TABLE; Schema: public; Owner: neondb_owner
+--
+
+CREATE TABLE public.enrollments (
+    group_id integer NOT NULL,
+    user_id integer NOT NULL,
+    enrolled_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+
+ALTER TABLE public.enrollments OWNER TO neondb_owner;
+
+--
+-- Name: class_schedules; Type: TABLE; Schema: public; Owner: neondb_owner
+--
+
+CREATE TABLE public.class_schedules (
+    schedule_id integer NOT NULL,
+    group_id integer NOT NULL,
+    location_id integer NOT NULL,
+    weekday integer NOT NULL,
+    start_time time without time zone NOT NULL,
+    end_time time without time zone NOT NULL,
+    valid_from date DEFAULT CURRENT_DATE NOT NULL,
+    valid_until date,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT class_schedules_weekday_check CHECK (((weekday >= 1) AND (weekday <= 7))),
+    CONSTRAINT class_schedules_time_check CHECK ((end_time > start_time))
+);
+
+
+ALTER TABLE public.class_schedules OWNER TO neondb_owner;
+
+--
+-- Name: class_schedules_schedule_id_seq; Type: SEQUENCE; Schema: public; Owner: neondb_owner
+--
+
+CREATE SEQUENCE public.class_schedules_schedule_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.class_schedules_schedule_id_seq OWNER TO neondb_owner;
+
+--
+-- Name: class_schedules_schedule_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: neondb_owner
+--
+
+ALTER SEQUENCE public.class_schedules_schedule_id_seq OWNED BY public.class_schedules.schedule_id;
+
+
+--
+-- Name: checkin_windows; Type: TABLE; Schema: public; Owner: neondb_owner
+--
+
+CREATE TABLE public.checkin_windows (
+    window_id integer NOT NULL,
+    location_id integer NOT NULL,
+    schedule_id integer,
+    opened_by integer,
+    secret character varying(64) NOT NULL,
+    rotation_seconds integer DEFAULT 30 NOT NULL,
+    opens_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    closes_at timestamp without time zone NOT NULL,
+    closed_at timestamp without time zone
+);
+
+
+ALTER TABLE public.checkin_windows OWNER TO neondb_owner;
+
+--
+-- Name: checkin_windows_window_id_seq; Type: SEQUENCE; Schema: public; Owner: neondb_owner
+--
+
+CREATE SEQUENCE public.checkin_windows_window_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.checkin_windows_window_id_seq OWNER TO neondb_owner;
+
+--
+-- Name: checkin_windows_window_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: neondb_owner
+--
+
+ALTER SEQUENCE public.checkin_windows_window_id_seq OWNED BY public.checkin_windows.window_id;
+
+
+--
+-- Name: checkin_token_uses; Type: TABLE; Schema: public; Owner: neondb_owner
+--
+
+CREATE TABLE public.checkin_token_uses (
+    window_id integer NOT NULL,
+    user_id integer NOT NULL,
+    step bigint NOT NULL,
+    attendance_id integer,
+    used_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+
+ALTER TABLE public.checkin_token_uses OWNER TO neondb_owner;
+
+--
+-- Name: leave_requests; Type: TABLE; Schema: public; Owner: neondb_owner
+--
+
+CREATE TABLE public.leave_requests (
+    leave_id integer NOT NULL,
+    user_id integer NOT NULL,
+    type character varying(20) NOT NULL,
+    start_date date NOT NULL,
+    end_date date NOT NULL,
+    reason text NOT NULL,
+    status character varying(20) DEFAULT 'pending'::character varying NOT NULL,
+    reviewer_id integer,
+    reviewed_by integer,
+    reviewed_at timestamp without time zone,
+    review_note text,
+    attachment_path text,
+    attachment_name text,
+    attachment_type character varying(100),
+    attachment_size integer,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+
+ALTER TABLE public.leave_requests OWNER TO neondb_owner;
+
+--
+-- Name: leave_requests_leave_id_seq; Type: SEQUENCE; Schema: public; Owner: neondb_owner
+--
+
+CREATE SEQUENCE public.leave_requests_leave_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.leave_requests_leave_id_seq OWNER TO neondb_owner;
+
+--
+-- Name: leave_requests_leave_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: neondb_owner
+--
+
+ALTER SEQUENCE public.leave_requests_leave_id_seq OWNED BY public.leave_requests.leave_id;
+
+
+--
+-- Name: attendance_corrections; Type: TABLE; Schema: public; Owner: neondb_owner
+--
+
+CREATE TABLE public.attendance_corrections (
+    correction_id integer NOT NULL,
+    user_id integer NOT NULL,
+    attendance_id integer NOT NULL,
+    action character varying(20) NOT NULL,
+    requested_type character varying(50),
+    requested_timestamp timestamp without time zone,
+    requested_location_id integer,
+    reason text NOT NULL,
+    status character varying(20) DEFAULT 'pending'::character varying NOT NULL,
+    reviewed_by integer,
+    reviewed_at timestamp without time zone,
+    review_note text,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+
+ALTER TABLE public.attendance_corrections OWNER TO neondb_owner;
+
+--
+-- Name: attendance_corrections_correction_id_seq; Type: SEQUENCE; Schema: public; Owner: neondb_owner
+--
+
+CREATE SEQUENCE public.attendance_corrections_correction_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.attendance_corrections_correction_id_seq OWNER TO neondb_owner;
+
+--
+-- Name: attendance_corrections_correction_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: neondb_owner
+--
+
+ALTER SEQUENCE public.attendance_corrections_correction_id_seq OWNED BY public.attendance_corrections.correction_id;
+
+
+--
+-- Name: attendance_revisions; Type: TABLE; Schema: public; Owner: neondb_owner
+--
+
+CREATE TABLE public.attendance_revisions (
+    revision_id integer NOT NULL,
+    attendance_id integer NOT NULL,
+    action character varying(20) NOT NULL,
+    before_data jsonb,
+    after_data jsonb,
+    reason text NOT NULL,
+    changed_by integer,
+    correction_id integer,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+
+ALTER TABLE public.attendance_revisions OWNER TO neondb_owner;
+
+--
+-- Name: attendance_revisions_revision_id_seq; Type: SEQUENCE; Schema: public; Owner: neondb_owner
+--
+
+CREATE SEQUENCE public.attendance_revisions_revision_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.attendance_revisions_revision_id_seq OWNER TO neondb_owner;
+
+--
+-- Name: attendance_revisions_revision_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: neondb_owner
+--
+
+ALTER SEQUENCE public.attendance_revisions_revision_id_seq OWNED BY public.attendance_revisions.revision_id;
+
+
+--
+-- Name: scheduled_jobs; Type: TABLE; Schema: public; Owner: neondb_owner
+--
+
+CREATE TABLE public.scheduled_jobs (
+    name character varying(100) NOT NULL,
+    interval_seconds integer NOT NULL,
+    next_run_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    locked_by text,
+    locked_until timestamp without time zone,
+    updated_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+
+ALTER TABLE public.scheduled_jobs OWNER TO neondb_owner;
+
+--
+-- Name: job_runs; Type: TABLE; Schema: public; Owner: neondb_owner
+--
+
+CREATE TABLE public.job_runs (
+    run_id integer NOT NULL,
+    job_name character varying(100) NOT NULL,
+    instance text NOT NULL,
+    status character varying(20) DEFAULT 'running'::character varying NOT NULL,
+    started_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    finished_at timestamp without time zone,
+    result jsonb,
+    error text
+);
+
+
+ALTER TABLE public.job_runs OWNER TO neondb_owner;
+
+--
+-- Name: job_runs_run_id_seq; Type: SEQUENCE; Schema: public; Owner: neondb_owner
+--
+
+CREATE SEQUENCE public.job_runs_run_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.job_runs_run_id_seq OWNER TO neondb_owner;
+
+--
+-- Name: job_runs_run_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: neondb_owner
+--
+
+ALTER SEQUENCE public.job_runs_run_id_seq OWNED BY public.job_runs.run_id;
+
+
+--
+-- Name: calendar_entries; Type: TABLE; Schema: public; Owner: neondb_owner
+--
+
+CREATE TABLE public.calendar_entries (
+    entry_id integer NOT NULL,
+    title character varying(150) NOT NULL,
+    kind character varying(20) NOT NULL,
+    start_date date NOT NULL,
+    end_date date NOT NULL,
+    is_working_day boolean,
+    location_id integer,
+    group_id integer,
+    notes text,
+    source_uid character varying(255),
+    created_by integer,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    updated_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP
+);
+
+
+ALTER TABLE public.calendar_entries OWNER TO neondb_owner;
+
+--
+-- Name: calendar_entries_entry_id_seq; Type: SEQUENCE; Schema: public; Owner: neondb_owner
+--
+
+CREATE SEQUENCE public.calendar_entries_entry_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.calendar_entries_entry_id_seq OWNER TO neondb_owner;
+
+--
+-- Name: calendar_entries_entry_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: neondb_owner
+--
+
+ALTER SEQUENCE public.calendar_entries_entry_id_seq OWNED BY public.calendar_entries.entry_id;
+
+
+--
+-- Name: report_exports; Type: TABLE; Schema: public; Owner: neondb_owner
+--
+
+CREATE TABLE public.report_exports (
+    export_id integer NOT NULL,
+    requested_by integer NOT NULL,
+    format character varying(10) NOT NULL,
+    filters jsonb NOT NULL,
+    status character varying(20) DEFAULT 'pending'::character varying NOT NULL,
+    row_count integer,
+    file_path text,
+    file_size integer,
+    error text,
+    created_at timestamp without time zone DEFAULT CURRENT_TIMESTAMP,
+    started_at timestamp without time zone,
+    finished_at timestamp without time zone,
+    expires_at timestamp without time zone
+);
+
+
+ALTER TABLE public.report_exports OWNER TO neondb_owner;
+
+--
+-- Name: report_exports_export_id_seq; Type: SEQUENCE; Schema: public; Owner: neondb_owner
+--
+
+CREATE SEQUENCE public.report_exports_export_id_seq
+    AS integer
+    START WITH 1
+    INCREMENT BY 1
+    NO MINVALUE
+    NO MAXVALUE
+    CACHE 1;
+
+
+ALTER SEQUENCE public.report_exports_export_id_seq OWNER TO neondb_owner;
+
+--
+-- Name: report_exports_export_id_seq; Type: SEQUENCE OWNED BY; Schema: public; Owner: neondb_owner
+--
+
+ALTER SEQUENCE public.report_exports_export_id_seq OWNED BY public.report_exports.export_id;
+
+
+--
+-- Name: Attendance attendance_id; Type: DEFAULT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public."Attendance" ALTER COLUMN attendance_id SET DEFAULT nextval('public."Attendance_attendance_id_seq"'::regclass);
+
+
+--
+-- Name: Locations location_id; Type: DEFAULT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public."Locations" ALTER COLUMN location_id SET DEFAULT nextval('public."Locations_location_id_seq"'::regclass);
+
+
+--
+-- Name: User user_id; Type: DEFAULT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public."User" ALTER COLUMN user_id SET DEFAULT nextval('public."User_user_id_seq"'::regclass);
+
+
+--
+-- Name: user_sessions session_id; Type: DEFAULT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.user_sessions ALTER COLUMN session_id SET DEFAULT nextval('public.user_sessions_session_id_seq'::regclass);
+
+
+--
+-- Name: password_reset_tokens token_id; Type: DEFAULT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.password_reset_tokens ALTER COLUMN token_id SET DEFAULT nextval('public.password_reset_tokens_token_id_seq'::regclass);
+
+
+--
+-- Name: user_backup_codes code_id; Type: DEFAULT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.user_backup_codes ALTER COLUMN code_id SET DEFAULT nextval('public.user_backup_codes_code_id_seq'::regclass);
+
+
+--
+-- Name: mail_outbox mail_id; Type: DEFAULT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.mail_outbox ALTER COLUMN mail_id SET DEFAULT nextval('public.mail_outbox_mail_id_seq'::regclass);
+
+
+--
+-- Name: audit_log audit_id; Type: DEFAULT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.audit_log ALTER COLUMN audit_id SET DEFAULT nextval('public.audit_log_audit_id_seq'::regclass);
+
+
+--
+-- Name: attendance_sessions session_id; Type: DEFAULT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.attendance_sessions ALTER COLUMN session_id SET DEFAULT nextval('public.attendance_sessions_session_id_seq'::regclass);
+
+
+--
+-- Name: courses course_id; Type: DEFAULT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.courses ALTER COLUMN course_id SET DEFAULT nextval('public.courses_course_id_seq'::regclass);
+
+
+--
+-- Name: class_groups group_id; Type: DEFAULT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.class_groups ALTER COLUMN group_id SET DEFAULT nextval('public.class_groups_group_id_seq'::regclass);
+
+
+--
+-- Name: class_schedules schedule_id; Type: DEFAULT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.class_schedules ALTER COLUMN schedule_id SET DEFAULT nextval('public.class_schedules_schedule_id_seq'::regclass);
+
+
+--
+-- Name: checkin_windows window_id; Type: DEFAULT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.checkin_windows ALTER COLUMN window_id SET DEFAULT nextval('public.checkin_windows_window_id_seq'::regclass);
+
+
+--
+-- Name: leave_requests leave_id; Type: DEFAULT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.leave_requests ALTER COLUMN leave_id SET DEFAULT nextval('public.leave_requests_leave_id_seq'::regclass);
+
+
+--
+-- Name: notifications notification_id; Type: DEFAULT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.notifications ALTER COLUMN notification_id SET DEFAULT nextval('public.notifications_notification_id_seq'::regclass);
+
+
+--
+-- Name: attendance_corrections correction_id; Type: DEFAULT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.attendance_corrections ALTER COLUMN correction_id SET DEFAULT nextval('public.attendance_corrections_correction_id_seq'::regclass);
+
+
+--
+-- Name: attendance_revisions revision_id; Type: DEFAULT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.attendance_revisions ALTER COLUMN revision_id SET DEFAULT nextval('public.attendance_revisions_revision_id_seq'::regclass);
+
+
+--
+-- Name: job_runs run_id; Type: DEFAULT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.job_runs ALTER COLUMN run_id SET DEFAULT nextval('public.job_runs_run_id_seq'::regclass);
+
+
+--
+-- Name: calendar_entries entry_id; Type: DEFAULT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.calendar_entries ALTER COLUMN entry_id SET DEFAULT nextval('public.calendar_entries_entry_id_seq'::regclass);
+
+
+--
+-- Name: report_exports export_id; Type: DEFAULT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.report_exports ALTER COLUMN export_id SET DEFAULT nextval('public.report_exports_export_id_seq'::regclass);
+
+
+--
+-- Data for Name: Attendance; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public."Attendance" (attendance_id, user_id, location_id, type, "timestamp", user_latitude, user_longitude, status, notes, distance_meters, class_schedule_id, gps_accuracy, altitude, device_timestamp, is_mock_location, anomaly_score, anomaly_flags, review_status, reviewed_by, reviewed_at, review_note, idempotency_key, synced_at, voided_at, voided_by, void_reason) FROM stdin;
+\.
+
+
+--
+-- Data for Name: Locations; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public."Locations" (location_id, location_name, latitude, longitude, radius, created_at, is_active, boundary) FROM stdin;
+1	Telkom University Bandung	-6.97321	107.63014	50	2025-12-25 01:57:25.948011	t	\N
+\.
+
+
+--
+-- Data for Name: User; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public."User" (user_id, name, username_email, password_hash, role, nim_nip) FROM stdin;
+1	Alice Johnson	alice@example.com	hashed_password_1	student	NIM12345
+2	Bob Smith	bob@example.com	hashed_password_2	student	NIM12346
+3	Carol Lee	carol@example.com	hashed_password_3	teacher	NIP98765
+4	David Kim	david@example.com	hashed_password_4	student	NIM12347
+5	Eva Martinez	eva@example.com	hashed_password_5	teacher	NIP98766
+6	Radhofan	radhofun@gmail.com	password	student	1301223058
+7	Pronen	amliste28@gmail.com	amliste28	developer	NIP232323
+\.
+
+
+--
+-- Data for Name: notifications; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.notifications (notification_id, title, message, created_at, user_id) FROM stdin;
+1	Welcome	Thanks for signing up! We hope you enjoy our service.	2025-12-23 09:00:00
+2	Maintenance	Scheduled maintenance will occur tonight at 11 PM.	2025-12-23 12:00:00
+3	Update	New features have been added to your dashboard.	2025-12-23 15:30:00
+4	Reminder	Don’t forget to complete your profile to get personalized recommendations.	2025-12-23 16:45:00
+5	Alert	Unusual login attempt detected on your account.	2025-12-23 18:20:00
+\.
+
+
+--
+-- Data for Name: user_2fa_codes; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.user_2fa_codes (user_id, code, expires_at, created_at, failed_attempts) FROM stdin;
+\.
+
+
+--
+-- Data for Name: user_sessions; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.user_sessions (session_id, user_id, refresh_token_hash, created_at, expires_at, revoked_at, device_name, user_agent, ip_address, last_seen_at) FROM stdin;
+\.
+
+
+--
+-- Data for Name: password_reset_tokens; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.password_reset_tokens (token_id, user_id, token_hash, created_at, expires_at, used_at) FROM stdin;
+\.
+
+
+--
+-- Data for Name: role_permissions; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.role_permissions (role, permission, created_at) FROM stdin;
+developer	attendance:read	2026-10-18 00:00:00
+developer	locations:read	2026-10-18 00:00:00
+developer	locations:write	2026-10-18 00:00:00
+developer	notifications:read	2026-10-18 00:00:00
+developer	notifications:write	2026-10-18 00:00:00
+developer	roles:read	2026-10-18 00:00:00
+developer	roles:write	2026-10-18 00:00:00
+developer	security:read	2026-10-18 00:00:00
+developer	security:write	2026-10-18 00:00:00
+developer	sessions:write	2026-10-18 00:00:00
+developer	audit:read	2026-10-18 00:00:00
+developer	attendance:write	2026-10-18 00:00:00
+developer	courses:read	2026-10-18 00:00:00
+developer	courses:write	2026-10-18 00:00:00
+developer	users:read	2026-10-18 00:00:00
+developer	users:write	2026-10-18 00:00:00
+developer	leave:read	2026-10-18 00:00:00
+developer	leave:write	2026-10-18 00:00:00
+developer	jobs:read	2026-10-18 00:00:00
+developer	calendar:read	2026-10-18 00:00:00
+developer	calendar:write	2026-10-18 00:00:00
+teacher	attendance:read	2026-10-18 00:00:00
+teacher	calendar:read	2026-10-18 00:00:00
+teacher	courses:read	2026-10-18 00:00:00
+teacher	locations:read	2026-10-18 00:00:00
+teacher	notifications:read	2026-10-18 00:00:00
+teacher	notifications:write	2026-10-18 00:00:00
+teacher	users:read	2026-10-18 00:00:00
+\.
+
+
+--
+-- Data for Name: auth_throttle; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.auth_throttle (subject_type, subject, action, failures, last_failed_at, locked_until) FROM stdin;
+\.
+
+
+--
+-- Data for Name: user_totp; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.user_totp (user_id, secret, confirmed_at, last_used_step, created_at) FROM stdin;
+\.
+
+
+--
+-- Data for Name: user_backup_codes; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.user_backup_codes (code_id, user_id, code_hash, used_at, created_at) FROM stdin;
+\.
+
+
+--
+-- Data for Name: mail_outbox; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.mail_outbox (mail_id, to_address, template, subject, text_body, html_body, status, attempts, last_error, next_attempt_at, created_at, sent_at) FROM stdin;
+\.
+
+
+--
+-- Data for Name: audit_log; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.audit_log (audit_id, actor_user_id, actor_email, action, entity_type, entity_id, before_data, after_data, changes, ip_address, created_at) FROM stdin;
+\.
+
+
+--
+-- Data for Name: attendance_sessions; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.attendance_sessions (session_id, user_id, location_id, checkin_attendance_id, checkout_attendance_id, checked_in_at, checked_out_at, duration_seconds, reminded_at) FROM stdin;
+\.
+
+
+--
+-- Data for Name: attendance_rules; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.attendance_rules (role, expected_start, expected_end, late_grace_minutes, early_leave_grace_minutes, working_days, updated_at) FROM stdin;
+default	08:00:00	17:00:00	15	0	{1,2,3,4,5}	2026-10-18 00:00:00
+developer	08:00:00	17:00:00	15	0	{}	2026-10-18 00:00:00
+\.
+
+
+--
+-- Data for Name: courses; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.courses (course_id, code, name, created_at) FROM stdin;
+\.
+
+
+--
+-- Data for Name: class_groups; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.class_groups (group_id, course_id, name, teacher_id, created_at) FROM stdin;
+\.
+
+
+--
+-- Data for Name: enrollments; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.enrollments (group_id, user_id, enrolled_at) FROM stdin;
+\.
+
+
+--
+-- Data for Name: class_schedules; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.class_schedules (schedule_id, group_id, location_id, weekday, start_time, end_time, valid_from, valid_until, created_at) FROM stdin;
+\.
+
+
+--
+-- Data for Name: checkin_windows; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.checkin_windows (window_id, location_id, schedule_id, opened_by, secret, rotation_seconds, opens_at, closes_at, closed_at) FROM stdin;
+\.
+
+
+--
+-- Data for Name: checkin_token_uses; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.checkin_token_uses (window_id, user_id, step, attendance_id, used_at) FROM stdin;
+\.
+
+
+--
+-- Data for Name: leave_requests; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.leave_requests (leave_id, user_id, type, start_date, end_date, reason, status, reviewer_id, reviewed_by, reviewed_at, review_note, attachment_path, attachment_name, attachment_type, attachment_size, created_at, updated_at) FROM stdin;
+\.
+
+
+--
+-- Data for Name: attendance_corrections; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.attendance_corrections (correction_id, user_id, attendance_id, action, requested_type, requested_timestamp, requested_location_id, reason, status, reviewed_by, reviewed_at, review_note, created_at, updated_at) FROM stdin;
+\.
+
+
+--
+-- Data for Name: attendance_revisions; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.attendance_revisions (revision_id, attendance_id, action, before_data, after_data, reason, changed_by, correction_id, created_at) FROM stdin;
+\.
+
+
+--
+-- Data for Name: scheduled_jobs; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.scheduled_jobs (name, interval_seconds, next_run_at, locked_by, locked_until, updated_at) FROM stdin;
+\.
+
+
+--
+-- Data for Name: job_runs; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.job_runs (run_id, job_name, instance, status, started_at, finished_at, result, error) FROM stdin;
+\.
+
+
+--
+-- Data for Name: calendar_entries; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.calendar_entries (entry_id, title, kind, start_date, end_date, is_working_day, location_id, group_id, notes, source_uid, created_by, created_at, updated_at) FROM stdin;
+\.
+
+
+--
+-- Data for Name: report_exports; Type: TABLE DATA; Schema: public; Owner: neondb_owner
+--
+
+COPY public.report_exports (export_id, requested_by, format, filters, status, row_count, file_path, file_size, error, created_at, started_at, finished_at, expires_at) FROM stdin;
+\.
+
+
+--
+-- Name: Attendance_attendance_id_seq; Type: SEQUENCE SET; Schema: public; Owner: neondb_owner
+--
+
+SELECT pg_catalog.setval('public."Attendance_attendance_id_seq"', 1, false);
+
+
+--
+-- Name: Locations_location_id_seq; Type: SEQUENCE SET; Schema: public; Owner: neondb_owner
+--
+
+SELECT pg_catalog.setval('public."Locations_location_id_seq"', 1, true);
+
+
+--
+-- Name: User_user_id_seq; Type: SEQUENCE SET; Schema: public; Owner: neondb_owner
+--
+
+SELECT pg_catalog.setval('public."User_user_id_seq"', 7, true);
+
+
+--
+-- Name: user_sessions_session_id_seq; Type: SEQUENCE SET; Schema: public; Owner: neondb_owner
+--
+
+SELECT pg_catalog.setval('public.user_sessions_session_id_seq', 1, false);
+
+
+--
+-- Name: password_reset_tokens_token_id_seq; Type: SEQUENCE SET; Schema: public; Owner: neondb_owner
+--
+
+SELECT pg_catalog.setval('public.password_reset_tokens_token_id_seq', 1, false);
+
+
+--
+-- Name: user_backup_codes_code_id_seq; Type: SEQUENCE SET; Schema: public; Owner: neondb_owner
+--
+
+SELECT pg_catalog.setval('public.user_backup_codes_code_id_seq', 1, false);
+
+
+--
+-- Name: mail_outbox_mail_id_seq; Type: SEQUENCE SET; Schema: public; Owner: neondb_owner
+--
+
+SELECT pg_catalog.setval('public.mail_outbox_mail_id_seq', 1, false);
+
+
+--
+-- Name: audit_log_audit_id_seq; Type: SEQUENCE SET; Schema: public; Owner: neondb_owner
+--
+
+SELECT pg_catalog.setval('public.audit_log_audit_id_seq', 1, false);
+
+
+--
+-- Name: attendance_sessions_session_id_seq; Type: SEQUENCE SET; Schema: public; Owner: neondb_owner
+--
+
+SELECT pg_catalog.setval('public.attendance_sessions_session_id_seq', 1, false);
+
+
+--
+-- Name: courses_course_id_seq; Type: SEQUENCE SET; Schema: public; Owner: neondb_owner
+--
+
+SELECT pg_catalog.setval('public.courses_course_id_seq', 1, false);
+
+
+--
+-- Name: class_groups_group_id_seq; Type: SEQUENCE SET; Schema: public; Owner: neondb_owner
+--
+
+SELECT pg_catalog.setval('public.class_groups_group_id_seq', 1, false);
+
+
+--
+-- Name: class_schedules_schedule_id_seq; Type: SEQUENCE SET; Schema: public; Owner: neondb_owner
+--
+
+SELECT pg_catalog.setval('public.class_schedules_schedule_id_seq', 1, false);
+
+
+--
+-- Name: checkin_windows_window_id_seq; Type: SEQUENCE SET; Schema: public; Owner: neondb_owner
+--
+
+SELECT pg_catalog.setval('public.checkin_windows_window_id_seq', 1, false);
+
+
+--
+-- Name: leave_requests_leave_id_seq; Type: SEQUENCE SET; Schema: public; Owner: neondb_owner
+--
+
+SELECT pg_catalog.setval('public.leave_requests_leave_id_seq', 1, false);
+
+
+--
+-- Name: notifications_notification_id_seq; Type: SEQUENCE SET; Schema: public; Owner: neondb_owner
+--
+
+SELECT pg_catalog.setval('public.notifications_notification_id_seq', 1, false);
+
+
+--
+-- Name: attendance_corrections_correction_id_seq; Type: SEQUENCE SET; Schema: public; Owner: neondb_owner
+--
+
+SELECT pg_catalog.setval('public.attendance_corrections_correction_id_seq', 1, false);
+
+
+--
+-- Name: attendance_revisions_revision_id_seq; Type: SEQUENCE SET; Schema: public; Owner: neondb_owner
+--
+
+SELECT pg_catalog.setval('public.attendance_revisions_revision_id_seq', 1, false);
+
+
+--
+-- Name: job_runs_run_id_seq; Type: SEQUENCE SET; Schema: public; Owner: neondb_owner
+--
+
+SELECT pg_catalog.setval('public.job_runs_run_id_seq', 1, false);
+
+
+--
+-- Name: calendar_entries_entry_id_seq; Type: SEQUENCE SET; Schema: public; Owner: neondb_owner
+--
+
+SELECT pg_catalog.setval('public.calendar_entries_entry_id_seq', 1, false);
+
+
+--
+-- Name: report_exports_export_id_seq; Type: SEQUENCE SET; Schema: public; Owner: neondb_owner
+--
+
+SELECT pg_catalog.setval('public.report_exports_export_id_seq', 1, false);
+
+
+--
+-- Name: Attendance Attendance_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public."Attendance"
+    ADD CONSTRAINT "Attendance_pkey" PRIMARY KEY (attendance_id);
+
+
+--
+-- Name: Locations Locations_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public."Locations"
+    ADD CONSTRAINT "Locations_pkey" PRIMARY KEY (location_id);
+
+
+--
+-- Name: User User_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public."User"
+    ADD CONSTRAINT "User_pkey" PRIMARY KEY (user_id);
+
+
+--
+-- Name: User User_username_email_key; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public."User"
+    ADD CONSTRAINT "User_username_email_key" UNIQUE (username_email);
+
+
+--
+-- Name: user_sessions user_sessions_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.user_sessions
+    ADD CONSTRAINT user_sessions_pkey PRIMARY KEY (session_id);
+
+
+--
+-- Name: user_sessions user_sessions_refresh_token_hash_key; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.user_sessions
+    ADD CONSTRAINT user_sessions_refresh_token_hash_key UNIQUE (refresh_token_hash);
+
+
+--
+-- Name: user_sessions_user_id_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX user_sessions_user_id_idx ON public.user_sessions USING btree (user_id);
+
+
+--
+-- Name: password_reset_tokens password_reset_tokens_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.password_reset_tokens
+    ADD CONSTRAINT password_reset_tokens_pkey PRIMARY KEY (token_id);
+
+
+--
+-- Name: password_reset_tokens password_reset_tokens_token_hash_key; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.password_reset_tokens
+    ADD CONSTRAINT password_reset_tokens_token_hash_key UNIQUE (token_hash);
+
+
+--
+-- Name: role_permissions role_permissions_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.role_permissions
+    ADD CONSTRAINT role_permissions_pkey PRIMARY KEY (role, permission);
+
+
+--
+-- Name: auth_throttle auth_throttle_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.auth_throttle
+    ADD CONSTRAINT auth_throttle_pkey PRIMARY KEY (subject_type, subject, action);
+
+
+--
+-- Name: auth_throttle_locked_until_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX auth_throttle_locked_until_idx ON public.auth_throttle USING btree (locked_until);
+
+
+--
+-- Name: user_totp user_totp_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.user_totp
+    ADD CONSTRAINT user_totp_pkey PRIMARY KEY (user_id);
+
+
+--
+-- Name: user_backup_codes user_backup_codes_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.user_backup_codes
+    ADD CONSTRAINT user_backup_codes_pkey PRIMARY KEY (code_id);
+
+
+--
+-- Name: user_backup_codes_user_id_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX user_backup_codes_user_id_idx ON public.user_backup_codes USING btree (user_id);
+
+
+--
+-- Name: mail_outbox mail_outbox_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.mail_outbox
+    ADD CONSTRAINT mail_outbox_pkey PRIMARY KEY (mail_id);
+
+
+--
+-- Name: mail_outbox_status_next_attempt_at_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX mail_outbox_status_next_attempt_at_idx ON public.mail_outbox USING btree (status, next_attempt_at);
+
+
+--
+-- Name: audit_log audit_log_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.audit_log
+    ADD CONSTRAINT audit_log_pkey PRIMARY KEY (audit_id);
+
+
+--
+-- Name: audit_log_actor_user_id_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX audit_log_actor_user_id_idx ON public.audit_log USING btree (actor_user_id);
+
+
+--
+-- Name: audit_log_created_at_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX audit_log_created_at_idx ON public.audit_log USING btree (created_at);
+
+
+--
+-- Name: audit_log_entity_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX audit_log_entity_idx ON public.audit_log USING btree (entity_type, entity_id);
+
+
+--
+-- Name: audit_log audit_log_append_only; Type: TRIGGER; Schema: public; Owner: neondb_owner
+--
+
+CREATE TRIGGER audit_log_append_only BEFORE DELETE OR UPDATE ON public.audit_log FOR EACH ROW EXECUTE FUNCTION public.audit_log_append_only();
+
+
+--
+-- Name: attendance_sessions attendance_sessions_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.attendance_sessions
+    ADD CONSTRAINT attendance_sessions_pkey PRIMARY KEY (session_id);
+
+
+--
+-- Name: attendance_sessions_one_open_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE UNIQUE INDEX attendance_sessions_one_open_idx ON public.attendance_sessions USING btree (user_id) WHERE (checked_out_at IS NULL);
+
+
+--
+-- Name: attendance_sessions_user_id_checked_in_at_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX attendance_sessions_user_id_checked_in_at_idx ON public.attendance_sessions USING btree (user_id, checked_in_at);
+
+
+--
+-- Name: attendance_rules attendance_rules_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.attendance_rules
+    ADD CONSTRAINT attendance_rules_pkey PRIMARY KEY (role);
+
+
+--
+-- Name: Attendance_absent_user_day_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE UNIQUE INDEX "Attendance_absent_user_day_idx" ON public."Attendance" USING btree (user_id, (("timestamp")::date)) WHERE ((type)::text = 'absent'::text);
+
+
+--
+-- Name: courses courses_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.courses
+    ADD CONSTRAINT courses_pkey PRIMARY KEY (course_id);
+
+
+--
+-- Name: courses courses_code_key; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.courses
+    ADD CONSTRAINT courses_code_key UNIQUE (code);
+
+
+--
+-- Name: class_groups class_groups_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.class_groups
+    ADD CONSTRAINT class_groups_pkey PRIMARY KEY (group_id);
+
+
+--
+-- Name: class_groups class_groups_course_id_name_key; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.class_groups
+    ADD CONSTRAINT class_groups_course_id_name_key UNIQUE (course_id, name);
+
+
+--
+-- Name: class_groups_teacher_id_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX class_groups_teacher_id_idx ON public.class_groups USING btree (teacher_id);
+
+
+--
+-- Name: enrollments enrollments_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.enrollments
+    ADD CONSTRAINT enrollments_pkey PRIMARY KEY (group_id, user_id);
+
+
+--
+-- Name: enrollments_user_id_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX enrollments_user_id_idx ON public.enrollments USING btree (user_id);
+
+
+--
+-- Name: class_schedules class_schedules_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.class_schedules
+    ADD CONSTRAINT class_schedules_pkey PRIMARY KEY (schedule_id);
+
+
+--
+-- Name: class_schedules_location_id_weekday_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX class_schedules_location_id_weekday_idx ON public.class_schedules USING btree (location_id, weekday);
+
+
+--
+-- Name: class_schedules_group_id_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX class_schedules_group_id_idx ON public.class_schedules USING btree (group_id);
+
+
+--
+-- Name: Attendance_class_schedule_id_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX "Attendance_class_schedule_id_idx" ON public."Attendance" USING btree (class_schedule_id);
+
+
+--
+-- Name: Attendance_coordinates_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX "Attendance_coordinates_idx" ON public."Attendance" USING btree (user_latitude, user_longitude);
+
+
+--
+-- Name: Attendance_review_status_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX "Attendance_review_status_idx" ON public."Attendance" USING btree (review_status, "timestamp") WHERE (review_status IS NOT NULL);
+
+
+--
+-- Name: Attendance_user_idempotency_key_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE UNIQUE INDEX "Attendance_user_idempotency_key_idx" ON public."Attendance" USING btree (user_id, idempotency_key) WHERE (idempotency_key IS NOT NULL);
+
+
+--
+-- Name: Attendance Attendance_class_schedule_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public."Attendance"
+    ADD CONSTRAINT "Attendance_class_schedule_id_fkey" FOREIGN KEY (class_schedule_id) REFERENCES public.class_schedules(schedule_id) ON DELETE SET NULL;
+
+
+--
+-- Name: checkin_windows checkin_windows_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.checkin_windows
+    ADD CONSTRAINT checkin_windows_pkey PRIMARY KEY (window_id);
+
+
+--
+-- Name: checkin_windows_location_id_closes_at_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX checkin_windows_location_id_closes_at_idx ON public.checkin_windows USING btree (location_id, closes_at);
+
+
+--
+-- Name: checkin_token_uses checkin_token_uses_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.checkin_token_uses
+    ADD CONSTRAINT checkin_token_uses_pkey PRIMARY KEY (window_id, user_id);
+
+
+--
+-- Name: Attendance Attendance_reviewed_by_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public."Attendance"
+    ADD CONSTRAINT "Attendance_reviewed_by_fkey" FOREIGN KEY (reviewed_by) REFERENCES public."User"(user_id) ON DELETE SET NULL;
+
+
+--
+-- Name: leave_requests leave_requests_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.leave_requests
+    ADD CONSTRAINT leave_requests_pkey PRIMARY KEY (leave_id);
+
+
+--
+-- Name: leave_requests leave_requests_type_check; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.leave_requests
+    ADD CONSTRAINT leave_requests_type_check CHECK (((type)::text = ANY ((ARRAY['izin'::character varying, 'sakit'::character varying, 'dispensasi'::character varying])::text[])));
+
+
+--
+-- Name: leave_requests leave_requests_status_check; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.leave_requests
+    ADD CONSTRAINT leave_requests_status_check CHECK (((status)::text = ANY ((ARRAY['pending'::character varying, 'approved'::character varying, 'rejected'::character varying, 'cancelled'::character varying])::text[])));
+
+
+--
+-- Name: leave_requests leave_requests_dates_check; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.leave_requests
+    ADD CONSTRAINT leave_requests_dates_check CHECK ((end_date >= start_date));
+
+
+--
+-- Name: leave_requests_user_id_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX leave_requests_user_id_idx ON public.leave_requests USING btree (user_id, start_date);
+
+
+--
+-- Name: leave_requests_reviewer_id_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX leave_requests_reviewer_id_idx ON public.leave_requests USING btree (reviewer_id, status);
+
+
+--
+-- Name: notifications_user_id_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX notifications_user_id_idx ON public.notifications USING btree (user_id, created_at);
+
+
+--
+-- Name: attendance_corrections attendance_corrections_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.attendance_corrections
+    ADD CONSTRAINT attendance_corrections_pkey PRIMARY KEY (correction_id);
+
+
+--
+-- Name: attendance_corrections attendance_corrections_action_check; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.attendance_corrections
+    ADD CONSTRAINT attendance_corrections_action_check CHECK (((action)::text = ANY ((ARRAY['add'::character varying, 'edit'::character varying, 'void'::character varying])::text[])));
+
+
+--
+-- Name: attendance_corrections attendance_corrections_status_check; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.attendance_corrections
+    ADD CONSTRAINT attendance_corrections_status_check CHECK (((status)::text = ANY ((ARRAY['pending'::character varying, 'approved'::character varying, 'rejected'::character varying, 'cancelled'::character varying])::text[])));
+
+
+--
+-- Name: attendance_corrections_status_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX attendance_corrections_status_idx ON public.attendance_corrections USING btree (status, created_at);
+
+
+--
+-- Name: attendance_corrections_user_id_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX attendance_corrections_user_id_idx ON public.attendance_corrections USING btree (user_id);
+
+
+--
+-- Name: attendance_revisions attendance_revisions_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.attendance_revisions
+    ADD CONSTRAINT attendance_revisions_pkey PRIMARY KEY (revision_id);
+
+
+--
+-- Name: attendance_revisions attendance_revisions_action_check; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.attendance_revisions
+    ADD CONSTRAINT attendance_revisions_action_check CHECK (((action)::text = ANY ((ARRAY['create'::character varying, 'edit'::character varying, 'void'::character varying])::text[])));
+
+
+--
+-- Name: attendance_revisions_attendance_id_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX attendance_revisions_attendance_id_idx ON public.attendance_revisions USING btree (attendance_id, created_at);
+
+
+--
+-- Name: Attendance Attendance_voided_by_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public."Attendance"
+    ADD CONSTRAINT "Attendance_voided_by_fkey" FOREIGN KEY (voided_by) REFERENCES public."User"(user_id) ON DELETE SET NULL;
+
+
+--
+-- Name: scheduled_jobs scheduled_jobs_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.scheduled_jobs
+    ADD CONSTRAINT scheduled_jobs_pkey PRIMARY KEY (name);
+
+
+--
+-- Name: job_runs job_runs_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.job_runs
+    ADD CONSTRAINT job_runs_pkey PRIMARY KEY (run_id);
+
+
+--
+-- Name: job_runs job_runs_status_check; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.job_runs
+    ADD CONSTRAINT job_runs_status_check CHECK (((status)::text = ANY ((ARRAY['running'::character varying, 'succeeded'::character varying, 'failed'::character varying])::text[])));
+
+
+--
+-- Name: job_runs_job_name_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX job_runs_job_name_idx ON public.job_runs USING btree (job_name, started_at);
+
+
+--
+-- Name: calendar_entries calendar_entries_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.calendar_entries
+    ADD CONSTRAINT calendar_entries_pkey PRIMARY KEY (entry_id);
+
+
+--
+-- Name: calendar_entries calendar_entries_kind_check; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.calendar_entries
+    ADD CONSTRAINT calendar_entries_kind_check CHECK (((kind)::text = ANY ((ARRAY['holiday'::character varying, 'semester'::character varying, 'break'::character varying, 'exam'::character varying, 'special'::character varying])::text[])));
+
+
+--
+-- Name: calendar_entries calendar_entries_dates_check; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.calendar_entries
+    ADD CONSTRAINT calendar_entries_dates_check CHECK ((end_date >= start_date));
+
+
+--
+-- Name: calendar_entries calendar_entries_scope_check; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.calendar_entries
+    ADD CONSTRAINT calendar_entries_scope_check CHECK (((location_id IS NULL) OR (group_id IS NULL)));
+
+
+--
+-- Name: calendar_entries_dates_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX calendar_entries_dates_idx ON public.calendar_entries USING btree (start_date, end_date);
+
+
+--
+-- Name: calendar_entries_source_uid_key; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE UNIQUE INDEX calendar_entries_source_uid_key ON public.calendar_entries USING btree (source_uid);
+
+
+--
+-- Name: Attendance_user_id_timestamp_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX "Attendance_user_id_timestamp_idx" ON public."Attendance" USING btree (user_id, "timestamp");
+
+
+--
+-- Name: report_exports report_exports_pkey; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.report_exports
+    ADD CONSTRAINT report_exports_pkey PRIMARY KEY (export_id);
+
+
+--
+-- Name: report_exports report_exports_format_check; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.report_exports
+    ADD CONSTRAINT report_exports_format_check CHECK (((format)::text = ANY ((ARRAY['csv'::character varying, 'xlsx'::character varying, 'pdf'::character varying])::text[])));
+
+
+--
+-- Name: report_exports report_exports_status_check; Type: CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.report_exports
+    ADD CONSTRAINT report_exports_status_check CHECK (((status)::text = ANY ((ARRAY['pending'::character varying, 'running'::character varying, 'succeeded'::character varying, 'failed'::character varying])::text[])));
+
+
+--
+-- Name: report_exports_status_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX report_exports_status_idx ON public.report_exports USING btree (status, created_at);
+
+
+--
+-- Name: report_exports_requested_by_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX report_exports_requested_by_idx ON public.report_exports USING btree (requested_by, created_at);
+
+
+--
+-- Name: User_nim_nip_key; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE UNIQUE INDEX "User_nim_nip_key" ON public."User" USING btree (nim_nip);
+
+
+--
+-- Name: Attendance_timestamp_idx; Type: INDEX; Schema: public; Owner: neondb_owner
+--
+
+CREATE INDEX "Attendance_timestamp_idx" ON public."Attendance" USING btree ("timestamp", attendance_id);
+
+
+--
+-- Name: Attendance Attendance_location_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public."Attendance"
+    ADD CONSTRAINT "Attendance_location_id_fkey" FOREIGN KEY (location_id) REFERENCES public."Locations"(location_id) ON DELETE CASCADE;
+
+
+--
+-- Name: Attendance Attendance_user_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public."Attendance"
+    ADD CONSTRAINT "Attendance_user_id_fkey" FOREIGN KEY (user_id) REFERENCES public."User"(user_id) ON DELETE CASCADE;
+
+
+--
+-- Name: user_2fa_codes user_2fa_codes_user_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.user_2fa_codes
+    ADD CONSTRAINT user_2fa_codes_user_id_fkey FOREIGN KEY (user_id) REFERENCES public."User"(user_id);
+
+
+--
+-- Name: user_sessions user_sessions_user_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.user_sessions
+    ADD CONSTRAINT user_sessions_user_id_fkey FOREIGN KEY (user_id) REFERENCES public."User"(user_id) ON DELETE CASCADE;
+
+
+--
+-- Name: password_reset_tokens password_reset_tokens_user_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.password_reset_tokens
+    ADD CONSTRAINT password_reset_tokens_user_id_fkey FOREIGN KEY (user_id) REFERENCES public."User"(user_id) ON DELETE CASCADE;
+
+
+--
+-- Name: user_totp user_totp_user_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.user_totp
+    ADD CONSTRAINT user_totp_user_id_fkey FOREIGN KEY (user_id) REFERENCES public."User"(user_id) ON DELETE CASCADE;
+
+
+--
+-- Name: user_backup_codes user_backup_codes_user_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.user_backup_codes
+    ADD CONSTRAINT user_backup_codes_user_id_fkey FOREIGN KEY (user_id) REFERENCES public."User"(user_id) ON DELETE CASCADE;
+
+
+--
+-- Name: attendance_sessions attendance_sessions_user_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.attendance_sessions
+    ADD CONSTRAINT attendance_sessions_user_id_fkey FOREIGN KEY (user_id) REFERENCES public."User"(user_id) ON DELETE CASCADE;
+
+
+--
+-- Name: attendance_sessions attendance_sessions_location_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.attendance_sessions
+    ADD CONSTRAINT attendance_sessions_location_id_fkey FOREIGN KEY (location_id) REFERENCES public."Locations"(location_id) ON DELETE CASCADE;
+
+
+--
+-- Name: attendance_sessions attendance_sessions_checkin_attendance_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.attendance_sessions
+    ADD CONSTRAINT attendance_sessions_checkin_attendance_id_fkey FOREIGN KEY (checkin_attendance_id) REFERENCES public."Attendance"(attendance_id) ON DELETE CASCADE;
+
+
+--
+-- Name: attendance_sessions attendance_sessions_checkout_attendance_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.attendance_sessions
+    ADD CONSTRAINT attendance_sessions_checkout_attendance_id_fkey FOREIGN KEY (checkout_attendance_id) REFERENCES public."Attendance"(attendance_id) ON DELETE CASCADE;
+
+
+--
+-- Name: class_groups class_groups_course_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.class_groups
+    ADD CONSTRAINT class_groups_course_id_fkey FOREIGN KEY (course_id) REFERENCES public.courses(course_id) ON DELETE CASCADE;
+
+
+--
+-- Name: class_groups class_groups_teacher_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.class_groups
+    ADD CONSTRAINT class_groups_teacher_id_fkey FOREIGN KEY (teacher_id) REFERENCES public."User"(user_id) ON DELETE SET NULL;
+
+
+--
+-- Name: enrollments enrollments_group_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.enrollments
+    ADD CONSTRAINT enrollments_group_id_fkey FOREIGN KEY (group_id) REFERENCES public.class_groups(group_id) ON DELETE CASCADE;
+
+
+--
+-- Name: enrollments enrollments_user_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.enrollments
+    ADD CONSTRAINT enrollments_user_id_fkey FOREIGN KEY (user_id) REFERENCES public."User"(user_id) ON DELETE CASCADE;
+
+
+--
+-- Name: class_schedules class_schedules_group_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.class_schedules
+    ADD CONSTRAINT class_schedules_group_id_fkey FOREIGN KEY (group_id) REFERENCES public.class_groups(group_id) ON DELETE CASCADE;
+
+
+--
+-- Name: class_schedules class_schedules_location_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.class_schedules
+    ADD CONSTRAINT class_schedules_location_id_fkey FOREIGN KEY (location_id) REFERENCES public."Locations"(location_id) ON DELETE CASCADE;
+
+
+--
+-- Name: checkin_windows checkin_windows_location_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.checkin_windows
+    ADD CONSTRAINT checkin_windows_location_id_fkey FOREIGN KEY (location_id) REFERENCES public."Locations"(location_id) ON DELETE CASCADE;
+
+
+--
+-- Name: checkin_windows checkin_windows_schedule_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.checkin_windows
+    ADD CONSTRAINT checkin_windows_schedule_id_fkey FOREIGN KEY (schedule_id) REFERENCES public.class_schedules(schedule_id) ON DELETE SET NULL;
+
+
+--
+-- Name: checkin_windows checkin_windows_opened_by_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.checkin_windows
+    ADD CONSTRAINT checkin_windows_opened_by_fkey FOREIGN KEY (opened_by) REFERENCES public."User"(user_id) ON DELETE SET NULL;
+
+
+--
+-- Name: checkin_token_uses checkin_token_uses_window_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.checkin_token_uses
+    ADD CONSTRAINT checkin_token_uses_window_id_fkey FOREIGN KEY (window_id) REFERENCES public.checkin_windows(window_id) ON DELETE CASCADE;
+
+
+--
+-- Name: checkin_token_uses checkin_token_uses_user_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.checkin_token_uses
+    ADD CONSTRAINT checkin_token_uses_user_id_fkey FOREIGN KEY (user_id) REFERENCES public."User"(user_id) ON DELETE CASCADE;
+
+
+--
+-- Name: checkin_token_uses checkin_token_uses_attendance_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.checkin_token_uses
+    ADD CONSTRAINT checkin_token_uses_attendance_id_fkey FOREIGN KEY (attendance_id) REFERENCES public."Attendance"(attendance_id) ON DELETE SET NULL;
+
+
+--
+-- Name: leave_requests leave_requests_user_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.leave_requests
+    ADD CONSTRAINT leave_requests_user_id_fkey FOREIGN KEY (user_id) REFERENCES public."User"(user_id) ON DELETE CASCADE;
+
+
+--
+-- Name: leave_requests leave_requests_reviewer_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.leave_requests
+    ADD CONSTRAINT leave_requests_reviewer_id_fkey FOREIGN KEY (reviewer_id) REFERENCES public."User"(user_id) ON DELETE SET NULL;
+
+
+--
+-- Name: leave_requests leave_requests_reviewed_by_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.leave_requests
+    ADD CONSTRAINT leave_requests_reviewed_by_fkey FOREIGN KEY (reviewed_by) REFERENCES public."User"(user_id) ON DELETE SET NULL;
+
+
+--
+-- Name: notifications notifications_user_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.notifications
+    ADD CONSTRAINT notifications_user_id_fkey FOREIGN KEY (user_id) REFERENCES public."User"(user_id) ON DELETE CASCADE;
+
+
+--
+-- Name: attendance_corrections attendance_corrections_user_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.attendance_corrections
+    ADD CONSTRAINT attendance_corrections_user_id_fkey FOREIGN KEY (user_id) REFERENCES public."User"(user_id) ON DELETE CASCADE;
+
+
+--
+-- Name: attendance_corrections attendance_corrections_attendance_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.attendance_corrections
+    ADD CONSTRAINT attendance_corrections_attendance_id_fkey FOREIGN KEY (attendance_id) REFERENCES public."Attendance"(attendance_id) ON DELETE CASCADE;
+
+
+--
+-- Name: attendance_corrections attendance_corrections_requested_location_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.attendance_corrections
+    ADD CONSTRAINT attendance_corrections_requested_location_id_fkey FOREIGN KEY (requested_location_id) REFERENCES public."Locations"(location_id) ON DELETE SET NULL;
+
+
+--
+-- Name: attendance_corrections attendance_corrections_reviewed_by_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.attendance_corrections
+    ADD CONSTRAINT attendance_corrections_reviewed_by_fkey FOREIGN KEY (reviewed_by) REFERENCES public."User"(user_id) ON DELETE SET NULL;
+
+
+--
+-- Name: attendance_revisions attendance_revisions_attendance_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.attendance_revisions
+    ADD CONSTRAINT attendance_revisions_attendance_id_fkey FOREIGN KEY (attendance_id) REFERENCES public."Attendance"(attendance_id) ON DELETE CASCADE;
+
+
+--
+-- Name: attendance_revisions attendance_revisions_changed_by_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.attendance_revisions
+    ADD CONSTRAINT attendance_revisions_changed_by_fkey FOREIGN KEY (changed_by) REFERENCES public."User"(user_id) ON DELETE SET NULL;
+
+
+--
+-- Name: attendance_revisions attendance_revisions_correction_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.attendance_revisions
+    ADD CONSTRAINT attendance_revisions_correction_id_fkey FOREIGN KEY (correction_id) REFERENCES public.attendance_corrections(correction_id) ON DELETE SET NULL;
+
+
+--
+-- Name: job_runs job_runs_job_name_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.job_runs
+    ADD CONSTRAINT job_runs_job_name_fkey FOREIGN KEY (job_name) REFERENCES public.scheduled_jobs(name) ON DELETE CASCADE;
+
+
+--
+-- Name: calendar_entries calendar_entries_location_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.calendar_entries
+    ADD CONSTRAINT calendar_entries_location_id_fkey FOREIGN KEY (location_id) REFERENCES public."Locations"(location_id) ON DELETE CASCADE;
+
+
+--
+-- Name: calendar_entries calendar_entries_group_id_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.calendar_entries
+    ADD CONSTRAINT calendar_entries_group_id_fkey FOREIGN KEY (group_id) REFERENCES public.class_groups(group_id) ON DELETE CASCADE;
+
+
+--
+-- Name: calendar_entries calendar_entries_created_by_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.calendar_entries
+    ADD CONSTRAINT calendar_entries_created_by_fkey FOREIGN KEY (created_by) REFERENCES public."User"(user_id) ON DELETE SET NULL;
+
+
+--
+-- Name: report_exports report_exports_requested_by_fkey; Type: FK CONSTRAINT; Schema: public; Owner: neondb_owner
+--
+
+ALTER TABLE ONLY public.report_exports
+    ADD CONSTRAINT report_exports_requested_by_fkey FOREIGN KEY (requested_by) REFERENCES public."User"(user_id) ON DELETE CASCADE;
 
 
 --
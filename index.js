@@ -4,6 +4,12 @@ import cors from "cors";
 import pkg from "pg";
 const { Pool } = pkg;
 import { createUserRouter } from "./routes/user.js";
+import { createAdminRouter } from "./routes/admin.js";
+import { startOutboxWorker } from "./services/mailer.js";
+import { setSessionTimeZone } from "./services/db.js";
+import { startScheduler } from "./services/scheduler.js";
+import { CAMPUS_TIMEZONE } from "./services/summaries.js";
+import { JOBS } from "./services/jobs.js";
 
 const app = express();
 const PORT = 3000;
@@ -21,16 +27,26 @@ const pool = new Pool({
   ssl: { rejectUnauthorized: false },
 });
 
+// count days in campus time everywhere: rating, absences, automatic
+// checkout, summaries and reports
+setSessionTimeZone(pool, CAMPUS_TIMEZONE);
+
 pool
   .query("SELECT NOW()")
   .then((res) => console.log("Postgres connected:", res.rows[0]))
   .catch((err) => console.error("Postgres connection error:", err));
 
+// retry emails that could not be delivered right away
+startOutboxWorker(pool);
+
+// periodic jobs: attendance evaluation, automatic checkout, reminders, cleanup
+startScheduler(pool, JOBS);
+
 const userRouter = createUserRouter(pool);
 app.use("/user", userRouter);
 
 const adminRouter = createAdminRouter(pool);
-app.use("/admin", userRouter);
+app.use("/admin", adminRouter);
 
 app.listen(PORT, () => {
   console.log(`Server running on http://localhost:${PORT}`);
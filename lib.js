@@ -15,3 +15,143 @@ export function getDistanceInMeters(lat1, lon1, lat2, lon2) {
   const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
   return R * c;
 }
+
+// Polygon helpers take a GeoJSON Polygon or MultiPolygon geometry, so
+// positions are [longitude, latitude] and the first ring of each polygon is
+// its outer boundary while the others are holes. Campus-sized shapes are
+// small enough to be measured on a flat projection centred on the point.
+
+function getPolygons(geometry) {
+  return geometry.type === "MultiPolygon"
+    ? geometry.coordinates
+    : [geometry.coordinates];
+}
+
+// ray casting, on raw degrees
+function isPointInRing(latitude, longitude, ring) {
+  let inside = false;
+
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+
+    if (
+      yi > latitude !== yj > latitude &&
+      longitude < ((xj - xi) * (latitude - yi)) / (yj - yi) + xi
+    ) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+export function isPointInPolygon(latitude, longitude, geometry) {
+  return getPolygons(geometry).some(
+    ([outer, ...holes]) =>
+      isPointInRing(latitude, longitude, outer) &&
+      !holes.some((hole) => isPointInRing(latitude, longitude, hole))
+  );
+}
+
+/**
+ * Shortest distance from a point to any edge of the geometry, holes
+ * included, whether the point is inside it or not.
+ */
+export function getDistanceToPolygonEdge(latitude, longitude, geometry) {
+  const metersPerDegree = (6371000 * Math.PI) / 180;
+  const lonScale = Math.cos((latitude * Math.PI) / 180);
+
+  // local x/y in meters with the point at the origin
+  const project = ([lon, lat]) => [
+    (lon - longitude) * lonScale * metersPerDegree,
+    (lat - latitude) * metersPerDegree,
+  ];
+
+  let best = Infinity;
+
+  for (const polygon of getPolygons(geometry)) {
+    for (const ring of polygon) {
+      for (let i = 0; i < ring.length - 1; i++) {
+        const [ax, ay] = project(ring[i]);
+        const [bx, by] = project(ring[i + 1]);
+
+        const dx = bx - ax;
+        const dy = by - ay;
+        const lengthSquared = dx * dx + dy * dy;
+        const t =
+          lengthSquared === 0
+            ? 0
+            : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSquared));
+
+        best = Math.min(best, Math.hypot(ax + t * dx, ay + t * dy));
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Distance from a point to a location's geofence. With a boundary polygon
+ * this is 0 inside it and the distance to its nearest edge outside; without
+ * one it is the distance to the location's center.
+ *
+ * @param {{ latitude: number, longitude: number, radius: number|null,
+ *           boundary: object|null }} location
+ * @param {number} tolerance extra meters allowed for GPS error
+ * @returns {{ distance: number, inside: boolean } | null} null when the
+ *   location has neither a boundary nor a radius
+ */
+export function measureGeofence(location, latitude, longitude, tolerance = 0) {
+  if (location.boundary) {
+    if (isPointInPolygon(latitude, longitude, location.boundary)) {
+      return { distance: 0, inside: true };
+    }
+
+    const distance = getDistanceToPolygonEdge(
+      latitude,
+      longitude,
+      location.boundary
+    );
+    return { distance, inside: distance <= tolerance };
+  }
+
+  if (location.radius == null) return null;
+
+  const distance = getDistanceInMeters(
+    latitude,
+    longitude,
+    location.latitude,
+    location.longitude
+  );
+  return { distance, inside: distance <= location.radius + tolerance };
+}
+
+/**
+ * Picks the nearest location whose geofence contains the given point.
+ *
+ * @param {Array<object>} locations rows as accepted by measureGeofence
+ * @param {number} tolerance extra meters allowed for GPS error
+ * @returns {{ location: object, distance: number } | null} null when the
+ *   point is outside every location
+ */
+export function findNearestLocation(
+  locations,
+  latitude,
+  longitude,
+  tolerance = 0
+) {
+  let best = null;
+
+  for (const location of locations) {
+    const fence = measureGeofence(location, latitude, longitude, tolerance);
+    if (!fence || !fence.inside) continue;
+
+    if (!best || fence.distance < best.distance) {
+      best = { location, distance: fence.distance };
+    }
+  }
+
+  return best;
+}
@@ -0,0 +1,64 @@
+import { touchSession } from "../services/sessions.js";
+import { verifyAccessToken } from "../services/tokens.js";
+
+/**
+ * Builds the `requireAuth` middleware.
+ *
+ * Expects `Authorization: Bearer <accessToken>` as issued by
+ * POST /user/verify-2fa or POST /user/refresh-token. On success the caller is
+ * available as `req.user`:
+ *
+ *   { userId: 1, email: "user@example.com", role: "student", sessionId: 3 }
+ *
+ * Every failure answers 401 with one of:
+ *   { "error": "Authentication required" }
+ *   { "error": "Invalid token" }
+ *   { "error": "Token expired" }
+ *   { "error": "Session expired or revoked" }
+ */
+export function createAuthMiddleware(pool) {
+  return async function requireAuth(req, res, next) {
+    try {
+      const [scheme, token] = (req.headers.authorization || "").split(" ");
+      if (scheme !== "Bearer" || !token) {
+        return res.status(401).send({ error: "Authentication required" });
+      }
+
+      const { payload, error } = verifyAccessToken(token);
+      if (error) {
+        return res.status(401).send({ error });
+      }
+
+      // the session must still be open, so revoking it logs the user out
+      const result = await pool.query(
+        `SELECT u.user_id, u.username_email, u.role
+       FROM user_sessions s
+       JOIN "User" u ON u.user_id = s.user_id
+       WHERE s.session_id = $1
+         AND s.user_id = $2
+         AND s.revoked_at IS NULL
+         AND s.expires_at > NOW()`,
+        [payload.sid, payload.sub]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(401).send({ error: "Session expired or revoked" });
+      }
+
+      const user = result.rows[0];
+      req.user = {
+        userId: user.user_id,
+        email: user.username_email,
+        role: user.role,
+        sessionId: payload.sid,
+      };
+
+      await touchSession(pool, payload.sid, req.ip);
+
+      next();
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Authentication failed" });
+    }
+  };
+}
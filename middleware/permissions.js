@@ -0,0 +1,32 @@
+import { getRolePermissions } from "../services/permissions.js";
+
+/**
+ * Builds `requirePermission(...permissions)`, which must run after
+ * `requireAuth`. The caller's role has to hold every listed permission,
+ * otherwise the request is answered with:
+ *
+ *   403 { "error": "Insufficient permissions", "required": ["users:write"] }
+ */
+export function createPermissionMiddleware(pool) {
+  return function requirePermission(...permissions) {
+    return async function (req, res, next) {
+      try {
+        const granted = req.user.role
+          ? await getRolePermissions(pool, req.user.role)
+          : [];
+
+        if (!permissions.every((permission) => granted.includes(permission))) {
+          return res
+            .status(403)
+            .send({ error: "Insufficient permissions", required: permissions });
+        }
+
+        req.user.permissions = granted;
+        next();
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Permission check failed" });
+      }
+    };
+  };
+}
@@ -1,1025 +1,5888 @@
 import express from "express";
-import nodemailer from "nodemailer";
-import otpGenerator from "otp-generator";
+import { createAuthMiddleware } from "../middleware/auth.js";
+import { createPermissionMiddleware } from "../middleware/permissions.js";
+import { ATTENDANCE_LIST, listSessionsByDay } from "../services/attendance.js";
+import {
+  DEFAULT_RULE_ROLE,
+  MAX_EVALUATION_DAYS,
+  evaluateAttendance,
+  listWorkingDays,
+  mapAttendanceRule,
+} from "../services/attendanceRules.js";
+import {
+  addAttendanceRecord,
+  editAttendanceRecord,
+  mapAttendanceCorrection,
+  mapAttendanceRevision,
+  parseAttendanceChanges,
+  reviewCorrection,
+  voidAttendanceRecord,
+} from "../services/attendanceEdits.js";
+import { recordAudit } from "../services/audit.js";
+import {
+  CALENDAR_COLUMNS,
+  CALENDAR_KINDS,
+  DEFAULT_WORKING_DAY,
+  MAX_IMPORT_EVENTS,
+  addCalendarEntry,
+  deleteCalendarEntry,
+  editCalendarEntry,
+  importCalendarEvents,
+  mapCalendarEntry,
+  parseCalendarEntry,
+} from "../services/calendar.js";
+import {
+  SCHEDULE_COLUMNS,
+  listClassAttendance,
+  mapClassGroup,
+  mapClassSchedule,
+  mapCourse,
+} from "../services/courses.js";
+import { withTransaction } from "../services/db.js";
+import { ICAL_MAX_BYTES, parseICalendar } from "../services/ical.js";
+import { hasListParameters, queryList } from "../services/listQuery.js";
+import {
+  LOCATION_COLUMNS,
+  mapLocation,
+  parseBoundary,
+} from "../services/locations.js";
+import {
+  LEAVE_COLUMNS,
+  getLeaveAttachmentPath,
+  getLeaveRequest,
+  mapLeaveRequest,
+  reviewLeaveRequest,
+} from "../services/leave.js";
+import { hashPassword } from "../services/passwords.js";
+import { PERMISSIONS, getRolePermissions } from "../services/permissions.js";
+import {
+  EXPORT_SYNC_MAX_ROWS,
+  REPORT_CONTENT_TYPES,
+  REPORT_FORMATS,
+  countReportRows,
+  createReportExport,
+  getReportExport,
+  getReportExportPath,
+  mapReportExport,
+  parseReportFilters,
+  reportFileName,
+  runPendingExports,
+  writeReport,
+} from "../services/reports.js";
+import { mapJobRun, mapScheduledJob } from "../services/scheduler.js";
+import { revokeAllSessions } from "../services/sessions.js";
+import { resolvePeriod, summarizeAttendance } from "../services/summaries.js";
+import {
+  USER_IMPORT_MAX_BYTES,
+  USER_IMPORT_TYPES,
+  checkUserRows,
+  importUsers,
+  readUserFile,
+  summarizeUserRows,
+} from "../services/userImport.js";
+import { USER_LIST, mapUser } from "../services/users.js";
 
 // API LIST:
-
-/* --- LOGIN & 2FA --- */
-// POST /user/login
-// POST /user/forget-password
-// POST /user/verify-2fa
-// POST /user/resend-2fa
+// Every route requires "Authorization: Bearer <accessToken>" (see POST /user/verify-2fa)
+// and the permission shown next to it, granted to the caller's role.
+// Login and 2FA live on the user router.
+// Every mutating route is recorded in the audit log (GET /admin/get-audit-log).
 
 /* --- USERS --- */
-// GET /admin/get-user-all
-// POST /admin/add-user
-// PUT /admin/edit-user
-// DELETE /admin/delete-user
+// GET /admin/get-user-all                 users:read
+// POST /admin/add-user                    users:write
+// POST /admin/import-users                users:write
+// PUT /admin/edit-user                    users:write
+// DELETE /admin/delete-user               users:write
 
 /* --- ATTENDANCE --- */
-// GET /admin/get-attendance
-// POST /admin/get-attendance-user
+// GET /admin/get-attendance               attendance:read
+// POST /admin/get-attendance-user         attendance:read
+// GET /admin/get-attendance-sessions      attendance:read
+// GET /admin/get-attendance-summary       attendance:read
+// GET /admin/get-attendance-rules         attendance:read
+// PUT /admin/set-attendance-rule          attendance:write
+// DELETE /admin/delete-attendance-rule    attendance:write
+// POST /admin/evaluate-attendance         attendance:write
+// GET /admin/get-flagged-attendance       attendance:read
+// POST /admin/review-attendance           attendance:write
+// POST /admin/add-attendance              attendance:write
+// PUT /admin/edit-attendance              attendance:write
+// POST /admin/void-attendance             attendance:write
+// GET /admin/get-attendance-history       attendance:read
+// GET /admin/get-correction-requests      attendance:read
+// POST /admin/review-correction-request   attendance:write
 
 /* --- NOTIFICATION --- */
-// GET /admin/notifications
-// POST /admin/add-notification
-// DELETE /admin/delete-notification
+// GET /admin/notifications                notifications:read
+// POST /admin/add-notification            notifications:write
+// DELETE /admin/delete-notification       notifications:write
 
 /* --- OFFICE --- */
-// GET /user/get-office-location
-// POST /user/set-office-location
+// GET /admin/get-office-location          locations:read
+// POST /admin/set-office-location         locations:write
+// GET /admin/get-locations                locations:read
+// POST /admin/add-location                locations:write
+// PUT /admin/edit-location                locations:write
+// DELETE /admin/delete-location           locations:write
+
+/* --- COURSES --- */
+// GET /admin/get-courses                  courses:read
+// POST /admin/add-course                  courses:write
+// PUT /admin/edit-course                  courses:write
+// DELETE /admin/delete-course             courses:write
+// GET /admin/get-class-groups             courses:read
+// POST /admin/add-class-group             courses:write
+// PUT /admin/edit-class-group             courses:write
+// DELETE /admin/delete-class-group        courses:write
+// GET /admin/get-enrollments              courses:read
+// PUT /admin/set-enrollments              courses:write
+// POST /admin/add-class-schedule          courses:write
+// DELETE /admin/delete-class-schedule     courses:write
+// GET /admin/get-class-attendance         courses:read, attendance:read
+
+/* --- LEAVE --- */
+// GET /admin/get-leave-requests           leave:read
+// POST /admin/review-leave-request        leave:write
+// GET /admin/get-leave-attachment         leave:read
+
+/* --- CALENDAR --- */
+// GET /admin/get-calendar                 calendar:read
+// POST /admin/add-calendar-entry          calendar:write
+// PUT /admin/edit-calendar-entry          calendar:write
+// DELETE /admin/delete-calendar-entry     calendar:write
+// POST /admin/import-calendar             calendar:write
+// GET /admin/get-working-days             calendar:read
+
+/* --- ROLES --- */
+// GET /admin/get-role-permissions         roles:read
+// PUT /admin/set-role-permissions         roles:write
+
+/* --- SECURITY --- */
+// POST /admin/force-logout                sessions:write
+// GET /admin/get-locked-accounts          security:read
+// POST /admin/unlock-account              security:write
+
+/* --- AUDIT --- */
+// GET /admin/get-audit-log                audit:read
+
+/* --- REPORTS --- */
+// POST /admin/export-attendance           attendance:read
+// GET /admin/get-exports                  attendance:read
+// GET /admin/download-export              attendance:read
+
+/* --- JOBS --- */
+// GET /admin/get-jobs                     jobs:read
+// GET /admin/get-job-runs                 jobs:read
 
 export function createAdminRouter(pool) {
   const router = express.Router();
+  const requirePermission = createPermissionMiddleware(pool);
+  router.use(createAuthMiddleware(pool));
 
   /**
-   * POST /user/login
+   * GET /admin/get-user-all
    *
    * Description:
-   *   Logs in a user by email and password. If credentials are correct,
-   *   a 6-digit 2FA code is generated, stored in the database, and sent via email.
+   *   Lists users. Called without query parameters, returns every user whose
+   *   NIM/NIP starts with "NIM" as an array, as it always has. With any of
+   *   the parameters below, lists all users a page at a time, by name unless
+   *   sorted otherwise.
    *
-   * Request Body (JSON):
+   * Query Parameters:
+   *   q (string, optional)        - search in name, email and NIM/NIP
+   *   role (string, optional)     - e.g. "student", or a list: "student,teacher"
+   *   userId (integer, optional)  - a user id, or a list: "1,2,3"
+   *   sort (string, optional)     - name (default), email, nimNip, role or userId;
+   *                                 prefix with "-" to sort descending
+   *   limit (integer, optional)   - users per page, default 100, at most 500
+   *   cursor (string, optional)   - pageInfo.nextCursor of the previous page
+   *
+   * Successful Response (200), without query parameters:
+   *   [
+   *     {
+   *       "userId": 1,
+   *       "name": "John Doe",
+   *       "usernameEmail": "john@example.com",
+   *       "role": "admin",
+   *       "nimNip": "NIM123456"
+   *     },
+   *     ...
+   *   ]
+   *
+   * Successful Response (200), with any query parameter:
    *   {
-   *     "email": "user@example.com",   // string, required
-   *     "password": "userpassword"     // string, required
+   *     "data": [
+   *       {
+   *         "userId": 1,
+   *         "name": "John Doe",
+   *         "usernameEmail": "john@example.com",
+   *         "role": "admin",
+   *         "nimNip": "NIM123456"
+   *       },
+   *       ...
+   *     ],
+   *     "pageInfo": {
+   *       "total": 1250,              // users matching the filters, on every page
+   *       "limit": 100,
+   *       "sort": "name",
+   *       "hasMore": true,
+   *       "nextCursor": "eyJzb3J0Ijoi..."   // null on the last page
+   *     }
    *   }
    *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "sort must be one of name, email, nimNip, role, userId, optionally prefixed with -" }
+   *     { "error": "userId must be an integer or a list of integers" }
+   *     { "error": "limit must be a positive integer" }
+   *     { "error": "Invalid cursor" }
+   *     { "error": "The cursor belongs to another sort" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch users" }
+   *
+   * Notes:
+   *   - The paged list is not limited to NIM/NIP starting with "NIM"; use
+   *     role=student for the students. Clients should move to it: the
+   *     unpaged array is kept only for existing callers.
+   *   - Pass the same filters and sort with each cursor. Pages stay stable
+   *     while users are added.
+   */
+  router.get(
+    "/get-user-all",
+    requirePermission("users:read"),
+    async (req, res) => {
+      try {
+        if (!hasListParameters(USER_LIST, req.query)) {
+          const result = await pool.query(
+            `SELECT user_id, name, username_email, role, nim_nip
+             FROM "User"
+             WHERE nim_nip LIKE 'NIM%'
+             ORDER BY name ASC`
+          );
+          return res.status(200).send(result.rows.map(mapUser));
+        }
+
+        const list = await queryList(pool, USER_LIST, req.query);
+        if (list.error) {
+          return res.status(400).send({ error: list.error });
+        }
+
+        res
+          .status(200)
+          .send({ data: list.rows.map(mapUser), pageInfo: list.pageInfo });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch users" });
+      }
+    }
+  );
+
+  /**
+   * GET /admin/get-attendance
+   *
+   * Description:
+   *   Lists attendance records a page at a time, newest first unless sorted
+   *   otherwise.
+   *
+   * Query Parameters:
+   *   from (YYYY-MM-DD, optional)     - records on or after this day
+   *   to (YYYY-MM-DD, optional)       - records on or before this day
+   *   userId (integer, optional)      - a user id, or a list: "1,2,3"
+   *   role (string, optional)         - the users' role, e.g. "student"
+   *   locationId (integer, optional)  - a location id, or a list
+   *   status (string, optional)       - e.g. "late", or a list: "late,absent"
+   *   type (string, optional)         - "check-in", "check-out" or "absent", or a list
+   *   reviewStatus (string, optional) - "pending", "approved" or "rejected", or a list
+   *   voided (boolean, optional)      - "true" for voided records only, "false" for the rest
+   *   q (string, optional)            - search in the user's name, email and NIM/NIP
+   *   sort (string, optional)         - timestamp, name or attendanceId, default
+   *                                     "-timestamp"; "-" sorts descending
+   *   limit (integer, optional)       - records per page, default 100, at most 500
+   *   cursor (string, optional)       - pageInfo.nextCursor of the previous page
+   *
    * Successful Response (200):
    *   {
-   *     "message": "Login successful, 2FA code sent",
-   *     "userId": 1,                   // integer, the ID of the logged-in user
-   *     "email": "user@example.com"    // string, user’s email
+   *     "data": [
+   *       {
+   *         "attendanceId": 1,
+   *         "userId": 1,
+   *         "userName": "Alice Johnson",
+   *         "nimNip": "NIM12345",
+   *         "locationId": 2,
+   *         "type": "check-in",
+   *         "timestamp": "2025-12-23T09:00:00.000Z",
+   *         "userLatitude": 123.45,
+   *         "userLongitude": 67.89,
+   *         "distanceMeters": 12.4,
+   *         "status": "on_time",
+   *         "notes": "Arrived on time",
+   *         "classScheduleId": 7,
+   *         "anomalyScore": 0,
+   *         "reviewStatus": null,      // "pending", "approved", "rejected" or null
+   *         "voidedAt": null           // set when voided (POST /admin/void-attendance)
+   *       },
+   *       ...
+   *     ],
+   *     "pageInfo": {
+   *       "total": 48210,              // records matching the filters, on every page
+   *       "limit": 100,
+   *       "sort": "-timestamp",
+   *       "hasMore": true,
+   *       "nextCursor": "eyJzb3J0Ijoi..."   // null on the last page
+   *     }
    *   }
    *
    * Error Responses:
    *   400 Bad Request
-   *     { "error": "Email and password are required" }
+   *     { "error": "Invalid from date" }
+   *     { "error": "locationId must be an integer or a list of integers" }
+   *     { "error": "voided must be true or false" }
+   *     { "error": "sort must be one of timestamp, name, attendanceId, optionally prefixed with -" }
+   *     { "error": "limit must be a positive integer" }
+   *     { "error": "Invalid cursor" }
+   *     { "error": "The cursor belongs to another sort" }
    *
    *   401 Unauthorized
-   *     { "error": "User not found" }
-   *     { "error": "Invalid password" }
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
    *
    *   500 Internal Server Error
-   *     { "error": "Login failed" }
+   *     { "error": "Failed to fetch attendance" }
    *
    * Notes:
-   *   - The user must verify the 2FA code via POST /user/verify-2fa to complete login.
-   *   - No password hashing is implemented in this version.
+   *   - Breaking change: this used to return every record at once, as a
+   *     bare array. It now always returns one page in { data, pageInfo };
+   *     clients must read data and follow nextCursor.
+   *   - from and to are campus days (the CAMPUS_TIMEZONE setting).
+   *   - Pass the same filters and sort with each cursor. Pages stay stable
+   *     while records are added: new records never shift a later page.
+   *   - For a file of the records, use POST /admin/export-attendance.
    */
-  router.post("/login", async (req, res) => {
-    try {
-      const { email, password } = req.body;
-      if (!email || !password) {
-        return res
-          .status(400)
-          .send({ error: "Email and password are required" });
-      }
+  router.get(
+    "/get-attendance",
+    requirePermission("attendance:read"),
+    async (req, res) => {
+      try {
+        const list = await queryList(pool, ATTENDANCE_LIST, req.query);
+        if (list.error) {
+          return res.status(400).send({ error: list.error });
+        }
 
-      // query user by email
-      const result = await pool.query(
-        'SELECT user_id, username_email, password_hash FROM "User" WHERE username_email = $1',
-        [email]
-      );
+        const attendanceRecords = list.rows.map((row) => ({
+          attendanceId: row.attendance_id,
+          userId: row.user_id,
+          userName: row.user_name,
+          nimNip: row.nim_nip,
+          locationId: row.location_id,
+          type: row.type,
+          timestamp: row.timestamp,
+          userLatitude: row.user_latitude,
+          userLongitude: row.user_longitude,
+          distanceMeters: row.distance_meters,
+          status: row.status,
+          notes: row.notes,
+          classScheduleId: row.class_schedule_id,
+          anomalyScore: row.anomaly_score,
+          reviewStatus: row.review_status,
+          voidedAt: row.voided_at,
+        }));
 
-      if (result.rows.length === 0) {
-        return res.status(401).send({ error: "User not found" });
+        res
+          .status(200)
+          .send({ data: attendanceRecords, pageInfo: list.pageInfo });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch attendance" });
       }
+    }
+  );
+
+  /**
+   * POST /admin/get-attendance-user
+   *
+   * Description:
+   *   Retrieves attendance records for a single user.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "userId": 1   // integer, required
+   *   }
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "attendanceId": 1,
+   *       "userId": 1,
+   *       "locationId": 2,
+   *       "type": "check-in",
+   *       "timestamp": "2025-12-23T09:00:00.000Z",
+   *       "userLatitude": 123.45,
+   *       "userLongitude": 67.89,
+   *       "distanceMeters": 12.4,
+   *       "status": "on_time",
+   *       "notes": "Arrived on time",
+   *       "classScheduleId": 7,
+   *       "anomalyScore": 0,
+   *       "reviewStatus": null,      // "pending", "approved", "rejected" or null
+   *       "voidedAt": null           // set when voided (POST /admin/void-attendance)
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   400 Bad Request
+   *     { "error": "userId is required" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch attendance" }
+   */
+  router.post(
+    "/get-attendance-user",
+    requirePermission("attendance:read"),
+    async (req, res) => {
+      try {
+        const { userId } = req.body;
+
+        if (!userId) {
+          return res.status(400).send({ error: "userId is required" });
+        }
+
+        const result = await pool.query(
+          `SELECT attendance_id, user_id, location_id, type, "timestamp", user_latitude, user_longitude, distance_meters, status, notes, class_schedule_id,
+              anomaly_score, review_status, voided_at
+       FROM "Attendance"
+       WHERE user_id = $1
+       ORDER BY "timestamp" DESC`,
+          [userId]
+        );
 
-      const user = result.rows[0];
+        const attendanceRecords = result.rows.map((row) => ({
+          attendanceId: row.attendance_id,
+          userId: row.user_id,
+          locationId: row.location_id,
+          type: row.type,
+          timestamp: row.timestamp,
+          userLatitude: row.user_latitude,
+          userLongitude: row.user_longitude,
+          distanceMeters: row.distance_meters,
+          status: row.status,
+          notes: row.notes,
+          classScheduleId: row.class_schedule_id,
+          anomalyScore: row.anomaly_score,
+          reviewStatus: row.review_status,
+          voidedAt: row.voided_at,
+        }));
 
-      // pretend password check (not hashed)
-      if (user.password_hash !== password) {
-        return res.status(401).send({ error: "Invalid password" });
+        res.status(200).send(attendanceRecords);
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch attendance" });
       }
+    }
+  );
 
-      // generate 6-digit 2FA code
-      const code = otpGenerator.generate(6, {
-        upperCaseAlphabets: false,
-        specialChars: false,
-      });
+  /**
+   * GET /admin/get-attendance-sessions
+   *
+   * Description:
+   *   Lists a user's attendance sessions (a check-in paired with its
+   *   checkout) grouped per day, newest first.
+   *
+   * Query Parameters:
+   *   userId (integer, required)  - the user to list
+   *   from (YYYY-MM-DD, optional) - first day to include
+   *   to (YYYY-MM-DD, optional)   - last day to include
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "date": "2025-12-23",
+   *       "totalSeconds": 28800,
+   *       "sessions": [
+   *         {
+   *           "sessionId": 4,
+   *           "userId": 1,
+   *           "locationId": 2,
+   *           "checkoutLocationId": 2,
+   *           "checkinAttendanceId": 10,
+   *           "checkoutAttendanceId": 11,
+   *           "checkedInAt": "2025-12-23T09:00:00.000Z",
+   *           "checkedOutAt": "2025-12-23T17:00:00.000Z",
+   *           "durationSeconds": 28800,
+   *           "autoCheckout": false
+   *         }
+   *       ]
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "userId is required" }
+   *     { "error": "Invalid from or to date" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch attendance sessions" }
+   *
+   * Notes:
+   *   - Same day grouping as GET /user/get-attendance-sessions.
+   */
+  router.get(
+    "/get-attendance-sessions",
+    requirePermission("attendance:read"),
+    async (req, res) => {
+      try {
+        const { userId, from, to } = req.query;
 
-      // delete any existing 2FA codes for this user
-      await pool.query("DELETE FROM user_2fa_codes WHERE user_id = $1", [
-        user.user_id,
-      ]);
+        if (!userId) {
+          return res.status(400).send({ error: "userId is required" });
+        }
+        if (
+          (from && isNaN(Date.parse(from))) ||
+          (to && isNaN(Date.parse(to)))
+        ) {
+          return res.status(400).send({ error: "Invalid from or to date" });
+        }
 
-      // store code in DB with 5-minute expiry
-      await pool.query(
-        "INSERT INTO user_2fa_codes(user_id, code, expires_at) VALUES($1, $2, NOW() + INTERVAL '5 minutes')",
-        [user.user_id, code]
-      );
+        const days = await listSessionsByDay(pool, userId, { from, to });
 
-      // send code via email
-      const transporter = nodemailer.createTransport({
-        service: "gmail",
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_PASS,
-        },
-      });
-
-      await transporter.sendMail({
-        from: '"MyApp" <no-reply@myapp.com>',
-        to: user.username_email,
-        subject: "Your 2FA code",
-        text: `Your 2FA code is: ${code}`,
-      });
-
-      // response
-      res.status(200).send({
-        message: "Login successful, 2FA code sent",
-        userId: user.user_id,
-        email: user.username_email,
-      });
-    } catch (err) {
-      console.error(err);
-      res.status(500).send({ error: "Login failed" });
+        res.status(200).send(days);
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch attendance sessions" });
+      }
     }
-  });
+  );
 
   /**
-   * POST /user/forget-password
+   * GET /admin/get-attendance-summary
    *
    * Description:
-   *   Resets a user's password. The user must provide their userId, email, and new password.
+   *   Totals attendance per user over a day, week, month or semester: time
+   *   present, days attended, late arrivals, absences and average arrival
+   *   time. Covers one user, the students of a class group, everyone of a
+   *   role or everyone.
    *
-   * Request Body (JSON):
-   *   {
-   *     "userId": 1,                   // integer, required
-   *     "email": "user@example.com",   // string, required
-   *     "newPassword": "newpassword"   // string, required
-   *   }
+   * Query Parameters:
+   *   period (string, optional)    - "day", "week" (default), "month" or "semester"
+   *   date (YYYY-MM-DD, optional)  - any day in the period, defaults to today
+   *   userId (integer, optional)   - only this user
+   *   groupId (integer, optional)  - only the students of this class group
+   *   role (string, optional)      - only users of this role, e.g. "student"
+   *   limit (integer, optional)    - users per page, default 100, at most 500
+   *   offset (integer, optional)   - default 0
    *
    * Successful Response (200):
    *   {
-   *     "message": "Password updated successfully",
-   *     "userId": 1,
-   *     "email": "user@example.com"
+   *     "period": "month",
+   *     "from": "2025-12-01",
+   *     "to": "2025-12-31",
+   *     "timezone": "Asia/Jakarta",
+   *     "users": [
+   *       {
+   *         "userId": 1,
+   *         "name": "Alice Johnson",
+   *         "nimNip": "NIM12345",
+   *         "workedSeconds": 475200,
+   *         "workedHours": 132,
+   *         "daysAttended": 18,
+   *         "lateCount": 2,
+   *         "absentCount": 1,
+   *         "excusedCount": 2,
+   *         "autoCheckoutCount": 0,
+   *         "averageArrivalTime": "07:42"
+   *       },
+   *       ...
+   *     ],
+   *     "totals": {                   // of the users on this page
+   *       "users": 100,
+   *       "workedSeconds": 47520000,
+   *       "workedHours": 13200,
+   *       "daysAttended": 1800,
+   *       "lateCount": 96,
+   *       "absentCount": 40,
+   *       "excusedCount": 22,
+   *       "autoCheckoutCount": 5,
+   *       "averageArrivalTime": "07:45"
+   *     }
    *   }
    *
    * Error Responses:
    *   400 Bad Request
-   *     { "error": "userId, email and newPassword are required" }
+   *     { "error": "period must be one of day, week, month, semester" }
+   *     { "error": "Invalid date" }
+   *     { "error": "No semester in the calendar covers 2025-12-23" }
    *
-   *   404 Not Found
-   *     { "error": "User not found" }
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
    *
    *   500 Internal Server Error
-   *     { "error": "Failed to reset password" }
+   *     { "error": "Failed to fetch attendance summary" }
+   *
+   * Notes:
+   *   - Same figures as GET /user/get-attendance-summary, in campus time
+   *     (the CAMPUS_TIMEZONE setting).
    */
-  router.post("/forget-password", async (req, res) => {
-    try {
-      const { userId, email, newPassword } = req.body;
+  router.get(
+    "/get-attendance-summary",
+    requirePermission("attendance:read"),
+    async (req, res) => {
+      try {
+        const { period = "week", date, userId, groupId, role } = req.query;
 
-      if (!userId || !email || !newPassword) {
-        return res.status(400).send({
-          error: "userId, email and newPassword are required",
+        const range = await resolvePeriod(pool, {
+          period,
+          date,
+          groupId: groupId || null,
         });
-      }
+        if (range.error) {
+          return res.status(400).send({ error: range.error });
+        }
 
-      // check if user exists
-      const userResult = await pool.query(
-        'SELECT * FROM "User" WHERE user_id = $1 AND username_email = $2',
-        [userId, email]
-      );
+        const limit = Math.min(Number(req.query.limit) || 100, 500);
+        const offset = Math.max(Number(req.query.offset) || 0, 0);
 
-      if (userResult.rows.length === 0) {
-        return res.status(404).send({ error: "User not found" });
+        const summary = await summarizeAttendance(pool, {
+          ...range,
+          userId: userId || null,
+          groupId: groupId || null,
+          role: role || null,
+          limit,
+          offset,
+        });
+
+        res.status(200).send({ period, ...range, ...summary });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch attendance summary" });
       }
+    }
+  );
 
-      // update password (not hashed)
-      await pool.query(
-        'UPDATE "User" SET password_hash = $1 WHERE user_id = $2',
-        [newPassword, userId]
-      );
+  /**
+   * GET /admin/get-attendance-rules
+   *
+   * Description:
+   *   Lists the rules check-ins and checkouts are rated against. A role
+   *   without its own rule uses the "default" rule.
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "role": "default",
+   *       "expectedStart": "08:00:00",
+   *       "expectedEnd": "17:00:00",
+   *       "lateGraceMinutes": 15,
+   *       "earlyLeaveGraceMinutes": 0,
+   *       "workingDays": [1, 2, 3, 4, 5],   // ISO weekdays, 1 = Monday
+   *       "updatedAt": "2025-12-25T10:00:00.000Z"
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch attendance rules" }
+   */
+  router.get(
+    "/get-attendance-rules",
+    requirePermission("attendance:read"),
+    async (req, res) => {
+      try {
+        const result = await pool.query(
+          `SELECT * FROM attendance_rules ORDER BY role = $1 DESC, role ASC`,
+          [DEFAULT_RULE_ROLE]
+        );
 
-      res.status(200).send({
-        message: "Password updated successfully",
-        userId,
-        email,
-      });
-    } catch (err) {
-      console.error(err);
-      res.status(500).send({ error: "Failed to reset password" });
+        res.status(200).send(result.rows.map(mapAttendanceRule));
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch attendance rules" });
+      }
     }
-  });
+  );
 
   /**
-   * POST /user/verify-2fa
+   * PUT /admin/set-attendance-rule
    *
    * Description:
-   *   Verifies the 6-digit 2FA code sent to the user via email.
-   *   If the code is valid and not expired, it is consumed and login is completed.
+   *   Creates or replaces the attendance rule of a role. Existing attendance
+   *   is not re-rated; use POST /admin/evaluate-attendance for that.
    *
    * Request Body (JSON):
    *   {
-   *     "userId": 1,           // integer, required, the ID of the user attempting login
-   *     "code": "123456"       // string, required, the 6-digit 2FA code
+   *     "role": "student",                 // string, required ("default" for the fallback)
+   *     "expectedStart": "07:30",          // HH:MM, required
+   *     "expectedEnd": "15:00",            // HH:MM, required
+   *     "lateGraceMinutes": 10,            // integer >= 0, optional, default 15
+   *     "earlyLeaveGraceMinutes": 0,       // integer >= 0, optional, default 0
+   *     "workingDays": [1, 2, 3, 4, 5, 6]  // ISO weekdays, optional, default Mon-Fri
    *   }
    *
    * Successful Response (200):
    *   {
-   *     "message": "2FA verified",
-   *     "userId": 1,                // integer, the verified user's ID
-   *     "email": "user@example.com" // string, the verified user's email
+   *     "success": true,
+   *     "role": "student",
+   *     ...                                // the stored rule
    *   }
    *
    * Error Responses:
    *   400 Bad Request
-   *     { "error": "userId and code are required" }
+   *     { "error": "role, expectedStart and expectedEnd are required" }
+   *     { "error": "expectedStart and expectedEnd must be HH:MM times" }
+   *     { "error": "expectedEnd must be after expectedStart" }
+   *     { "error": "Grace periods must be non-negative integers" }
+   *     { "error": "workingDays must be a list of ISO weekdays (1-7)" }
    *
    *   401 Unauthorized
-   *     { "error": "Invalid or expired code" }
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
    *
    *   500 Internal Server Error
-   *     { "error": "2FA verification failed" }
+   *     { "error": "Failed to set attendance rule" }
    *
    * Notes:
-   *   - Once the code is verified, it is deleted from the database.
-   *   - The frontend can now consider the user fully authenticated.
+   *   - The academic calendar (GET /admin/get-calendar) overrides
+   *     workingDays: holidays close a working weekday, make-up days open
+   *     another one.
    */
-  router.post("/verify-2fa", async (req, res) => {
-    try {
-      const { userId, code } = req.body;
+  router.put(
+    "/set-attendance-rule",
+    requirePermission("attendance:write"),
+    async (req, res) => {
+      try {
+        const {
+          role,
+          expectedStart,
+          expectedEnd,
+          lateGraceMinutes = 15,
+          earlyLeaveGraceMinutes = 0,
+          workingDays = [1, 2, 3, 4, 5],
+        } = req.body;
 
-      if (!userId || !code) {
-        return res.status(400).send({ error: "userId and code are required" });
-      }
+        if (!role || !expectedStart || !expectedEnd) {
+          return res.status(400).send({
+            error: "role, expectedStart and expectedEnd are required",
+          });
+        }
 
-      // check if code exists and is not expired
-      const codeResult = await pool.query(
-        "SELECT * FROM user_2fa_codes WHERE user_id = $1 AND code = $2 AND expires_at > NOW()",
-        [userId, code]
-      );
+        const timePattern = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+        if (
+          !timePattern.test(expectedStart) ||
+          !timePattern.test(expectedEnd)
+        ) {
+          return res.status(400).send({
+            error: "expectedStart and expectedEnd must be HH:MM times",
+          });
+        }
+        // zero-padded times compare correctly as strings
+        if (expectedEnd.slice(0, 5) <= expectedStart.slice(0, 5)) {
+          return res
+            .status(400)
+            .send({ error: "expectedEnd must be after expectedStart" });
+        }
 
-      if (codeResult.rows.length === 0) {
-        return res.status(401).send({ error: "Invalid or expired code" });
-      }
+        if (
+          ![lateGraceMinutes, earlyLeaveGraceMinutes].every(
+            (minutes) => Number.isInteger(minutes) && minutes >= 0
+          )
+        ) {
+          return res
+            .status(400)
+            .send({ error: "Grace periods must be non-negative integers" });
+        }
 
-      // consume the code (delete it)
-      await pool.query(
-        "DELETE FROM user_2fa_codes WHERE user_id = $1 AND code = $2",
-        [userId, code]
-      );
+        if (
+          !Array.isArray(workingDays) ||
+          !workingDays.every(
+            (day) => Number.isInteger(day) && day >= 1 && day <= 7
+          )
+        ) {
+          return res.status(400).send({
+            error: "workingDays must be a list of ISO weekdays (1-7)",
+          });
+        }
 
-      // get user email
-      const userResult = await pool.query(
-        'SELECT username_email FROM "User" WHERE user_id = $1',
-        [userId]
-      );
+        const existing = await pool.query(
+          "SELECT * FROM attendance_rules WHERE role = $1",
+          [role]
+        );
 
-      // response
-      res.status(200).send({
-        message: "2FA verified",
-        userId,
-        email: userResult.rows[0].username_email,
-      });
-    } catch (err) {
-      console.error(err);
-      res.status(500).send({ error: "2FA verification failed" });
+        const result = await pool.query(
+          `INSERT INTO attendance_rules
+         (role, expected_start, expected_end, late_grace_minutes, early_leave_grace_minutes, working_days, updated_at)
+         VALUES ($1, $2, $3, $4, $5, $6, NOW())
+         ON CONFLICT (role) DO UPDATE
+         SET expected_start = EXCLUDED.expected_start,
+             expected_end = EXCLUDED.expected_end,
+             late_grace_minutes = EXCLUDED.late_grace_minutes,
+             early_leave_grace_minutes = EXCLUDED.early_leave_grace_minutes,
+             working_days = EXCLUDED.working_days,
+             updated_at = NOW()
+         RETURNING *`,
+          [
+            role,
+            expectedStart,
+            expectedEnd,
+            lateGraceMinutes,
+            earlyLeaveGraceMinutes,
+            [...new Set(workingDays)].sort(),
+          ]
+        );
+
+        await recordAudit(pool, req, {
+          action: "attendance_rule.update",
+          entityType: "attendance_rule",
+          entityId: role,
+          before: existing.rows[0],
+          after: result.rows[0],
+        });
+
+        res
+          .status(200)
+          .send({ success: true, ...mapAttendanceRule(result.rows[0]) });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to set attendance rule" });
+      }
     }
-  });
+  );
 
   /**
-   * POST /user/resend-2fa
+   * DELETE /admin/delete-attendance-rule
    *
    * Description:
-   *   Resends a new 6-digit 2FA code to the user via email.
-   *   The previous code(s) are deleted, and a new code with a fresh 5-minute expiry is inserted.
+   *   Removes the rule of a role, which then falls back to the "default"
+   *   rule. The default rule itself cannot be removed.
    *
    * Request Body (JSON):
    *   {
-   *     "userId": 1           // integer, required, the ID of the user
+   *     "role": "student"   // string, required
    *   }
    *
    * Successful Response (200):
    *   {
-   *     "message": "2FA code resent",
-   *     "userId": 1,
-   *     "email": "user@example.com"
+   *     "success": true,
+   *     "deletedRole": "student"
    *   }
    *
    * Error Responses:
    *   400 Bad Request
-   *     { "error": "userId is required" }
+   *     { "error": "role is required" }
+   *     { "error": "The default rule cannot be deleted" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
    *
    *   404 Not Found
-   *     { "error": "User not found" }
+   *     { "error": "Attendance rule not found" }
    *
    *   500 Internal Server Error
-   *     { "error": "Failed to resend 2FA code" }
+   *     { "error": "Failed to delete attendance rule" }
    */
-  router.post("/resend-2fa", async (req, res) => {
-    try {
-      const { userId } = req.body;
-      if (!userId) {
-        return res.status(400).send({ error: "userId is required" });
-      }
+  router.delete(
+    "/delete-attendance-rule",
+    requirePermission("attendance:write"),
+    async (req, res) => {
+      try {
+        const { role } = req.body;
 
-      // get user email
-      const userResult = await pool.query(
-        'SELECT username_email FROM "User" WHERE user_id = $1',
-        [userId]
-      );
-      if (userResult.rows.length === 0) {
-        return res.status(404).send({ error: "User not found" });
-      }
+        if (!role) {
+          return res.status(400).send({ error: "role is required" });
+        }
+        if (role === DEFAULT_RULE_ROLE) {
+          return res
+            .status(400)
+            .send({ error: "The default rule cannot be deleted" });
+        }
 
-      const email = userResult.rows[0].username_email;
-
-      // generate new 6-digit 2FA code
-      const code = otpGenerator.generate(6, {
-        upperCaseAlphabets: false,
-        specialChars: false,
-      });
+        const result = await pool.query(
+          "DELETE FROM attendance_rules WHERE role = $1 RETURNING *",
+          [role]
+        );
 
-      // delete any previous codes for this user
-      await pool.query("DELETE FROM user_2fa_codes WHERE user_id = $1", [
-        userId,
-      ]);
+        if (result.rowCount === 0) {
+          return res.status(404).send({ error: "Attendance rule not found" });
+        }
 
-      // store new code with 5-minute expiry
-      await pool.query(
-        "INSERT INTO user_2fa_codes(user_id, code, expires_at) VALUES($1, $2, NOW() + INTERVAL '5 minutes')",
-        [userId, code]
-      );
+        await recordAudit(pool, req, {
+          action: "attendance_rule.delete",
+          entityType: "attendance_rule",
+          entityId: role,
+          before: result.rows[0],
+        });
 
-      // send code via email
-      const transporter = nodemailer.createTransport({
-        service: "gmail",
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_PASS,
-        },
-      });
-
-      await transporter.sendMail({
-        from: `"MyApp" <no-reply@myapp.com>`,
-        to: email,
-        subject: "Your new 2FA code",
-        text: `Your new 2FA code is: ${code}`,
-      });
-
-      res.status(200).send({ message: "2FA code resent", userId, email });
-    } catch (err) {
-      console.error(err);
-      res.status(500).send({ error: "Failed to resend 2FA code" });
+        res.status(200).send({ success: true, deletedRole: role });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to delete attendance rule" });
+      }
     }
-  });
+  );
 
   /**
-   * GET /admin/get-user-all
+   * POST /admin/evaluate-attendance
    *
    * Description:
-   *   Retrieves all users whose `nim_nip` starts with "NIM".
+   *   Re-rates all check-ins and checkouts in a date range with the current
+   *   rules, records "absent" for past working days without a check-in and
+   *   removes absences that no longer apply. Absences covered by approved
+   *   leave get status "excused". Run it after changing a rule.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "from": "2025-12-01",   // YYYY-MM-DD, required
+   *     "to": "2025-12-31",     // YYYY-MM-DD, required, inclusive
+   *     "userId": 4             // integer, optional, limits it to one user
+   *   }
    *
    * Successful Response (200):
-   *   [
-   *     {
-   *       "userId": 1,
-   *       "name": "John Doe",
-   *       "usernameEmail": "john@example.com",
-   *       "role": "admin",
-   *       "nimNip": "NIM123456"
-   *     },
-   *     ...
-   *   ]
+   *   {
+   *     "success": true,
+   *     "from": "2025-12-01",
+   *     "to": "2025-12-31",
+   *     "rated": 120,           // records whose status changed
+   *     "absentCreated": 3,
+   *     "absentRemoved": 1
+   *   }
    *
    * Error Responses:
+   *   400 Bad Request
+   *     { "error": "from and to are required" }
+   *     { "error": "Invalid from or to date" }
+   *     { "error": "Range must not exceed 366 days" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
    *   500 Internal Server Error
-   *     { "error": "Failed to fetch users" }
+   *     { "error": "Failed to evaluate attendance" }
+   *
+   * Notes:
+   *   - Absences are recorded every night for the previous day as well; this
+   *     endpoint is only needed to apply changed rules to the past.
+   *   - Only users whose role is in ABSENCE_ROLES (default "student,teacher")
+   *     are marked absent. Absences of other users in the range are removed.
    */
-  router.get("/get-user-all", async (req, res) => {
-    try {
-      const result = await pool.query(
-        `SELECT user_id, name, username_email, role, nim_nip
-       FROM "User"
-       WHERE nim_nip LIKE 'NIM%'
-       ORDER BY name ASC`
-      );
+  router.post(
+    "/evaluate-attendance",
+    requirePermission("attendance:write"),
+    async (req, res) => {
+      try {
+        const { from, to, userId } = req.body;
 
-      const users = result.rows.map((row) => ({
-        userId: row.user_id,
-        name: row.name,
-        usernameEmail: row.username_email,
-        role: row.role,
-        nimNip: row.nim_nip,
-      }));
+        if (!from || !to) {
+          return res.status(400).send({ error: "from and to are required" });
+        }
 
-      res.status(200).send(users);
-    } catch (err) {
-      console.error(err);
-      res.status(500).send({ error: "Failed to fetch users" });
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+        if (
+          !datePattern.test(from) ||
+          !datePattern.test(to) ||
+          isNaN(days) ||
+          days < 1
+        ) {
+          return res.status(400).send({ error: "Invalid from or to date" });
+        }
+        if (days > MAX_EVALUATION_DAYS) {
+          return res.status(400).send({
+            error: `Range must not exceed ${MAX_EVALUATION_DAYS} days`,
+          });
+        }
+
+        const counts = await withTransaction(pool, (client) =>
+          evaluateAttendance(client, { from, to, userId })
+        );
+
+        await recordAudit(pool, req, {
+          action: "attendance.evaluate",
+          entityType: "attendance",
+          after: { from, to, userId: userId ?? null, ...counts },
+        });
+
+        res.status(200).send({ success: true, from, to, ...counts });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to evaluate attendance" });
+      }
     }
-  });
+  );
 
   /**
-   * GET /admin/get-attendance
+   * GET /admin/get-flagged-attendance
    *
    * Description:
-   *   Retrieves all attendance records for all users.
+   *   Lists check-ins and checkouts flagged as possibly spoofed, newest
+   *   first, with the rules that fired and the GPS metadata the client sent.
+   *
+   * Query Parameters:
+   *   reviewStatus (string, optional) - "pending" (default), "approved", "rejected" or "all"
+   *   userId (integer, optional)      - only this user's records
+   *   limit (integer, optional)       - default 100, at most 500
+   *   offset (integer, optional)      - default 0
    *
    * Successful Response (200):
    *   [
    *     {
-   *       "attendanceId": 1,
-   *       "userId": 1,
+   *       "attendanceId": 10,
+   *       "userId": 4,
+   *       "userName": "David Kim",
    *       "locationId": 2,
    *       "type": "check-in",
    *       "timestamp": "2025-12-23T09:00:00.000Z",
-   *       "userLatitude": 123.45,
-   *       "userLongitude": 67.89,
-   *       "status": "present",
-   *       "notes": "Arrived on time"
+   *       "userLatitude": -6.97,
+   *       "userLongitude": 107.63,
+   *       "gpsAccuracy": 0,
+   *       "altitude": null,
+   *       "deviceTimestamp": "2025-12-23T09:00:02.000Z",
+   *       "isMockLocation": false,
+   *       "anomalyScore": 70,
+   *       "anomalyFlags": ["duplicate_coordinates", "zero_accuracy"],
+   *       "reviewStatus": "pending",
+   *       "reviewedBy": null,
+   *       "reviewedAt": null,
+   *       "reviewNote": null
    *     },
    *     ...
    *   ]
    *
    * Error Responses:
+   *   400 Bad Request
+   *     { "error": "reviewStatus must be pending, approved, rejected or all" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
    *   500 Internal Server Error
-   *     { "error": "Failed to fetch attendance" }
+   *     { "error": "Failed to fetch flagged attendance" }
+   *
+   * Notes:
+   *   - Flags: mock_location (100), impossible_travel (60),
+   *     duplicate_coordinates (40), zero_accuracy (30), clock_skew (10).
+   *     Records scoring ANOMALY_REVIEW_THRESHOLD (default 30) or more are
+   *     flagged.
    */
-  router.get("/get-attendance", async (req, res) => {
-    try {
-      const result = await pool.query(
-        `SELECT attendance_id, user_id, location_id, type, "timestamp", user_latitude, user_longitude, status, notes
-       FROM "Attendance"
-       ORDER BY "timestamp" DESC`
-      );
+  router.get(
+    "/get-flagged-attendance",
+    requirePermission("attendance:read"),
+    async (req, res) => {
+      try {
+        const { reviewStatus = "pending", userId } = req.query;
 
-      const attendanceRecords = result.rows.map((row) => ({
-        attendanceId: row.attendance_id,
-        userId: row.user_id,
-        locationId: row.location_id,
-        type: row.type,
-        timestamp: row.timestamp,
-        userLatitude: row.user_latitude,
-        userLongitude: row.user_longitude,
-        status: row.status,
-        notes: row.notes,
-      }));
-
-      res.status(200).send(attendanceRecords);
-    } catch (err) {
-      console.error(err);
-      res.status(500).send({ error: "Failed to fetch attendance" });
+        if (
+          !["pending", "approved", "rejected", "all"].includes(reviewStatus)
+        ) {
+          return res.status(400).send({
+            error: "reviewStatus must be pending, approved, rejected or all",
+          });
+        }
+
+        const limit = Math.min(Number(req.query.limit) || 100, 500);
+        const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+        const result = await pool.query(
+          `SELECT a.*, u.name AS user_name
+       FROM "Attendance" a
+       JOIN "User" u ON u.user_id = a.user_id
+       WHERE a.review_status IS NOT NULL
+         AND ($1::varchar = 'all' OR a.review_status = $1)
+         AND ($2::integer IS NULL OR a.user_id = $2)
+       ORDER BY a."timestamp" DESC, a.attendance_id DESC
+       LIMIT $3 OFFSET $4`,
+          [reviewStatus, userId || null, limit, offset]
+        );
+
+        const records = result.rows.map((row) => ({
+          attendanceId: row.attendance_id,
+          userId: row.user_id,
+          userName: row.user_name,
+          locationId: row.location_id,
+          type: row.type,
+          timestamp: row.timestamp,
+          userLatitude: row.user_latitude,
+          userLongitude: row.user_longitude,
+          gpsAccuracy: row.gps_accuracy,
+          altitude: row.altitude,
+          deviceTimestamp: row.device_timestamp,
+          isMockLocation: row.is_mock_location,
+          anomalyScore: row.anomaly_score,
+          anomalyFlags: row.anomaly_flags,
+          reviewStatus: row.review_status,
+          reviewedBy: row.reviewed_by,
+          reviewedAt: row.reviewed_at,
+          reviewNote: row.review_note,
+        }));
+
+        res.status(200).send(records);
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch flagged attendance" });
+      }
     }
-  });
+  );
 
   /**
-   * POST /admin/get-attendance-user
+   * POST /admin/review-attendance
    *
    * Description:
-   *   Retrieves attendance records for a single user.
+   *   Settles a flagged check-in or checkout: "approved" accepts it as
+   *   genuine, "rejected" marks it as spoofed.
    *
    * Request Body (JSON):
    *   {
-   *     "userId": 1   // integer, required
+   *     "attendanceId": 10,        // integer, required
+   *     "decision": "rejected",    // "approved" or "rejected", required
+   *     "note": "Mock GPS app"     // string, optional
    *   }
    *
    * Successful Response (200):
-   *   [
-   *     {
-   *       "attendanceId": 1,
-   *       "userId": 1,
-   *       "locationId": 2,
-   *       "type": "check-in",
-   *       "timestamp": "2025-12-23T09:00:00.000Z",
-   *       "userLatitude": 123.45,
-   *       "userLongitude": 67.89,
-   *       "status": "present",
-   *       "notes": "Arrived on time"
-   *     },
-   *     ...
-   *   ]
+   *   {
+   *     "success": true,
+   *     "attendanceId": 10,
+   *     "reviewStatus": "rejected",
+   *     "reviewedAt": "2025-12-23T10:00:00.000Z"
+   *   }
    *
    * Error Responses:
    *   400 Bad Request
-   *     { "error": "userId is required" }
+   *     { "error": "attendanceId and decision are required" }
+   *     { "error": "decision must be approved or rejected" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   404 Not Found
+   *     { "error": "Flagged attendance not found" }
    *
    *   500 Internal Server Error
-   *     { "error": "Failed to fetch attendance" }
+   *     { "error": "Failed to review attendance" }
+   *
+   * Notes:
+   *   - Only flagged records can be reviewed. A decision can be changed by
+   *     reviewing the record again.
    */
-  router.post("/get-attendance-user", async (req, res) => {
-    try {
-      const { userId } = req.body;
+  router.post(
+    "/review-attendance",
+    requirePermission("attendance:write"),
+    async (req, res) => {
+      try {
+        const { attendanceId, decision, note } = req.body;
 
-      if (!userId) {
-        return res.status(400).send({ error: "userId is required" });
-      }
+        if (!attendanceId || !decision) {
+          return res.status(400).send({
+            error: "attendanceId and decision are required",
+          });
+        }
+        if (decision !== "approved" && decision !== "rejected") {
+          return res.status(400).send({
+            error: "decision must be approved or rejected",
+          });
+        }
 
-      const result = await pool.query(
-        `SELECT attendance_id, user_id, location_id, type, "timestamp", user_latitude, user_longitude, status, notes
+        const review = await withTransaction(pool, async (client) => {
+          const existing = await client.query(
+            `SELECT attendance_id, review_status, reviewed_by, reviewed_at, review_note
        FROM "Attendance"
-       WHERE user_id = $1
-       ORDER BY "timestamp" DESC`,
-        [userId]
-      );
+       WHERE attendance_id = $1 AND review_status IS NOT NULL
+       FOR UPDATE`,
+            [attendanceId]
+          );
+          if (existing.rows.length === 0) {
+            return null;
+          }
 
-      const attendanceRecords = result.rows.map((row) => ({
-        attendanceId: row.attendance_id,
-        userId: row.user_id,
-        locationId: row.location_id,
-        type: row.type,
-        timestamp: row.timestamp,
-        userLatitude: row.user_latitude,
-        userLongitude: row.user_longitude,
-        status: row.status,
-        notes: row.notes,
-      }));
-
-      res.status(200).send(attendanceRecords);
-    } catch (err) {
-      console.error(err);
-      res.status(500).send({ error: "Failed to fetch attendance" });
+          const updated = await client.query(
+            `UPDATE "Attendance"
+       SET review_status = $2, reviewed_by = $3, reviewed_at = NOW(), review_note = $4
+       WHERE attendance_id = $1
+       RETURNING attendance_id, review_status, reviewed_by, reviewed_at, review_note`,
+            [attendanceId, decision, req.user.userId, note || null]
+          );
+
+          return { before: existing.rows[0], after: updated.rows[0] };
+        });
+
+        if (!review) {
+          return res
+            .status(404)
+            .send({ error: "Flagged attendance not found" });
+        }
+
+        await recordAudit(pool, req, {
+          action: "attendance.review",
+          entityType: "attendance",
+          entityId: attendanceId,
+          before: review.before,
+          after: review.after,
+        });
+
+        res.status(200).send({
+          success: true,
+          attendanceId: review.after.attendance_id,
+          reviewStatus: review.after.review_status,
+          reviewedAt: review.after.reviewed_at,
+        });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to review attendance" });
+      }
     }
-  });
+  );
 
   /**
-   * GET /admin/notifications
+   * POST /admin/add-attendance
    *
    * Description:
-   *   Retrieves all notifications for the user, ordered from newest to oldest.
+   *   Inserts a check-in or checkout by hand, e.g. for a user whose device
+   *   failed. The user's sessions and the day's rating are updated.
    *
-   * Query Parameters:
-   *   userId (integer, required) - the ID of the user
+   * Request Body (JSON):
+   *   {
+   *     "userId": 4,                                // integer, required
+   *     "type": "checkout",                         // "check-in" or "checkout", required
+   *     "timestamp": "2025-12-23T16:00:00+07:00",   // ISO date, required, not in the future
+   *     "locationId": 2,                            // integer, required
+   *     "notes": "Added by admin",                  // string, optional
+   *     "reason": "Scanner at gate 2 was down"      // string, required
+   *   }
    *
-   * Successful Response (200):
-   *   [
-   *     {
-   *       "notificationId": 1,
-   *       "title": "Welcome",
-   *       "message": "Thanks for signing up! We hope you enjoy our service.",
-   *       "createdAt": "2025-12-23T09:00:00.000Z"
-   *     },
-   *     ...
-   *   ]
+   * Successful Response (201):
+   *   {
+   *     "success": true,
+   *     "attendance": { "attendance_id": 12, "user_id": 4, "type": "checkout", ... }
+   *   }
    *
    * Error Responses:
    *   400 Bad Request
-   *     { "error": "userId is required" }
+   *     { "error": "userId and reason are required" }
+   *     { "error": "type, timestamp and locationId are required" }
+   *     { "error": "type must be \"check-in\" or \"checkout\"" }
+   *     { "error": "Invalid timestamp" }
+   *     { "error": "timestamp must not be in the future" }
+   *     { "error": "userId or locationId does not exist" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
    *
    *   500 Internal Server Error
-   *     { "error": "Failed to fetch notifications" }
+   *     { "error": "Failed to add attendance" }
    */
-  router.get("/get-notifications-all", async (req, res) => {
-    try {
-      const userId = req.query.userId;
-      if (!userId) {
-        return res.status(400).send({ error: "userId is required" });
-      }
+  router.post(
+    "/add-attendance",
+    requirePermission("attendance:write"),
+    async (req, res) => {
+      try {
+        const { userId, reason } = req.body;
 
-      const result = await pool.query(
-        "SELECT notification_id, title, message, created_at FROM notifications WHERE user_id = $1 ORDER BY created_at DESC",
-        [userId]
-      );
+        if (!userId || !reason) {
+          return res
+            .status(400)
+            .send({ error: "userId and reason are required" });
+        }
 
-      const notifications = result.rows.map((row) => ({
-        notificationId: row.notification_id,
-        title: row.title,
-        message: row.message,
-        createdAt: row.created_at,
-      }));
+        const { changes, error } = parseAttendanceChanges(req.body);
+        if (error) {
+          return res.status(400).send({ error });
+        }
 
-      res.status(200).send(notifications);
-    } catch (err) {
-      console.error(err);
-      res.status(500).send({ error: "Failed to fetch notifications" });
+        const attendance = await withTransaction(pool, (client) =>
+          addAttendanceRecord(
+            client,
+            { userId, ...changes },
+            { reason, changedBy: req.user.userId }
+          )
+        );
+
+        await recordAudit(pool, req, {
+          action: "attendance.create",
+          entityType: "attendance",
+          entityId: attendance.attendance_id,
+          after: attendance,
+        });
+
+        res.status(201).send({ success: true, attendance });
+      } catch (err) {
+        if (err.code === "23503") {
+          return res
+            .status(400)
+            .send({ error: "userId or locationId does not exist" });
+        }
+        console.error(err);
+        res.status(500).send({ error: "Failed to add attendance" });
+      }
     }
-  });
+  );
 
   /**
-   * POST /admin/add-notification
+   * PUT /admin/edit-attendance
    *
    * Description:
-   *   Adds a new notification.
+   *   Changes the type, time, location or notes of a check-in or checkout.
+   *   The record as it was is kept in its history
+   *   (GET /admin/get-attendance-history).
    *
-   * Body Parameters:
-   *   notificationId (integer, required) - the ID of the notification
-   *   title (string, required) - the title of the notification
-   *   message (string, required) - the message content of the notification
+   * Request Body (JSON):
+   *   {
+   *     "attendanceId": 10,                         // integer, required
+   *     "type": "check-in",                         // optional
+   *     "timestamp": "2025-12-23T07:55:00+07:00",   // ISO date, optional
+   *     "locationId": 2,                            // integer, optional
+   *     "notes": "Time fixed",                      // string or null, optional
+   *     "reason": "Clock of kiosk 3 was wrong"      // string, required
+   *   }
    *
-   * Successful Response (201):
+   * Successful Response (200):
    *   {
    *     "success": true,
-   *     "notificationId": 1,
-   *     "title": "New Notification",
-   *     "message": "This is a new notification",
-   *     "createdAt": "2025-12-25T10:00:00.000Z"
+   *     "before": { "attendance_id": 10, "timestamp": "...", ... },
+   *     "after": { "attendance_id": 10, "timestamp": "...", ... }
    *   }
    *
    * Error Responses:
    *   400 Bad Request
-   *     { "error": "notificationId, title, and message are required" }
+   *     { "error": "attendanceId and reason are required" }
+   *     { "error": "type must be \"check-in\" or \"checkout\"" }
+   *     { "error": "Invalid timestamp" }
+   *     { "error": "timestamp must not be in the future" }
+   *     { "error": "locationId does not exist" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   404 Not Found
+   *     { "error": "Attendance record not found" }
+   *
+   *   409 Conflict
+   *     { "error": "Voided records cannot be changed" }
+   *     { "error": "Only check-in and checkout records can be changed" }
    *
    *   500 Internal Server Error
-   *     { "error": "Failed to add notification" }
+   *     { "error": "Failed to edit attendance" }
+   *
+   * Notes:
+   *   - status is not edited directly: the day is re-rated after the change.
    */
-  router.post("/add-notification", async (req, res) => {
-    try {
-      const { notificationId, title, message } = req.body;
-      if (!notificationId || !title || !message) {
-        return res
-          .status(400)
-          .send({ error: "notificationId, title, and message are required" });
-      }
+  router.put(
+    "/edit-attendance",
+    requirePermission("attendance:write"),
+    async (req, res) => {
+      try {
+        const { attendanceId, reason } = req.body;
 
-      const createdAt = new Date();
+        if (!attendanceId || !reason) {
+          return res
+            .status(400)
+            .send({ error: "attendanceId and reason are required" });
+        }
 
-      await pool.query(
-        "INSERT INTO notifications (notification_id, title, message, created_at) VALUES ($1, $2, $3, $4)",
-        [notificationId, title, message, createdAt]
-      );
+        const { changes, error } = parseAttendanceChanges(req.body, true);
+        if (error) {
+          return res.status(400).send({ error });
+        }
 
-      res
-        .status(201)
-        .send({ success: true, notificationId, title, message, createdAt });
-    } catch (err) {
-      console.error(err);
-      res.status(500).send({ error: "Failed to add notification" });
+        const result = await withTransaction(pool, (client) =>
+          editAttendanceRecord(client, attendanceId, changes, {
+            reason,
+            changedBy: req.user.userId,
+          })
+        );
+        if (result.error) {
+          return res
+            .status(result.error === "Attendance record not found" ? 404 : 409)
+            .send({ error: result.error });
+        }
+
+        await recordAudit(pool, req, {
+          action: "attendance.update",
+          entityType: "attendance",
+          entityId: attendanceId,
+          before: result.before,
+          after: result.after,
+        });
+
+        res.status(200).send({ success: true, ...result });
+      } catch (err) {
+        if (err.code === "23503") {
+          return res.status(400).send({ error: "locationId does not exist" });
+        }
+        console.error(err);
+        res.status(500).send({ error: "Failed to edit attendance" });
+      }
     }
-  });
+  );
 
   /**
-   * DELETE /admin/delete-notification
+   * POST /admin/void-attendance
    *
    * Description:
-   *   Deletes a notification by ID.
+   *   Cancels a check-in or checkout. The row is kept, marked as voided,
+   *   and no longer counts for sessions, ratings or class attendance.
    *
-   * Body Parameters:
-   *   notificationId (integer, required) - the ID of the notification to delete
+   * Request Body (JSON):
+   *   {
+   *     "attendanceId": 10,                  // integer, required
+   *     "reason": "Checked in for a friend"  // string, required
+   *   }
    *
    * Successful Response (200):
    *   {
    *     "success": true,
-   *     "deletedNotification": {
-   *       "notification_id": 1,
-   *       "title": "Old Notification",
-   *       "message": "This notification will be deleted",
-   *       "created_at": "2025-12-23T09:00:00.000Z"
-   *     }
+   *     "before": { "attendance_id": 10, "voided_at": null, ... },
+   *     "after": { "attendance_id": 10, "voided_at": "...", ... }
    *   }
    *
    * Error Responses:
    *   400 Bad Request
-   *     { "error": "notificationId is required" }
+   *     { "error": "attendanceId and reason are required" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
    *
    *   404 Not Found
-   *     { "error": "Notification not found" }
+   *     { "error": "Attendance record not found" }
+   *
+   *   409 Conflict
+   *     { "error": "Voided records cannot be changed" }
+   *     { "error": "Only check-in and checkout records can be changed" }
    *
    *   500 Internal Server Error
-   *     { "error": "Failed to delete notification" }
+   *     { "error": "Failed to void attendance" }
    */
-  router.delete("/delete-notification", async (req, res) => {
-    try {
-      const { notificationId } = req.body;
-      if (!notificationId) {
-        return res.status(400).send({ error: "notificationId is required" });
-      }
+  router.post(
+    "/void-attendance",
+    requirePermission("attendance:write"),
+    async (req, res) => {
+      try {
+        const { attendanceId, reason } = req.body;
 
-      const result = await pool.query(
-        "DELETE FROM notifications WHERE notification_id = $1 RETURNING *",
-        [notificationId]
-      );
+        if (!attendanceId || !reason) {
+          return res
+            .status(400)
+            .send({ error: "attendanceId and reason are required" });
+        }
 
-      if (result.rowCount === 0) {
-        return res.status(404).send({ error: "Notification not found" });
-      }
+        const result = await withTransaction(pool, (client) =>
+          voidAttendanceRecord(client, attendanceId, {
+            reason,
+            changedBy: req.user.userId,
+          })
+        );
+        if (result.error) {
+          return res
+            .status(result.error === "Attendance record not found" ? 404 : 409)
+            .send({ error: result.error });
+        }
 
-      res
-        .status(200)
-        .send({ success: true, deletedNotification: result.rows[0] });
-    } catch (err) {
-      console.error(err);
-      res.status(500).send({ error: "Failed to delete notification" });
+        await recordAudit(pool, req, {
+          action: "attendance.void",
+          entityType: "attendance",
+          entityId: attendanceId,
+          before: result.before,
+          after: result.after,
+        });
+
+        res.status(200).send({ success: true, ...result });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to void attendance" });
+      }
     }
-  });
+  );
 
   /**
-   * POST /admin/add-user
+   * GET /admin/get-attendance-history
    *
    * Description:
-   *   Adds a new user to the system.
+   *   Lists the manual changes made to an attendance record, oldest first,
+   *   each with the record before and after it.
    *
-   * Request Body (JSON):
-   *   {
-   *     "userId": 1,                // integer, required
-   *     "name": "John Doe",          // string, required
-   *     "usernameEmail": "john@example.com", // string, required
-   *     "password": "password123",   // string, required
-   *     "role": "admin",             // string, optional
-   *     "nimNip": "123456789"        // string, optional
-   *   }
+   * Query Parameters:
+   *   attendanceId (integer, required) - the record
    *
-   * Successful Response (201):
-   *   {
-   *     "success": true,
-   *     "userId": 1,
-   *     "name": "John Doe",
-   *     "usernameEmail": "john@example.com",
-   *     "role": "admin",
-   *     "nimNip": "123456789"
-   *   }
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "revisionId": 3,
+   *       "attendanceId": 10,
+   *       "action": "edit",          // "create", "edit" or "void"
+   *       "before": { "attendance_id": 10, "timestamp": "...", ... },   // null for "create"
+   *       "after": { "attendance_id": 10, "timestamp": "...", ... },
+   *       "reason": "Clock of kiosk 3 was wrong",
+   *       "changedBy": 7,
+   *       "correctionId": null,      // set when applied from a correction request
+   *       "createdAt": "2025-12-24T08:00:00.000Z"
+   *     },
+   *     ...
+   *   ]
    *
    * Error Responses:
    *   400 Bad Request
-   *     { "error": "userId, name, usernameEmail, and password are required" }
+   *     { "error": "attendanceId is required" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
    *
    *   500 Internal Server Error
-   *     { "error": "Failed to add user" }
+   *     { "error": "Failed to fetch attendance history" }
    */
-  router.post("/add-user", async (req, res) => {
-    try {
-      const { userId, name, usernameEmail, password, role, nimNip } = req.body;
+  router.get(
+    "/get-attendance-history",
+    requirePermission("attendance:read"),
+    async (req, res) => {
+      try {
+        const { attendanceId } = req.query;
 
-      if (!userId || !name || !usernameEmail || !password) {
-        return res.status(400).send({
-          error: "userId, name, usernameEmail, and password are required",
-        });
-      }
+        if (!attendanceId) {
+          return res.status(400).send({ error: "attendanceId is required" });
+        }
 
-      await pool.query(
-        `INSERT INTO "User"(user_id, name, username_email, password_hash, role, nim_nip)
-       VALUES($1, $2, $3, $4, $5, $6)`,
-        [userId, name, usernameEmail, password, role || null, nimNip || null]
-      );
+        const result = await pool.query(
+          `SELECT * FROM attendance_revisions
+       WHERE attendance_id = $1
+       ORDER BY created_at, revision_id`,
+          [attendanceId]
+        );
 
-      res
-        .status(201)
-        .send({ success: true, userId, name, usernameEmail, role, nimNip });
-    } catch (err) {
-      console.error(err);
-      res.status(500).send({ error: "Failed to add user" });
+        res.status(200).send(result.rows.map(mapAttendanceRevision));
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch attendance history" });
+      }
     }
-  });
+  );
 
   /**
-   * PUT /admin/edit-user
+   * GET /admin/get-correction-requests
    *
    * Description:
-   *   Edits an existing user's information.
+   *   Lists attendance correction requests filed by users, newest first.
    *
-   * Request Body (JSON):
-   *   {
-   *     "userId": 1,                // integer, required
-   *     "name": "John Doe",          // string, optional
-   *     "usernameEmail": "john@example.com", // string, optional
-   *     "password": "newpassword",   // string, optional
-   *     "role": "admin",             // string, optional
-   *     "nimNip": "987654321"        // string, optional
-   *   }
+   * Query Parameters:
+   *   status (string, optional)  - "pending" (default), "approved", "rejected" or "all"
+   *   userId (integer, optional) - only this user's requests
+   *   limit (integer, optional)  - default 100, at most 500
+   *   offset (integer, optional) - default 0
    *
    * Successful Response (200):
-   *   {
-   *     "success": true,
-   *     "userId": 1
-   *   }
+   *   [
+   *     {
+   *       "correctionId": 5,
+   *       "userId": 4,
+   *       "userName": "David Kim",
+   *       "attendanceId": 10,
+   *       "action": "add",
+   *       "requestedType": "checkout",
+   *       "requestedTimestamp": "2025-12-23T09:00:00.000Z",
+   *       "requestedLocationId": null,
+   *       "reason": "Forgot to check out at 16:00",
+   *       "status": "pending",
+   *       "reviewedBy": null,
+   *       "reviewedAt": null,
+   *       "reviewNote": null,
+   *       "createdAt": "2025-12-23T18:00:00.000Z",
+   *       "updatedAt": "2025-12-23T18:00:00.000Z"
+   *     },
+   *     ...
+   *   ]
    *
    * Error Responses:
    *   400 Bad Request
-   *     { "error": "userId is required" }
+   *     { "error": "status must be pending, approved, rejected or all" }
    *
-   *   404 Not Found
-   *     { "error": "User not found" }
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
    *
    *   500 Internal Server Error
-   *     { "error": "Failed to edit user" }
+   *     { "error": "Failed to fetch correction requests" }
    */
-  router.put("/edit-user", async (req, res) => {
-    try {
-      const { userId, name, usernameEmail, password, role, nimNip } = req.body;
-
-      if (!userId) {
-        return res.status(400).send({ error: "userId is required" });
-      }
+  router.get(
+    "/get-correction-requests",
+    requirePermission("attendance:read"),
+    async (req, res) => {
+      try {
+        const { status = "pending", userId } = req.query;
 
-      // check if user exists
-      const checkUser = await pool.query(
-        `SELECT * FROM "User" WHERE user_id = $1`,
-        [userId]
-      );
-      if (checkUser.rows.length === 0) {
-        return res.status(404).send({ error: "User not found" });
-      }
+        if (!["pending", "approved", "rejected", "all"].includes(status)) {
+          return res.status(400).send({
+            error: "status must be pending, approved, rejected or all",
+          });
+        }
 
-      // build dynamic update query
-      const fields = [];
-      const values = [];
-      let idx = 1;
+        const limit = Math.min(Number(req.query.limit) || 100, 500);
+        const offset = Math.max(Number(req.query.offset) || 0, 0);
 
-      if (name) {
-        fields.push(`name = $${idx++}`);
-        values.push(name);
-      }
-      if (usernameEmail) {
-        fields.push(`username_email = $${idx++}`);
-        values.push(usernameEmail);
-      }
-      if (password) {
-        fields.push(`password_hash = $${idx++}`);
-        values.push(password);
-      }
-      if (role) {
-        fields.push(`role = $${idx++}`);
-        values.push(role);
-      }
-      if (nimNip) {
-        fields.push(`nim_nip = $${idx++}`);
-        values.push(nimNip);
-      }
+        const result = await pool.query(
+          `SELECT c.*, u.name AS user_name
+       FROM attendance_corrections c
+       JOIN "User" u ON u.user_id = c.user_id
+       WHERE ($1::varchar = 'all' OR c.status = $1)
+         AND ($2::integer IS NULL OR c.user_id = $2)
+       ORDER BY c.created_at DESC, c.correction_id DESC
+       LIMIT $3 OFFSET $4`,
+          [status, userId || null, limit, offset]
+        );
 
-      if (fields.length === 0) {
-        return res.status(400).send({ error: "No fields to update" });
+        res.status(200).send(
+          result.rows.map((row) => ({
+            ...mapAttendanceCorrection(row),
+            userName: row.user_name,
+          }))
+        );
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch correction requests" });
       }
-
-      values.push(userId); // for WHERE
-      const query = `UPDATE "User" SET ${fields.join(
-        ", "
-      )} WHERE user_id = $${idx}`;
-      await pool.query(query, values);
-
-      res.status(200).send({ success: true, userId });
-    } catch (err) {
-      console.error(err);
-      res.status(500).send({ error: "Failed to edit user" });
     }
-  });
+  );
 
   /**
-   * DELETE /admin/delete-user
+   * POST /admin/review-correction-request
    *
    * Description:
-   *   Deletes a user by ID.
+   *   Approves or rejects a pending correction request. Approving applies
+   *   it like POST /admin/add-attendance, PUT /admin/edit-attendance or
+   *   POST /admin/void-attendance, with the user's reason. The user is
+   *   notified either way.
    *
    * Request Body (JSON):
    *   {
-   *     "userId": 1   // integer, required
+   *     "correctionId": 5,          // integer, required
+   *     "decision": "approved",     // "approved" or "rejected", required
+   *     "note": "Confirmed by CCTV" // string, optional, shown to the user
    *   }
    *
    * Successful Response (200):
    *   {
    *     "success": true,
-   *     "deletedUserId": 1
+   *     "correctionId": 5,
+   *     ...,                        // the updated request
+   *     "attendance": { "attendance_id": 12, ... }   // the record as changed, null when rejected
    *   }
    *
    * Error Responses:
    *   400 Bad Request
-   *     { "error": "userId is required" }
+   *     { "error": "correctionId and decision are required" }
+   *     { "error": "decision must be approved or rejected" }
    *
-   *   404 Not Found
-   *     { "error": "User not found" }
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   404 Not Found
+   *     { "error": "Correction request not found" }
+   *     { "error": "Attendance record not found" }
+   *
+   *   409 Conflict
+   *     { "error": "Correction request has already been decided" }
+   *     { "error": "Voided records cannot be changed" }
+   *     { "error": "Only check-in and checkout records can be changed" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to review correction request" }
+   */
+  router.post(
+    "/review-correction-request",
+    requirePermission("attendance:write"),
+    async (req, res) => {
+      try {
+        const { correctionId, decision, note } = req.body;
+
+        if (!correctionId || !decision) {
+          return res
+            .status(400)
+            .send({ error: "correctionId and decision are required" });
+        }
+        if (decision !== "approved" && decision !== "rejected") {
+          return res
+            .status(400)
+            .send({ error: "decision must be approved or rejected" });
+        }
+
+        const result = await reviewCorrection(pool, correctionId, {
+          decision,
+          note,
+          reviewedBy: req.user.userId,
+        });
+        if (result.error) {
+          return res
+            .status(result.error.endsWith("not found") ? 404 : 409)
+            .send({ error: result.error });
+        }
+
+        await recordAudit(pool, req, {
+          action: "attendance.correction.review",
+          entityType: "attendance_correction",
+          entityId: correctionId,
+          before: result.before,
+          after: result.after,
+        });
+
+        res.status(200).send({
+          success: true,
+          ...mapAttendanceCorrection(result.after),
+          attendance: result.applied,
+        });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to review correction request" });
+      }
+    }
+  );
+
+  /**
+   * GET /admin/notifications
+   *
+   * Description:
+   *   Retrieves all notifications for the user, ordered from newest to oldest.
+   *
+   * Query Parameters:
+   *   userId (integer, required) - the ID of the user
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "notificationId": 1,
+   *       "title": "Welcome",
+   *       "message": "Thanks for signing up! We hope you enjoy our service.",
+   *       "createdAt": "2025-12-23T09:00:00.000Z"
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   400 Bad Request
+   *     { "error": "userId is required" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch notifications" }
+   */
+  router.get(
+    "/get-notifications-all",
+    requirePermission("notifications:read"),
+    async (req, res) => {
+      try {
+        const userId = req.query.userId;
+        if (!userId) {
+          return res.status(400).send({ error: "userId is required" });
+        }
+
+        const result = await pool.query(
+          "SELECT notification_id, title, message, created_at FROM notifications WHERE user_id = $1 ORDER BY created_at DESC",
+          [userId]
+        );
+
+        const notifications = result.rows.map((row) => ({
+          notificationId: row.notification_id,
+          title: row.title,
+          message: row.message,
+          createdAt: row.created_at,
+        }));
+
+        res.status(200).send(notifications);
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch notifications" });
+      }
+    }
+  );
+
+  /**
+   * POST /admin/add-notification
+   *
+   * Description:
+   *   Adds a new notification.
+   *
+   * Body Parameters:
+   *   notificationId (integer, required) - the ID of the notification
+   *   title (string, required) - the title of the notification
+   *   message (string, required) - the message content of the notification
+   *
+   * Successful Response (201):
+   *   {
+   *     "success": true,
+   *     "notificationId": 1,
+   *     "title": "New Notification",
+   *     "message": "This is a new notification",
+   *     "createdAt": "2025-12-25T10:00:00.000Z"
+   *   }
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   400 Bad Request
+   *     { "error": "notificationId, title, and message are required" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to add notification" }
+   */
+  router.post(
+    "/add-notification",
+    requirePermission("notifications:write"),
+    async (req, res) => {
+      try {
+        const { notificationId, title, message } = req.body;
+        if (!notificationId || !title || !message) {
+          return res
+            .status(400)
+            .send({ error: "notificationId, title, and message are required" });
+        }
+
+        const createdAt = new Date();
+
+        const result = await pool.query(
+          "INSERT INTO notifications (notification_id, title, message, created_at) VALUES ($1, $2, $3, $4) RETURNING *",
+          [notificationId, title, message, createdAt]
+        );
+
+        await recordAudit(pool, req, {
+          action: "notification.create",
+          entityType: "notification",
+          entityId: notificationId,
+          after: result.rows[0],
+        });
+
+        res
+          .status(201)
+          .send({ success: true, notificationId, title, message, createdAt });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to add notification" });
+      }
+    }
+  );
+
+  /**
+   * DELETE /admin/delete-notification
+   *
+   * Description:
+   *   Deletes a notification by ID.
+   *
+   * Body Parameters:
+   *   notificationId (integer, required) - the ID of the notification to delete
+   *
+   * Successful Response (200):
+   *   {
+   *     "success": true,
+   *     "deletedNotification": {
+   *       "notification_id": 1,
+   *       "title": "Old Notification",
+   *       "message": "This notification will be deleted",
+   *       "created_at": "2025-12-23T09:00:00.000Z"
+   *     }
+   *   }
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   400 Bad Request
+   *     { "error": "notificationId is required" }
+   *
+   *   404 Not Found
+   *     { "error": "Notification not found" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to delete notification" }
+   */
+  router.delete(
+    "/delete-notification",
+    requirePermission("notifications:write"),
+    async (req, res) => {
+      try {
+        const { notificationId } = req.body;
+        if (!notificationId) {
+          return res.status(400).send({ error: "notificationId is required" });
+        }
+
+        const result = await pool.query(
+          "DELETE FROM notifications WHERE notification_id = $1 RETURNING *",
+          [notificationId]
+        );
+
+        if (result.rowCount === 0) {
+          return res.status(404).send({ error: "Notification not found" });
+        }
+
+        await recordAudit(pool, req, {
+          action: "notification.delete",
+          entityType: "notification",
+          entityId: notificationId,
+          before: result.rows[0],
+        });
+
+        res
+          .status(200)
+          .send({ success: true, deletedNotification: result.rows[0] });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to delete notification" });
+      }
+    }
+  );
+
+  /**
+   * POST /admin/add-user
+   *
+   * Description:
+   *   Adds a new user to the system.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "name": "John Doe",          // string, required
+   *     "usernameEmail": "john@example.com", // string, required
+   *     "password": "password123",   // string, required
+   *     "role": "admin",             // string, optional
+   *     "nimNip": "123456789"        // string, optional
+   *   }
+   *
+   * Successful Response (201):
+   *   {
+   *     "success": true,
+   *     "userId": 1,
+   *     "name": "John Doe",
+   *     "usernameEmail": "john@example.com",
+   *     "role": "admin",
+   *     "nimNip": "123456789"
+   *   }
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   400 Bad Request
+   *     { "error": "name, usernameEmail, and password are required" }
+   *
+   *   409 Conflict
+   *     { "error": "A user with this email or NIM/NIP already exists" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to add user" }
+   *
+   * Notes:
+   *   - The userId is assigned by the database; a userId in the body is
+   *     ignored.
+   *   - To add many users at once, use POST /admin/import-users.
+   */
+  router.post(
+    "/add-user",
+    requirePermission("users:write"),
+    async (req, res) => {
+      try {
+        const { name, usernameEmail, password, role, nimNip } = req.body;
+
+        if (!name || !usernameEmail || !password) {
+          return res.status(400).send({
+            error: "name, usernameEmail, and password are required",
+          });
+        }
+
+        const result = await pool.query(
+          `INSERT INTO "User"(name, username_email, password_hash, role, nim_nip)
+       VALUES($1, $2, $3, $4, $5)
+       RETURNING *`,
+          [
+            name,
+            usernameEmail,
+            await hashPassword(password),
+            role || null,
+            nimNip || null,
+          ]
+        );
+
+        const user = result.rows[0];
+
+        await recordAudit(pool, req, {
+          action: "user.create",
+          entityType: "user",
+          entityId: user.user_id,
+          after: user,
+        });
+
+        res.status(201).send({
+          success: true,
+          userId: user.user_id,
+          name,
+          usernameEmail,
+          role,
+          nimNip,
+        });
+      } catch (err) {
+        if (err.code === "23505") {
+          return res.status(409).send({
+            error: "A user with this email or NIM/NIP already exists",
+          });
+        }
+        console.error(err);
+        res.status(500).send({ error: "Failed to add user" });
+      }
+    }
+  );
+
+  const readUserImport = express.raw({
+    type: Object.keys(USER_IMPORT_TYPES),
+    limit: USER_IMPORT_MAX_BYTES,
+  });
+
+  // express.raw, answering an oversized file with JSON
+  function acceptUserImport(req, res, next) {
+    readUserImport(req, res, (err) => {
+      if (err && err.type === "entity.too.large") {
+        return res.status(413).send({
+          error: `The file must not exceed ${USER_IMPORT_MAX_BYTES} bytes`,
+        });
+      }
+      next(err);
+    });
+  }
+
+  /**
+   * POST /admin/import-users
+   *
+   * Description:
+   *   Creates and updates users from a CSV or XLSX file, one user per row.
+   *   Users are matched on their NIM/NIP: a known NIM/NIP updates that
+   *   user's name, email and role, an unknown one creates a user. Every row
+   *   is checked first; the file is imported in one transaction, and not at
+   *   all when any row has an error. A dry run only reports what the import
+   *   would do.
+   *
+   * Request Body:
+   *   The file, sent as is with Content-Type text/csv or
+   *   application/vnd.openxmlformats-officedocument.spreadsheetml.sheet
+   *   (at most 5 MB and 5000 users). The first row names the columns:
+   *
+   *     name,email,nim_nip,role,password
+   *     Alice Johnson,alice@example.com,NIM12345,student,
+   *     Frank Ocean,frank@example.com,NIM12350,student,
+   *
+   *   name, email and NIM/NIP are required; role is required for new users;
+   *   password is optional and used only for new users.
+   *
+   * Query Parameters:
+   *   dryRun (boolean, optional)       - "true" to check the file without importing it
+   *   sendWelcome (boolean, optional)  - "true" to email new users a welcome
+   *
+   * Successful Response (200):
+   *   {
+   *     "dryRun": false,
+   *     "summary": { "rows": 2, "created": 1, "updated": 0, "unchanged": 1, "errors": 0 },
+   *     "rows": [
+   *       {
+   *         "row": 2,                    // the line or row number in the file
+   *         "nimNip": "NIM12345",
+   *         "email": "alice@example.com",
+   *         "name": "Alice Johnson",
+   *         "role": "student",
+   *         "userId": 1,                 // null for a user still to be created
+   *         "action": "unchanged",       // "create", "update", "unchanged" or "error"
+   *         "errors": []
+   *       },
+   *       ...
+   *     ]
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "The file is empty" }
+   *     { "error": "The file has no NIM/NIP column" }
+   *     { "error": "The file must not hold more than 5000 users" }
+   *     { "error": "The file ends inside a quoted field" }
+   *     { "error": "The file is not an XLSX file" }
+   *     { "error": "The file has errors, nothing was imported", "summary": {...}, "rows": [...] }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   409 Conflict
+   *     { "error": "A user with this email or NIM/NIP was added meanwhile, try again" }
+   *
+   *   413 Payload Too Large
+   *     { "error": "The file must not exceed 5242880 bytes" }
+   *
+   *   415 Unsupported Media Type
+   *     { "error": "The file must be a CSV or XLSX file" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to import users" }
+   *
+   * Notes:
+   *   - Row errors include a duplicate email or NIM/NIP in the file, an
+   *     email already used by another user, a malformed NIM/NIP ("NIM" or
+   *     "NIP" followed by 5 to 20 digits, or the digits alone) and an
+   *     unknown role (one that no user, role permission or attendance rule
+   *     has yet).
+   *   - Emails are stored in lower case and NIM/NIP in upper case.
+   *   - CSV files may use "," or ";" between fields and may start with a
+   *     UTF-8 byte order mark, as Excel writes them.
+   *   - New users without a password in the file get a random one. The
+   *     welcome email holds a token for POST /user/reset-password, valid
+   *     for WELCOME_TOKEN_DAYS days (default 7).
+   */
+  router.post(
+    "/import-users",
+    requirePermission("users:write"),
+    acceptUserImport,
+    async (req, res) => {
+      try {
+        const dryRun = req.query.dryRun === "true";
+        const sendWelcome = req.query.sendWelcome === "true";
+
+        if (!Buffer.isBuffer(req.body)) {
+          return res
+            .status(415)
+            .send({ error: "The file must be a CSV or XLSX file" });
+        }
+
+        const parsed = await readUserFile(
+          req.body,
+          USER_IMPORT_TYPES[req.get("Content-Type").split(";")[0].trim()]
+        );
+        if (parsed.error) {
+          return res.status(400).send({ error: parsed.error });
+        }
+
+        if (dryRun) {
+          const report = await checkUserRows(pool, parsed.rows);
+          return res.status(200).send({
+            dryRun,
+            summary: summarizeUserRows(report),
+            rows: report,
+          });
+        }
+
+        const { imported, report } = await importUsers(pool, parsed.rows, {
+          sendWelcome,
+        });
+        const summary = summarizeUserRows(report);
+        if (!imported) {
+          return res.status(400).send({
+            error: "The file has errors, nothing was imported",
+            summary,
+            rows: report,
+          });
+        }
+
+        await recordAudit(pool, req, {
+          action: "user.import",
+          entityType: "user",
+          after: {
+            ...summary,
+            createdUserIds: report
+              .filter((entry) => entry.action === "create")
+              .map((entry) => entry.userId),
+            updatedUserIds: report
+              .filter((entry) => entry.action === "update")
+              .map((entry) => entry.userId),
+            sendWelcome,
+          },
+        });
+
+        res.status(200).send({ dryRun, summary, rows: report });
+      } catch (err) {
+        if (err.code === "23505") {
+          return res.status(409).send({
+            error:
+              "A user with this email or NIM/NIP was added meanwhile, try again",
+          });
+        }
+        console.error(err);
+        res.status(500).send({ error: "Failed to import users" });
+      }
+    }
+  );
+
+  /**
+   * PUT /admin/edit-user
+   *
+   * Description:
+   *   Edits an existing user's information. Changing the password logs the
+   *   user out of all their sessions.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "userId": 1,                // integer, required
+   *     "name": "John Doe",          // string, optional
+   *     "usernameEmail": "john@example.com", // string, optional
+   *     "password": "newpassword",   // string, optional
+   *     "role": "admin",             // string, optional
+   *     "nimNip": "987654321"        // string, optional
+   *   }
+   *
+   * Successful Response (200):
+   *   {
+   *     "success": true,
+   *     "userId": 1
+   *   }
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   400 Bad Request
+   *     { "error": "userId is required" }
+   *
+   *   404 Not Found
+   *     { "error": "User not found" }
+   *
+   *   409 Conflict
+   *     { "error": "A user with this email or NIM/NIP already exists" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to edit user" }
+   */
+  router.put(
+    "/edit-user",
+    requirePermission("users:write"),
+    async (req, res) => {
+      try {
+        const { userId, name, usernameEmail, password, role, nimNip } =
+          req.body;
+
+        if (!userId) {
+          return res.status(400).send({ error: "userId is required" });
+        }
+
+        // check if user exists
+        const checkUser = await pool.query(
+          `SELECT * FROM "User" WHERE user_id = $1`,
+          [userId]
+        );
+        if (checkUser.rows.length === 0) {
+          return res.status(404).send({ error: "User not found" });
+        }
+
+        // build dynamic update query
+        const fields = [];
+        const values = [];
+        let idx = 1;
+
+        if (name) {
+          fields.push(`name = $${idx++}`);
+          values.push(name);
+        }
+        if (usernameEmail) {
+          fields.push(`username_email = $${idx++}`);
+          values.push(usernameEmail);
+        }
+        if (password) {
+          fields.push(`password_hash = $${idx++}`);
+          values.push(await hashPassword(password));
+        }
+        if (role) {
+          fields.push(`role = $${idx++}`);
+          values.push(role);
+        }
+        if (nimNip) {
+          fields.push(`nim_nip = $${idx++}`);
+          values.push(nimNip);
+        }
+
+        if (fields.length === 0) {
+          return res.status(400).send({ error: "No fields to update" });
+        }
+
+        values.push(userId); // for WHERE
+        const query = `UPDATE "User" SET ${fields.join(
+          ", "
+        )} WHERE user_id = $${idx} RETURNING *`;
+        const result = await pool.query(query, values);
+
+        await recordAudit(pool, req, {
+          action: "user.update",
+          entityType: "user",
+          entityId: userId,
+          before: checkUser.rows[0],
+          after: result.rows[0],
+        });
+
+        // a new password must not leave old logins working
+        if (password) {
+          await revokeAllSessions(pool, userId);
+        }
+
+        res.status(200).send({ success: true, userId });
+      } catch (err) {
+        if (err.code === "23505") {
+          return res.status(409).send({
+            error: "A user with this email or NIM/NIP already exists",
+          });
+        }
+        console.error(err);
+        res.status(500).send({ error: "Failed to edit user" });
+      }
+    }
+  );
+
+  /**
+   * DELETE /admin/delete-user
+   *
+   * Description:
+   *   Deletes a user by ID.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "userId": 1   // integer, required
+   *   }
+   *
+   * Successful Response (200):
+   *   {
+   *     "success": true,
+   *     "deletedUserId": 1
+   *   }
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   400 Bad Request
+   *     { "error": "userId is required" }
+   *
+   *   404 Not Found
+   *     { "error": "User not found" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to delete user" }
+   */
+  router.delete(
+    "/delete-user",
+    requirePermission("users:write"),
+    async (req, res) => {
+      try {
+        const { userId } = req.body;
+
+        if (!userId) {
+          return res.status(400).send({ error: "userId is required" });
+        }
+
+        const result = await pool.query(
+          `DELETE FROM "User" WHERE user_id = $1 RETURNING *`,
+          [userId]
+        );
+
+        if (result.rowCount === 0) {
+          return res.status(404).send({ error: "User not found" });
+        }
+
+        await recordAudit(pool, req, {
+          action: "user.delete",
+          entityType: "user",
+          entityId: userId,
+          before: result.rows[0],
+        });
+
+        res.status(200).send({ success: true, deletedUserId: userId });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to delete user" });
+      }
+    }
+  );
+
+  /**
+   * GET /admin/get-office-location
+   *
+   * Description:
+   *   Retrieves one location. Without locationId, the first active location
+   *   (lowest ID) is returned.
+   *
+   * Query Parameters:
+   *   locationId (integer, optional) - the ID of the location
+   *
+   * Successful Response (200):
+   *   {
+   *     "locationId": 1,
+   *     "locationName": "Telkom University Bandung",
+   *     "latitude": -6.97321,
+   *     "longitude": 107.63014,
+   *     "radius": 50,
+   *     "boundary": null,
+   *     "isActive": true,
+   *     "createdAt": "2025-12-25T10:00:00.000Z"
+   *   }
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   404 Not Found
+   *     { "error": "Office location not found" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch office location" }
+   */
+  router.get(
+    "/get-office-location",
+    requirePermission("locations:read"),
+    async (req, res) => {
+      try {
+        const { locationId } = req.query;
+
+        const result = locationId
+          ? await pool.query(
+              `SELECT ${LOCATION_COLUMNS} FROM "Locations" WHERE location_id = $1`,
+              [locationId]
+            )
+          : await pool.query(
+              `SELECT ${LOCATION_COLUMNS} FROM "Locations" WHERE is_active ORDER BY location_id LIMIT 1`
+            );
+
+        if (result.rows.length === 0) {
+          return res.status(404).send({ error: "Office location not found" });
+        }
+
+        res.status(200).send(mapLocation(result.rows[0]));
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch office location" });
+      }
+    }
+  );
+
+  /**
+   * POST /admin/set-office-location
+   *
+   * Description:
+   *   Creates or overwrites a location by ID. Kept for existing clients; new
+   *   code should use POST /admin/add-location and PUT /admin/edit-location.
+   *
+   * Request Body (JSON):
+   * {
+   *   "locationId": 1,            // integer, optional, defaults to 1
+   *   "locationName": "Telkom University Bandung",
+   *   "latitude": -6.97321,
+   *   "longitude": 107.63014,
+   *   "radius": 50
+   * }
+   *
+   * Successful Response (200):
+   * {
+   *   "success": true,
+   *   "locationId": 1,
+   *   "locationName": "Telkom University Bandung",
+   *   "latitude": -6.97321,
+   *   "longitude": 107.63014,
+   *   "radius": 50
+   * }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "locationName, latitude, longitude, and radius are required" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to set office location" }
+   */
+  router.post(
+    "/set-office-location",
+    requirePermission("locations:write"),
+    async (req, res) => {
+      try {
+        const { locationName, latitude, longitude, radius } = req.body;
+        const locationId = req.body.locationId || 1;
+
+        if (
+          !locationName ||
+          latitude === undefined ||
+          longitude === undefined ||
+          radius === undefined
+        ) {
+          return res.status(400).send({
+            error: "locationName, latitude, longitude, and radius are required",
+          });
+        }
+
+        const existing = await pool.query(
+          `SELECT * FROM "Locations" WHERE location_id = $1`,
+          [locationId]
+        );
+
+        let result;
+        if (existing.rows.length === 0) {
+          result = await pool.query(
+            `INSERT INTO "Locations"
+         (location_id, location_name, latitude, longitude, radius, created_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())
+         RETURNING *`,
+            [locationId, locationName, latitude, longitude, radius]
+          );
+        } else {
+          result = await pool.query(
+            `UPDATE "Locations"
+         SET location_name = $2,
+             latitude = $3,
+             longitude = $4,
+             radius = $5
+         WHERE location_id = $1
+         RETURNING *`,
+            [locationId, locationName, latitude, longitude, radius]
+          );
+        }
+
+        await recordAudit(pool, req, {
+          action:
+            existing.rows.length === 0 ? "location.create" : "location.update",
+          entityType: "location",
+          entityId: locationId,
+          before: existing.rows[0],
+          after: result.rows[0],
+        });
+
+        res.status(200).send({
+          success: true,
+          locationId,
+          locationName,
+          latitude,
+          longitude,
+          radius,
+        });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to set office location" });
+      }
+    }
+  );
+
+  /**
+   * GET /admin/get-locations
+   *
+   * Description:
+   *   Lists all locations, including deactivated ones.
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "locationId": 1,
+   *       "locationName": "Telkom University Bandung",
+   *       "latitude": -6.97321,
+   *       "longitude": 107.63014,
+   *       "radius": 50,
+   *       "boundary": null,
+   *       "isActive": true,
+   *       "createdAt": "2025-12-25T10:00:00.000Z"
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch locations" }
+   */
+  router.get(
+    "/get-locations",
+    requirePermission("locations:read"),
+    async (req, res) => {
+      try {
+        const result = await pool.query(
+          `SELECT ${LOCATION_COLUMNS} FROM "Locations" ORDER BY location_id ASC`
+        );
+
+        res.status(200).send(result.rows.map(mapLocation));
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch locations" });
+      }
+    }
+  );
+
+  /**
+   * POST /admin/add-location
+   *
+   * Description:
+   *   Adds a building or campus where users can check in. Its geofence is
+   *   either a circle (radius around latitude/longitude) or a boundary
+   *   polygon; when both are given, the boundary is used.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "locationName": "Gedung Deli",   // string, required
+   *     "latitude": -6.97401,            // number, required, map center
+   *     "longitude": 107.63123,          // number, required, map center
+   *     "radius": 40,                    // number, meters, required without boundary
+   *     "boundary": {                    // GeoJSON, required without radius
+   *       "type": "Polygon",
+   *       "coordinates": [[[107.6310, -6.9738], [107.6315, -6.9738],
+   *                        [107.6315, -6.9742], [107.6310, -6.9742],
+   *                        [107.6310, -6.9738]]]
+   *     }
+   *   }
+   *
+   * Successful Response (201):
+   *   {
+   *     "success": true,
+   *     "locationId": 2,
+   *     "locationName": "Gedung Deli",
+   *     "latitude": -6.97401,
+   *     "longitude": 107.63123,
+   *     "radius": 40,
+   *     "boundary": { "type": "Polygon", "coordinates": [...] },
+   *     "isActive": true,
+   *     "createdAt": "2025-12-25T10:00:00.000Z"
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "locationName, latitude, and longitude are required" }
+   *     { "error": "Either radius or boundary is required" }
+   *     { "error": "boundary must be a GeoJSON Polygon or MultiPolygon" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to add location" }
+   */
+  router.post(
+    "/add-location",
+    requirePermission("locations:write"),
+    async (req, res) => {
+      try {
+        const { locationName, latitude, longitude, radius } = req.body;
+
+        if (!locationName || latitude == null || longitude == null) {
+          return res.status(400).send({
+            error: "locationName, latitude, and longitude are required",
+          });
+        }
+
+        let boundary = null;
+        if (req.body.boundary != null) {
+          const parsed = parseBoundary(req.body.boundary);
+          if (parsed.error) {
+            return res.status(400).send({ error: parsed.error });
+          }
+          boundary = parsed.boundary;
+        }
+
+        if (radius == null && !boundary) {
+          return res
+            .status(400)
+            .send({ error: "Either radius or boundary is required" });
+        }
+
+        const result = await pool.query(
+          `INSERT INTO "Locations" (location_name, latitude, longitude, radius, boundary)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+          [
+            locationName,
+            latitude,
+            longitude,
+            radius ?? null,
+            boundary && JSON.stringify(boundary),
+          ]
+        );
+
+        const location = result.rows[0];
+
+        await recordAudit(pool, req, {
+          action: "location.create",
+          entityType: "location",
+          entityId: location.location_id,
+          after: location,
+        });
+
+        res.status(201).send({ success: true, ...mapLocation(location) });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to add location" });
+      }
+    }
+  );
+
+  /**
+   * PUT /admin/edit-location
+   *
+   * Description:
+   *   Edits a location. Set isActive to false to stop accepting check-ins
+   *   there while keeping its attendance history.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "locationId": 2,                 // integer, required
+   *     "locationName": "Gedung Deli",   // string, optional
+   *     "latitude": -6.97401,            // number, optional
+   *     "longitude": 107.63123,          // number, optional
+   *     "radius": 40,                    // number or null, optional
+   *     "boundary": { ... },             // GeoJSON or null, optional
+   *     "isActive": false                // boolean, optional
+   *   }
+   *
+   * Successful Response (200):
+   *   {
+   *     "success": true,
+   *     "locationId": 2,
+   *     ...                              // the updated location
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "locationId is required" }
+   *     { "error": "No fields to update" }
+   *     { "error": "boundary must be a GeoJSON Polygon or MultiPolygon" }
+   *     { "error": "Either radius or boundary is required" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   404 Not Found
+   *     { "error": "Location not found" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to edit location" }
+   *
+   * Notes:
+   *   - Sending null for radius or boundary removes it, as long as the
+   *     location keeps the other one.
+   */
+  router.put(
+    "/edit-location",
+    requirePermission("locations:write"),
+    async (req, res) => {
+      try {
+        const {
+          locationId,
+          locationName,
+          latitude,
+          longitude,
+          radius,
+          boundary,
+          isActive,
+        } = req.body;
+
+        if (!locationId) {
+          return res.status(400).send({ error: "locationId is required" });
+        }
+
+        const existing = await pool.query(
+          `SELECT * FROM "Locations" WHERE location_id = $1`,
+          [locationId]
+        );
+        if (existing.rows.length === 0) {
+          return res.status(404).send({ error: "Location not found" });
+        }
+
+        // build dynamic update query
+        const fields = [];
+        const values = [];
+        let idx = 1;
+
+        if (locationName) {
+          fields.push(`location_name = $${idx++}`);
+          values.push(locationName);
+        }
+        if (latitude != null) {
+          fields.push(`latitude = $${idx++}`);
+          values.push(latitude);
+        }
+        if (longitude != null) {
+          fields.push(`longitude = $${idx++}`);
+          values.push(longitude);
+        }
+        if (radius !== undefined) {
+          fields.push(`radius = $${idx++}`);
+          values.push(radius);
+        }
+        if (boundary !== undefined) {
+          let geometry = null;
+          if (boundary !== null) {
+            const parsed = parseBoundary(boundary);
+            if (parsed.error) {
+              return res.status(400).send({ error: parsed.error });
+            }
+            geometry = parsed.boundary;
+          }
+          fields.push(`boundary = $${idx++}`);
+          values.push(geometry && JSON.stringify(geometry));
+        }
+        if (typeof isActive === "boolean") {
+          fields.push(`is_active = $${idx++}`);
+          values.push(isActive);
+        }
+
+        if (fields.length === 0) {
+          return res.status(400).send({ error: "No fields to update" });
+        }
+
+        const current = existing.rows[0];
+        const nextRadius = radius !== undefined ? radius : current.radius;
+        const nextBoundary =
+          boundary !== undefined ? boundary : current.boundary;
+        if (nextRadius == null && nextBoundary == null) {
+          return res
+            .status(400)
+            .send({ error: "Either radius or boundary is required" });
+        }
+
+        values.push(locationId); // for WHERE
+        const result = await pool.query(
+          `UPDATE "Locations" SET ${fields.join(
+            ", "
+          )} WHERE location_id = $${idx} RETURNING *`,
+          values
+        );
+
+        await recordAudit(pool, req, {
+          action: "location.update",
+          entityType: "location",
+          entityId: locationId,
+          before: existing.rows[0],
+          after: result.rows[0],
+        });
+
+        res.status(200).send({ success: true, ...mapLocation(result.rows[0]) });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to edit location" });
+      }
+    }
+  );
+
+  /**
+   * DELETE /admin/delete-location
+   *
+   * Description:
+   *   Deletes a location that has no attendance records. Locations with
+   *   history have to be deactivated through PUT /admin/edit-location instead,
+   *   because deleting them would delete their attendance records too.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "locationId": 2   // integer, required
+   *   }
+   *
+   * Successful Response (200):
+   *   {
+   *     "success": true,
+   *     "deletedLocationId": 2
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "locationId is required" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   404 Not Found
+   *     { "error": "Location not found" }
+   *
+   *   409 Conflict
+   *     { "error": "Location has attendance records, deactivate it instead" }
+   *     { "error": "Location is used by class schedules" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to delete location" }
+   */
+  router.delete(
+    "/delete-location",
+    requirePermission("locations:write"),
+    async (req, res) => {
+      try {
+        const { locationId } = req.body;
+
+        if (!locationId) {
+          return res.status(400).send({ error: "locationId is required" });
+        }
+
+        const used = await pool.query(
+          `SELECT 1 FROM "Attendance" WHERE location_id = $1 LIMIT 1`,
+          [locationId]
+        );
+        if (used.rows.length > 0) {
+          return res.status(409).send({
+            error: "Location has attendance records, deactivate it instead",
+          });
+        }
+
+        const scheduled = await pool.query(
+          "SELECT 1 FROM class_schedules WHERE location_id = $1 LIMIT 1",
+          [locationId]
+        );
+        if (scheduled.rows.length > 0) {
+          return res
+            .status(409)
+            .send({ error: "Location is used by class schedules" });
+        }
+
+        const result = await pool.query(
+          `DELETE FROM "Locations" WHERE location_id = $1 RETURNING *`,
+          [locationId]
+        );
+
+        if (result.rowCount === 0) {
+          return res.status(404).send({ error: "Location not found" });
+        }
+
+        await recordAudit(pool, req, {
+          action: "location.delete",
+          entityType: "location",
+          entityId: locationId,
+          before: result.rows[0],
+        });
+
+        res.status(200).send({ success: true, deletedLocationId: locationId });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to delete location" });
+      }
+    }
+  );
+
+  /**
+   * GET /admin/get-courses
+   *
+   * Description:
+   *   Lists all courses with the number of class groups in each.
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "courseId": 2,
+   *       "code": "CII2M3",
+   *       "name": "Algorithms",
+   *       "createdAt": "2025-08-20T10:00:00.000Z",
+   *       "groupCount": 4
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch courses" }
+   */
+  router.get(
+    "/get-courses",
+    requirePermission("courses:read"),
+    async (req, res) => {
+      try {
+        const result = await pool.query(
+          `SELECT c.*, COUNT(g.group_id)::integer AS group_count
+       FROM courses c
+       LEFT JOIN class_groups g ON g.course_id = c.course_id
+       GROUP BY c.course_id
+       ORDER BY c.code ASC`
+        );
+
+        res.status(200).send(
+          result.rows.map((row) => ({
+            ...mapCourse(row),
+            groupCount: row.group_count,
+          }))
+        );
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch courses" });
+      }
+    }
+  );
+
+  /**
+   * POST /admin/add-course
+   *
+   * Description:
+   *   Adds a course.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "code": "CII2M3",        // string, required, unique
+   *     "name": "Algorithms"     // string, required
+   *   }
+   *
+   * Successful Response (201):
+   *   {
+   *     "success": true,
+   *     "courseId": 2,
+   *     "code": "CII2M3",
+   *     "name": "Algorithms",
+   *     "createdAt": "2025-08-20T10:00:00.000Z"
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "code and name are required" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   409 Conflict
+   *     { "error": "A course with this code already exists" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to add course" }
+   */
+  router.post(
+    "/add-course",
+    requirePermission("courses:write"),
+    async (req, res) => {
+      try {
+        const { code, name } = req.body;
+
+        if (!code || !name) {
+          return res.status(400).send({ error: "code and name are required" });
+        }
+
+        const result = await pool.query(
+          "INSERT INTO courses (code, name) VALUES ($1, $2) RETURNING *",
+          [code, name]
+        );
+        const course = result.rows[0];
+
+        await recordAudit(pool, req, {
+          action: "course.create",
+          entityType: "course",
+          entityId: course.course_id,
+          after: course,
+        });
+
+        res.status(201).send({ success: true, ...mapCourse(course) });
+      } catch (err) {
+        if (err.code === "23505") {
+          return res
+            .status(409)
+            .send({ error: "A course with this code already exists" });
+        }
+        console.error(err);
+        res.status(500).send({ error: "Failed to add course" });
+      }
+    }
+  );
+
+  /**
+   * PUT /admin/edit-course
+   *
+   * Description:
+   *   Renames a course or changes its code.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "courseId": 2,           // integer, required
+   *     "code": "CII2M3",        // string, optional
+   *     "name": "Algorithms"     // string, optional
+   *   }
+   *
+   * Successful Response (200):
+   *   {
+   *     "success": true,
+   *     "courseId": 2,
+   *     ...                      // the updated course
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "courseId is required" }
+   *     { "error": "No fields to update" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   404 Not Found
+   *     { "error": "Course not found" }
+   *
+   *   409 Conflict
+   *     { "error": "A course with this code already exists" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to edit course" }
+   */
+  router.put(
+    "/edit-course",
+    requirePermission("courses:write"),
+    async (req, res) => {
+      try {
+        const { courseId, code, name } = req.body;
+
+        if (!courseId) {
+          return res.status(400).send({ error: "courseId is required" });
+        }
+        if (!code && !name) {
+          return res.status(400).send({ error: "No fields to update" });
+        }
+
+        const existing = await pool.query(
+          "SELECT * FROM courses WHERE course_id = $1",
+          [courseId]
+        );
+        if (existing.rows.length === 0) {
+          return res.status(404).send({ error: "Course not found" });
+        }
+
+        const result = await pool.query(
+          `UPDATE courses
+       SET code = COALESCE($2, code),
+           name = COALESCE($3, name)
+       WHERE course_id = $1
+       RETURNING *`,
+          [courseId, code || null, name || null]
+        );
+
+        await recordAudit(pool, req, {
+          action: "course.update",
+          entityType: "course",
+          entityId: courseId,
+          before: existing.rows[0],
+          after: result.rows[0],
+        });
+
+        res.status(200).send({ success: true, ...mapCourse(result.rows[0]) });
+      } catch (err) {
+        if (err.code === "23505") {
+          return res
+            .status(409)
+            .send({ error: "A course with this code already exists" });
+        }
+        console.error(err);
+        res.status(500).send({ error: "Failed to edit course" });
+      }
+    }
+  );
+
+  /**
+   * DELETE /admin/delete-course
+   *
+   * Description:
+   *   Deletes a course together with its class groups, enrollments and
+   *   schedules. Attendance records stay but lose their link to the class.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "courseId": 2   // integer, required
+   *   }
+   *
+   * Successful Response (200):
+   *   {
+   *     "success": true,
+   *     "deletedCourseId": 2
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "courseId is required" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   404 Not Found
+   *     { "error": "Course not found" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to delete course" }
+   */
+  router.delete(
+    "/delete-course",
+    requirePermission("courses:write"),
+    async (req, res) => {
+      try {
+        const { courseId } = req.body;
+
+        if (!courseId) {
+          return res.status(400).send({ error: "courseId is required" });
+        }
+
+        const result = await pool.query(
+          "DELETE FROM courses WHERE course_id = $1 RETURNING *",
+          [courseId]
+        );
+
+        if (result.rowCount === 0) {
+          return res.status(404).send({ error: "Course not found" });
+        }
+
+        await recordAudit(pool, req, {
+          action: "course.delete",
+          entityType: "course",
+          entityId: courseId,
+          before: result.rows[0],
+        });
+
+        res.status(200).send({ success: true, deletedCourseId: courseId });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to delete course" });
+      }
+    }
+  );
+
+  /**
+   * GET /admin/get-class-groups
+   *
+   * Description:
+   *   Lists class groups with their teacher, enrollment count and weekly
+   *   schedules.
+   *
+   * Query Parameters:
+   *   courseId (integer, optional) - only the groups of this course
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "groupId": 3,
+   *       "courseId": 2,
+   *       "name": "IF-46-01",
+   *       "teacherId": 3,
+   *       "createdAt": "2025-08-20T10:00:00.000Z",
+   *       "courseCode": "CII2M3",
+   *       "courseName": "Algorithms",
+   *       "teacherName": "Carol Lee",
+   *       "enrolledCount": 30,
+   *       "schedules": [
+   *         {
+   *           "scheduleId": 7,
+   *           "groupId": 3,
+   *           "locationId": 2,
+   *           "weekday": 2,
+   *           "startTime": "09:00:00",
+   *           "endTime": "10:40:00",
+   *           "validFrom": "2025-09-01",
+   *           "validUntil": "2026-01-31"
+   *         }
+   *       ]
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch class groups" }
+   */
+  router.get(
+    "/get-class-groups",
+    requirePermission("courses:read"),
+    async (req, res) => {
+      try {
+        const { courseId } = req.query;
+
+        const groups = await pool.query(
+          `SELECT g.*, c.code AS course_code, c.name AS course_name,
+              t.name AS teacher_name,
+              (SELECT COUNT(*)::integer FROM enrollments e WHERE e.group_id = g.group_id) AS enrolled_count
+       FROM class_groups g
+       JOIN courses c ON c.course_id = g.course_id
+       LEFT JOIN "User" t ON t.user_id = g.teacher_id
+       WHERE ($1::integer IS NULL OR g.course_id = $1)
+       ORDER BY c.code ASC, g.name ASC`,
+          [courseId || null]
+        );
+
+        const schedules = await pool.query(
+          `SELECT ${SCHEDULE_COLUMNS} FROM class_schedules
+       WHERE group_id = ANY($1::integer[])
+       ORDER BY weekday, start_time`,
+          [groups.rows.map((row) => row.group_id)]
+        );
+
+        res.status(200).send(
+          groups.rows.map((row) => ({
+            ...mapClassGroup(row),
+            courseCode: row.course_code,
+            courseName: row.course_name,
+            teacherName: row.teacher_name,
+            enrolledCount: row.enrolled_count,
+            schedules: schedules.rows
+              .filter((schedule) => schedule.group_id === row.group_id)
+              .map(mapClassSchedule),
+          }))
+        );
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch class groups" });
+      }
+    }
+  );
+
+  // class groups can only be taught by users with the teacher role
+  async function isTeacher(userId) {
+    const result = await pool.query(
+      `SELECT 1 FROM "User" WHERE user_id = $1 AND role = 'teacher'`,
+      [userId]
+    );
+    return result.rows.length > 0;
+  }
+
+  /**
+   * POST /admin/add-class-group
+   *
+   * Description:
+   *   Adds a class group to a course.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "courseId": 2,          // integer, required
+   *     "name": "IF-46-01",     // string, required, unique within the course
+   *     "teacherId": 3          // integer, optional, a user with role teacher
+   *   }
+   *
+   * Successful Response (201):
+   *   {
+   *     "success": true,
+   *     "groupId": 3,
+   *     "courseId": 2,
+   *     "name": "IF-46-01",
+   *     "teacherId": 3,
+   *     "createdAt": "2025-08-20T10:00:00.000Z"
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "courseId and name are required" }
+   *     { "error": "teacherId must be a teacher" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   404 Not Found
+   *     { "error": "Course not found" }
+   *
+   *   409 Conflict
+   *     { "error": "The course already has a group with this name" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to add class group" }
+   */
+  router.post(
+    "/add-class-group",
+    requirePermission("courses:write"),
+    async (req, res) => {
+      try {
+        const { courseId, name, teacherId } = req.body;
+
+        if (!courseId || !name) {
+          return res
+            .status(400)
+            .send({ error: "courseId and name are required" });
+        }
+        if (teacherId != null && !(await isTeacher(teacherId))) {
+          return res.status(400).send({ error: "teacherId must be a teacher" });
+        }
+
+        const course = await pool.query(
+          "SELECT 1 FROM courses WHERE course_id = $1",
+          [courseId]
+        );
+        if (course.rows.length === 0) {
+          return res.status(404).send({ error: "Course not found" });
+        }
+
+        const result = await pool.query(
+          `INSERT INTO class_groups (course_id, name, teacher_id)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+          [courseId, name, teacherId ?? null]
+        );
+        const group = result.rows[0];
+
+        await recordAudit(pool, req, {
+          action: "class_group.create",
+          entityType: "class_group",
+          entityId: group.group_id,
+          after: group,
+        });
+
+        res.status(201).send({ success: true, ...mapClassGroup(group) });
+      } catch (err) {
+        if (err.code === "23505") {
+          return res
+            .status(409)
+            .send({ error: "The course already has a group with this name" });
+        }
+        console.error(err);
+        res.status(500).send({ error: "Failed to add class group" });
+      }
+    }
+  );
+
+  /**
+   * PUT /admin/edit-class-group
+   *
+   * Description:
+   *   Renames a class group or changes its teacher.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "groupId": 3,           // integer, required
+   *     "name": "IF-46-01",     // string, optional
+   *     "teacherId": 5          // integer or null, optional
+   *   }
+   *
+   * Successful Response (200):
+   *   {
+   *     "success": true,
+   *     "groupId": 3,
+   *     ...                     // the updated group
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "groupId is required" }
+   *     { "error": "No fields to update" }
+   *     { "error": "teacherId must be a teacher" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   404 Not Found
+   *     { "error": "Class group not found" }
+   *
+   *   409 Conflict
+   *     { "error": "The course already has a group with this name" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to edit class group" }
+   */
+  router.put(
+    "/edit-class-group",
+    requirePermission("courses:write"),
+    async (req, res) => {
+      try {
+        const { groupId, name, teacherId } = req.body;
+
+        if (!groupId) {
+          return res.status(400).send({ error: "groupId is required" });
+        }
+        if (!name && teacherId === undefined) {
+          return res.status(400).send({ error: "No fields to update" });
+        }
+        if (teacherId != null && !(await isTeacher(teacherId))) {
+          return res.status(400).send({ error: "teacherId must be a teacher" });
+        }
+
+        const existing = await pool.query(
+          "SELECT * FROM class_groups WHERE group_id = $1",
+          [groupId]
+        );
+        if (existing.rows.length === 0) {
+          return res.status(404).send({ error: "Class group not found" });
+        }
+
+        const current = existing.rows[0];
+        const result = await pool.query(
+          `UPDATE class_groups SET name = $2, teacher_id = $3
+       WHERE group_id = $1
+       RETURNING *`,
+          [
+            groupId,
+            name || current.name,
+            teacherId !== undefined ? teacherId : current.teacher_id,
+          ]
+        );
+
+        await recordAudit(pool, req, {
+          action: "class_group.update",
+          entityType: "class_group",
+          entityId: groupId,
+          before: current,
+          after: result.rows[0],
+        });
+
+        res
+          .status(200)
+          .send({ success: true, ...mapClassGroup(result.rows[0]) });
+      } catch (err) {
+        if (err.code === "23505") {
+          return res
+            .status(409)
+            .send({ error: "The course already has a group with this name" });
+        }
+        console.error(err);
+        res.status(500).send({ error: "Failed to edit class group" });
+      }
+    }
+  );
+
+  /**
+   * DELETE /admin/delete-class-group
+   *
+   * Description:
+   *   Deletes a class group with its enrollments and schedules. Attendance
+   *   records stay but lose their link to the class.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "groupId": 3   // integer, required
+   *   }
+   *
+   * Successful Response (200):
+   *   {
+   *     "success": true,
+   *     "deletedGroupId": 3
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "groupId is required" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   404 Not Found
+   *     { "error": "Class group not found" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to delete class group" }
+   */
+  router.delete(
+    "/delete-class-group",
+    requirePermission("courses:write"),
+    async (req, res) => {
+      try {
+        const { groupId } = req.body;
+
+        if (!groupId) {
+          return res.status(400).send({ error: "groupId is required" });
+        }
+
+        const result = await pool.query(
+          "DELETE FROM class_groups WHERE group_id = $1 RETURNING *",
+          [groupId]
+        );
+
+        if (result.rowCount === 0) {
+          return res.status(404).send({ error: "Class group not found" });
+        }
+
+        await recordAudit(pool, req, {
+          action: "class_group.delete",
+          entityType: "class_group",
+          entityId: groupId,
+          before: result.rows[0],
+        });
+
+        res.status(200).send({ success: true, deletedGroupId: groupId });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to delete class group" });
+      }
+    }
+  );
+
+  /**
+   * GET /admin/get-enrollments
+   *
+   * Description:
+   *   Lists the students enrolled in a class group.
+   *
+   * Query Parameters:
+   *   groupId (integer, required) - the class group
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "userId": 1,
+   *       "name": "Alice Johnson",
+   *       "nimNip": "NIM12345",
+   *       "enrolledAt": "2025-08-20T10:00:00.000Z"
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "groupId is required" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch enrollments" }
+   */
+  router.get(
+    "/get-enrollments",
+    requirePermission("courses:read"),
+    async (req, res) => {
+      try {
+        const { groupId } = req.query;
+
+        if (!groupId) {
+          return res.status(400).send({ error: "groupId is required" });
+        }
+
+        const result = await pool.query(
+          `SELECT u.user_id, u.name, u.nim_nip, e.enrolled_at
+       FROM enrollments e
+       JOIN "User" u ON u.user_id = e.user_id
+       WHERE e.group_id = $1
+       ORDER BY u.name ASC`,
+          [groupId]
+        );
+
+        res.status(200).send(
+          result.rows.map((row) => ({
+            userId: row.user_id,
+            name: row.name,
+            nimNip: row.nim_nip,
+            enrolledAt: row.enrolled_at,
+          }))
+        );
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch enrollments" });
+      }
+    }
+  );
+
+  /**
+   * PUT /admin/set-enrollments
+   *
+   * Description:
+   *   Replaces the list of students enrolled in a class group. Students who
+   *   stay enrolled keep their original enrollment date.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "groupId": 3,             // integer, required
+   *     "userIds": [1, 2, 4]      // integer[], required, may be empty
+   *   }
+   *
+   * Successful Response (200):
+   *   {
+   *     "success": true,
+   *     "groupId": 3,
+   *     "userIds": [1, 2, 4]
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "groupId and userIds are required" }
+   *     { "error": "Unknown users", "unknown": [99] }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   404 Not Found
+   *     { "error": "Class group not found" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to set enrollments" }
+   */
+  router.put(
+    "/set-enrollments",
+    requirePermission("courses:write"),
+    async (req, res) => {
+      try {
+        const { groupId, userIds } = req.body;
+
+        if (!groupId || !Array.isArray(userIds)) {
+          return res
+            .status(400)
+            .send({ error: "groupId and userIds are required" });
+        }
+
+        const group = await pool.query(
+          "SELECT 1 FROM class_groups WHERE group_id = $1",
+          [groupId]
+        );
+        if (group.rows.length === 0) {
+          return res.status(404).send({ error: "Class group not found" });
+        }
+
+        const ids = [...new Set(userIds.map(Number))];
+        const found = await pool.query(
+          `SELECT user_id FROM "User" WHERE user_id = ANY($1::integer[])`,
+          [ids]
+        );
+        const known = found.rows.map((row) => row.user_id);
+        const unknown = ids.filter((id) => !known.includes(id));
+        if (unknown.length > 0) {
+          return res.status(400).send({ error: "Unknown users", unknown });
+        }
+
+        const before = await pool.query(
+          "SELECT user_id FROM enrollments WHERE group_id = $1 ORDER BY user_id",
+          [groupId]
+        );
+
+        await withTransaction(pool, async (client) => {
+          await client.query(
+            `DELETE FROM enrollments
+         WHERE group_id = $1 AND NOT (user_id = ANY($2::integer[]))`,
+            [groupId, ids]
+          );
+          await client.query(
+            `INSERT INTO enrollments (group_id, user_id)
+         SELECT $1, unnest($2::integer[])
+         ON CONFLICT (group_id, user_id) DO NOTHING`,
+            [groupId, ids]
+          );
+        });
+
+        const sorted = ids.sort((a, b) => a - b);
+
+        await recordAudit(pool, req, {
+          action: "enrollment.update",
+          entityType: "class_group",
+          entityId: groupId,
+          before: { userIds: before.rows.map((row) => row.user_id) },
+          after: { userIds: sorted },
+        });
+
+        res.status(200).send({ success: true, groupId, userIds: sorted });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to set enrollments" });
+      }
+    }
+  );
+
+  /**
+   * POST /admin/add-class-schedule
+   *
+   * Description:
+   *   Adds a weekly time slot to a class group.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "groupId": 3,                // integer, required
+   *     "locationId": 2,             // integer, required, the room
+   *     "weekday": 2,                // integer, required, ISO weekday (1 = Monday)
+   *     "startTime": "09:00",        // HH:MM, required
+   *     "endTime": "10:40",          // HH:MM, required
+   *     "validFrom": "2025-09-01",   // YYYY-MM-DD, optional, defaults to today
+   *     "validUntil": "2026-01-31"   // YYYY-MM-DD, optional
+   *   }
+   *
+   * Successful Response (201):
+   *   {
+   *     "success": true,
+   *     "scheduleId": 7,
+   *     "groupId": 3,
+   *     "locationId": 2,
+   *     "weekday": 2,
+   *     "startTime": "09:00:00",
+   *     "endTime": "10:40:00",
+   *     "validFrom": "2025-09-01",
+   *     "validUntil": "2026-01-31"
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "groupId, locationId, weekday, startTime and endTime are required" }
+   *     { "error": "weekday must be between 1 and 7" }
+   *     { "error": "startTime and endTime must be HH:MM times" }
+   *     { "error": "endTime must be after startTime" }
+   *     { "error": "Invalid validFrom or validUntil date" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   404 Not Found
+   *     { "error": "Class group or location not found" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to add class schedule" }
+   */
+  router.post(
+    "/add-class-schedule",
+    requirePermission("courses:write"),
+    async (req, res) => {
+      try {
+        const {
+          groupId,
+          locationId,
+          weekday,
+          startTime,
+          endTime,
+          validFrom,
+          validUntil,
+        } = req.body;
+
+        if (!groupId || !locationId || !weekday || !startTime || !endTime) {
+          return res.status(400).send({
+            error:
+              "groupId, locationId, weekday, startTime and endTime are required",
+          });
+        }
+        if (!Number.isInteger(weekday) || weekday < 1 || weekday > 7) {
+          return res
+            .status(400)
+            .send({ error: "weekday must be between 1 and 7" });
+        }
+
+        const timePattern = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+        if (!timePattern.test(startTime) || !timePattern.test(endTime)) {
+          return res
+            .status(400)
+            .send({ error: "startTime and endTime must be HH:MM times" });
+        }
+        if (endTime.slice(0, 5) <= startTime.slice(0, 5)) {
+          return res
+            .status(400)
+            .send({ error: "endTime must be after startTime" });
+        }
+        if (
+          (validFrom && isNaN(Date.parse(validFrom))) ||
+          (validUntil && isNaN(Date.parse(validUntil)))
+        ) {
+          return res
+            .status(400)
+            .send({ error: "Invalid validFrom or validUntil date" });
+        }
+
+        const refs = await pool.query(
+          `SELECT
+         EXISTS (SELECT 1 FROM class_groups WHERE group_id = $1) AS group_exists,
+         EXISTS (SELECT 1 FROM "Locations" WHERE location_id = $2) AS location_exists`,
+          [groupId, locationId]
+        );
+        if (!refs.rows[0].group_exists || !refs.rows[0].location_exists) {
+          return res
+            .status(404)
+            .send({ error: "Class group or location not found" });
+        }
+
+        const result = await pool.query(
+          `INSERT INTO class_schedules
+         (group_id, location_id, weekday, start_time, end_time, valid_from, valid_until)
+       VALUES ($1, $2, $3, $4, $5, COALESCE($6::date, CURRENT_DATE), $7)
+       RETURNING ${SCHEDULE_COLUMNS}`,
+          [
+            groupId,
+            locationId,
+            weekday,
+            startTime,
+            endTime,
+            validFrom || null,
+            validUntil || null,
+          ]
+        );
+        const schedule = result.rows[0];
+
+        await recordAudit(pool, req, {
+          action: "class_schedule.create",
+          entityType: "class_schedule",
+          entityId: schedule.schedule_id,
+          after: schedule,
+        });
+
+        res.status(201).send({ success: true, ...mapClassSchedule(schedule) });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to add class schedule" });
+      }
+    }
+  );
+
+  /**
+   * DELETE /admin/delete-class-schedule
+   *
+   * Description:
+   *   Removes a weekly time slot. Attendance records stay but lose their
+   *   link to the class; to end a slot while keeping that link, add a new
+   *   schedule with validUntil set instead.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "scheduleId": 7   // integer, required
+   *   }
+   *
+   * Successful Response (200):
+   *   {
+   *     "success": true,
+   *     "deletedScheduleId": 7
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "scheduleId is required" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   404 Not Found
+   *     { "error": "Class schedule not found" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to delete class schedule" }
+   */
+  router.delete(
+    "/delete-class-schedule",
+    requirePermission("courses:write"),
+    async (req, res) => {
+      try {
+        const { scheduleId } = req.body;
+
+        if (!scheduleId) {
+          return res.status(400).send({ error: "scheduleId is required" });
+        }
+
+        const result = await pool.query(
+          `DELETE FROM class_schedules WHERE schedule_id = $1
+       RETURNING ${SCHEDULE_COLUMNS}`,
+          [scheduleId]
+        );
+
+        if (result.rowCount === 0) {
+          return res.status(404).send({ error: "Class schedule not found" });
+        }
+
+        await recordAudit(pool, req, {
+          action: "class_schedule.delete",
+          entityType: "class_schedule",
+          entityId: scheduleId,
+          before: result.rows[0],
+        });
+
+        res.status(200).send({ success: true, deletedScheduleId: scheduleId });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to delete class schedule" });
+      }
+    }
+  );
+
+  /**
+   * GET /admin/get-class-attendance
+   *
+   * Description:
+   *   Lists who attended each session of a class group. Same response as
+   *   GET /user/get-class-attendance, without the teacher restriction.
+   *
+   * Query Parameters:
+   *   groupId (integer, required)  - the class group
+   *   from (YYYY-MM-DD, optional)  - first day, defaults to 6 days ago
+   *   to (YYYY-MM-DD, optional)    - last day, defaults to today
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "scheduleId": 7,
+   *       "date": "2025-12-23",
+   *       "startTime": "09:00:00",
+   *       "endTime": "10:40:00",
+   *       "locationId": 2,
+   *       "enrolledCount": 30,
+   *       "presentCount": 28,
+   *       "attendees": [...]
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "groupId is required" }
+   *     { "error": "Invalid from or to date" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch class attendance" }
+   */
+  router.get(
+    "/get-class-attendance",
+    requirePermission("courses:read", "attendance:read"),
+    async (req, res) => {
+      try {
+        const { groupId, from, to } = req.query;
+
+        if (!groupId) {
+          return res.status(400).send({ error: "groupId is required" });
+        }
+        if (
+          (from && isNaN(Date.parse(from))) ||
+          (to && isNaN(Date.parse(to)))
+        ) {
+          return res.status(400).send({ error: "Invalid from or to date" });
+        }
+
+        const sessions = await listClassAttendance(pool, groupId, { from, to });
+
+        res.status(200).send(sessions);
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch class attendance" });
+      }
+    }
+  );
+
+  /**
+   * GET /admin/get-leave-requests
+   *
+   * Description:
+   *   Lists leave requests, newest first.
+   *
+   * Query Parameters:
+   *   status (string, optional)   - "pending", "approved", "rejected" or "cancelled"
+   *   userId (integer, optional)  - only this user's requests
+   *   from (YYYY-MM-DD, optional) - requests ending on or after this day
+   *   to (YYYY-MM-DD, optional)   - requests starting on or before this day
+   *   limit (integer, optional)   - default 100, at most 500
+   *   offset (integer, optional)  - default 0
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "leaveId": 3,
+   *       "userId": 4,
+   *       "type": "sakit",
+   *       "startDate": "2025-12-22",
+   *       "endDate": "2025-12-23",
+   *       "reason": "Fever",
+   *       "status": "pending",
+   *       "reviewerId": 7,
+   *       "reviewedBy": null,
+   *       "reviewedAt": null,
+   *       "reviewNote": null,
+   *       "attachment": {             // null without one
+   *         "fileName": "surat-dokter.pdf",
+   *         "contentType": "application/pdf",
+   *         "size": 183022
+   *       },
+   *       "createdAt": "2025-12-22T07:00:00.000Z",
+   *       "updatedAt": "2025-12-22T07:00:00.000Z",
+   *       "userName": "David Kim",
+   *       "nimNip": "NIM001"
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "Invalid from or to date" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch leave requests" }
+   */
+  router.get(
+    "/get-leave-requests",
+    requirePermission("leave:read"),
+    async (req, res) => {
+      try {
+        const { status, userId, from, to } = req.query;
+
+        if (
+          (from && isNaN(Date.parse(from))) ||
+          (to && isNaN(Date.parse(to)))
+        ) {
+          return res.status(400).send({ error: "Invalid from or to date" });
+        }
+
+        const limit = Math.min(Number(req.query.limit) || 100, 500);
+        const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+        const result = await pool.query(
+          `SELECT lr.*, u.name AS user_name, u.nim_nip
+       FROM (SELECT ${LEAVE_COLUMNS} FROM leave_requests) lr
+       JOIN "User" u ON u.user_id = lr.user_id
+       WHERE ($1::varchar IS NULL OR lr.status = $1)
+         AND ($2::integer IS NULL OR lr.user_id = $2)
+         AND ($3::date IS NULL OR lr.end_date::date >= $3::date)
+         AND ($4::date IS NULL OR lr.start_date::date <= $4::date)
+       ORDER BY lr.created_at DESC, lr.leave_id DESC
+       LIMIT $5 OFFSET $6`,
+          [
+            status || null,
+            userId || null,
+            from || null,
+            to || null,
+            limit,
+            offset,
+          ]
+        );
+
+        res.status(200).send(
+          result.rows.map((row) => ({
+            ...mapLeaveRequest(row),
+            userName: row.user_name,
+            nimNip: row.nim_nip,
+          }))
+        );
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch leave requests" });
+      }
+    }
+  );
+
+  /**
+   * POST /admin/review-leave-request
+   *
+   * Description:
+   *   Approves or rejects a pending leave request, whoever its reviewer is.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "leaveId": 3,               // integer, required
+   *     "decision": "approved",     // "approved" or "rejected", required
+   *     "note": "Letter checked"    // string, optional, shown to the requester
+   *   }
+   *
+   * Successful Response (200):
+   *   {
+   *     "success": true,
+   *     "leaveId": 3,
+   *     ...                         // the updated request
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "leaveId and decision are required" }
+   *     { "error": "decision must be approved or rejected" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   404 Not Found
+   *     { "error": "Leave request not found" }
+   *
+   *   409 Conflict
+   *     { "error": "Leave request has already been decided" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to review leave request" }
+   *
+   * Notes:
+   *   - The requester is notified. Approving re-evaluates the covered days,
+   *     so absences already recorded for them become "excused".
+   */
+  router.post(
+    "/review-leave-request",
+    requirePermission("leave:write"),
+    async (req, res) => {
+      try {
+        const { leaveId, decision, note } = req.body;
+
+        if (!leaveId || !decision) {
+          return res
+            .status(400)
+            .send({ error: "leaveId and decision are required" });
+        }
+        if (decision !== "approved" && decision !== "rejected") {
+          return res
+            .status(400)
+            .send({ error: "decision must be approved or rejected" });
+        }
+
+        const result = await reviewLeaveRequest(pool, leaveId, {
+          decision,
+          note,
+          reviewedBy: req.user.userId,
+        });
+        if (result.error) {
+          return res
+            .status(result.error === "Leave request not found" ? 404 : 409)
+            .send({ error: result.error });
+        }
+
+        await recordAudit(pool, req, {
+          action: "leave.review",
+          entityType: "leave",
+          entityId: leaveId,
+          before: result.before,
+          after: result.after,
+        });
+
+        res
+          .status(200)
+          .send({ success: true, ...mapLeaveRequest(result.after) });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to review leave request" });
+      }
+    }
+  );
+
+  /**
+   * GET /admin/get-leave-attachment
+   *
+   * Description:
+   *   Downloads the attachment of a leave request.
+   *
+   * Query Parameters:
+   *   leaveId (integer, required) - the leave request
+   *
+   * Successful Response (200):
+   *   The file, with its Content-Type and the original file name in
+   *   Content-Disposition.
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "leaveId is required" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   404 Not Found
+   *     { "error": "Leave request not found" }
+   *     { "error": "This leave request has no attachment" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch attachment" }
+   */
+  router.get(
+    "/get-leave-attachment",
+    requirePermission("leave:read"),
+    async (req, res) => {
+      try {
+        const { leaveId } = req.query;
+
+        if (!leaveId) {
+          return res.status(400).send({ error: "leaveId is required" });
+        }
+
+        const leave = await getLeaveRequest(pool, leaveId);
+        if (!leave) {
+          return res.status(404).send({ error: "Leave request not found" });
+        }
+
+        const file = getLeaveAttachmentPath(leave);
+        if (!file) {
+          return res
+            .status(404)
+            .send({ error: "This leave request has no attachment" });
+        }
+
+        res.type(leave.attachment_type);
+        res.attachment(leave.attachment_name);
+        res.sendFile(file, (err) => {
+          if (err && !res.headersSent) {
+            console.error(err);
+            res.status(500).send({ error: "Failed to fetch attachment" });
+          }
+        });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch attachment" });
+      }
+    }
+  );
+
+  /**
+   * GET /admin/get-calendar
+   *
+   * Description:
+   *   Lists academic calendar entries, earliest first.
+   *
+   * Query Parameters:
+   *   from (YYYY-MM-DD, optional)    - only entries ending on or after this day
+   *   to (YYYY-MM-DD, optional)      - only entries starting on or before this day
+   *   kind (string, optional)        - "holiday", "semester", "break", "exam" or "special"
+   *   locationId (integer, optional) - only entries of this location
+   *   groupId (integer, optional)    - only entries of this class group
+   *   limit (integer, optional)      - default 100, at most 500
+   *   offset (integer, optional)     - default 0
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "entryId": 5,
+   *       "title": "Hari Raya Idul Fitri",
+   *       "kind": "holiday",
+   *       "startDate": "2026-03-20",
+   *       "endDate": "2026-03-21",
+   *       "workingDay": false,      // false closes the days, true opens them, null neither
+   *       "locationId": null,       // null: applies to everyone
+   *       "groupId": null,
+   *       "notes": null,
+   *       "sourceUid": "20260320_idulfitri@google.com",   // set when imported
+   *       "createdBy": 7,
+   *       "createdAt": "2026-01-05T02:00:00.000Z",
+   *       "updatedAt": "2026-01-05T02:00:00.000Z"
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "Invalid from or to date" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch calendar" }
+   */
+  router.get(
+    "/get-calendar",
+    requirePermission("calendar:read"),
+    async (req, res) => {
+      try {
+        const { from, to, kind, locationId, groupId } = req.query;
+
+        if (
+          (from && isNaN(Date.parse(from))) ||
+          (to && isNaN(Date.parse(to)))
+        ) {
+          return res.status(400).send({ error: "Invalid from or to date" });
+        }
+
+        const limit = Math.min(Number(req.query.limit) || 100, 500);
+        const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+        const result = await pool.query(
+          `SELECT ${CALENDAR_COLUMNS} FROM calendar_entries
+       WHERE ($1::date IS NULL OR end_date >= $1::date)
+         AND ($2::date IS NULL OR start_date <= $2::date)
+         AND ($3::varchar IS NULL OR kind = $3)
+         AND ($4::integer IS NULL OR location_id = $4)
+         AND ($5::integer IS NULL OR group_id = $5)
+       ORDER BY start_date, entry_id
+       LIMIT $6 OFFSET $7`,
+          [
+            from || null,
+            to || null,
+            kind || null,
+            locationId || null,
+            groupId || null,
+            limit,
+            offset,
+          ]
+        );
+
+        res.status(200).send(result.rows.map(mapCalendarEntry));
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch calendar" });
+      }
+    }
+  );
+
+  /**
+   * POST /admin/add-calendar-entry
+   *
+   * Description:
+   *   Adds a holiday, semester, break, exam week or special day to the
+   *   academic calendar and re-evaluates the attendance of the days it
+   *   opens or closes.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "title": "Cuti bersama",     // string, required
+   *     "kind": "holiday",           // "holiday", "semester", "break", "exam" or "special", required
+   *     "startDate": "2026-03-23",   // YYYY-MM-DD, required
+   *     "endDate": "2026-03-24",     // YYYY-MM-DD, optional, inclusive, defaults to startDate
+   *     "workingDay": false,         // true, false or null, optional, see Notes
+   *     "locationId": null,          // integer, optional, only this location
+   *     "groupId": null,             // integer, optional, only this class group
+   *     "notes": "Decree 2026/12"    // string, optional
+   *   }
+   *
+   * Successful Response (201):
+   *   {
+   *     "success": true,
+   *     "entryId": 6,
+   *     "title": "Cuti bersama",
+   *     ...                          // as in GET /admin/get-calendar
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "title is required" }
+   *     { "error": "kind must be one of holiday, semester, break, exam, special" }
+   *     { "error": "startDate is required" }
+   *     { "error": "Invalid startDate" }
+   *     { "error": "endDate must not be before startDate" }
+   *     { "error": "An entry must not exceed 366 days" }
+   *     { "error": "workingDay must be true, false or null" }
+   *     { "error": "An entry applies to a location or a class group, not both" }
+   *     { "error": "locationId or groupId does not exist" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to add calendar entry" }
+   *
+   * Notes:
+   *   - workingDay defaults by kind: false for "holiday" and "break", null
+   *     (no effect on working days) for the others. Use true for a make-up
+   *     day outside the usual working days.
+   *   - Entries of a class group win over those of a location, which win over
+   *     those for everyone; within one level a working day wins.
+   */
+  router.post(
+    "/add-calendar-entry",
+    requirePermission("calendar:write"),
+    async (req, res) => {
+      try {
+        const { entry, error } = parseCalendarEntry(req.body);
+        if (error) {
+          return res.status(400).send({ error });
+        }
+
+        const row = await addCalendarEntry(pool, entry, req.user.userId);
+
+        await recordAudit(pool, req, {
+          action: "calendar.create",
+          entityType: "calendar_entry",
+          entityId: row.entry_id,
+          after: row,
+        });
+
+        res.status(201).send({ success: true, ...mapCalendarEntry(row) });
+      } catch (err) {
+        if (err.code === "23503") {
+          return res
+            .status(400)
+            .send({ error: "locationId or groupId does not exist" });
+        }
+        console.error(err);
+        res.status(500).send({ error: "Failed to add calendar entry" });
+      }
+    }
+  );
+
+  /**
+   * PUT /admin/edit-calendar-entry
+   *
+   * Description:
+   *   Changes a calendar entry and re-evaluates the attendance of the days
+   *   it opened or closed before and after the change.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "entryId": 6,          // integer, required
+   *     "endDate": "2026-03-25"
+   *     // any field of POST /admin/add-calendar-entry, all optional
+   *   }
+   *
+   * Successful Response (200):
+   *   {
+   *     "success": true,
+   *     "entryId": 6,
+   *     ...                    // as in GET /admin/get-calendar
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "entryId is required" }
+   *     { "error": "No fields to update" }
+   *     { "error": "endDate must not be before startDate" }
+   *     ...                    // as in POST /admin/add-calendar-entry
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   404 Not Found
+   *     { "error": "Calendar entry not found" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to edit calendar entry" }
+   */
+  router.put(
+    "/edit-calendar-entry",
+    requirePermission("calendar:write"),
+    async (req, res) => {
+      try {
+        const { entryId } = req.body;
+
+        if (!entryId) {
+          return res.status(400).send({ error: "entryId is required" });
+        }
+
+        const { entry, error } = parseCalendarEntry(req.body, true);
+        if (error) {
+          return res.status(400).send({ error });
+        }
+        if (Object.keys(entry).length === 0) {
+          return res.status(400).send({ error: "No fields to update" });
+        }
+
+        const result = await editCalendarEntry(pool, entryId, entry);
+        if (result.error) {
+          return res
+            .status(result.error === "Calendar entry not found" ? 404 : 400)
+            .send({ error: result.error });
+        }
+
+        await recordAudit(pool, req, {
+          action: "calendar.update",
+          entityType: "calendar_entry",
+          entityId: entryId,
+          before: result.before,
+          after: result.after,
+        });
+
+        res
+          .status(200)
+          .send({ success: true, ...mapCalendarEntry(result.after) });
+      } catch (err) {
+        if (err.code === "23503") {
+          return res
+            .status(400)
+            .send({ error: "locationId or groupId does not exist" });
+        }
+        console.error(err);
+        res.status(500).send({ error: "Failed to edit calendar entry" });
+      }
+    }
+  );
+
+  /**
+   * DELETE /admin/delete-calendar-entry
+   *
+   * Description:
+   *   Removes a calendar entry and re-evaluates the attendance of the days
+   *   it opened or closed.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "entryId": 6   // integer, required
+   *   }
+   *
+   * Successful Response (200):
+   *   {
+   *     "success": true,
+   *     "deletedEntryId": 6
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "entryId is required" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   404 Not Found
+   *     { "error": "Calendar entry not found" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to delete calendar entry" }
+   */
+  router.delete(
+    "/delete-calendar-entry",
+    requirePermission("calendar:write"),
+    async (req, res) => {
+      try {
+        const { entryId } = req.body;
+
+        if (!entryId) {
+          return res.status(400).send({ error: "entryId is required" });
+        }
+
+        const before = await deleteCalendarEntry(pool, entryId);
+        if (!before) {
+          return res.status(404).send({ error: "Calendar entry not found" });
+        }
+
+        await recordAudit(pool, req, {
+          action: "calendar.delete",
+          entityType: "calendar_entry",
+          entityId: entryId,
+          before,
+        });
+
+        res.status(200).send({ success: true, deletedEntryId: entryId });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to delete calendar entry" });
+      }
+    }
+  );
+
+  const readICalendar = express.text({
+    type: ["text/calendar", "text/plain"],
+    limit: ICAL_MAX_BYTES,
+  });
+
+  // express.text, answering an oversized file with JSON
+  function acceptICalendar(req, res, next) {
+    readICalendar(req, res, (err) => {
+      if (err && err.type === "entity.too.large") {
+        return res.status(413).send({
+          error: `The file must not exceed ${ICAL_MAX_BYTES} bytes`,
+        });
+      }
+      next(err);
+    });
+  }
+
+  /**
+   * POST /admin/import-calendar
+   *
+   * Description:
+   *   Imports the events of an iCalendar (.ics) file, such as a published
+   *   calendar of national holidays, as calendar entries of one kind.
+   *   Events are matched on their UID, so importing a newer version of the
+   *   same file updates the entries instead of adding them twice.
+   *
+   * Headers:
+   *   Content-Type: text/calendar
+   *
+   * Query Parameters:
+   *   kind (string, optional)        - kind of the entries, default "holiday"
+   *   workingDay (string, optional)  - "true", "false" or "null", defaults by kind
+   *   locationId (integer, optional) - the entries apply only to this location
+   *   groupId (integer, optional)    - the entries apply only to this class group
+   *
+   * Request Body:
+   *   The .ics file, at most 1 MB.
+   *
+   * Successful Response (200):
+   *   {
+   *     "success": true,
+   *     "created": 14,
+   *     "updated": 2,
+   *     "skipped": [               // events that were not imported
+   *       {
+   *         "uid": "tahun-baru@example.com",
+   *         "title": "Tahun Baru",
+   *         "reason": "Recurring events are not supported"
+   *       }
+   *     ]
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "The file is not an iCalendar file" }
+   *     { "error": "The file holds no events" }
+   *     { "error": "A file must not hold more than 1000 events" }
+   *     { "error": "kind must be one of holiday, semester, break, exam, special" }
+   *     { "error": "workingDay must be true, false or null" }
+   *     { "error": "An entry applies to a location or a class group, not both" }
+   *     { "error": "locationId or groupId does not exist" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   413 Payload Too Large
+   *     { "error": "The file must not exceed 1048576 bytes" }
+   *
+   *   415 Unsupported Media Type
+   *     { "error": "Send the file as text/calendar" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to import calendar" }
+   *
+   * Notes:
+   *   - Recurring events (RRULE) are skipped; most holiday calendars list
+   *     each year's dates as separate events.
+   *   - Events are imported as whole days on the dates written in the file.
+   *   - Events with an impossible date, or longer than 366 days, are skipped
+   *     like the ones above.
+   */
+  router.post(
+    "/import-calendar",
+    requirePermission("calendar:write"),
+    acceptICalendar,
+    async (req, res) => {
+      try {
+        if (typeof req.body !== "string") {
+          return res
+            .status(415)
+            .send({ error: "Send the file as text/calendar" });
+        }
+
+        const kind = req.query.kind || "holiday";
+        if (!CALENDAR_KINDS.includes(kind)) {
+          return res.status(400).send({
+            error: `kind must be one of ${CALENDAR_KINDS.join(", ")}`,
+          });
+        }
+
+        let workingDay = DEFAULT_WORKING_DAY[kind];
+        if (req.query.workingDay !== undefined) {
+          if (!["true", "false", "null"].includes(req.query.workingDay)) {
+            return res
+              .status(400)
+              .send({ error: "workingDay must be true, false or null" });
+          }
+          workingDay = JSON.parse(req.query.workingDay);
+        }
+
+        const locationId = req.query.locationId || null;
+        const groupId = req.query.groupId || null;
+        if (locationId && groupId) {
+          return res.status(400).send({
+            error: "An entry applies to a location or a class group, not both",
+          });
+        }
+
+        const parsed = parseICalendar(req.body);
+        if (parsed.error) {
+          return res.status(400).send({ error: parsed.error });
+        }
+        if (parsed.events.length === 0) {
+          return res.status(400).send({ error: "The file holds no events" });
+        }
+        if (parsed.events.length > MAX_IMPORT_EVENTS) {
+          return res.status(400).send({
+            error: `A file must not hold more than ${MAX_IMPORT_EVENTS} events`,
+          });
+        }
+
+        const { skipped, ...counts } = await importCalendarEvents(
+          pool,
+          parsed.events,
+          { kind, workingDay, locationId, groupId },
+          req.user.userId
+        );
+        skipped.unshift(...parsed.skipped);
+
+        await recordAudit(pool, req, {
+          action: "calendar.import",
+          entityType: "calendar_entry",
+          after: {
+            kind,
+            workingDay,
+            locationId,
+            groupId,
+            ...counts,
+            skipped: skipped.length,
+          },
+        });
+
+        res.status(200).send({ success: true, ...counts, skipped });
+      } catch (err) {
+        if (err.code === "23503") {
+          return res
+            .status(400)
+            .send({ error: "locationId or groupId does not exist" });
+        }
+        console.error(err);
+        res.status(500).send({ error: "Failed to import calendar" });
+      }
+    }
+  );
+
+  /**
+   * GET /admin/get-working-days
+   *
+   * Description:
+   *   Tells for each day of a range whether it is a working day for a user,
+   *   combining the academic calendar with the user's attendance rule. Same
+   *   response as GET /user/get-working-days.
+   *
+   * Query Parameters:
+   *   userId (integer, required)
+   *   from (YYYY-MM-DD, required)
+   *   to (YYYY-MM-DD, required)  - inclusive, at most 366 days after from
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "date": "2026-03-20",
+   *       "workingDay": false,
+   *       "decidedBy": "calendar",   // "group", "location", "calendar" or "rule"
+   *       "entries": [
+   *         { "entryId": 5, "title": "Hari Raya Idul Fitri", "kind": "holiday", "workingDay": false }
+   *       ]
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "userId, from and to are required" }
+   *     { "error": "Invalid from or to date" }
+   *     { "error": "Range must not exceed 366 days" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   404 Not Found
+   *     { "error": "User not found" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch working days" }
+   */
+  router.get(
+    "/get-working-days",
+    requirePermission("calendar:read"),
+    async (req, res) => {
+      try {
+        const { userId, from, to } = req.query;
+
+        if (!userId || !from || !to) {
+          return res
+            .status(400)
+            .send({ error: "userId, from and to are required" });
+        }
+
+        const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+        const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+        if (
+          !datePattern.test(from) ||
+          !datePattern.test(to) ||
+          isNaN(days) ||
+          days < 1
+        ) {
+          return res.status(400).send({ error: "Invalid from or to date" });
+        }
+        if (days > MAX_EVALUATION_DAYS) {
+          return res.status(400).send({
+            error: `Range must not exceed ${MAX_EVALUATION_DAYS} days`,
+          });
+        }
+
+        const workingDays = await listWorkingDays(pool, userId, { from, to });
+        if (!workingDays) {
+          return res.status(404).send({ error: "User not found" });
+        }
+
+        res.status(200).send(workingDays);
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch working days" });
+      }
+    }
+  );
+
+  /**
+   * GET /admin/get-role-permissions
+   *
+   * Description:
+   *   Lists every role that has permissions, together with the full list of
+   *   permissions that can be granted.
+   *
+   * Successful Response (200):
+   *   {
+   *     "permissions": ["attendance:read", "locations:read", ...],
+   *     "roles": [
+   *       { "role": "developer", "permissions": ["attendance:read", ...] },
+   *       { "role": "teacher", "permissions": ["attendance:read", ...] }
+   *     ]
+   *   }
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch role permissions" }
+   */
+  router.get(
+    "/get-role-permissions",
+    requirePermission("roles:read"),
+    async (req, res) => {
+      try {
+        const result = await pool.query(
+          `SELECT role, array_agg(permission ORDER BY permission) AS permissions
+       FROM role_permissions
+       GROUP BY role
+       ORDER BY role ASC`
+        );
+
+        res.status(200).send({ permissions: PERMISSIONS, roles: result.rows });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch role permissions" });
+      }
+    }
+  );
+
+  /**
+   * PUT /admin/set-role-permissions
+   *
+   * Description:
+   *   Replaces the permission set of a role. An empty list removes all
+   *   permissions from the role.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "role": "teacher",                                   // string, required
+   *     "permissions": ["attendance:read", "users:read"]     // string[], required
+   *   }
+   *
+   * Successful Response (200):
+   *   {
+   *     "success": true,
+   *     "role": "teacher",
+   *     "permissions": ["attendance:read", "users:read"]
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "role and permissions are required" }
+   *     { "error": "Unknown permissions", "unknown": ["foo:bar"] }
+   *     { "error": "You cannot remove roles:write from your own role" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to set role permissions" }
+   */
+  router.put(
+    "/set-role-permissions",
+    requirePermission("roles:write"),
+    async (req, res) => {
+      try {
+        const { role, permissions } = req.body;
+
+        if (!role || !Array.isArray(permissions)) {
+          return res
+            .status(400)
+            .send({ error: "role and permissions are required" });
+        }
+
+        const unknown = permissions.filter((p) => !PERMISSIONS.includes(p));
+        if (unknown.length > 0) {
+          return res
+            .status(400)
+            .send({ error: "Unknown permissions", unknown });
+        }
+
+        // keep the caller able to undo their own change
+        if (role === req.user.role && !permissions.includes("roles:write")) {
+          return res.status(400).send({
+            error: "You cannot remove roles:write from your own role",
+          });
+        }
+
+        const before = await getRolePermissions(pool, role);
+
+        await withTransaction(pool, async (client) => {
+          await client.query("DELETE FROM role_permissions WHERE role = $1", [
+            role,
+          ]);
+          await client.query(
+            `INSERT INTO role_permissions (role, permission)
+         SELECT $1, unnest($2::text[])`,
+            [role, [...new Set(permissions)]]
+          );
+        });
+
+        const after = await getRolePermissions(pool, role);
+
+        await recordAudit(pool, req, {
+          action: "role_permissions.update",
+          entityType: "role",
+          entityId: role,
+          before: { permissions: before },
+          after: { permissions: after },
+        });
+
+        res.status(200).send({ success: true, role, permissions: after });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to set role permissions" });
+      }
+    }
+  );
+
+  /**
+   * POST /admin/force-logout
+   *
+   * Description:
+   *   Logs a user out everywhere: all of their sessions are revoked and any
+   *   2FA code from an unfinished login is discarded. Use it when a device is
+   *   reported stolen.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "userId": 4   // integer, required
+   *   }
+   *
+   * Successful Response (200):
+   *   {
+   *     "success": true,
+   *     "userId": 4,
+   *     "revoked": 2   // integer, number of sessions revoked
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "userId is required" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
    *
    *   500 Internal Server Error
-   *     { "error": "Failed to delete user" }
+   *     { "error": "Failed to log out user" }
    */
-  router.delete("/delete-user", async (req, res) => {
-    try {
-      const { userId } = req.body;
+  router.post(
+    "/force-logout",
+    requirePermission("sessions:write"),
+    async (req, res) => {
+      try {
+        const { userId } = req.body;
 
-      if (!userId) {
-        return res.status(400).send({ error: "userId is required" });
-      }
+        if (!userId) {
+          return res.status(400).send({ error: "userId is required" });
+        }
 
-      const result = await pool.query(
-        `DELETE FROM "User" WHERE user_id = $1 RETURNING *`,
-        [userId]
-      );
+        const revoked = await revokeAllSessions(pool, userId);
+        await pool.query("DELETE FROM user_2fa_codes WHERE user_id = $1", [
+          userId,
+        ]);
 
-      if (result.rowCount === 0) {
-        return res.status(404).send({ error: "User not found" });
+        await recordAudit(pool, req, {
+          action: "user.force_logout",
+          entityType: "user",
+          entityId: userId,
+          after: { revokedSessions: revoked },
+        });
+
+        res.status(200).send({ success: true, userId, revoked });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to log out user" });
       }
+    }
+  );
 
-      res.status(200).send({ success: true, deletedUserId: userId });
-    } catch (err) {
-      console.error(err);
-      res.status(500).send({ error: "Failed to delete user" });
+  /**
+   * GET /admin/get-locked-accounts
+   *
+   * Description:
+   *   Lists accounts and IP addresses that are currently blocked from logging
+   *   in or verifying 2FA codes after repeated failures.
+   *
+   * Successful Response (200):
+   *   {
+   *     "accounts": [
+   *       {
+   *         "userId": 4,
+   *         "name": "David Kim",
+   *         "email": "david@example.com",
+   *         "action": "login",
+   *         "failures": 5,
+   *         "lastFailedAt": "2025-12-23T09:00:00.000Z",
+   *         "lockedUntil": "2025-12-23T09:15:00.000Z"
+   *       }
+   *     ],
+   *     "ips": [
+   *       {
+   *         "ip": "203.0.113.7",
+   *         "action": "verify-2fa",
+   *         "failures": 50,
+   *         "lastFailedAt": "2025-12-23T09:00:00.000Z",
+   *         "lockedUntil": "2025-12-23T09:15:00.000Z"
+   *       }
+   *     ]
+   *   }
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch locked accounts" }
+   */
+  router.get(
+    "/get-locked-accounts",
+    requirePermission("security:read"),
+    async (req, res) => {
+      try {
+        const result = await pool.query(
+          `SELECT t.subject_type, t.subject, t.action, t.failures, t.last_failed_at, t.locked_until,
+              u.name, u.username_email
+       FROM auth_throttle t
+       LEFT JOIN "User" u
+         ON t.subject_type = 'user' AND u.user_id::text = t.subject
+       WHERE t.locked_until > NOW()
+       ORDER BY t.locked_until DESC`
+        );
+
+        const accounts = result.rows
+          .filter((row) => row.subject_type === "user")
+          .map((row) => ({
+            userId: Number(row.subject),
+            name: row.name,
+            email: row.username_email,
+            action: row.action,
+            failures: row.failures,
+            lastFailedAt: row.last_failed_at,
+            lockedUntil: row.locked_until,
+          }));
+
+        const ips = result.rows
+          .filter((row) => row.subject_type === "ip")
+          .map((row) => ({
+            ip: row.subject,
+            action: row.action,
+            failures: row.failures,
+            lastFailedAt: row.last_failed_at,
+            lockedUntil: row.locked_until,
+          }));
+
+        res.status(200).send({ accounts, ips });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch locked accounts" });
+      }
     }
-  });
+  );
 
   /**
-   * GET /admin/get-office-location
+   * POST /admin/unlock-account
    *
    * Description:
-   *   Retrieves Telkom University office location only (location_id = 1).
+   *   Clears the failed-attempt counters of an account or an IP address, for
+   *   every action. Pending 2FA codes are left untouched.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "userId": 4,            // integer, required unless ip is given
+   *     "ip": "203.0.113.7"     // string, required unless userId is given
+   *   }
    *
    * Successful Response (200):
    *   {
-   *     "locationId": 1,
-   *     "locationName": "Telkom University Bandung",
-   *     "latitude": -6.97321,
-   *     "longitude": 107.63014,
-   *     "radius": 50,
-   *     "createdAt": "2025-12-25T10:00:00.000Z"
+   *     "success": true,
+   *     "cleared": 2            // integer, number of counters removed
    *   }
    *
    * Error Responses:
-   *   404 Not Found
-   *     { "error": "Office location not found" }
+   *   400 Bad Request
+   *     { "error": "userId or ip is required" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
    *
    *   500 Internal Server Error
-   *     { "error": "Failed to fetch office location" }
+   *     { "error": "Failed to unlock account" }
    */
-  router.get("/get-office-location", async (req, res) => {
-    try {
-      const result = await pool.query(
-        `SELECT location_id, location_name, latitude, longitude, radius, created_at
-       FROM "Locations"
-       WHERE location_id = 1`
-      );
+  router.post(
+    "/unlock-account",
+    requirePermission("security:write"),
+    async (req, res) => {
+      try {
+        const { userId, ip } = req.body;
+
+        if (!userId && !ip) {
+          return res.status(400).send({ error: "userId or ip is required" });
+        }
 
-      if (result.rows.length === 0) {
-        return res.status(404).send({ error: "Office location not found" });
+        const result = await pool.query(
+          `DELETE FROM auth_throttle
+       WHERE (subject_type = 'user' AND subject = $1)
+          OR (subject_type = 'ip' AND subject = $2)
+       RETURNING *`,
+          [userId ? String(userId) : null, ip || null]
+        );
+
+        await recordAudit(pool, req, {
+          action: "throttle.clear",
+          entityType: userId ? "user" : "ip",
+          entityId: userId || ip,
+          before: { counters: result.rows },
+          after: { counters: [] },
+        });
+
+        res.status(200).send({ success: true, cleared: result.rowCount });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to unlock account" });
       }
+    }
+  );
+
+  /**
+   * GET /admin/get-audit-log
+   *
+   * Description:
+   *   Queries the audit trail of administrative changes, newest first.
+   *
+   * Query Parameters:
+   *   actorId (integer, optional)    - the admin who made the change
+   *   entityType (string, optional)  - "user", "location", "notification", "role", "ip"
+   *   entityId (string, optional)    - requires entityType
+   *   action (string, optional)      - e.g. "user.update"
+   *   from (ISO date, optional)      - inclusive lower bound on the timestamp
+   *   to (ISO date, optional)        - exclusive upper bound on the timestamp
+   *   limit (integer, optional)      - default 100, at most 500
+   *   offset (integer, optional)     - default 0
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "auditId": 42,
+   *       "actorUserId": 7,
+   *       "actorEmail": "amliste28@gmail.com",
+   *       "action": "user.update",
+   *       "entityType": "user",
+   *       "entityId": "4",
+   *       "before": { "user_id": 4, "name": "David Kim", ... },
+   *       "after": { "user_id": 4, "name": "David K.", ... },
+   *       "changes": { "name": { "before": "David Kim", "after": "David K." } },
+   *       "ipAddress": "203.0.113.7",
+   *       "createdAt": "2025-12-23T09:00:00.000Z"
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "Invalid from or to date" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch audit log" }
+   */
+  router.get(
+    "/get-audit-log",
+    requirePermission("audit:read"),
+    async (req, res) => {
+      try {
+        const { actorId, entityType, entityId, action, from, to } = req.query;
 
-      const row = result.rows[0];
+        if (
+          (from && isNaN(Date.parse(from))) ||
+          (to && isNaN(Date.parse(to)))
+        ) {
+          return res.status(400).send({ error: "Invalid from or to date" });
+        }
 
-      res.status(200).send({
-        locationId: row.location_id,
-        locationName: row.location_name,
-        latitude: row.latitude,
-        longitude: row.longitude,
-        radius: row.radius,
-        createdAt: row.created_at,
-      });
-    } catch (err) {
-      console.error(err);
-      res.status(500).send({ error: "Failed to fetch office location" });
+        const limit = Math.min(Number(req.query.limit) || 100, 500);
+        const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+        // build dynamic filter
+        const conditions = [];
+        const values = [];
+        let idx = 1;
+
+        if (actorId) {
+          conditions.push(`actor_user_id = $${idx++}`);
+          values.push(actorId);
+        }
+        if (entityType) {
+          conditions.push(`entity_type = $${idx++}`);
+          values.push(entityType);
+        }
+        if (entityId) {
+          conditions.push(`entity_id = $${idx++}`);
+          values.push(String(entityId));
+        }
+        if (action) {
+          conditions.push(`action = $${idx++}`);
+          values.push(action);
+        }
+        if (from) {
+          conditions.push(`created_at >= $${idx++}`);
+          values.push(from);
+        }
+        if (to) {
+          conditions.push(`created_at < $${idx++}`);
+          values.push(to);
+        }
+
+        const where = conditions.length
+          ? `WHERE ${conditions.join(" AND ")}`
+          : "";
+        values.push(limit, offset);
+
+        const result = await pool.query(
+          `SELECT * FROM audit_log
+       ${where}
+       ORDER BY created_at DESC, audit_id DESC
+       LIMIT $${idx++} OFFSET $${idx}`,
+          values
+        );
+
+        const entries = result.rows.map((row) => ({
+          auditId: row.audit_id,
+          actorUserId: row.actor_user_id,
+          actorEmail: row.actor_email,
+          action: row.action,
+          entityType: row.entity_type,
+          entityId: row.entity_id,
+          before: row.before_data,
+          after: row.after_data,
+          changes: row.changes,
+          ipAddress: row.ip_address,
+          createdAt: row.created_at,
+        }));
+
+        res.status(200).send(entries);
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch audit log" });
+      }
     }
-  });
+  );
+
+  /* --- REPORTS --- */
 
   /**
-   * POST /admin/set-office-location
+   * POST /admin/export-attendance
+   *
+   * Description:
+   *   Exports the attendance records of a date range with each user's name,
+   *   NIM/NIP and the location, as CSV or XLSX, or a printable PDF recap with
+   *   one line of totals per user and a signature block. Small reports are
+   *   sent right away; larger ones are written in the background and
+   *   downloaded from GET /admin/download-export.
    *
    * Request Body (JSON):
-   * {
-   *   "locationName": "Telkom University Bandung",
-   *   "latitude": -6.97321,
-   *   "longitude": 107.63014,
-   *   "radius": 50
-   * }
+   *   {
+   *     "format": "xlsx",          // "csv", "xlsx" or "pdf", required
+   *     "from": "2025-12-01",      // YYYY-MM-DD, required
+   *     "to": "2025-12-31",        // YYYY-MM-DD, required, at most 366 days after from
+   *     "role": "student",         // string, optional
+   *     "groupId": 4,              // integer, optional: the students of a class group
+   *     "locationId": 2,           // integer, optional: records taken at this location
+   *     "background": false        // boolean, optional: always write in the background
+   *   }
    *
    * Successful Response (200):
-   * {
-   *   "success": true,
-   *   "locationId": 1,
-   *   "locationName": "Telkom University Bandung",
-   *   "latitude": -6.97321,
-   *   "longitude": 107.63014,
-   *   "radius": 50
-   * }
+   *   The file, with its Content-Type and a file name such as
+   *   "attendance-2025-12-01-2025-12-31.xlsx" in Content-Disposition.
+   *
+   * Successful Response (202), for a report written in the background:
+   *   {
+   *     "exportId": 12,
+   *     "status": "pending",
+   *     "rowCount": 48210,
+   *     "download": "/admin/download-export?exportId=12"
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "format must be one of csv, xlsx, pdf" }
+   *     { "error": "from and to are required" }
+   *     { "error": "Invalid from or to date" }
+   *     { "error": "to must not be before from" }
+   *     { "error": "Range must not exceed 366 days" }
+   *     { "error": "groupId must be an integer" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to export attendance" }
+   *
+   * Notes:
+   *   - Dates and times are in campus time (the CAMPUS_TIMEZONE setting).
+   *     Absences are whole days and have no time. Voided records are left out.
+   *   - CSV is UTF-8 with a byte order mark so Excel reads names correctly;
+   *     values starting with =, +, - or @ are prefixed with ' so they are
+   *     not run as formulas.
+   *   - CSV and XLSX reports of more than EXPORT_SYNC_MAX_ROWS records
+   *     (default 5000) are written in the background. The requester is
+   *     notified when the file is ready; it can be downloaded for
+   *     EXPORT_TTL_HOURS (default 24).
+   *   - The PDF recap has the figures of GET /admin/get-attendance-summary
+   *     and ignores locationId.
    */
-  router.post("/set-office-location", async (req, res) => {
-    try {
-      const { locationName, latitude, longitude, radius } = req.body;
-
-      if (
-        !locationName ||
-        latitude === undefined ||
-        longitude === undefined ||
-        radius === undefined
-      ) {
-        return res.status(400).send({
-          error: "locationName, latitude, longitude, and radius are required",
+  router.post(
+    "/export-attendance",
+    requirePermission("attendance:read"),
+    async (req, res) => {
+      try {
+        const { format, background } = req.body;
+
+        if (!REPORT_FORMATS.includes(format)) {
+          return res.status(400).send({
+            error: `format must be one of ${REPORT_FORMATS.join(", ")}`,
+          });
+        }
+
+        const parsed = parseReportFilters(req.body);
+        if (parsed.error) {
+          return res.status(400).send({ error: parsed.error });
+        }
+        const { filters } = parsed;
+
+        const rowCount =
+          format === "pdf" ? null : await countReportRows(pool, filters);
+
+        if (background === true || rowCount > EXPORT_SYNC_MAX_ROWS) {
+          const reportExport = await createReportExport(
+            pool,
+            req.user.userId,
+            format,
+            filters
+          );
+
+          await recordAudit(pool, req, {
+            action: "report.export",
+            entityType: "report_export",
+            entityId: reportExport.export_id,
+            after: { format, ...filters, rowCount },
+          });
+
+          // the scheduler would pick it up within a minute; start it now
+          runPendingExports(pool).catch(console.error);
+
+          return res.status(202).send({
+            exportId: reportExport.export_id,
+            status: reportExport.status,
+            rowCount,
+            download: `/admin/download-export?exportId=${reportExport.export_id}`,
+          });
+        }
+
+        await recordAudit(pool, req, {
+          action: "report.export",
+          entityType: "report",
+          after: { format, ...filters, rowCount },
         });
+
+        res.type(REPORT_CONTENT_TYPES[format]);
+        res.attachment(reportFileName(format, filters));
+        await writeReport(pool, format, filters, res);
+      } catch (err) {
+        console.error(err);
+        if (res.headersSent) {
+          // the file is incomplete: cut the connection rather than end it
+          return res.destroy(err);
+        }
+        res.status(500).send({ error: "Failed to export attendance" });
       }
+    }
+  );
 
-      const existing = await pool.query(
-        `SELECT location_id FROM "Locations" WHERE location_id = 1`
-      );
+  /**
+   * GET /admin/get-exports
+   *
+   * Description:
+   *   Lists the caller's background exports, newest first.
+   *
+   * Query Parameters:
+   *   limit (integer, optional)   - default 100, at most 500
+   *   offset (integer, optional)  - default 0
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "exportId": 12,
+   *       "requestedBy": 1,
+   *       "format": "xlsx",
+   *       "filters": { "from": "2025-12-01", "to": "2025-12-31", "role": null, "groupId": null, "locationId": null },
+   *       "status": "succeeded",     // "pending", "running", "succeeded" or "failed"
+   *       "rowCount": 48210,
+   *       "fileSize": 2318734,
+   *       "error": null,
+   *       "createdAt": "2025-12-31T09:00:00.000Z",
+   *       "startedAt": "2025-12-31T09:00:01.000Z",
+   *       "finishedAt": "2025-12-31T09:00:40.000Z",
+   *       "expiresAt": "2026-01-01T09:00:40.000Z"
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch exports" }
+   */
+  router.get(
+    "/get-exports",
+    requirePermission("attendance:read"),
+    async (req, res) => {
+      try {
+        const limit = Math.min(Number(req.query.limit) || 100, 500);
+        const offset = Math.max(Number(req.query.offset) || 0, 0);
 
-      if (existing.rows.length === 0) {
-        await pool.query(
-          `INSERT INTO "Locations"
-         (location_id, location_name, latitude, longitude, radius, created_at)
-         VALUES (1, $1, $2, $3, $4, NOW())`,
-          [locationName, latitude, longitude, radius]
+        const result = await pool.query(
+          `SELECT * FROM report_exports
+           WHERE requested_by = $1
+           ORDER BY created_at DESC, export_id DESC
+           LIMIT $2 OFFSET $3`,
+          [req.user.userId, limit, offset]
         );
-      } else {
-        await pool.query(
-          `UPDATE "Locations"
-         SET location_name = $1,
-             latitude = $2,
-             longitude = $3,
-             radius = $4
-         WHERE location_id = 1`,
-          [locationName, latitude, longitude, radius]
+
+        res.status(200).send(result.rows.map(mapReportExport));
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch exports" });
+      }
+    }
+  );
+
+  /**
+   * GET /admin/download-export
+   *
+   * Description:
+   *   Downloads a finished background export.
+   *
+   * Query Parameters:
+   *   exportId (integer, required) - as returned by POST /admin/export-attendance
+   *
+   * Successful Response (200):
+   *   The file, with its Content-Type and file name in Content-Disposition.
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "exportId is required" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   404 Not Found
+   *     { "error": "Export not found" }
+   *
+   *   409 Conflict
+   *     { "error": "The export is not ready yet", "status": "running" }
+   *     { "error": "The export failed", "status": "failed" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch export" }
+   *
+   * Notes:
+   *   - Only the user who requested an export can download it. Expired
+   *     exports are deleted and answer 404.
+   */
+  router.get(
+    "/download-export",
+    requirePermission("attendance:read"),
+    async (req, res) => {
+      try {
+        const { exportId } = req.query;
+
+        if (!exportId) {
+          return res.status(400).send({ error: "exportId is required" });
+        }
+
+        const reportExport = await getReportExport(pool, exportId);
+        if (
+          !reportExport ||
+          reportExport.requested_by !== req.user.userId ||
+          reportExport.expires_at < new Date()
+        ) {
+          return res.status(404).send({ error: "Export not found" });
+        }
+        if (reportExport.status === "failed") {
+          return res
+            .status(409)
+            .send({ error: "The export failed", status: reportExport.status });
+        }
+        if (reportExport.status !== "succeeded") {
+          return res.status(409).send({
+            error: "The export is not ready yet",
+            status: reportExport.status,
+          });
+        }
+
+        res.type(REPORT_CONTENT_TYPES[reportExport.format]);
+        res.attachment(
+          reportFileName(reportExport.format, reportExport.filters)
         );
+        res.sendFile(getReportExportPath(reportExport), (err) => {
+          if (err && !res.headersSent) {
+            console.error(err);
+            res.status(500).send({ error: "Failed to fetch export" });
+          }
+        });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch export" });
       }
+    }
+  );
 
-      res.status(200).send({
-        success: true,
-        locationId: 1,
-        locationName,
-        latitude,
-        longitude,
-        radius,
-      });
+  /* --- JOBS --- */
+
+  /**
+   * GET /admin/get-jobs
+   *
+   * Description:
+   *   Lists the scheduled background jobs and when each runs next. A job is
+   *   locked while an API instance runs it.
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "name": "auto-checkout",
+   *       "intervalSeconds": 300,
+   *       "nextRunAt": "2025-12-23T23:05:00.000Z",
+   *       "lockedBy": null,             // "<hostname>:<pid>" while running
+   *       "lockedUntil": null,
+   *       "updatedAt": "2025-12-23T23:00:00.000Z"
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch jobs" }
+   */
+  router.get("/get-jobs", requirePermission("jobs:read"), async (req, res) => {
+    try {
+      const result = await pool.query(
+        "SELECT * FROM scheduled_jobs ORDER BY name"
+      );
+      res.status(200).send(result.rows.map(mapScheduledJob));
     } catch (err) {
       console.error(err);
-      res.status(500).send({ error: "Failed to set office location" });
+      res.status(500).send({ error: "Failed to fetch jobs" });
     }
   });
 
+  /**
+   * GET /admin/get-job-runs
+   *
+   * Description:
+   *   Lists past and running job runs, newest first.
+   *
+   * Query Parameters:
+   *   jobName (string, optional)  - e.g. "auto-checkout"
+   *   status (string, optional)   - "running", "succeeded", "failed" or "all" (default)
+   *   limit (integer, optional)   - default 100, at most 500
+   *   offset (integer, optional)  - default 0
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "runId": 120,
+   *       "jobName": "auto-checkout",
+   *       "instance": "api-1:4821",
+   *       "status": "succeeded",
+   *       "startedAt": "2025-12-23T23:00:00.000Z",
+   *       "finishedAt": "2025-12-23T23:00:01.000Z",
+   *       "result": { "closed": 3 },
+   *       "error": null
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "Invalid status" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "Insufficient permissions", "required": [...] }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch job runs" }
+   */
+  router.get(
+    "/get-job-runs",
+    requirePermission("jobs:read"),
+    async (req, res) => {
+      try {
+        const { jobName } = req.query;
+        const status = req.query.status || "all";
+
+        if (!["all", "running", "succeeded", "failed"].includes(status)) {
+          return res.status(400).send({ error: "Invalid status" });
+        }
+
+        const limit = Math.min(Number(req.query.limit) || 100, 500);
+        const offset = Math.max(Number(req.query.offset) || 0, 0);
+
+        const result = await pool.query(
+          `SELECT * FROM job_runs
+           WHERE ($1::varchar IS NULL OR job_name = $1)
+             AND ($2::varchar = 'all' OR status = $2)
+           ORDER BY started_at DESC, run_id DESC
+           LIMIT $3 OFFSET $4`,
+          [jobName || null, status, limit, offset]
+        );
+
+        res.status(200).send(result.rows.map(mapJobRun));
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to fetch job runs" });
+      }
+    }
+  );
+
   return router;
 }
@@ -1,15 +1,101 @@
 import express from "express";
-import nodemailer from "nodemailer";
 import otpGenerator from "otp-generator";
-import { getDistanceInMeters } from "../lib";
+import { createAuthMiddleware } from "../middleware/auth.js";
+import { parseGpsMetadata } from "../services/anomalies.js";
+import {
+  checkIn,
+  checkOut,
+  getOpenSession,
+  listSessionsByDay,
+  mapAttendanceSession,
+} from "../services/attendance.js";
+import {
+  createCorrection,
+  mapAttendanceCorrection,
+  parseCorrectionRequest,
+} from "../services/attendanceEdits.js";
+import {
+  MAX_EVALUATION_DAYS,
+  listWorkingDays,
+} from "../services/attendanceRules.js";
+import {
+  SYNC_MAX_EVENTS,
+  syncAttendanceEvents,
+} from "../services/attendanceSync.js";
+import {
+  createBackupCodes,
+  hasAuthenticator,
+  useTotpCode,
+  verifyAuthenticatorCode,
+} from "../services/authenticator.js";
+import {
+  QR_ROTATION_SECONDS,
+  getOpenCheckinWindow,
+  issueCheckinToken,
+  mapCheckinWindow,
+  openCheckinWindow,
+  verifyCheckinToken,
+} from "../services/checkinWindows.js";
+import { listClassAttendance, listUserSchedule } from "../services/courses.js";
+import { withTransaction } from "../services/db.js";
+import {
+  LEAVE_ATTACHMENT_MAX_BYTES,
+  LEAVE_ATTACHMENT_TYPES,
+  LEAVE_COLUMNS,
+  canReviewLeave,
+  cancelLeaveRequest,
+  createLeaveRequest,
+  getLeaveAttachmentPath,
+  getLeaveRequest,
+  mapLeaveRequest,
+  parseLeaveRequest,
+  reviewLeaveRequest,
+  saveLeaveAttachment,
+} from "../services/leave.js";
+import { sendMail } from "../services/mailer.js";
+import {
+  LOCATION_COLUMNS,
+  checkLocation,
+  mapLocation,
+  resolveLocation,
+} from "../services/locations.js";
+import { hashPassword, verifyPassword } from "../services/passwords.js";
+import { getRolePermissions } from "../services/permissions.js";
+import {
+  createSession,
+  listSessions,
+  revokeAllSessions,
+  revokeSession,
+  rotateSession,
+} from "../services/sessions.js";
+import { resolvePeriod, summarizeAttendance } from "../services/summaries.js";
+import {
+  THROTTLE,
+  clearFailures,
+  getRetryAfter,
+  recordFailure,
+  sendTooManyAttempts,
+  throttleSubjects,
+} from "../services/throttle.js";
+import { generateToken, hashToken } from "../services/tokens.js";
+import { buildOtpauthUri, generateTotpSecret } from "../services/totp.js";
 
 // API LIST:
 
 /* --- LOGIN & 2FA --- */
 // POST /user/login
 // POST /user/forget-password
+// POST /user/reset-password
 // POST /user/verify-2fa
 // POST /user/resend-2fa
+// POST /user/refresh-token
+// POST /user/logout
+// GET /user/get-sessions
+// POST /user/revoke-session
+// POST /user/revoke-sessions-all
+// POST /user/enroll-totp
+// POST /user/confirm-totp
+// POST /user/disable-totp
 
 /* --- NOTIFICATION --- */
 // GET /user/get-notification-latest
@@ -22,12 +108,38 @@ import { getDistanceInMeters } from "../lib";
 // POST /user/get-attendance-user
 // POST /user/checkin
 // POST /user/checkout
+// POST /user/sync-attendance
+// POST /user/add-correction-request
+// GET /user/get-correction-requests
+// GET /user/get-attendance-state
+// GET /user/get-attendance-sessions
+// GET /user/get-attendance-summary
+
+/* --- LEAVE --- */
+// POST /user/add-leave-request
+// POST /user/upload-leave-attachment
+// GET /user/get-leave-requests
+// POST /user/cancel-leave-request
+// GET /user/get-leave-reviews
+// POST /user/review-leave-request
+// GET /user/get-leave-attachment
+
+/* --- CLASSES --- */
+// GET /user/get-schedule
+// GET /user/get-working-days
+// GET /user/get-class-attendance
+// GET /user/get-class-summary
+// POST /user/open-checkin-window
+// GET /user/get-checkin-token
+// POST /user/close-checkin-window
 
 /* --- OFFICE --- */
-// POST /user/get-office-location
+// GET /user/get-office-location
+// GET /user/get-locations
 
 export function createUserRouter(pool) {
   const router = express.Router();
+  const requireAuth = createAuthMiddleware(pool);
 
   /**
    * POST /user/login
@@ -35,6 +147,8 @@ export function createUserRouter(pool) {
    * Description:
    *   Logs in a user by email and password. If credentials are correct,
    *   a 6-digit 2FA code is generated, stored in the database, and sent via email.
+   *   Users with an authenticator app enrolled get no email; they continue with
+   *   a TOTP or backup code instead.
    *
    * Request Body (JSON):
    *   {
@@ -46,7 +160,8 @@ export function createUserRouter(pool) {
    *   {
    *     "message": "Login successful, 2FA code sent",
    *     "userId": 1,                   // integer, the ID of the logged-in user
-   *     "email": "user@example.com"    // string, user’s email
+   *     "email": "user@example.com",   // string, user’s email
+   *     "twoFactorMethod": "email"     // "email" or "totp"
    *   }
    *
    * Error Responses:
@@ -57,12 +172,20 @@ export function createUserRouter(pool) {
    *     { "error": "User not found" }
    *     { "error": "Invalid password" }
    *
+   *   429 Too Many Requests (with a Retry-After header)
+   *     { "error": "Too many attempts, try again later", "retryAfter": 30 }
+   *
    *   500 Internal Server Error
    *     { "error": "Login failed" }
    *
    * Notes:
+   *   - Failed attempts are counted per account and per IP. Each failure adds an
+   *     exponentially growing delay; reaching AUTH_MAX_FAILURES_PER_ACCOUNT (5)
+   *     or AUTH_MAX_FAILURES_PER_IP (50) locks for AUTH_LOCKOUT_MINUTES (15).
+   *     No delay is longer than that lockout, and counting starts over once it
+   *     has run out. A successful login clears the account's and IP's counts.
    *   - The user must verify the 2FA code via POST /user/verify-2fa to complete login.
-   *   - No password hashing is implemented in this version.
+   *   - Legacy plaintext passwords are re-hashed on the first successful login.
    */
   router.post("/login", async (req, res) => {
     try {
@@ -79,22 +202,48 @@ export function createUserRouter(pool) {
         [email]
       );
 
-      if (result.rows.length === 0) {
-        return res.status(401).send({ error: "User not found" });
+      const user = result.rows[0];
+      const subjects = throttleSubjects(req, user && user.user_id);
+
+      const retryAfter = await getRetryAfter(pool, "login", subjects);
+      if (retryAfter > 0) {
+        return sendTooManyAttempts(res, retryAfter);
       }
 
-      const user = result.rows[0];
+      if (!user) {
+        await recordFailure(pool, "login", subjects);
+        return res.status(401).send({ error: "User not found" });
+      }
 
-      // pretend password check (not hashed)
-      if (user.password_hash !== password) {
+      const { valid, needsRehash } = await verifyPassword(
+        password,
+        user.password_hash
+      );
+      if (!valid) {
+        await recordFailure(pool, "login", subjects);
         return res.status(401).send({ error: "Invalid password" });
       }
 
-      // generate 6-digit 2FA code
-      const code = otpGenerator.generate(6, {
-        upperCaseAlphabets: false,
-        specialChars: false,
-      });
+      await clearFailures(pool, "login", subjects);
+
+      // upgrade legacy plaintext / outdated hashes
+      if (needsRehash) {
+        await pool.query(
+          'UPDATE "User" SET password_hash = $1 WHERE user_id = $2',
+          [await hashPassword(password), user.user_id]
+        );
+      }
+
+      const totpEnabled = await hasAuthenticator(pool, user.user_id);
+
+      // generate 6-digit 2FA code; for authenticator users the row only marks
+      // that the password step succeeded, so it gets an unguessable value
+      const code = totpEnabled
+        ? generateToken()
+        : otpGenerator.generate(6, {
+            upperCaseAlphabets: false,
+            specialChars: false,
+          });
 
       // delete any existing 2FA codes for this user
       await pool.query("DELETE FROM user_2fa_codes WHERE user_id = $1", [
@@ -107,20 +256,20 @@ export function createUserRouter(pool) {
         [user.user_id, code]
       );
 
-      // send code via email
-      const transporter = nodemailer.createTransport({
-        service: "gmail",
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_PASS,
-        },
-      });
+      if (totpEnabled) {
+        return res.status(200).send({
+          message: "Login successful, enter your authenticator code",
+          userId: user.user_id,
+          email: user.username_email,
+          twoFactorMethod: "totp",
+        });
+      }
 
-      await transporter.sendMail({
-        from: '"MyApp" <no-reply@myapp.com>',
+      // queue code via email
+      await sendMail(pool, {
         to: user.username_email,
-        subject: "Your 2FA code",
-        text: `Your 2FA code is: ${code}`,
+        template: "two-factor-code",
+        data: { code, minutes: 5 },
       });
 
       // response
@@ -128,6 +277,7 @@ export function createUserRouter(pool) {
         message: "Login successful, 2FA code sent",
         userId: user.user_id,
         email: user.username_email,
+        twoFactorMethod: "email",
       });
     } catch (err) {
       console.error(err);
@@ -139,63 +289,164 @@ export function createUserRouter(pool) {
    * POST /user/forget-password
    *
    * Description:
-   *   Resets a user's password. The user must provide their userId, email, and new password.
+   *   Starts a password reset. If an account with this email exists, a
+   *   single-use reset token valid for 30 minutes is emailed to it; any
+   *   earlier unused reset tokens for the account are invalidated.
+   *   The response is identical whether or not the account exists.
    *
    * Request Body (JSON):
    *   {
-   *     "userId": 1,                   // integer, required
-   *     "email": "user@example.com",   // string, required
-   *     "newPassword": "newpassword"   // string, required
+   *     "email": "user@example.com"   // string, required
    *   }
    *
    * Successful Response (200):
    *   {
-   *     "message": "Password updated successfully",
-   *     "userId": 1,
-   *     "email": "user@example.com"
+   *     "message": "If the account exists, a password reset email has been sent"
    *   }
    *
    * Error Responses:
    *   400 Bad Request
-   *     { "error": "userId, email and newPassword are required" }
-   *
-   *   404 Not Found
-   *     { "error": "User not found" }
+   *     { "error": "email is required" }
    *
    *   500 Internal Server Error
-   *     { "error": "Failed to reset password" }
+   *     { "error": "Failed to start password reset" }
+   *
+   * Notes:
+   *   - Complete the reset with POST /user/reset-password.
+   *   - If PASSWORD_RESET_URL is set, the email contains a link
+   *     `<PASSWORD_RESET_URL>?token=<token>` as well as the raw token.
    */
   router.post("/forget-password", async (req, res) => {
     try {
-      const { userId, email, newPassword } = req.body;
+      const { email } = req.body;
 
-      if (!userId || !email || !newPassword) {
-        return res.status(400).send({
-          error: "userId, email and newPassword are required",
-        });
+      if (!email) {
+        return res.status(400).send({ error: "email is required" });
       }
 
-      // check if user exists
       const userResult = await pool.query(
-        'SELECT * FROM "User" WHERE user_id = $1 AND username_email = $2',
-        [userId, email]
+        'SELECT user_id, username_email FROM "User" WHERE username_email = $1',
+        [email]
       );
 
-      if (userResult.rows.length === 0) {
-        return res.status(404).send({ error: "User not found" });
+      if (userResult.rows.length > 0) {
+        const user = userResult.rows[0];
+        const token = generateToken();
+
+        // invalidate any earlier reset tokens for this user
+        await pool.query(
+          "UPDATE password_reset_tokens SET used_at = NOW() WHERE user_id = $1 AND used_at IS NULL",
+          [user.user_id]
+        );
+
+        await pool.query(
+          `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+         VALUES ($1, $2, NOW() + INTERVAL '30 minutes')`,
+          [user.user_id, hashToken(token)]
+        );
+
+        // a mail failure must not reveal that the account exists
+        try {
+          await sendMail(pool, {
+            to: user.username_email,
+            template: "password-reset",
+            data: {
+              token,
+              link: process.env.PASSWORD_RESET_URL
+                ? `${process.env.PASSWORD_RESET_URL}?token=${token}`
+                : null,
+              minutes: 30,
+            },
+          });
+        } catch (mailErr) {
+          console.error(mailErr);
+        }
       }
 
-      // update password (not hashed)
-      await pool.query(
-        'UPDATE "User" SET password_hash = $1 WHERE user_id = $2',
-        [newPassword, userId]
-      );
-
       res.status(200).send({
-        message: "Password updated successfully",
-        userId,
-        email,
+        message: "If the account exists, a password reset email has been sent",
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to start password reset" });
+    }
+  });
+
+  /**
+   * POST /user/reset-password
+   *
+   * Description:
+   *   Completes a password reset started with POST /user/forget-password.
+   *   The token is consumed, the new password is stored, and all of the
+   *   user's pending 2FA codes and open sessions are revoked.
+   *
+   * Request Body (JSON):
+   *   {
+   *     "token": "Xy9f...",            // string, required, from the reset email
+   *     "newPassword": "newpassword"   // string, required
+   *   }
+   *
+   * Successful Response (200):
+   *   {
+   *     "message": "Password updated successfully"
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "token and newPassword are required" }
+   *     { "error": "Invalid or expired reset token" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to reset password" }
+   */
+  router.post("/reset-password", async (req, res) => {
+    try {
+      const { token, newPassword } = req.body;
+
+      if (!token || !newPassword) {
+        return res
+          .status(400)
+          .send({ error: "token and newPassword are required" });
+      }
+
+      const passwordHash = await hashPassword(newPassword);
+
+      // consume the token, store the password and revoke what the old one
+      // issued together, so a failure part-way changes nothing
+      const resetUserId = await withTransaction(pool, async (client) => {
+        // only one request can win this update
+        const tokenResult = await client.query(
+          `UPDATE password_reset_tokens
+         SET used_at = NOW()
+         WHERE token_hash = $1 AND used_at IS NULL AND expires_at > NOW()
+         RETURNING user_id`,
+          [hashToken(token)]
+        );
+        if (tokenResult.rows.length === 0) {
+          return null;
+        }
+
+        const userId = tokenResult.rows[0].user_id;
+
+        await client.query(
+          'UPDATE "User" SET password_hash = $1 WHERE user_id = $2',
+          [passwordHash, userId]
+        );
+        await client.query("DELETE FROM user_2fa_codes WHERE user_id = $1", [
+          userId,
+        ]);
+        await revokeAllSessions(client, userId);
+
+        return userId;
       });
+
+      if (!resetUserId) {
+        return res
+          .status(400)
+          .send({ error: "Invalid or expired reset token" });
+      }
+
+      res.status(200).send({ message: "Password updated successfully" });
     } catch (err) {
       console.error(err);
       res.status(500).send({ error: "Failed to reset password" });
@@ -206,20 +457,29 @@ export function createUserRouter(pool) {
    * POST /user/verify-2fa
    *
    * Description:
-   *   Verifies the 6-digit 2FA code sent to the user via email.
-   *   If the code is valid and not expired, it is consumed and login is completed.
+   *   Verifies the second factor after POST /user/login. Depending on the
+   *   user's method this is the 6-digit code sent via email, or a code from
+   *   their authenticator app or one of their backup codes.
+   *   If the code is valid and not expired, it is consumed, a session is opened
+   *   and an access token plus a refresh token are issued.
    *
    * Request Body (JSON):
    *   {
    *     "userId": 1,           // integer, required, the ID of the user attempting login
-   *     "code": "123456"       // string, required, the 6-digit 2FA code
+   *     "code": "123456",      // string, required, email code, TOTP code or backup code
+   *     "deviceName": "Pixel 7" // string, optional, shown in GET /user/get-sessions
    *   }
    *
    * Successful Response (200):
    *   {
    *     "message": "2FA verified",
    *     "userId": 1,                // integer, the verified user's ID
-   *     "email": "user@example.com" // string, the verified user's email
+   *     "email": "user@example.com", // string, the verified user's email
+   *     "factor": "email",              // "email", "totp" or "backup"
+   *     "accessToken": "eyJhbGciOi...", // string, send as "Authorization: Bearer <accessToken>"
+   *     "refreshToken": "q3V9...",      // string, exchange via POST /user/refresh-token
+   *     "tokenType": "Bearer",
+   *     "expiresIn": 900                // integer, access token lifetime in seconds
    *   }
    *
    * Error Responses:
@@ -229,48 +489,104 @@ export function createUserRouter(pool) {
    *   401 Unauthorized
    *     { "error": "Invalid or expired code" }
    *
+   *   429 Too Many Requests (with a Retry-After header)
+   *     { "error": "Too many attempts, try again later", "retryAfter": 30 }
+   *
    *   500 Internal Server Error
    *     { "error": "2FA verification failed" }
    *
    * Notes:
    *   - Once the code is verified, it is deleted from the database.
-   *   - The frontend can now consider the user fully authenticated.
+   *   - After OTP_MAX_ATTEMPTS (5) wrong guesses the pending code is deleted
+   *     and a new one has to be requested.
+   *   - Failed attempts are throttled per account and per IP like /user/login.
+   *   - Every other route outside LOGIN & 2FA requires the access token.
    */
   router.post("/verify-2fa", async (req, res) => {
     try {
-      const { userId, code } = req.body;
+      const { userId, code, deviceName } = req.body;
 
       if (!userId || !code) {
         return res.status(400).send({ error: "userId and code are required" });
       }
 
-      // check if code exists and is not expired
-      const codeResult = await pool.query(
-        "SELECT * FROM user_2fa_codes WHERE user_id = $1 AND code = $2 AND expires_at > NOW()",
-        [userId, code]
-      );
+      const subjects = throttleSubjects(req, userId);
+
+      const retryAfter = await getRetryAfter(pool, "verify-2fa", subjects);
+      if (retryAfter > 0) {
+        return sendTooManyAttempts(res, retryAfter);
+      }
+
+      const totpEnabled = await hasAuthenticator(pool, userId);
+
+      // the pending row is consumed (deleted) in the same statement that
+      // checks it, so two requests can never both use it; authenticator users
+      // only need the row from a recent password login, consumed once their
+      // code checks out
+      const consumePending = (withCode) =>
+        pool.query(
+          `DELETE FROM user_2fa_codes
+           WHERE user_id = $1 AND expires_at > NOW()
+             AND ($2::text IS NULL OR code = $2)
+           RETURNING user_id`,
+          [userId, withCode ? String(code) : null]
+        );
+
+      let factor = null;
+      if (!totpEnabled) {
+        const consumed = await consumePending(true);
+        factor = consumed.rows.length > 0 ? "email" : null;
+      } else {
+        const pending = await pool.query(
+          "SELECT 1 FROM user_2fa_codes WHERE user_id = $1 AND expires_at > NOW()",
+          [userId]
+        );
+        if (pending.rows.length > 0) {
+          factor = await verifyAuthenticatorCode(pool, userId, code);
+        }
+        if (factor && (await consumePending(false)).rows.length === 0) {
+          factor = null;
+        }
+      }
+
+      if (!factor) {
+        await recordFailure(pool, "verify-2fa", subjects);
+
+        // burn the pending code after too many wrong guesses
+        await pool.query(
+          "UPDATE user_2fa_codes SET failed_attempts = failed_attempts + 1 WHERE user_id = $1",
+          [userId]
+        );
+        await pool.query(
+          "DELETE FROM user_2fa_codes WHERE user_id = $1 AND failed_attempts >= $2",
+          [userId, THROTTLE.otpMaxAttempts]
+        );
 
-      if (codeResult.rows.length === 0) {
         return res.status(401).send({ error: "Invalid or expired code" });
       }
 
-      // consume the code (delete it)
-      await pool.query(
-        "DELETE FROM user_2fa_codes WHERE user_id = $1 AND code = $2",
-        [userId, code]
-      );
+      await clearFailures(pool, "verify-2fa", subjects);
 
-      // get user email
+      // get user email and role
       const userResult = await pool.query(
-        'SELECT username_email FROM "User" WHERE user_id = $1',
+        'SELECT user_id, username_email, role FROM "User" WHERE user_id = $1',
         [userId]
       );
 
+      const user = userResult.rows[0];
+      const tokens = await createSession(pool, user, {
+        deviceName: deviceName || null,
+        userAgent: req.get("user-agent") || null,
+        ip: req.ip,
+      });
+
       // response
       res.status(200).send({
         message: "2FA verified",
-        userId,
-        email: userResult.rows[0].username_email,
+        userId: user.user_id,
+        email: user.username_email,
+        factor,
+        ...tokens,
       });
     } catch (err) {
       console.error(err);
@@ -300,12 +616,19 @@ export function createUserRouter(pool) {
    * Error Responses:
    *   400 Bad Request
    *     { "error": "userId is required" }
+   *     { "error": "This account uses an authenticator app" }
    *
    *   404 Not Found
    *     { "error": "User not found" }
    *
+   *   429 Too Many Requests (with a Retry-After header)
+   *     { "error": "Please wait before requesting another code", "retryAfter": 42 }
+   *
    *   500 Internal Server Error
    *     { "error": "Failed to resend 2FA code" }
+   *
+   * Notes:
+   *   - A new code can be requested once every OTP_RESEND_COOLDOWN_SECONDS (60).
    */
   router.post("/resend-2fa", async (req, res) => {
     try {
@@ -325,6 +648,29 @@ export function createUserRouter(pool) {
 
       const email = userResult.rows[0].username_email;
 
+      if (await hasAuthenticator(pool, userId)) {
+        return res
+          .status(400)
+          .send({ error: "This account uses an authenticator app" });
+      }
+
+      // one code per cooldown period, so the inbox can't be flooded
+      const cooldownResult = await pool.query(
+        `SELECT CEIL(EXTRACT(EPOCH FROM MAX(created_at) + make_interval(secs => $2) - NOW()))::integer AS retry_after
+       FROM user_2fa_codes
+       WHERE user_id = $1`,
+        [userId, THROTTLE.resendCooldownSeconds]
+      );
+
+      const retryAfter = cooldownResult.rows[0].retry_after;
+      if (retryAfter > 0) {
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).send({
+          error: "Please wait before requesting another code",
+          retryAfter,
+        });
+      }
+
       // generate new 6-digit 2FA code
       const code = otpGenerator.generate(6, {
         upperCaseAlphabets: false,
@@ -342,20 +688,11 @@ export function createUserRouter(pool) {
         [userId, code]
       );
 
-      // send code via email
-      const transporter = nodemailer.createTransport({
-        service: "gmail",
-        auth: {
-          user: process.env.EMAIL_USER,
-          pass: process.env.EMAIL_PASS,
-        },
-      });
-
-      await transporter.sendMail({
-        from: `"MyApp" <no-reply@myapp.com>`,
+      // queue code via email
+      await sendMail(pool, {
         to: email,
-        subject: "Your new 2FA code",
-        text: `Your new 2FA code is: ${code}`,
+        template: "two-factor-code",
+        data: { code, minutes: 5 },
       });
 
       res.status(200).send({ message: "2FA code resent", userId, email });
@@ -366,421 +703,2602 @@ export function createUserRouter(pool) {
   });
 
   /**
-   * GET /user/get-notification-latest
+   * POST /user/refresh-token
    *
    * Description:
-   *   Retrieves the latest notification for a user.
+   *   Exchanges a refresh token for a new access token and refresh token.
+   *   The refresh token that was sent is invalidated.
    *
-   * Query Parameters:
-   *   userId (integer, required) - the ID of the user
+   * Request Body (JSON):
+   *   {
+   *     "refreshToken": "q3V9..."   // string, required
+   *   }
    *
    * Successful Response (200):
    *   {
-   *     "notificationId": 5,
-   *     "title": "Alert",
-   *     "message": "Unusual login attempt detected on your account.",
-   *     "createdAt": "2025-12-23T18:20:00.000Z"
+   *     "accessToken": "eyJhbGciOi...",
+   *     "refreshToken": "Zk1p...",
+   *     "tokenType": "Bearer",
+   *     "expiresIn": 900
    *   }
    *
    * Error Responses:
    *   400 Bad Request
-   *     { "error": "userId is required" }
+   *     { "error": "refreshToken is required" }
    *
-   *   404 Not Found
-   *     { "error": "No notifications found" }
+   *   401 Unauthorized
+   *     { "error": "Invalid or expired refresh token" }
    *
    *   500 Internal Server Error
-   *     { "error": "Failed to fetch latest notification" }
+   *     { "error": "Failed to refresh token" }
    */
-  router.get("/get-notification-latest", async (req, res) => {
+  router.post("/refresh-token", async (req, res) => {
     try {
-      const userId = req.query.userId;
-      if (!userId) {
-        return res.status(400).send({ error: "userId is required" });
+      const { refreshToken } = req.body;
+      if (!refreshToken) {
+        return res.status(400).send({ error: "refreshToken is required" });
       }
 
-      const result = await pool.query(
-        "SELECT notification_id, title, message, created_at FROM notifications WHERE user_id = $1 ORDER BY created_at DESC LIMIT 1",
-        [userId]
-      );
-
-      if (result.rows.length === 0) {
-        return res.status(404).send({ error: "No notifications found" });
+      const tokens = await rotateSession(pool, refreshToken, req.ip);
+      if (!tokens) {
+        return res
+          .status(401)
+          .send({ error: "Invalid or expired refresh token" });
       }
 
-      const row = result.rows[0];
-      res.status(200).send({
-        notificationId: row.notification_id,
-        title: row.title,
-        message: row.message,
-        createdAt: row.created_at,
-      });
+      res.status(200).send(tokens);
     } catch (err) {
       console.error(err);
-      res.status(500).send({ error: "Failed to fetch latest notification" });
+      res.status(500).send({ error: "Failed to refresh token" });
     }
   });
 
   /**
-   * GET /user/notifications
+   * POST /user/logout
    *
    * Description:
-   *   Retrieves all notifications for the user, ordered from newest to oldest.
+   *   Revokes the session behind the access token. Both the access token and
+   *   its refresh token stop working immediately.
    *
-   * Query Parameters:
-   *   userId (integer, required) - the ID of the user
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Successful Response (200):
+   *   { "message": "Logged out" }
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to log out" }
+   */
+  router.post("/logout", requireAuth, async (req, res) => {
+    try {
+      await revokeSession(pool, req.user.sessionId);
+      res.status(200).send({ message: "Logged out" });
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to log out" });
+    }
+  });
+
+  /**
+   * GET /user/get-sessions
+   *
+   * Description:
+   *   Lists the devices the authenticated user is logged in on, most recently
+   *   active first. The session making the request has "current": true.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
    *
    * Successful Response (200):
    *   [
    *     {
-   *       "notificationId": 1,
-   *       "title": "Welcome",
-   *       "message": "Thanks for signing up! We hope you enjoy our service.",
-   *       "createdAt": "2025-12-23T09:00:00.000Z"
+   *       "sessionId": 12,
+   *       "deviceName": "Pixel 7",
+   *       "userAgent": "okhttp/4.12.0",
+   *       "ipAddress": "203.0.113.7",
+   *       "createdAt": "2025-12-23T09:00:00.000Z",
+   *       "lastSeenAt": "2025-12-23T12:41:00.000Z",
+   *       "expiresAt": "2026-01-22T09:00:00.000Z",
+   *       "current": true
    *     },
    *     ...
    *   ]
    *
    * Error Responses:
-   *   400 Bad Request
-   *     { "error": "userId is required" }
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
    *
    *   500 Internal Server Error
-   *     { "error": "Failed to fetch notifications" }
+   *     { "error": "Failed to fetch sessions" }
    */
-  router.get("/get-notifications-all", async (req, res) => {
+  router.get("/get-sessions", requireAuth, async (req, res) => {
     try {
-      const userId = req.query.userId;
-      if (!userId) {
-        return res.status(400).send({ error: "userId is required" });
-      }
-
-      const result = await pool.query(
-        "SELECT notification_id, title, message, created_at FROM notifications WHERE user_id = $1 ORDER BY created_at DESC",
-        [userId]
+      const sessions = await listSessions(pool, req.user.userId);
+
+      res.status(200).send(
+        sessions.map((row) => ({
+          sessionId: row.session_id,
+          deviceName: row.device_name,
+          userAgent: row.user_agent,
+          ipAddress: row.ip_address,
+          createdAt: row.created_at,
+          lastSeenAt: row.last_seen_at,
+          expiresAt: row.expires_at,
+          current: row.session_id === req.user.sessionId,
+        }))
       );
-
-      const notifications = result.rows.map((row) => ({
-        notificationId: row.notification_id,
-        title: row.title,
-        message: row.message,
-        createdAt: row.created_at,
-      }));
-
-      res.status(200).send(notifications);
     } catch (err) {
       console.error(err);
-      res.status(500).send({ error: "Failed to fetch notifications" });
+      res.status(500).send({ error: "Failed to fetch sessions" });
     }
   });
 
   /**
-   * POST /user/get-user
+   * POST /user/revoke-session
    *
    * Description:
-   *   Retrieves a user by their ID. The userId is sent in the request body.
+   *   Logs out one of the authenticated user's sessions, e.g. a lost phone.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
    *
    * Request Body (JSON):
    *   {
-   *     "userId": 1   // integer, required
+   *     "sessionId": 12   // integer, required
    *   }
    *
    * Successful Response (200):
-   *   {
-   *     "userId": 1,
-   *     "name": "John Doe",
-   *     "email": "john@example.com",
-   *     "role": "admin",
-   *     "nim_nip": "123456789"
-   *   }
+   *   { "success": true, "sessionId": 12 }
    *
    * Error Responses:
    *   400 Bad Request
-   *     { "error": "userId is required" }
+   *     { "error": "sessionId is required" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
    *
    *   404 Not Found
-   *     { "error": "User not found" }
+   *     { "error": "Session not found" }
    *
    *   500 Internal Server Error
-   *     { "error": "Failed to fetch user" }
+   *     { "error": "Failed to revoke session" }
    */
-  router.post("/get-user", async (req, res) => {
+  router.post("/revoke-session", requireAuth, async (req, res) => {
     try {
-      const { userId } = req.body;
-      if (!userId) {
-        return res.status(400).send({ error: "userId is required" });
+      const { sessionId } = req.body;
+      if (!sessionId) {
+        return res.status(400).send({ error: "sessionId is required" });
       }
 
-      const result = await pool.query(
-        'SELECT user_id, name, username_email, role, nim_nip FROM "User" WHERE user_id = $1',
-        [userId]
-      );
-
-      if (result.rows.length === 0) {
-        return res.status(404).send({ error: "User not found" });
+      const revoked = await revokeSession(pool, sessionId, req.user.userId);
+      if (!revoked) {
+        return res.status(404).send({ error: "Session not found" });
       }
 
-      const user = result.rows[0];
-
-      res.status(200).send({
-        userId: user.user_id,
-        name: user.name,
-        email: user.username_email,
-        role: user.role,
-        nim_nip: user.nim_nip,
-      });
+      res.status(200).send({ success: true, sessionId });
     } catch (err) {
       console.error(err);
-      res.status(500).send({ error: "Failed to fetch user" });
+      res.status(500).send({ error: "Failed to revoke session" });
     }
   });
 
   /**
-   * POST /user/get-attendance-user
+   * POST /user/revoke-sessions-all
    *
    * Description:
-   *   Retrieves all attendance records for a user, ordered from newest to oldest.
+   *   Logs out all of the authenticated user's sessions. By default the
+   *   session making the request stays logged in.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
    *
    * Request Body (JSON):
    *   {
-   *     "userId": 1   // integer, required
+   *     "includeCurrent": false   // boolean, optional, also log out this session
    *   }
    *
    * Successful Response (200):
-   *   [
-   *     {
-   *       "attendanceId": 10,
-   *       "userId": 1,
-   *       "locationId": 2,
-   *       "type": "check-in",
-   *       "timestamp": "2025-12-23T09:00:00.000Z",
-   *       "userLatitude": 123.45,
-   *       "userLongitude": 67.89,
-   *       "status": "present",
-   *       "notes": "Arrived on time"
-   *     },
-   *     ...
-   *   ]
+   *   { "success": true, "revoked": 3 }
    *
    * Error Responses:
-   *   400 Bad Request
-   *     { "error": "userId is required" }
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
    *
    *   500 Internal Server Error
-   *     { "error": "Failed to fetch attendance" }
+   *     { "error": "Failed to revoke sessions" }
    */
-  router.post("/get-attendance-user", async (req, res) => {
+  router.post("/revoke-sessions-all", requireAuth, async (req, res) => {
     try {
-      const { userId } = req.body;
-
-      if (!userId) {
-        return res.status(400).send({ error: "userId is required" });
-      }
+      const { includeCurrent } = req.body || {};
 
-      const result = await pool.query(
-        `SELECT attendance_id, user_id, location_id, type, "timestamp", user_latitude, user_longitude, status, notes
-       FROM "Attendance"
-       WHERE user_id = $1
-       ORDER BY "timestamp" DESC`,
-        [userId]
+      const revoked = await revokeAllSessions(
+        pool,
+        req.user.userId,
+        includeCurrent ? null : req.user.sessionId
       );
 
-      const attendanceRecords = result.rows.map((row) => ({
-        attendanceId: row.attendance_id,
-        userId: row.user_id,
-        locationId: row.location_id,
-        type: row.type,
-        timestamp: row.timestamp,
-        userLatitude: row.user_latitude,
-        userLongitude: row.user_longitude,
-        status: row.status,
-        notes: row.notes,
+      res.status(200).send({ success: true, revoked });
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to revoke sessions" });
+    }
+  });
+
+  /**
+   * POST /user/enroll-totp
+   *
+   * Description:
+   *   Starts enrolling an authenticator app (RFC 6238 TOTP). Returns a new
+   *   secret and the otpauth:// URI to show as a QR code. The authenticator is
+   *   not used for login until it is confirmed with POST /user/confirm-totp.
+   *   Calling this again before confirming replaces the pending secret.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Successful Response (200):
+   *   {
+   *     "secret": "JBSWY3DPEHPK3PXP...",
+   *     "otpauthUri": "otpauth://totp/MyApp%3Auser%40example.com?secret=...&issuer=MyApp&..."
+   *   }
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   409 Conflict
+   *     { "error": "Authenticator already enrolled" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to start authenticator enrollment" }
+   */
+  router.post("/enroll-totp", requireAuth, async (req, res) => {
+    try {
+      const { userId, email } = req.user;
+
+      if (await hasAuthenticator(pool, userId)) {
+        return res
+          .status(409)
+          .send({ error: "Authenticator already enrolled" });
+      }
+
+      const secret = generateTotpSecret();
+
+      await pool.query(
+        `INSERT INTO user_totp (user_id, secret)
+       VALUES ($1, $2)
+       ON CONFLICT (user_id) DO UPDATE
+       SET secret = EXCLUDED.secret, last_used_step = NULL, created_at = NOW()`,
+        [userId, secret]
+      );
+
+      res.status(200).send({
+        secret,
+        otpauthUri: buildOtpauthUri(
+          secret,
+          email,
+          process.env.TOTP_ISSUER || "MyApp"
+        ),
+      });
+    } catch (err) {
+      console.error(err);
+      res
+        .status(500)
+        .send({ error: "Failed to start authenticator enrollment" });
+    }
+  });
+
+  /**
+   * POST /user/confirm-totp
+   *
+   * Description:
+   *   Confirms a pending authenticator enrollment with a code from the app.
+   *   From now on POST /user/login no longer emails codes and
+   *   POST /user/verify-2fa expects a TOTP code or a backup code.
+   *   Ten single-use backup codes are returned; they are shown only once.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Request Body (JSON):
+   *   {
+   *     "code": "123456"   // string, required, current code from the app
+   *   }
+   *
+   * Successful Response (200):
+   *   {
+   *     "message": "Authenticator enabled",
+   *     "backupCodes": ["k7m2p-x9qrt", ...]
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "code is required" }
+   *     { "error": "No pending authenticator enrollment" }
+   *     { "error": "Invalid code" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to confirm authenticator" }
+   */
+  router.post("/confirm-totp", requireAuth, async (req, res) => {
+    try {
+      const { userId } = req.user;
+      const { code } = req.body;
+
+      if (!code) {
+        return res.status(400).send({ error: "code is required" });
+      }
+
+      const pending = await pool.query(
+        "SELECT secret, last_used_step FROM user_totp WHERE user_id = $1 AND confirmed_at IS NULL",
+        [userId]
+      );
+
+      if (pending.rows.length === 0) {
+        return res
+          .status(400)
+          .send({ error: "No pending authenticator enrollment" });
+      }
+
+      if (!(await useTotpCode(pool, userId, pending.rows[0], code))) {
+        return res.status(400).send({ error: "Invalid code" });
+      }
+
+      await pool.query(
+        "UPDATE user_totp SET confirmed_at = NOW() WHERE user_id = $1",
+        [userId]
+      );
+      const backupCodes = await createBackupCodes(pool, userId);
+
+      res.status(200).send({ message: "Authenticator enabled", backupCodes });
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to confirm authenticator" });
+    }
+  });
+
+  /**
+   * POST /user/disable-totp
+   *
+   * Description:
+   *   Removes the user's authenticator and backup codes. Login falls back to
+   *   emailed 2FA codes.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Request Body (JSON):
+   *   {
+   *     "password": "userpassword"   // string, required
+   *   }
+   *
+   * Successful Response (200):
+   *   { "message": "Authenticator disabled" }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "password is required" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *     { "error": "Invalid password" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to disable authenticator" }
+   */
+  router.post("/disable-totp", requireAuth, async (req, res) => {
+    try {
+      const { userId } = req.user;
+      const { password } = req.body;
+
+      if (!password) {
+        return res.status(400).send({ error: "password is required" });
+      }
+
+      const userResult = await pool.query(
+        'SELECT password_hash FROM "User" WHERE user_id = $1',
+        [userId]
+      );
+      const { valid } = await verifyPassword(
+        password,
+        userResult.rows[0].password_hash
+      );
+      if (!valid) {
+        return res.status(401).send({ error: "Invalid password" });
+      }
+
+      await pool.query("DELETE FROM user_backup_codes WHERE user_id = $1", [
+        userId,
+      ]);
+      await pool.query("DELETE FROM user_totp WHERE user_id = $1", [userId]);
+
+      res.status(200).send({ message: "Authenticator disabled" });
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to disable authenticator" });
+    }
+  });
+
+  /**
+   * GET /user/get-notification-latest
+   *
+   * Description:
+   *   Retrieves the latest notification for the authenticated user.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Successful Response (200):
+   *   {
+   *     "notificationId": 5,
+   *     "title": "Alert",
+   *     "message": "Unusual login attempt detected on your account.",
+   *     "createdAt": "2025-12-23T18:20:00.000Z"
+   *   }
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   404 Not Found
+   *     { "error": "No notifications found" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch latest notification" }
+   */
+  router.get("/get-notification-latest", requireAuth, async (req, res) => {
+    try {
+      const { userId } = req.user;
+
+      const result = await pool.query(
+        "SELECT notification_id, title, message, created_at FROM notifications WHERE user_id = $1 ORDER BY created_at DESC LIMIT 1",
+        [userId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).send({ error: "No notifications found" });
+      }
+
+      const row = result.rows[0];
+      res.status(200).send({
+        notificationId: row.notification_id,
+        title: row.title,
+        message: row.message,
+        createdAt: row.created_at,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to fetch latest notification" });
+    }
+  });
+
+  /**
+   * GET /user/notifications
+   *
+   * Description:
+   *   Retrieves all notifications for the authenticated user, ordered from
+   *   newest to oldest.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "notificationId": 1,
+   *       "title": "Welcome",
+   *       "message": "Thanks for signing up! We hope you enjoy our service.",
+   *       "createdAt": "2025-12-23T09:00:00.000Z"
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch notifications" }
+   */
+  router.get("/get-notifications-all", requireAuth, async (req, res) => {
+    try {
+      const { userId } = req.user;
+
+      const result = await pool.query(
+        "SELECT notification_id, title, message, created_at FROM notifications WHERE user_id = $1 ORDER BY created_at DESC",
+        [userId]
+      );
+
+      const notifications = result.rows.map((row) => ({
+        notificationId: row.notification_id,
+        title: row.title,
+        message: row.message,
+        createdAt: row.created_at,
       }));
 
-      res.status(200).send(attendanceRecords);
+      res.status(200).send(notifications);
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to fetch notifications" });
+    }
+  });
+
+  /**
+   * POST /user/get-user
+   *
+   * Description:
+   *   Retrieves the profile of the authenticated user.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Successful Response (200):
+   *   {
+   *     "userId": 1,
+   *     "name": "John Doe",
+   *     "email": "john@example.com",
+   *     "role": "admin",
+   *     "nim_nip": "123456789"
+   *   }
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   404 Not Found
+   *     { "error": "User not found" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch user" }
+   */
+  router.post("/get-user", requireAuth, async (req, res) => {
+    try {
+      const { userId } = req.user;
+
+      const result = await pool.query(
+        'SELECT user_id, name, username_email, role, nim_nip FROM "User" WHERE user_id = $1',
+        [userId]
+      );
+
+      if (result.rows.length === 0) {
+        return res.status(404).send({ error: "User not found" });
+      }
+
+      const user = result.rows[0];
+
+      res.status(200).send({
+        userId: user.user_id,
+        name: user.name,
+        email: user.username_email,
+        role: user.role,
+        nim_nip: user.nim_nip,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to fetch user" });
+    }
+  });
+
+  /**
+   * POST /user/get-attendance-user
+   *
+   * Description:
+   *   Retrieves all attendance records for the authenticated user, ordered
+   *   from newest to oldest. Voided records are left out.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "attendanceId": 10,
+   *       "userId": 1,
+   *       "locationId": 2,
+   *       "type": "check-in",
+   *       "timestamp": "2025-12-23T09:00:00.000Z",
+   *       "userLatitude": 123.45,
+   *       "userLongitude": 67.89,
+   *       "distanceMeters": 12.4,
+   *       "status": "on_time",
+   *       "notes": "Arrived on time",
+   *       "classScheduleId": 7
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch attendance" }
+   */
+  router.post("/get-attendance-user", requireAuth, async (req, res) => {
+    try {
+      const { userId } = req.user;
+
+      const result = await pool.query(
+        `SELECT attendance_id, user_id, location_id, type, "timestamp", user_latitude, user_longitude, distance_meters, status, notes, class_schedule_id
+       FROM "Attendance"
+       WHERE user_id = $1 AND voided_at IS NULL
+       ORDER BY "timestamp" DESC`,
+        [userId]
+      );
+
+      const attendanceRecords = result.rows.map((row) => ({
+        attendanceId: row.attendance_id,
+        userId: row.user_id,
+        locationId: row.location_id,
+        type: row.type,
+        timestamp: row.timestamp,
+        userLatitude: row.user_latitude,
+        userLongitude: row.user_longitude,
+        distanceMeters: row.distance_meters,
+        status: row.status,
+        notes: row.notes,
+        classScheduleId: row.class_schedule_id,
+      }));
+
+      res.status(200).send(attendanceRecords);
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to fetch attendance" });
+    }
+  });
+
+  /**
+   * POST /user/checkin
+   *
+   * Description:
+   *   Records a check-in attendance for a user and opens an attendance
+   *   session. Only allowed while the user is checked out.
+   *   User MUST be inside the geofence of an active location (its boundary
+   *   polygon, or else its radius), allowing GEOFENCE_TOLERANCE_METERS of GPS error.
+   *   When several match, the nearest one is recorded along with the
+   *   measured distance (0 inside a boundary polygon).
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Request Body (JSON):
+   *   {
+   *     "userLatitude": -6.97,    // number, required
+   *     "userLongitude": 107.63,  // number, required
+   *     "notes": "optional note", // string, optional
+   *     "qrToken": "12.58871234.Jq4...",  // string, optional, from the QR code
+   *     "gpsAccuracy": 8.5,       // number, optional, meters
+   *     "altitude": 712.3,        // number, optional, meters
+   *     "deviceTimestamp": "2025-12-23T09:00:02.000Z", // string, optional
+   *     "isMockLocation": false   // boolean, optional
+   *   }
+   *
+   * Successful Response (200):
+   *   {
+   *     "message": "Check-in recorded",
+   *     "locationId": 2,
+   *     "locationName": "Gedung Deli",
+   *     "distanceMeters": 12.4,
+   *     "attendanceId": 10,
+   *     "timestamp": "2025-12-23T09:00:00.000Z",
+   *     "status": "late",                // "on_time", "late" or null
+   *     "sessionId": 4,
+   *     "underReview": false,
+   *     "classSession": {                // null when no class matches
+   *       "scheduleId": 7,
+   *       "date": "2025-12-23",
+   *       "startTime": "09:00:00",
+   *       "endTime": "10:40:00",
+   *       "groupId": 3,
+   *       "groupName": "IF-46-01",
+   *       "courseId": 2,
+   *       "courseCode": "CII2M3",
+   *       "courseName": "Algorithms"
+   *     }
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "userLatitude and userLongitude are required" }
+   *     { "error": "gpsAccuracy must be a non-negative number" }
+   *     { "error": "altitude must be a number" }
+   *     { "error": "deviceTimestamp must be an ISO date" }
+   *     { "error": "isMockLocation must be a boolean" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "You are outside the allowed check-in area" }
+   *     { "error": "Scan the QR code to check in here" }
+   *     { "error": "Invalid QR code" }
+   *     { "error": "This QR code has expired" }
+   *     { "error": "The check-in window is closed" }
+   *
+   *   409 Conflict
+   *     { "error": "You are already checked in" }
+   *     { "error": "This QR code has already been used" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to record check-in" }
+   *
+   * Notes:
+   *   - status rates the day's first check-in against the attendance rule of
+   *     the user's role; later check-ins and non-working days get null.
+   *   - While a check-in window is open at a location (see POST
+   *     /user/open-checkin-window), checking in there needs the qrToken it
+   *     currently shows. With a qrToken, the user must be inside that
+   *     window's location, and can use the window only once.
+   *   - The check-in is linked to a class session when the user teaches or
+   *     is enrolled in a class scheduled at that location, from
+   *     CLASS_CHECKIN_EARLY_MINUTES before its start until its end.
+   *   - The position is scored for signs of spoofing (mock location, zero
+   *     accuracy, impossible travel since the previous record, coordinates
+   *     identical to another user's). A suspicious check-in is still
+   *     recorded, with underReview true, and waits for an admin in GET
+   *     /admin/get-flagged-attendance.
+   */
+  router.post("/checkin", requireAuth, async (req, res) => {
+    try {
+      const { userId } = req.user;
+      const { userLatitude, userLongitude, notes, qrToken } = req.body;
+
+      if (userLatitude == null || userLongitude == null) {
+        return res.status(400).send({
+          error: "userLatitude and userLongitude are required",
+        });
+      }
+
+      const { gps, error: gpsError } = parseGpsMetadata(req.body);
+      if (gpsError) {
+        return res.status(400).send({ error: gpsError });
+      }
+
+      let match;
+      let checkinWindow = null;
+
+      if (qrToken) {
+        const verified = await verifyCheckinToken(pool, qrToken);
+        if (verified.error) {
+          return res.status(403).send({ error: verified.error });
+        }
+        checkinWindow = {
+          windowId: verified.window.window_id,
+          step: verified.step,
+        };
+
+        // the QR code names the location; the user still has to be there
+        match = await checkLocation(
+          pool,
+          verified.window.location_id,
+          userLatitude,
+          userLongitude
+        );
+      } else {
+        // nearest location whose geofence contains the user
+        match = await resolveLocation(pool, userLatitude, userLongitude);
+
+        if (
+          match &&
+          (await getOpenCheckinWindow(pool, match.location.location_id))
+        ) {
+          return res.status(403).send({
+            error: "Scan the QR code to check in here",
+          });
+        }
+      }
+
+      if (!match) {
+        return res.status(403).send({
+          error: "You are outside the allowed check-in area",
+        });
+      }
+
+      const result = await checkIn(pool, userId, {
+        locationId: match.location.location_id,
+        latitude: userLatitude,
+        longitude: userLongitude,
+        distance: match.distance,
+        notes,
+        gps,
+        checkinWindow,
+      });
+
+      if (result.error) {
+        return res.status(409).send({ error: result.error });
+      }
+
+      const { attendance, session } = result;
+
+      res.status(200).send({
+        message: "Check-in recorded",
+        locationId: match.location.location_id,
+        locationName: match.location.location_name,
+        distanceMeters: match.distance,
+        attendanceId: attendance.attendance_id,
+        timestamp: attendance.timestamp,
+        status: attendance.status,
+        sessionId: session.session_id,
+        underReview: attendance.review_status === "pending",
+        classSession: attendance.classSession,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to record check-in" });
+    }
+  });
+
+  /**
+   * POST /user/checkout
+   *
+   * Description:
+   *   Records a checkout attendance for a user and closes their open
+   *   attendance session. Only allowed while the user is checked in.
+   *   User MUST be inside the geofence of an active location (its boundary
+   *   polygon, or else its radius), allowing GEOFENCE_TOLERANCE_METERS of GPS error.
+   *   When several match, the nearest one is recorded along with the
+   *   measured distance (0 inside a boundary polygon).
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Request Body (JSON):
+   *   {
+   *     "userLatitude": -6.97,    // number, required
+   *     "userLongitude": 107.63,  // number, required
+   *     "notes": "optional note", // string, optional
+   *     "gpsAccuracy": 8.5,       // number, optional, meters
+   *     "altitude": 712.3,        // number, optional, meters
+   *     "deviceTimestamp": "2025-12-23T17:00:02.000Z", // string, optional
+   *     "isMockLocation": false   // boolean, optional
+   *   }
+   *
+   * Successful Response (200):
+   *   {
+   *     "message": "Checkout recorded",
+   *     "locationId": 2,
+   *     "locationName": "Gedung Deli",
+   *     "distanceMeters": 12.4,
+   *     "attendanceId": 11,
+   *     "timestamp": "2025-12-23T17:00:00.000Z",
+   *     "status": "on_time",             // "on_time", "early_leave" or null
+   *     "sessionId": 4,
+   *     "underReview": false,
+   *     "checkedInAt": "2025-12-23T09:00:00.000Z",
+   *     "durationSeconds": 28800
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "userLatitude and userLongitude are required" }
+   *     { "error": "gpsAccuracy must be a non-negative number" }
+   *     { "error": "altitude must be a number" }
+   *     { "error": "deviceTimestamp must be an ISO date" }
+   *     { "error": "isMockLocation must be a boolean" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "You are outside the allowed checkout area" }
+   *
+   *   409 Conflict
+   *     { "error": "You are not checked in" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to record checkout" }
+   *
+   * Notes:
+   *   - status rates the day's latest checkout against the attendance rule
+   *     of the user's role; an earlier checkout of the same day is reset to
+   *     null once a later one is recorded.
+   *   - Scored for spoofing like POST /user/checkin; underReview is true when
+   *     the checkout was flagged for an admin to review.
+   */
+  router.post("/checkout", requireAuth, async (req, res) => {
+    try {
+      const { userId } = req.user;
+      const { userLatitude, userLongitude, notes } = req.body;
+
+      if (userLatitude == null || userLongitude == null) {
+        return res.status(400).send({
+          error: "userLatitude and userLongitude are required",
+        });
+      }
+
+      const { gps, error: gpsError } = parseGpsMetadata(req.body);
+      if (gpsError) {
+        return res.status(400).send({ error: gpsError });
+      }
+
+      // nearest location whose geofence contains the user
+      const match = await resolveLocation(pool, userLatitude, userLongitude);
+
+      if (!match) {
+        return res.status(403).send({
+          error: "You are outside the allowed checkout area",
+        });
+      }
+
+      const result = await checkOut(pool, userId, {
+        locationId: match.location.location_id,
+        latitude: userLatitude,
+        longitude: userLongitude,
+        distance: match.distance,
+        notes,
+        gps,
+      });
+
+      if (result.error) {
+        return res.status(409).send({ error: result.error });
+      }
+
+      const { attendance, session } = result;
+
+      res.status(200).send({
+        message: "Checkout recorded",
+        locationId: match.location.location_id,
+        locationName: match.location.location_name,
+        distanceMeters: match.distance,
+        attendanceId: attendance.attendance_id,
+        timestamp: attendance.timestamp,
+        status: attendance.status,
+        sessionId: session.session_id,
+        underReview: attendance.review_status === "pending",
+        checkedInAt: session.checked_in_at,
+        durationSeconds: session.duration_seconds,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to record checkout" });
+    }
+  });
+
+  /**
+   * POST /user/sync-attendance
+   *
+   * Description:
+   *   Uploads check-ins and checkouts a device queued while it had no
+   *   connection. Each event is checked like POST /user/checkin and
+   *   POST /user/checkout, but at the time it was captured: that time is
+   *   recorded as its timestamp and is what it is rated against.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Request Body (JSON):
+   *   {
+   *     "events": [                          // 1 to 100 events, required
+   *       {
+   *         "idempotencyKey": "6f1c2a9e-...", // string, required, unique per user
+   *         "type": "check-in",              // "check-in" or "checkout", required
+   *         "capturedAt": "2025-12-23T09:02:11.000Z",  // ISO date, required
+   *         "userLatitude": -6.97,           // number, required
+   *         "userLongitude": 107.63,         // number, required
+   *         "notes": "optional note",        // string, optional
+   *         "gpsAccuracy": 8.5,              // optional, as for /user/checkin
+   *         "altitude": 712.3,               // optional
+   *         "isMockLocation": false          // optional
+   *       },
+   *       ...
+   *     ]
+   *   }
+   *
+   * Successful Response (200):
+   *   {
+   *     "accepted": 1,
+   *     "duplicates": 1,
+   *     "rejected": 1,
+   *     "results": [                         // in the order sent
+   *       {
+   *         "index": 0,
+   *         "idempotencyKey": "6f1c2a9e-...",
+   *         "type": "check-in",
+   *         "capturedAt": "2025-12-23T09:02:11.000Z",
+   *         "result": "accepted",
+   *         "attendanceId": 10,
+   *         "timestamp": "2025-12-23T09:02:11.000Z",
+   *         "locationId": 2,
+   *         "distanceMeters": 12.4,
+   *         "status": "on_time",
+   *         "sessionId": 4,
+   *         "underReview": false
+   *       },
+   *       {
+   *         "index": 1,
+   *         "idempotencyKey": "6f1c2a9e-...",
+   *         "type": "check-in",
+   *         "capturedAt": "2025-12-23T09:02:11.000Z",
+   *         "result": "duplicate",
+   *         "attendanceId": 10
+   *       },
+   *       {
+   *         "index": 2,
+   *         "idempotencyKey": "0b7d44c1-...",
+   *         "result": "rejected",
+   *         "error": "Events must be synced within 24 hours"
+   *       }
+   *     ]
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "events must be a non-empty array" }
+   *     { "error": "At most 100 events can be synced at once" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to sync attendance" }
+   *
+   * Notes:
+   *   - Events are recorded oldest capture first, each on its own. An event
+   *     captured before the user's latest recorded check-in or checkout is
+   *     rejected, as is one older than SYNC_MAX_DELAY_HOURS (default 24).
+   *   - Sending an idempotencyKey that was already recorded returns
+   *     "duplicate" with the original attendanceId, so a batch can safely be
+   *     sent again after a lost response.
+   *   - Geofences are checked as they are now. Check-ins at a location whose
+   *     QR check-in window was open at capture time are rejected, since the
+   *     QR code cannot be verified afterwards.
+   *   - Rejections use the error messages of /user/checkin and
+   *     /user/checkout, plus the event validation messages.
+   */
+  router.post("/sync-attendance", requireAuth, async (req, res) => {
+    try {
+      const { events } = req.body;
+
+      if (!Array.isArray(events) || events.length === 0) {
+        return res
+          .status(400)
+          .send({ error: "events must be a non-empty array" });
+      }
+      if (events.length > SYNC_MAX_EVENTS) {
+        return res.status(400).send({
+          error: `At most ${SYNC_MAX_EVENTS} events can be synced at once`,
+        });
+      }
+
+      const results = await syncAttendanceEvents(pool, req.user.userId, events);
+
+      const count = (result) =>
+        results.filter((outcome) => outcome.result === result).length;
+
+      res.status(200).send({
+        accepted: count("accepted"),
+        duplicates: count("duplicate"),
+        rejected: count("rejected"),
+        results,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to sync attendance" });
+    }
+  });
+
+  /**
+   * POST /user/add-correction-request
+   *
+   * Description:
+   *   Disputes one of the user's attendance records. An admin reviews the
+   *   request (GET /admin/get-correction-requests) and, when approving it,
+   *   the change is applied with the original kept in the record's history.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Request Body (JSON):
+   *   {
+   *     "attendanceId": 10,              // integer, required, the record in question
+   *     "action": "add",                 // "add", "edit" or "void", required
+   *     "requestedType": "checkout",     // "check-in" or "checkout"; add: required
+   *     "requestedTimestamp": "2025-12-23T16:00:00+07:00",  // ISO date; add: required
+   *     "requestedLocationId": 2,        // integer, optional
+   *     "reason": "Forgot to check out at 16:00"  // string, required
+   *   }
+   *
+   * Successful Response (201):
+   *   {
+   *     "success": true,
+   *     "correctionId": 5,
+   *     "userId": 4,
+   *     "attendanceId": 10,
+   *     "action": "add",
+   *     "requestedType": "checkout",
+   *     "requestedTimestamp": "2025-12-23T09:00:00.000Z",
+   *     "requestedLocationId": null,
+   *     "reason": "Forgot to check out at 16:00",
+   *     "status": "pending",             // "pending", "approved" or "rejected"
+   *     "reviewedBy": null,
+   *     "reviewedAt": null,
+   *     "reviewNote": null,
+   *     "createdAt": "2025-12-23T18:00:00.000Z",
+   *     "updatedAt": "2025-12-23T18:00:00.000Z"
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "attendanceId, action and reason are required" }
+   *     { "error": "action must be one of add, edit, void" }
+   *     { "error": "requestedType and requestedTimestamp are required" }
+   *     { "error": "requestedType or requestedTimestamp is required" }
+   *     { "error": "type must be \"check-in\" or \"checkout\"" }
+   *     { "error": "Invalid timestamp" }
+   *     { "error": "timestamp must not be in the future" }
+   *     { "error": "requestedLocationId is required" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   404 Not Found
+   *     { "error": "Attendance record not found" }
+   *
+   *   409 Conflict
+   *     { "error": "Voided records cannot be changed" }
+   *     { "error": "Only check-in and checkout records can be changed" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to add correction request" }
+   *
+   * Notes:
+   *   - "add" records a missing check-in or checkout, e.g. against the day's
+   *     check-in or absence; its location defaults to that record's.
+   *     "edit" changes the record's type and/or time, "void" cancels it.
+   */
+  router.post("/add-correction-request", requireAuth, async (req, res) => {
+    try {
+      const { request, error } = parseCorrectionRequest(req.body);
+      if (error) {
+        return res.status(400).send({ error });
+      }
+
+      const row = await createCorrection(pool, req.user.userId, request);
+      if (row.error) {
+        const status =
+          row.error === "Attendance record not found"
+            ? 404
+            : row.error === "requestedLocationId is required"
+            ? 400
+            : 409;
+        return res.status(status).send({ error: row.error });
+      }
+
+      res.status(201).send({ success: true, ...mapAttendanceCorrection(row) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to add correction request" });
+    }
+  });
+
+  /**
+   * GET /user/get-correction-requests
+   *
+   * Description:
+   *   Lists the authenticated user's correction requests, newest first.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "correctionId": 5,
+   *       ...                      // as in POST /user/add-correction-request
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch correction requests" }
+   */
+  router.get("/get-correction-requests", requireAuth, async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT * FROM attendance_corrections
+         WHERE user_id = $1
+         ORDER BY created_at DESC, correction_id DESC`,
+        [req.user.userId]
+      );
+
+      res.status(200).send(result.rows.map(mapAttendanceCorrection));
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to fetch correction requests" });
+    }
+  });
+
+  /**
+   * GET /user/get-attendance-state
+   *
+   * Description:
+   *   Tells whether the authenticated user is currently checked in, and if
+   *   so, since when and where.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Successful Response (200):
+   *   {
+   *     "state": "checked-in",       // "checked-in" or "checked-out"
+   *     "openSession": {             // null when checked out
+   *       "sessionId": 4,
+   *       "userId": 1,
+   *       "locationId": 2,
+   *       "checkoutLocationId": null,
+   *       "checkinAttendanceId": 10,
+   *       "checkoutAttendanceId": null,
+   *       "checkedInAt": "2025-12-23T09:00:00.000Z",
+   *       "checkedOutAt": null,
+   *       "durationSeconds": null,
+   *       "autoCheckout": false
+   *     }
+   *   }
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch attendance state" }
+   */
+  router.get("/get-attendance-state", requireAuth, async (req, res) => {
+    try {
+      const open = await getOpenSession(pool, req.user.userId);
+
+      res.status(200).send({
+        state: open ? "checked-in" : "checked-out",
+        openSession: open && mapAttendanceSession(open),
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to fetch attendance state" });
+    }
+  });
+
+  /**
+   * GET /user/get-attendance-sessions
+   *
+   * Description:
+   *   Lists the authenticated user's attendance sessions (a check-in paired
+   *   with its checkout) grouped per day, newest first.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Query Parameters:
+   *   from (YYYY-MM-DD, optional) - first day to include
+   *   to (YYYY-MM-DD, optional)   - last day to include
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "date": "2025-12-23",
+   *       "totalSeconds": 28800,
+   *       "sessions": [
+   *         {
+   *           "sessionId": 4,
+   *           "userId": 1,
+   *           "locationId": 2,
+   *           "checkoutLocationId": 2,
+   *           "checkinAttendanceId": 10,
+   *           "checkoutAttendanceId": 11,
+   *           "checkedInAt": "2025-12-23T09:00:00.000Z",
+   *           "checkedOutAt": "2025-12-23T17:00:00.000Z",
+   *           "durationSeconds": 28800,
+   *           "autoCheckout": false
+   *         }
+   *       ]
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "Invalid from or to date" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch attendance sessions" }
+   *
+   * Notes:
+   *   - A session belongs to the day it was checked in on.
+   *   - An open session has a null checkout and duration and does not count
+   *     towards totalSeconds.
+   */
+  router.get("/get-attendance-sessions", requireAuth, async (req, res) => {
+    try {
+      const { from, to } = req.query;
+
+      if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+        return res.status(400).send({ error: "Invalid from or to date" });
+      }
+
+      const days = await listSessionsByDay(pool, req.user.userId, {
+        from,
+        to,
+      });
+
+      res.status(200).send(days);
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to fetch attendance sessions" });
+    }
+  });
+
+  /**
+   * GET /user/get-attendance-summary
+   *
+   * Description:
+   *   Totals the authenticated user's attendance over a day, week, month or
+   *   semester: time present, days attended, late arrivals, absences and
+   *   average arrival time.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Query Parameters:
+   *   period (string, optional)    - "day", "week" (default), "month" or "semester"
+   *   date (YYYY-MM-DD, optional)  - any day in the period, defaults to today
+   *
+   * Successful Response (200):
+   *   {
+   *     "period": "week",
+   *     "from": "2025-12-22",
+   *     "to": "2025-12-28",
+   *     "timezone": "Asia/Jakarta",
+   *     "userId": 1,
+   *     "name": "Alice Johnson",
+   *     "nimNip": "NIM12345",
+   *     "workedSeconds": 108000,
+   *     "workedHours": 30,
+   *     "daysAttended": 4,
+   *     "lateCount": 1,
+   *     "absentCount": 1,
+   *     "excusedCount": 0,
+   *     "autoCheckoutCount": 0,        // sessions closed by the automatic checkout
+   *     "averageArrivalTime": "07:42"  // campus time, null without attendance
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "period must be one of day, week, month, semester" }
+   *     { "error": "Invalid date" }
+   *     { "error": "No semester in the calendar covers 2025-12-23" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch attendance summary" }
+   *
+   * Notes:
+   *   - Weeks run from Monday to Sunday. Semesters come from the academic
+   *     calendar (entries of kind "semester").
+   *   - Days and arrival times are in campus time. Worked time counts the
+   *     closed sessions that started in the period.
+   */
+  router.get("/get-attendance-summary", requireAuth, async (req, res) => {
+    try {
+      const { period = "week", date } = req.query;
+
+      const range = await resolvePeriod(pool, { period, date });
+      if (range.error) {
+        return res.status(400).send({ error: range.error });
+      }
+
+      const { users } = await summarizeAttendance(pool, {
+        ...range,
+        userId: req.user.userId,
+      });
+
+      res.status(200).send({ period, ...range, ...users[0] });
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to fetch attendance summary" });
+    }
+  });
+
+  async function hasLeavePermission(req, permission) {
+    const granted = await getRolePermissions(pool, req.user.role);
+    return granted.includes(permission);
+  }
+
+  const readAttachment = express.raw({
+    type: Object.keys(LEAVE_ATTACHMENT_TYPES),
+    limit: LEAVE_ATTACHMENT_MAX_BYTES,
+  });
+
+  // express.raw, answering an oversized upload with JSON
+  function acceptAttachment(req, res, next) {
+    readAttachment(req, res, (err) => {
+      if (err && err.type === "entity.too.large") {
+        return res.status(413).send({
+          error: `Attachment must not exceed ${LEAVE_ATTACHMENT_MAX_BYTES} bytes`,
+        });
+      }
+      next(err);
+    });
+  }
+
+  /**
+   * POST /user/add-leave-request
+   *
+   * Description:
+   *   Requests leave for a range of days. Once approved, the days count as
+   *   excused instead of absent.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Request Body (JSON):
+   *   {
+   *     "type": "sakit",             // "izin", "sakit" or "dispensasi", required
+   *     "startDate": "2025-12-22",   // YYYY-MM-DD, required
+   *     "endDate": "2025-12-23",     // YYYY-MM-DD, required, inclusive
+   *     "reason": "Fever",           // string, required
+   *     "reviewerId": 7              // integer, optional, a teacher of one of your classes
+   *   }
+   *
+   * Successful Response (201):
+   *   {
+   *     "success": true,
+   *     "leaveId": 3,
+   *     "userId": 4,
+   *     "type": "sakit",
+   *     "startDate": "2025-12-22",
+   *     "endDate": "2025-12-23",
+   *     "reason": "Fever",
+   *     "status": "pending",          // "pending", "approved", "rejected" or "cancelled"
+   *     "reviewerId": 7,
+   *     "reviewedBy": null,
+   *     "reviewedAt": null,
+   *     "reviewNote": null,
+   *     "attachment": null,           // see POST /user/upload-leave-attachment
+   *     "createdAt": "2025-12-22T07:00:00.000Z",
+   *     "updatedAt": "2025-12-22T07:00:00.000Z"
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "type, startDate, endDate and reason are required" }
+   *     { "error": "type must be one of izin, sakit, dispensasi" }
+   *     { "error": "Invalid startDate or endDate" }
+   *     { "error": "Leave must not exceed 30 days" }
+   *     { "error": "reviewerId must be a teacher of one of your classes" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to add leave request" }
+   *
+   * Notes:
+   *   - The reviewer is notified. Without a reviewerId, the request waits
+   *     for an admin (GET /admin/get-leave-requests).
+   */
+  router.post("/add-leave-request", requireAuth, async (req, res) => {
+    try {
+      const { userId } = req.user;
+      const { reviewerId } = req.body;
+
+      const { leave, error } = parseLeaveRequest(req.body);
+      if (error) {
+        return res.status(400).send({ error });
+      }
+
+      if (reviewerId != null) {
+        const teacher = await pool.query(
+          `SELECT 1 FROM class_groups g
+           JOIN enrollments e ON e.group_id = g.group_id
+           WHERE g.teacher_id = $1 AND e.user_id = $2
+           LIMIT 1`,
+          [reviewerId, userId]
+        );
+        if (teacher.rows.length === 0) {
+          return res.status(400).send({
+            error: "reviewerId must be a teacher of one of your classes",
+          });
+        }
+      }
+
+      const row = await createLeaveRequest(pool, userId, {
+        ...leave,
+        reviewerId,
+      });
+
+      res.status(201).send({ success: true, ...mapLeaveRequest(row) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to add leave request" });
+    }
+  });
+
+  /**
+   * POST /user/upload-leave-attachment
+   *
+   * Description:
+   *   Attaches a file (a doctor's note, an official letter) to one of the
+   *   user's pending leave requests, replacing any earlier attachment. The
+   *   request body is the file itself, not JSON.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *   Content-Type: application/pdf         // application/pdf, image/jpeg or image/png
+   *   X-File-Name: surat-dokter.pdf         // optional, URL-encoded original name
+   *
+   * Query Parameters:
+   *   leaveId (integer, required) - the leave request
+   *
+   * Successful Response (200):
+   *   {
+   *     "success": true,
+   *     "leaveId": 3,
+   *     ...,                                  // as in POST /user/add-leave-request
+   *     "attachment": {
+   *       "fileName": "surat-dokter.pdf",
+   *       "contentType": "application/pdf",
+   *       "size": 183022
+   *     }
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "leaveId is required" }
+   *     { "error": "Attachment is empty" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   404 Not Found
+   *     { "error": "Leave request not found" }
+   *
+   *   409 Conflict
+   *     { "error": "Leave request has already been decided" }
+   *
+   *   413 Payload Too Large
+   *     { "error": "Attachment must not exceed 5242880 bytes" }
+   *
+   *   415 Unsupported Media Type
+   *     { "error": "Attachment must be a PDF, JPEG or PNG file" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to upload attachment" }
+   *
+   * Notes:
+   *   - The size limit is LEAVE_ATTACHMENT_MAX_BYTES (default 5 MB).
+   */
+  router.post(
+    "/upload-leave-attachment",
+    requireAuth,
+    acceptAttachment,
+    async (req, res) => {
+      try {
+        const { leaveId } = req.query;
+
+        if (!leaveId) {
+          return res.status(400).send({ error: "leaveId is required" });
+        }
+        if (!Buffer.isBuffer(req.body)) {
+          return res
+            .status(415)
+            .send({ error: "Attachment must be a PDF, JPEG or PNG file" });
+        }
+        if (req.body.length === 0) {
+          return res.status(400).send({ error: "Attachment is empty" });
+        }
+
+        const leave = await getLeaveRequest(pool, leaveId);
+        if (!leave || leave.user_id !== req.user.userId) {
+          return res.status(404).send({ error: "Leave request not found" });
+        }
+        if (leave.status !== "pending") {
+          return res
+            .status(409)
+            .send({ error: "Leave request has already been decided" });
+        }
+
+        let fileName = null;
+        try {
+          fileName = req.get("X-File-Name")
+            ? decodeURIComponent(req.get("X-File-Name"))
+            : null;
+        } catch {
+          fileName = req.get("X-File-Name");
+        }
+
+        const row = await saveLeaveAttachment(pool, leave, {
+          data: req.body,
+          contentType: req.get("Content-Type").split(";")[0].trim(),
+          fileName: fileName && fileName.split(/[\\/]/).pop().slice(0, 255),
+        });
+
+        res.status(200).send({ success: true, ...mapLeaveRequest(row) });
+      } catch (err) {
+        console.error(err);
+        res.status(500).send({ error: "Failed to upload attachment" });
+      }
+    }
+  );
+
+  /**
+   * GET /user/get-leave-requests
+   *
+   * Description:
+   *   Lists the authenticated user's leave requests, newest first.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "leaveId": 3,
+   *       ...                      // as in POST /user/add-leave-request
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch leave requests" }
+   */
+  router.get("/get-leave-requests", requireAuth, async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT ${LEAVE_COLUMNS} FROM leave_requests
+         WHERE user_id = $1
+         ORDER BY created_at DESC, leave_id DESC`,
+        [req.user.userId]
+      );
+
+      res.status(200).send(result.rows.map(mapLeaveRequest));
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to fetch leave requests" });
+    }
+  });
+
+  /**
+   * POST /user/cancel-leave-request
+   *
+   * Description:
+   *   Withdraws one of the user's leave requests while it is still pending.
+   *   The reviewer is notified.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Request Body (JSON):
+   *   {
+   *     "leaveId": 3   // integer, required
+   *   }
+   *
+   * Successful Response (200):
+   *   {
+   *     "success": true,
+   *     "leaveId": 3,
+   *     "status": "cancelled"
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "leaveId is required" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   404 Not Found
+   *     { "error": "Leave request not found" }
+   *
+   *   409 Conflict
+   *     { "error": "Leave request has already been decided" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to cancel leave request" }
+   */
+  router.post("/cancel-leave-request", requireAuth, async (req, res) => {
+    try {
+      const { leaveId } = req.body;
+
+      if (!leaveId) {
+        return res.status(400).send({ error: "leaveId is required" });
+      }
+
+      const result = await cancelLeaveRequest(pool, req.user.userId, leaveId);
+      if (result.error) {
+        return res
+          .status(result.error === "Leave request not found" ? 404 : 409)
+          .send({ error: result.error });
+      }
+
+      res.status(200).send({
+        success: true,
+        leaveId: result.after.leave_id,
+        status: result.after.status,
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to cancel leave request" });
+    }
+  });
+
+  /**
+   * GET /user/get-leave-reviews
+   *
+   * Description:
+   *   Lists the leave requests that name the authenticated user (a teacher)
+   *   as reviewer, newest first.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Query Parameters:
+   *   status (string, optional) - "pending" (default), "approved", "rejected", "cancelled" or "all"
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "leaveId": 3,
+   *       ...,                     // as in POST /user/add-leave-request
+   *       "userName": "David Kim",
+   *       "nimNip": "NIM001"
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "Invalid status" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch leave requests" }
+   */
+  router.get("/get-leave-reviews", requireAuth, async (req, res) => {
+    try {
+      const { status = "pending" } = req.query;
+
+      if (
+        !["pending", "approved", "rejected", "cancelled", "all"].includes(
+          status
+        )
+      ) {
+        return res.status(400).send({ error: "Invalid status" });
+      }
+
+      const result = await pool.query(
+        `SELECT lr.*, u.name AS user_name, u.nim_nip
+         FROM (SELECT ${LEAVE_COLUMNS} FROM leave_requests) lr
+         JOIN "User" u ON u.user_id = lr.user_id
+         WHERE lr.reviewer_id = $1
+           AND ($2::varchar = 'all' OR lr.status = $2)
+         ORDER BY lr.created_at DESC, lr.leave_id DESC`,
+        [req.user.userId, status]
+      );
+
+      res.status(200).send(
+        result.rows.map((row) => ({
+          ...mapLeaveRequest(row),
+          userName: row.user_name,
+          nimNip: row.nim_nip,
+        }))
+      );
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to fetch leave requests" });
+    }
+  });
+
+  /**
+   * POST /user/review-leave-request
+   *
+   * Description:
+   *   Approves or rejects a pending leave request. Allowed for the reviewer
+   *   the request names, and for roles with the "leave:write" permission,
+   *   but never for the requester.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Request Body (JSON):
+   *   {
+   *     "leaveId": 3,               // integer, required
+   *     "decision": "approved",     // "approved" or "rejected", required
+   *     "note": "Get well soon"     // string, optional, shown to the requester
+   *   }
+   *
+   * Successful Response (200):
+   *   {
+   *     "success": true,
+   *     "leaveId": 3,
+   *     ...                         // as in POST /user/add-leave-request
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "leaveId and decision are required" }
+   *     { "error": "decision must be approved or rejected" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "You cannot review this leave request" }
+   *
+   *   404 Not Found
+   *     { "error": "Leave request not found" }
+   *
+   *   409 Conflict
+   *     { "error": "Leave request has already been decided" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to review leave request" }
+   *
+   * Notes:
+   *   - The requester is notified. Approving re-evaluates the covered days,
+   *     so absences already recorded for them become "excused".
+   */
+  router.post("/review-leave-request", requireAuth, async (req, res) => {
+    try {
+      const { leaveId, decision, note } = req.body;
+
+      if (!leaveId || !decision) {
+        return res
+          .status(400)
+          .send({ error: "leaveId and decision are required" });
+      }
+      if (decision !== "approved" && decision !== "rejected") {
+        return res
+          .status(400)
+          .send({ error: "decision must be approved or rejected" });
+      }
+
+      const leave = await getLeaveRequest(pool, leaveId);
+      if (!leave) {
+        return res.status(404).send({ error: "Leave request not found" });
+      }
+      if (!(await canReviewLeave(pool, leave, req.user))) {
+        return res
+          .status(403)
+          .send({ error: "You cannot review this leave request" });
+      }
+
+      const result = await reviewLeaveRequest(pool, leaveId, {
+        decision,
+        note,
+        reviewedBy: req.user.userId,
+      });
+      if (result.error) {
+        return res
+          .status(result.error === "Leave request not found" ? 404 : 409)
+          .send({ error: result.error });
+      }
+
+      res.status(200).send({ success: true, ...mapLeaveRequest(result.after) });
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to review leave request" });
+    }
+  });
+
+  /**
+   * GET /user/get-leave-attachment
+   *
+   * Description:
+   *   Downloads the attachment of a leave request. Allowed for the
+   *   requester, the named reviewer and roles with "leave:read".
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Query Parameters:
+   *   leaveId (integer, required) - the leave request
+   *
+   * Successful Response (200):
+   *   The file, with its Content-Type and the original file name in
+   *   Content-Disposition.
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "leaveId is required" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   404 Not Found
+   *     { "error": "Leave request not found" }
+   *     { "error": "This leave request has no attachment" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch attachment" }
+   */
+  router.get("/get-leave-attachment", requireAuth, async (req, res) => {
+    try {
+      const { leaveId } = req.query;
+
+      if (!leaveId) {
+        return res.status(400).send({ error: "leaveId is required" });
+      }
+
+      const leave = await getLeaveRequest(pool, leaveId);
+      const allowed =
+        leave &&
+        (leave.user_id === req.user.userId ||
+          leave.reviewer_id === req.user.userId ||
+          (await hasLeavePermission(req, "leave:read")));
+      if (!allowed) {
+        return res.status(404).send({ error: "Leave request not found" });
+      }
+
+      const file = getLeaveAttachmentPath(leave);
+      if (!file) {
+        return res
+          .status(404)
+          .send({ error: "This leave request has no attachment" });
+      }
+
+      res.type(leave.attachment_type);
+      res.attachment(leave.attachment_name);
+      res.sendFile(file, (err) => {
+        if (err && !res.headersSent) {
+          console.error(err);
+          res.status(500).send({ error: "Failed to fetch attachment" });
+        }
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to fetch attachment" });
+    }
+  });
+
+  /**
+   * GET /user/get-schedule
+   *
+   * Description:
+   *   Retrieves the authenticated user's weekly timetable: the classes they
+   *   are enrolled in and the ones they teach.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "scheduleId": 7,
+   *       "groupId": 3,
+   *       "locationId": 2,
+   *       "weekday": 2,                    // ISO weekday, 1 = Monday
+   *       "startTime": "09:00:00",
+   *       "endTime": "10:40:00",
+   *       "validFrom": "2025-09-01",
+   *       "validUntil": "2026-01-31",      // null when open-ended
+   *       "participation": "student",      // "student" or "teacher"
+   *       "groupName": "IF-46-01",
+   *       "courseId": 2,
+   *       "courseCode": "CII2M3",
+   *       "courseName": "Algorithms",
+   *       "teacherId": 3,
+   *       "teacherName": "Carol Lee",
+   *       "locationName": "Gedung Deli"
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch schedule" }
+   */
+  router.get("/get-schedule", requireAuth, async (req, res) => {
+    try {
+      const schedule = await listUserSchedule(pool, req.user.userId);
+
+      res.status(200).send(schedule);
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to fetch schedule" });
+    }
+  });
+
+  /**
+   * GET /user/get-working-days
+   *
+   * Description:
+   *   Tells for each day of a range whether the authenticated user is
+   *   expected to attend, from the academic calendar (holidays, breaks,
+   *   make-up days) and the attendance rule of their role.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Query Parameters:
+   *   from (YYYY-MM-DD, required)
+   *   to (YYYY-MM-DD, required)  - inclusive, at most 366 days after from
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "date": "2026-03-20",
+   *       "workingDay": false,
+   *       "decidedBy": "calendar",   // "group", "location", "calendar" or "rule"
+   *       "entries": [               // calendar entries concerning the user that day
+   *         { "entryId": 5, "title": "Hari Raya Idul Fitri", "kind": "holiday", "workingDay": false }
+   *       ]
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "from and to are required" }
+   *     { "error": "Invalid from or to date" }
+   *     { "error": "Range must not exceed 366 days" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch working days" }
+   *
+   * Notes:
+   *   - decidedBy tells what settled the day: an entry of one of the user's
+   *     class groups, of a room where one of them meets that day, of the
+   *     whole calendar, or else the weekdays of the attendance rule.
+   */
+  router.get("/get-working-days", requireAuth, async (req, res) => {
+    try {
+      const { from, to } = req.query;
+
+      if (!from || !to) {
+        return res.status(400).send({ error: "from and to are required" });
+      }
+
+      const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+      const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+      if (
+        !datePattern.test(from) ||
+        !datePattern.test(to) ||
+        isNaN(days) ||
+        days < 1
+      ) {
+        return res.status(400).send({ error: "Invalid from or to date" });
+      }
+      if (days > MAX_EVALUATION_DAYS) {
+        return res.status(400).send({
+          error: `Range must not exceed ${MAX_EVALUATION_DAYS} days`,
+        });
+      }
+
+      const workingDays = await listWorkingDays(pool, req.user.userId, {
+        from,
+        to,
+      });
+
+      res.status(200).send(workingDays);
     } catch (err) {
       console.error(err);
-      res.status(500).send({ error: "Failed to fetch attendance" });
+      res.status(500).send({ error: "Failed to fetch working days" });
     }
   });
 
   /**
-   * POST /user/checkin
+   * GET /user/get-class-attendance
    *
    * Description:
-   *   Records a check-in attendance for a user.
-   *   User MUST be within 50 meters of Telkom University (location_id = 1).
+   *   Lists who attended each session of a class group the authenticated
+   *   user teaches.
    *
-   * Request Body (JSON):
-   *   {
-   *     "userId": 1,              // integer, required
-   *     "userLatitude": -6.97,    // number, required
-   *     "userLongitude": 107.63,  // number, required
-   *     "notes": "optional note"  // string, optional
-   *   }
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Query Parameters:
+   *   groupId (integer, required)  - the class group
+   *   from (YYYY-MM-DD, optional)  - first day, defaults to 6 days ago
+   *   to (YYYY-MM-DD, optional)    - last day, defaults to today
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "scheduleId": 7,
+   *       "date": "2025-12-23",
+   *       "startTime": "09:00:00",
+   *       "endTime": "10:40:00",
+   *       "locationId": 2,
+   *       "enrolledCount": 30,
+   *       "presentCount": 28,
+   *       "attendees": [
+   *         {
+   *           "userId": 1,
+   *           "name": "Alice Johnson",
+   *           "nimNip": "NIM12345",
+   *           "status": "present",         // "present", "late", "absent" or "excused"
+   *           "attendanceId": 10,          // null when absent
+   *           "checkedInAt": "2025-12-23T08:55:00.000Z"
+   *         },
+   *         ...
+   *       ]
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "groupId is required" }
+   *     { "error": "Invalid from or to date" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "You do not teach this class" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch class attendance" }
+   *
+   * Notes:
+   *   - Sessions later than today are not listed.
+   */
+  router.get("/get-class-attendance", requireAuth, async (req, res) => {
+    try {
+      const { groupId, from, to } = req.query;
+
+      if (!groupId) {
+        return res.status(400).send({ error: "groupId is required" });
+      }
+      if ((from && isNaN(Date.parse(from))) || (to && isNaN(Date.parse(to)))) {
+        return res.status(400).send({ error: "Invalid from or to date" });
+      }
+
+      const group = await pool.query(
+        "SELECT 1 FROM class_groups WHERE group_id = $1 AND teacher_id = $2",
+        [groupId, req.user.userId]
+      );
+      if (group.rows.length === 0) {
+        return res.status(403).send({ error: "You do not teach this class" });
+      }
+
+      const sessions = await listClassAttendance(pool, groupId, { from, to });
+
+      res.status(200).send(sessions);
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to fetch class attendance" });
+    }
+  });
+
+  /**
+   * GET /user/get-class-summary
+   *
+   * Description:
+   *   Totals the attendance of every student of a class group the
+   *   authenticated user teaches, over a day, week, month or semester.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Query Parameters:
+   *   groupId (integer, required)  - the class group
+   *   period (string, optional)    - "day", "week" (default), "month" or "semester"
+   *   date (YYYY-MM-DD, optional)  - any day in the period, defaults to today
    *
    * Successful Response (200):
    *   {
-   *     "message": "Check-in recorded",
-   *     "attendanceId": 10,
-   *     "timestamp": "2025-12-23T09:00:00.000Z"
+   *     "period": "month",
+   *     "from": "2025-12-01",
+   *     "to": "2025-12-31",
+   *     "timezone": "Asia/Jakarta",
+   *     "users": [
+   *       { "userId": 1, "name": "Alice Johnson", ... },   // as in GET /user/get-attendance-summary
+   *       ...
+   *     ],
+   *     "totals": {
+   *       "users": 30,
+   *       "workedSeconds": 2916000,
+   *       "workedHours": 810,
+   *       "daysAttended": 540,
+   *       "lateCount": 41,
+   *       "absentCount": 12,
+   *       "excusedCount": 6,
+   *       "autoCheckoutCount": 3,
+   *       "averageArrivalTime": "07:48"   // weighted by days attended
+   *     }
    *   }
    *
    * Error Responses:
    *   400 Bad Request
-   *     { "error": "userId, userLatitude, and userLongitude are required" }
+   *     { "error": "groupId is required" }
+   *     { "error": "period must be one of day, week, month, semester" }
+   *     { "error": "Invalid date" }
+   *     { "error": "No semester in the calendar covers 2025-12-23" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
    *
    *   403 Forbidden
-   *     { "error": "You are outside the allowed check-in area" }
+   *     { "error": "You do not teach this class" }
    *
    *   500 Internal Server Error
-   *     { "error": "Failed to record check-in" }
+   *     { "error": "Failed to fetch class summary" }
+   *
+   * Notes:
+   *   - A semester set in the calendar for this class group takes precedence
+   *     over the one for everyone.
    */
-  router.post("/checkin", async (req, res) => {
+  router.get("/get-class-summary", requireAuth, async (req, res) => {
     try {
-      const { userId, userLatitude, userLongitude, notes } = req.body;
+      const { groupId, period = "week", date } = req.query;
 
-      if (!userId || userLatitude == null || userLongitude == null) {
-        return res.status(400).send({
-          error: "userId, userLatitude, and userLongitude are required",
-        });
+      if (!groupId) {
+        return res.status(400).send({ error: "groupId is required" });
       }
 
-      const locationResult = await pool.query(
-        `SELECT latitude, longitude, radius
-       FROM "Locations"
-       WHERE location_id = 1`
+      const group = await pool.query(
+        "SELECT 1 FROM class_groups WHERE group_id = $1 AND teacher_id = $2",
+        [groupId, req.user.userId]
       );
+      if (group.rows.length === 0) {
+        return res.status(403).send({ error: "You do not teach this class" });
+      }
+
+      const range = await resolvePeriod(pool, { period, date, groupId });
+      if (range.error) {
+        return res.status(400).send({ error: range.error });
+      }
+
+      const summary = await summarizeAttendance(pool, { ...range, groupId });
+
+      res.status(200).send({ period, ...range, ...summary });
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to fetch class summary" });
+    }
+  });
+
+  // teachers manage the windows of their own classes; roles holding
+  // attendance:write manage every window
+  async function canWriteAttendance(req) {
+    const granted = await getRolePermissions(pool, req.user.role);
+    return granted.includes("attendance:write");
+  }
+
+  async function canManageWindow(req, window) {
+    return (
+      window.opened_by === req.user.userId || (await canWriteAttendance(req))
+    );
+  }
+
+  /**
+   * POST /user/open-checkin-window
+   *
+   * Description:
+   *   Opens a QR check-in window at a location. While it is open, check-ins
+   *   there need the rotating token from GET /user/get-checkin-token, which
+   *   the classroom projector shows as a QR code.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Request Body (JSON):
+   *   {
+   *     "scheduleId": 7,          // integer, the class; its room is used
+   *     "locationId": 2,          // integer, instead of scheduleId
+   *     "durationMinutes": 15,    // integer 1-240, optional, default 15
+   *     "rotationSeconds": 30     // integer 10-300, optional, default QR_ROTATION_SECONDS
+   *   }
+   *
+   * Successful Response (201):
+   *   {
+   *     "windowId": 12,
+   *     "locationId": 2,
+   *     "scheduleId": 7,
+   *     "openedBy": 3,
+   *     "rotationSeconds": 30,
+   *     "opensAt": "2025-12-23T09:00:00.000Z",
+   *     "closesAt": "2025-12-23T09:15:00.000Z",
+   *     "closedAt": null,
+   *     "token": "12.58871234.Jq4...",
+   *     "expiresAt": "2025-12-23T09:00:30.000Z"
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "scheduleId or locationId is required" }
+   *     { "error": "durationMinutes must be between 1 and 240" }
+   *     { "error": "rotationSeconds must be between 10 and 300" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "You cannot open a check-in window here" }
+   *
+   *   404 Not Found
+   *     { "error": "Class schedule not found" }
+   *     { "error": "Location not found" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to open check-in window" }
+   *
+   * Notes:
+   *   - Teachers can open windows for the classes they teach; users whose
+   *     role holds attendance:write can open them for any class or location.
+   */
+  router.post("/open-checkin-window", requireAuth, async (req, res) => {
+    try {
+      const {
+        scheduleId,
+        durationMinutes = 15,
+        rotationSeconds = QR_ROTATION_SECONDS,
+      } = req.body;
+      let { locationId } = req.body;
+
+      if (!scheduleId && !locationId) {
+        return res
+          .status(400)
+          .send({ error: "scheduleId or locationId is required" });
+      }
+      if (
+        !Number.isInteger(durationMinutes) ||
+        durationMinutes < 1 ||
+        durationMinutes > 240
+      ) {
+        return res
+          .status(400)
+          .send({ error: "durationMinutes must be between 1 and 240" });
+      }
+      if (
+        !Number.isInteger(rotationSeconds) ||
+        rotationSeconds < 10 ||
+        rotationSeconds > 300
+      ) {
+        return res
+          .status(400)
+          .send({ error: "rotationSeconds must be between 10 and 300" });
+      }
 
-      if (locationResult.rows.length === 0) {
-        return res.status(500).send({ error: "Office location not found" });
+      let allowed;
+      if (scheduleId) {
+        const schedule = await pool.query(
+          `SELECT cs.location_id, g.teacher_id
+       FROM class_schedules cs
+       JOIN class_groups g ON g.group_id = cs.group_id
+       WHERE cs.schedule_id = $1`,
+          [scheduleId]
+        );
+        if (schedule.rows.length === 0) {
+          return res.status(404).send({ error: "Class schedule not found" });
+        }
+        locationId = schedule.rows[0].location_id;
+        allowed =
+          schedule.rows[0].teacher_id === req.user.userId ||
+          (await canWriteAttendance(req));
+      } else {
+        allowed = await canWriteAttendance(req);
       }
 
-      const office = locationResult.rows[0];
+      if (!allowed) {
+        return res
+          .status(403)
+          .send({ error: "You cannot open a check-in window here" });
+      }
 
-      const distance = getDistanceInMeters(
-        userLatitude,
-        userLongitude,
-        office.latitude,
-        office.longitude
+      const location = await pool.query(
+        `SELECT 1 FROM "Locations" WHERE location_id = $1 AND is_active`,
+        [locationId]
       );
+      if (location.rows.length === 0) {
+        return res.status(404).send({ error: "Location not found" });
+      }
 
-      if (distance > office.radius) {
-        return res.status(403).send({
-          error: "You are outside the allowed check-in area",
-        });
+      const window = await openCheckinWindow(pool, {
+        locationId,
+        scheduleId: scheduleId || null,
+        openedBy: req.user.userId,
+        durationMinutes,
+        rotationSeconds,
+      });
+
+      res.status(201).send({
+        ...mapCheckinWindow(window),
+        ...issueCheckinToken(window),
+      });
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to open check-in window" });
+    }
+  });
+
+  /**
+   * GET /user/get-checkin-token
+   *
+   * Description:
+   *   Returns the token a check-in window currently accepts. The projector
+   *   polls this and shows the token as a QR code; fetch a new one when
+   *   expiresAt has passed.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Query Parameters:
+   *   windowId (integer, required) - the check-in window
+   *
+   * Successful Response (200):
+   *   {
+   *     "windowId": 12,
+   *     "token": "12.58871235.Xb1...",
+   *     "expiresAt": "2025-12-23T09:01:00.000Z",
+   *     "rotationSeconds": 30,
+   *     "closesAt": "2025-12-23T09:15:00.000Z"
+   *   }
+   *
+   * Error Responses:
+   *   400 Bad Request
+   *     { "error": "windowId is required" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   403 Forbidden
+   *     { "error": "You cannot manage this check-in window" }
+   *
+   *   404 Not Found
+   *     { "error": "Check-in window not found" }
+   *
+   *   409 Conflict
+   *     { "error": "The check-in window is closed" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to issue check-in token" }
+   *
+   * Notes:
+   *   - Only the user who opened the window, or a role holding
+   *     attendance:write, can fetch its tokens.
+   */
+  router.get("/get-checkin-token", requireAuth, async (req, res) => {
+    try {
+      const { windowId } = req.query;
+
+      if (!windowId) {
+        return res.status(400).send({ error: "windowId is required" });
       }
 
       const result = await pool.query(
-        `INSERT INTO "Attendance"
-       (user_id, location_id, type, user_latitude, user_longitude, notes)
-       VALUES ($1, 1, 'check-in', $2, $3, $4)
-       RETURNING attendance_id, "timestamp"`,
-        [userId, userLatitude, userLongitude, notes || null]
+        `SELECT *, (closed_at IS NULL AND closes_at > NOW()) AS is_open
+       FROM checkin_windows WHERE window_id = $1`,
+        [windowId]
       );
+      const window = result.rows[0];
+
+      if (!window) {
+        return res.status(404).send({ error: "Check-in window not found" });
+      }
+      if (!(await canManageWindow(req, window))) {
+        return res
+          .status(403)
+          .send({ error: "You cannot manage this check-in window" });
+      }
+      if (!window.is_open) {
+        return res.status(409).send({ error: "The check-in window is closed" });
+      }
 
       res.status(200).send({
-        message: "Check-in recorded",
-        attendanceId: result.rows[0].attendance_id,
-        timestamp: result.rows[0].timestamp,
+        windowId: window.window_id,
+        ...issueCheckinToken(window),
+        rotationSeconds: window.rotation_seconds,
+        closesAt: window.closes_at,
       });
     } catch (err) {
       console.error(err);
-      res.status(500).send({ error: "Failed to record check-in" });
+      res.status(500).send({ error: "Failed to issue check-in token" });
     }
   });
 
   /**
-   * POST /user/checkout
+   * POST /user/close-checkin-window
    *
    * Description:
-   *   Records a checkout attendance for a user.
-   *   User MUST be within 50 meters of Telkom University (location_id = 1).
+   *   Closes a check-in window before it expires. Its tokens stop working
+   *   and GPS check-in at the location is allowed again.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
    *
    * Request Body (JSON):
    *   {
-   *     "userId": 1,              // integer, required
-   *     "userLatitude": -6.97,    // number, required
-   *     "userLongitude": 107.63,  // number, required
-   *     "notes": "optional note"  // string, optional
+   *     "windowId": 12   // integer, required
    *   }
    *
    * Successful Response (200):
    *   {
-   *     "message": "Checkout recorded",
-   *     "attendanceId": 11,
-   *     "timestamp": "2025-12-23T17:00:00.000Z"
+   *     "windowId": 12,
+   *     ...                 // the window, with closedAt set
    *   }
    *
    * Error Responses:
    *   400 Bad Request
-   *     { "error": "userId, userLatitude, and userLongitude are required" }
+   *     { "error": "windowId is required" }
+   *
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
    *
    *   403 Forbidden
-   *     { "error": "You are outside the allowed checkout area" }
+   *     { "error": "You cannot manage this check-in window" }
+   *
+   *   404 Not Found
+   *     { "error": "Check-in window not found" }
    *
    *   500 Internal Server Error
-   *     { "error": "Failed to record checkout" }
+   *     { "error": "Failed to close check-in window" }
    */
-  router.post("/checkout", async (req, res) => {
+  router.post("/close-checkin-window", requireAuth, async (req, res) => {
     try {
-      const { userId, userLatitude, userLongitude, notes } = req.body;
+      const { windowId } = req.body;
 
-      if (!userId || userLatitude == null || userLongitude == null) {
-        return res.status(400).send({
-          error: "userId, userLatitude, and userLongitude are required",
-        });
+      if (!windowId) {
+        return res.status(400).send({ error: "windowId is required" });
       }
 
-      const locationResult = await pool.query(
-        `SELECT latitude, longitude, radius
-       FROM "Locations"
-       WHERE location_id = 1`
+      const existing = await pool.query(
+        "SELECT * FROM checkin_windows WHERE window_id = $1",
+        [windowId]
       );
-
-      if (locationResult.rows.length === 0) {
-        return res.status(500).send({ error: "Office location not found" });
+      if (existing.rows.length === 0) {
+        return res.status(404).send({ error: "Check-in window not found" });
       }
-
-      const office = locationResult.rows[0];
-
-      const distance = getDistanceInMeters(
-        userLatitude,
-        userLongitude,
-        office.latitude,
-        office.longitude
-      );
-
-      if (distance > office.radius) {
-        return res.status(403).send({
-          error: "You are outside the allowed checkout area",
-        });
+      if (!(await canManageWindow(req, existing.rows[0]))) {
+        return res
+          .status(403)
+          .send({ error: "You cannot manage this check-in window" });
       }
 
       const result = await pool.query(
-        `INSERT INTO "Attendance"
-       (user_id, location_id, type, user_latitude, user_longitude, notes)
-       VALUES ($1, 1, 'checkout', $2, $3, $4)
-       RETURNING attendance_id, "timestamp"`,
-        [userId, userLatitude, userLongitude, notes || null]
+        `UPDATE checkin_windows
+       SET closed_at = COALESCE(closed_at, LEAST(NOW()::timestamp, closes_at))
+       WHERE window_id = $1
+       RETURNING *`,
+        [windowId]
       );
 
-      res.status(200).send({
-        message: "Checkout recorded",
-        attendanceId: result.rows[0].attendance_id,
-        timestamp: result.rows[0].timestamp,
-      });
+      res.status(200).send(mapCheckinWindow(result.rows[0]));
     } catch (err) {
       console.error(err);
-      res.status(500).send({ error: "Failed to record checkout" });
+      res.status(500).send({ error: "Failed to close check-in window" });
     }
   });
 
   /**
-   * GET /admin/get-office-location
+   * GET /user/get-office-location
    *
    * Description:
-   *   Retrieves Telkom University office location only (location_id = 1).
+   *   Retrieves one location. Without locationId, the first active location
+   *   (lowest ID) is returned, which is the main campus.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Query Parameters:
+   *   locationId (integer, optional) - the ID of the location
    *
    * Successful Response (200):
    *   {
@@ -789,43 +3307,88 @@ export function createUserRouter(pool) {
    *     "latitude": -6.97321,
    *     "longitude": 107.63014,
    *     "radius": 50,
+   *     "boundary": null,
+   *     "isActive": true,
    *     "createdAt": "2025-12-25T10:00:00.000Z"
    *   }
    *
    * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
    *   404 Not Found
    *     { "error": "Office location not found" }
    *
    *   500 Internal Server Error
    *     { "error": "Failed to fetch office location" }
    */
-  router.get("/get-office-location", async (req, res) => {
+  router.get("/get-office-location", requireAuth, async (req, res) => {
     try {
-      const result = await pool.query(
-        `SELECT location_id, location_name, latitude, longitude, radius, created_at
-       FROM "Locations"
-       WHERE location_id = 1`
-      );
+      const { locationId } = req.query;
+
+      const result = locationId
+        ? await pool.query(
+            `SELECT ${LOCATION_COLUMNS} FROM "Locations" WHERE location_id = $1`,
+            [locationId]
+          )
+        : await pool.query(
+            `SELECT ${LOCATION_COLUMNS} FROM "Locations" WHERE is_active ORDER BY location_id LIMIT 1`
+          );
 
       if (result.rows.length === 0) {
         return res.status(404).send({ error: "Office location not found" });
       }
 
-      const row = result.rows[0];
-
-      res.status(200).send({
-        locationId: row.location_id,
-        locationName: row.location_name,
-        latitude: row.latitude,
-        longitude: row.longitude,
-        radius: row.radius,
-        createdAt: row.created_at,
-      });
+      res.status(200).send(mapLocation(result.rows[0]));
     } catch (err) {
       console.error(err);
       res.status(500).send({ error: "Failed to fetch office location" });
     }
   });
 
+  /**
+   * GET /user/get-locations
+   *
+   * Description:
+   *   Lists every active location where users can check in or out.
+   *
+   * Headers:
+   *   Authorization: Bearer <accessToken>   // required
+   *
+   * Successful Response (200):
+   *   [
+   *     {
+   *       "locationId": 1,
+   *       "locationName": "Telkom University Bandung",
+   *       "latitude": -6.97321,
+   *       "longitude": 107.63014,
+   *       "radius": 50,
+   *       "boundary": null,
+   *       "isActive": true,
+   *       "createdAt": "2025-12-25T10:00:00.000Z"
+   *     },
+   *     ...
+   *   ]
+   *
+   * Error Responses:
+   *   401 Unauthorized
+   *     { "error": "Authentication required" }
+   *
+   *   500 Internal Server Error
+   *     { "error": "Failed to fetch locations" }
+   */
+  router.get("/get-locations", requireAuth, async (req, res) => {
+    try {
+      const result = await pool.query(
+        `SELECT ${LOCATION_COLUMNS} FROM "Locations" WHERE is_active ORDER BY location_name ASC`
+      );
+
+      res.status(200).send(result.rows.map(mapLocation));
+    } catch (err) {
+      console.error(err);
+      res.status(500).send({ error: "Failed to fetch locations" });
+    }
+  });
+
   return router;
 }
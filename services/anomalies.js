@@ -0,0 +1,150 @@
+import { getDistanceInMeters } from "../lib.js";
+
+// Scores every check-in and checkout for signs of a faked position. Each
+// rule that fires adds its weight to the score and its name to the flags;
+// records scoring ANOMALY_REVIEW_THRESHOLD or more are stored with
+// review_status "pending" and show up in GET /admin/get-flagged-attendance.
+
+export const ANOMALY_REVIEW_THRESHOLD =
+  Number(process.env.ANOMALY_REVIEW_THRESHOLD) || 30;
+
+// faster than this between two records is treated as impossible (m/s)
+const MAX_TRAVEL_SPEED = Number(process.env.ANOMALY_MAX_TRAVEL_SPEED) || 55;
+
+// how far back identical coordinates from other users are looked for
+const DUPLICATE_WINDOW_HOURS = 24;
+
+// device clocks further off than this are suspicious
+const MAX_CLOCK_SKEW_SECONDS = 5 * 60;
+
+const WEIGHTS = {
+  mock_location: 100,
+  impossible_travel: 60,
+  duplicate_coordinates: 40,
+  zero_accuracy: 30,
+  clock_skew: 10,
+};
+
+/**
+ * Validates the optional position metadata a client can send with a
+ * check-in or checkout.
+ *
+ * @param {{ gpsAccuracy?: number, altitude?: number,
+ *           deviceTimestamp?: string, isMockLocation?: boolean }} body
+ * @returns {{ gps: object } | { error: string }}
+ */
+export function parseGpsMetadata({
+  gpsAccuracy,
+  altitude,
+  deviceTimestamp,
+  isMockLocation,
+}) {
+  if (
+    gpsAccuracy != null &&
+    (typeof gpsAccuracy !== "number" || gpsAccuracy < 0)
+  ) {
+    return { error: "gpsAccuracy must be a non-negative number" };
+  }
+  if (altitude != null && typeof altitude !== "number") {
+    return { error: "altitude must be a number" };
+  }
+  if (deviceTimestamp != null && isNaN(Date.parse(deviceTimestamp))) {
+    return { error: "deviceTimestamp must be an ISO date" };
+  }
+  if (isMockLocation != null && typeof isMockLocation !== "boolean") {
+    return { error: "isMockLocation must be a boolean" };
+  }
+
+  return {
+    gps: {
+      accuracy: gpsAccuracy ?? null,
+      altitude: altitude ?? null,
+      deviceTimestamp:
+        deviceTimestamp != null ? new Date(deviceTimestamp) : null,
+      isMockLocation: isMockLocation ?? null,
+    },
+  };
+}
+
+/**
+ * Runs the anomaly rules for a record about to be stored. A record synced
+ * from an offline queue is judged at `punch.capturedAt` instead of now.
+ *
+ * @param {import("pg").Pool | import("pg").PoolClient} db
+ * @param {{ latitude: number, longitude: number, gps?: object,
+ *           capturedAt?: Date }} punch
+ * @returns {Promise<{ score: number, flags: string[], reviewStatus: string|null }>}
+ */
+export async function scorePunch(db, userId, punch) {
+  const gps = punch.gps || {};
+  const at = punch.capturedAt || new Date();
+  const flags = [];
+
+  if (gps.isMockLocation === true) {
+    flags.push("mock_location");
+  }
+
+  if (gps.accuracy === 0) {
+    flags.push("zero_accuracy");
+  }
+
+  if (
+    gps.deviceTimestamp &&
+    !punch.capturedAt &&
+    Math.abs(gps.deviceTimestamp.getTime() - Date.now()) / 1000 >
+      MAX_CLOCK_SKEW_SECONDS
+  ) {
+    flags.push("clock_skew");
+  }
+
+  // the user's record closest in time, before or after (offline events can
+  // arrive after later ones)
+  const nearest = await db.query(
+    `SELECT user_latitude, user_longitude,
+            ABS(EXTRACT(EPOCH FROM ($2::timestamptz::timestamp - "timestamp"))) AS seconds_apart
+     FROM "Attendance"
+     WHERE user_id = $1
+       AND user_latitude IS NOT NULL
+       AND user_longitude IS NOT NULL
+       AND voided_at IS NULL
+     ORDER BY ABS(EXTRACT(EPOCH FROM ($2::timestamptz::timestamp - "timestamp")))
+     LIMIT 1`,
+    [userId, at]
+  );
+  if (nearest.rows.length > 0) {
+    const last = nearest.rows[0];
+    const meters = getDistanceInMeters(
+      last.user_latitude,
+      last.user_longitude,
+      punch.latitude,
+      punch.longitude
+    );
+    const seconds = Math.max(Number(last.seconds_apart), 1);
+    if (meters / seconds > MAX_TRAVEL_SPEED) {
+      flags.push("impossible_travel");
+    }
+  }
+
+  // independent GPS fixes practically never agree to the last decimal
+  const duplicate = await db.query(
+    `SELECT 1 FROM "Attendance"
+     WHERE user_id <> $1
+       AND user_latitude = $2
+       AND user_longitude = $3
+       AND "timestamp" > $4::timestamptz::timestamp - make_interval(hours => $5)
+       AND "timestamp" < $4::timestamptz::timestamp + make_interval(hours => $5)
+     LIMIT 1`,
+    [userId, punch.latitude, punch.longitude, at, DUPLICATE_WINDOW_HOURS]
+  );
+  if (duplicate.rows.length > 0) {
+    flags.push("duplicate_coordinates");
+  }
+
+  const score = flags.reduce((sum, flag) => sum + WEIGHTS[flag], 0);
+
+  return {
+    score,
+    flags,
+    reviewStatus: score >= ANOMALY_REVIEW_THRESHOLD ? "pending" : null,
+  };
+}
@@ -0,0 +1,411 @@
+import { scorePunch } from "./anomalies.js";
+import { ratePunch } from "./attendanceRules.js";
+import { QR_TOKEN_USED } from "./checkinWindows.js";
+import { attachClassSession } from "./courses.js";
+import { withTransaction } from "./db.js";
+import { notifyUser } from "./notifications.js";
+
+// Every check-in opens an attendance session and the next checkout closes
+// it, so a user is "checked-in" exactly while they have an open session. A
+// partial unique index on attendance_sessions allows one open session per
+// user, which also settles two check-ins racing each other.
+
+export const ALREADY_CHECKED_IN = "You are already checked in";
+export const NOT_CHECKED_IN = "You are not checked in";
+export const DUPLICATE_EVENT = "This event has already been recorded";
+
+// time of day (HH:MM) at which sessions still open are closed automatically
+export const AUTO_CHECKOUT_TIME = process.env.AUTO_CHECKOUT_TIME || "23:00";
+
+// how long a session may stay open before its user is reminded to check out
+export const CHECKOUT_REMINDER_HOURS =
+  Number(process.env.CHECKOUT_REMINDER_HOURS) || 10;
+
+// the unique index on (user_id, idempotency_key) of synced offline events
+const IDEMPOTENCY_INDEX = "Attendance_user_idempotency_key_idx";
+
+// GET /admin/get-attendance, read with queryList (see listQuery.js)
+export const ATTENDANCE_LIST = {
+  select: `a.attendance_id, a.user_id, a.location_id, a.type, a."timestamp",
+    a.user_latitude, a.user_longitude, a.distance_meters, a.status, a.notes,
+    a.class_schedule_id, a.anomaly_score, a.review_status, a.voided_at,
+    u.name AS user_name, u.nim_nip`,
+  from: `"Attendance" a JOIN "User" u ON u.user_id = a.user_id`,
+  key: "a.attendance_id",
+  sorts: {
+    timestamp: { sql: 'a."timestamp"', type: "timestamp" },
+    name: { sql: "u.name", type: "text" },
+    attendanceId: { sql: "a.attendance_id", type: "integer" },
+  },
+  defaultSort: "-timestamp",
+  filters: {
+    from: { sql: 'a."timestamp"', type: "fromDate" },
+    to: { sql: 'a."timestamp"', type: "toDate" },
+    userId: { sql: "a.user_id", type: "integer" },
+    role: { sql: "u.role", type: "text" },
+    locationId: { sql: "a.location_id", type: "integer" },
+    status: { sql: "a.status", type: "text" },
+    type: { sql: "a.type", type: "text" },
+    reviewStatus: { sql: "a.review_status", type: "text" },
+    voided: { sql: "a.voided_at IS NOT NULL", type: "boolean" },
+  },
+  search: ["u.name", "u.username_email", "u.nim_nip"],
+};
+
+const SESSION_COLUMNS = `s.session_id, s.user_id, s.location_id, s.checkin_attendance_id,
+  s.checkout_attendance_id, co.location_id AS checkout_location_id,
+  s.checked_in_at, s.checked_out_at, s.duration_seconds,
+  co.status AS checkout_status`;
+
+export function mapAttendanceSession(row) {
+  return {
+    sessionId: row.session_id,
+    userId: row.user_id,
+    locationId: row.location_id,
+    checkoutLocationId: row.checkout_location_id ?? null,
+    checkinAttendanceId: row.checkin_attendance_id,
+    checkoutAttendanceId: row.checkout_attendance_id,
+    checkedInAt: row.checked_in_at,
+    checkedOutAt: row.checked_out_at,
+    durationSeconds: row.duration_seconds,
+    autoCheckout: row.checkout_status === "auto_checkout",
+  };
+}
+
+async function insertPunch(client, userId, type, punch) {
+  const anomaly = await scorePunch(client, userId, punch);
+  const gps = punch.gps || {};
+
+  const result = await client.query(
+    `INSERT INTO "Attendance"
+     (user_id, location_id, type, user_latitude, user_longitude, notes, distance_meters,
+      gps_accuracy, altitude, device_timestamp, is_mock_location,
+      anomaly_score, anomaly_flags, review_status, "timestamp", idempotency_key, synced_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14,
+             COALESCE($15::timestamptz, NOW()), $16,
+             CASE WHEN $15::timestamptz IS NULL THEN NULL ELSE NOW() END)
+     RETURNING attendance_id, "timestamp", review_status`,
+    [
+      userId,
+      punch.locationId,
+      type,
+      punch.latitude,
+      punch.longitude,
+      punch.notes || null,
+      punch.distance,
+      gps.accuracy ?? null,
+      gps.altitude ?? null,
+      gps.deviceTimestamp ?? null,
+      gps.isMockLocation ?? null,
+      anomaly.score,
+      anomaly.flags,
+      anomaly.reviewStatus,
+      punch.capturedAt ?? null,
+      punch.idempotencyKey ?? null,
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * @returns {Promise<object|null>} the user's open session row, if any
+ */
+export async function getOpenSession(pool, userId) {
+  const result = await pool.query(
+    `SELECT ${SESSION_COLUMNS}
+     FROM attendance_sessions s
+     LEFT JOIN "Attendance" co ON co.attendance_id = s.checkout_attendance_id
+     WHERE s.user_id = $1 AND s.checked_out_at IS NULL`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Records a check-in, rates it (see attendanceRules.js), links it to the
+ * class taking place (see courses.js) and opens a session for it.
+ *
+ * When the check-in was made with a QR code, `punch.checkinWindow` holds the
+ * verified window and step, and the window is marked as used by the user.
+ * Events synced from an offline queue carry the time they were captured in
+ * `punch.capturedAt` and the client's `punch.idempotencyKey`.
+ *
+ * @param {{ locationId: number, latitude: number, longitude: number,
+ *           distance: number, notes?: string, gps?: object,
+ *           capturedAt?: Date, idempotencyKey?: string,
+ *           checkinWindow?: { windowId: number, step: number } }} punch
+ * @returns {Promise<{ attendance: object, session: object } | { error: string }>}
+ */
+export async function checkIn(pool, userId, punch) {
+  try {
+    return await withTransaction(pool, async (client) => {
+      const open = await client.query(
+        "SELECT 1 FROM attendance_sessions WHERE user_id = $1 AND checked_out_at IS NULL",
+        [userId]
+      );
+      if (open.rows.length > 0) {
+        return { error: ALREADY_CHECKED_IN };
+      }
+
+      const { checkinWindow } = punch;
+      if (checkinWindow) {
+        const used = await client.query(
+          "SELECT 1 FROM checkin_token_uses WHERE window_id = $1 AND user_id = $2",
+          [checkinWindow.windowId, userId]
+        );
+        if (used.rows.length > 0) {
+          return { error: QR_TOKEN_USED };
+        }
+      }
+
+      const attendance = await insertPunch(client, userId, "check-in", punch);
+
+      if (checkinWindow) {
+        await client.query(
+          `INSERT INTO checkin_token_uses (window_id, user_id, step, attendance_id)
+           VALUES ($1, $2, $3, $4)`,
+          [
+            checkinWindow.windowId,
+            userId,
+            checkinWindow.step,
+            attendance.attendance_id,
+          ]
+        );
+      }
+      attendance.status = await ratePunch(
+        client,
+        userId,
+        attendance.attendance_id
+      );
+      attendance.classSession = await attachClassSession(
+        client,
+        attendance.attendance_id
+      );
+
+      const session = await client.query(
+        `INSERT INTO attendance_sessions
+         (user_id, location_id, checkin_attendance_id, checked_in_at)
+         VALUES ($1, $2, $3, $4)
+         RETURNING *`,
+        [
+          userId,
+          punch.locationId,
+          attendance.attendance_id,
+          attendance.timestamp,
+        ]
+      );
+
+      return { attendance, session: session.rows[0] };
+    });
+  } catch (err) {
+    // a concurrent check-in won the open-session index, the window or the
+    // idempotency key
+    if (err.code === "23505") {
+      const errors = {
+        checkin_token_uses_pkey: QR_TOKEN_USED,
+        [IDEMPOTENCY_INDEX]: DUPLICATE_EVENT,
+      };
+      return { error: errors[err.constraint] || ALREADY_CHECKED_IN };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Records a checkout, rates it and closes the user's open session with it.
+ *
+ * @param {object} punch same shape as for checkIn
+ * @returns {Promise<{ attendance: object, session: object } | { error: string }>}
+ */
+export async function checkOut(pool, userId, punch) {
+  try {
+    return await withTransaction(pool, async (client) => {
+      // the row lock makes a second, concurrent checkout wait and then miss
+      const open = await client.query(
+        `SELECT session_id FROM attendance_sessions
+         WHERE user_id = $1 AND checked_out_at IS NULL
+         FOR UPDATE`,
+        [userId]
+      );
+      if (open.rows.length === 0) {
+        return { error: NOT_CHECKED_IN };
+      }
+
+      const attendance = await insertPunch(client, userId, "checkout", punch);
+      attendance.status = await ratePunch(
+        client,
+        userId,
+        attendance.attendance_id
+      );
+
+      const session = await client.query(
+        `UPDATE attendance_sessions
+         SET checkout_attendance_id = $2,
+             checked_out_at = $3,
+             duration_seconds = EXTRACT(EPOCH FROM ($3::timestamp - checked_in_at))::integer
+         WHERE session_id = $1
+         RETURNING *`,
+        [
+          open.rows[0].session_id,
+          attendance.attendance_id,
+          attendance.timestamp,
+        ]
+      );
+
+      return { attendance, session: session.rows[0] };
+    });
+  } catch (err) {
+    if (err.code === "23505" && err.constraint === IDEMPOTENCY_INDEX) {
+      return { error: DUPLICATE_EVENT };
+    }
+    throw err;
+  }
+}
+
+/**
+ * Lists a user's sessions grouped by the day they checked in, newest day
+ * first. Open sessions are included with a null duration and do not count
+ * towards the day's total.
+ *
+ * @param {{ from?: string, to?: string }} range inclusive YYYY-MM-DD bounds
+ * @returns {Promise<Array<{ date: string, totalSeconds: number, sessions: object[] }>>}
+ */
+export async function listSessionsByDay(pool, userId, { from, to } = {}) {
+  const conditions = ["s.user_id = $1"];
+  const values = [userId];
+
+  if (from) {
+    values.push(from);
+    conditions.push(`s.checked_in_at >= $${values.length}::date`);
+  }
+  if (to) {
+    values.push(to);
+    conditions.push(
+      `s.checked_in_at < $${values.length}::date + INTERVAL '1 day'`
+    );
+  }
+
+  const result = await pool.query(
+    `SELECT ${SESSION_COLUMNS}, to_char(s.checked_in_at, 'YYYY-MM-DD') AS day
+     FROM attendance_sessions s
+     LEFT JOIN "Attendance" co ON co.attendance_id = s.checkout_attendance_id
+     WHERE ${conditions.join(" AND ")}
+     ORDER BY s.checked_in_at DESC`,
+    values
+  );
+
+  const days = [];
+  for (const row of result.rows) {
+    let day = days[days.length - 1];
+    if (!day || day.date !== row.day) {
+      day = { date: row.day, totalSeconds: 0, sessions: [] };
+      days.push(day);
+    }
+    day.totalSeconds += row.duration_seconds || 0;
+    day.sessions.push(mapAttendanceSession(row));
+  }
+
+  return days;
+}
+
+/**
+ * Closes every session still open at the AUTO_CHECKOUT_TIME following its
+ * check-in, with a checkout at that time whose status is "auto_checkout",
+ * and tells the user.
+ *
+ * @returns {Promise<{ closed: number }>}
+ */
+export async function closeOverdueSessions(pool, cutoff = AUTO_CHECKOUT_TIME) {
+  const due = await pool.query(
+    `SELECT session_id, user_id, location_id, cutoff
+     FROM (
+       SELECT s.session_id, s.user_id, s.location_id,
+              CASE
+                WHEN s.checked_in_at < s.checked_in_at::date + $1::time
+                  THEN s.checked_in_at::date + $1::time
+                ELSE s.checked_in_at::date + 1 + $1::time
+              END AS cutoff
+       FROM attendance_sessions s
+       WHERE s.checked_out_at IS NULL
+     ) open
+     WHERE cutoff <= NOW()
+     ORDER BY cutoff`,
+    [cutoff]
+  );
+
+  let closed = 0;
+  for (const session of due.rows) {
+    const done = await withTransaction(pool, async (client) => {
+      // the user may have checked out in the meantime
+      const open = await client.query(
+        `SELECT 1 FROM attendance_sessions
+         WHERE session_id = $1 AND checked_out_at IS NULL
+         FOR UPDATE`,
+        [session.session_id]
+      );
+      if (open.rows.length === 0) {
+        return false;
+      }
+
+      const punch = await client.query(
+        `INSERT INTO "Attendance" (user_id, location_id, type, "timestamp", status, notes)
+         VALUES ($1, $2, 'checkout', $3, 'auto_checkout', 'Automatic checkout')
+         RETURNING attendance_id`,
+        [session.user_id, session.location_id, session.cutoff]
+      );
+      await client.query(
+        `UPDATE attendance_sessions
+         SET checkout_attendance_id = $2,
+             checked_out_at = $3,
+             duration_seconds = EXTRACT(EPOCH FROM ($3::timestamp - checked_in_at))::integer
+         WHERE session_id = $1`,
+        [session.session_id, punch.rows[0].attendance_id, session.cutoff]
+      );
+
+      await notifyUser(
+        client,
+        session.user_id,
+        "Checked out automatically",
+        `You had not checked out, so you were checked out at ${cutoff}.`
+      );
+      return true;
+    });
+    if (done) closed += 1;
+  }
+
+  return { closed };
+}
+
+/**
+ * Reminds users whose session has been open for CHECKOUT_REMINDER_HOURS to
+ * check out. Each session is reminded about once.
+ *
+ * @returns {Promise<{ reminded: number }>}
+ */
+export async function remindOpenSessions(
+  pool,
+  afterHours = CHECKOUT_REMINDER_HOURS
+) {
+  return withTransaction(pool, async (client) => {
+    const result = await client.query(
+      `UPDATE attendance_sessions
+       SET reminded_at = NOW()
+       WHERE checked_out_at IS NULL
+         AND reminded_at IS NULL
+         AND checked_in_at <= NOW() - make_interval(hours => $1)
+       RETURNING user_id, to_char(checked_in_at, 'YYYY-MM-DD HH24:MI') AS since`,
+      [afterHours]
+    );
+
+    for (const row of result.rows) {
+      await notifyUser(
+        client,
+        row.user_id,
+        "Did you forget to check out?",
+        `You have been checked in since ${row.since}. Please check out when you leave.`
+      );
+    }
+
+    return { reminded: result.rowCount };
+  });
+}
@@ -0,0 +1,517 @@
+import { evaluateAttendance } from "./attendanceRules.js";
+import { attachClassSession } from "./courses.js";
+import { withTransaction } from "./db.js";
+import { notifyUser } from "./notifications.js";
+
+// Manual changes to "Attendance" rows. A record is never overwritten
+// silently: every insert, edit and void stores the row as it was and as it
+// became in attendance_revisions, together with the mandatory reason and
+// who made the change. Voiding keeps the row but marks it with voided_at,
+// after which it no longer counts anywhere.
+//
+// After a change, the user's attendance sessions from the earliest affected
+// moment on are rebuilt and the affected days are re-rated.
+//
+// Users ask for changes through correction requests, which an admin
+// approves (applying them through the same functions) or rejects.
+
+export const EDITABLE_TYPES = ["check-in", "checkout"];
+
+export const CORRECTION_ACTIONS = ["add", "edit", "void"];
+
+export function mapAttendanceRevision(row) {
+  return {
+    revisionId: row.revision_id,
+    attendanceId: row.attendance_id,
+    action: row.action,
+    before: row.before_data,
+    after: row.after_data,
+    reason: row.reason,
+    changedBy: row.changed_by,
+    correctionId: row.correction_id,
+    createdAt: row.created_at,
+  };
+}
+
+export function mapAttendanceCorrection(row) {
+  return {
+    correctionId: row.correction_id,
+    userId: row.user_id,
+    attendanceId: row.attendance_id,
+    action: row.action,
+    requestedType: row.requested_type,
+    requestedTimestamp: row.requested_timestamp,
+    requestedLocationId: row.requested_location_id,
+    reason: row.reason,
+    status: row.status,
+    reviewedBy: row.reviewed_by,
+    reviewedAt: row.reviewed_at,
+    reviewNote: row.review_note,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+async function getRecord(client, attendanceId, lock = false) {
+  const result = await client.query(
+    `SELECT *, to_char("timestamp", 'YYYY-MM-DD') AS day
+     FROM "Attendance" WHERE attendance_id = $1
+     ${lock ? "FOR UPDATE" : ""}`,
+    [attendanceId]
+  );
+  return result.rows[0] || null;
+}
+
+// the stored snapshot leaves out the helper column
+function snapshot(record) {
+  if (!record) return null;
+  const { day, ...row } = record;
+  return row;
+}
+
+async function addRevision(client, action, before, after, meta) {
+  await client.query(
+    `INSERT INTO attendance_revisions
+     (attendance_id, action, before_data, after_data, reason, changed_by, correction_id)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      (after || before).attendance_id,
+      action,
+      snapshot(before),
+      snapshot(after),
+      meta.reason,
+      meta.changedBy,
+      meta.correctionId ?? null,
+    ]
+  );
+}
+
+/**
+ * Re-pairs the user's check-ins and checkouts into sessions from `since`
+ * on. A check-in while a session is open and a checkout without one are
+ * left unpaired.
+ *
+ * @param {import("pg").PoolClient} client
+ * @param {Date|string} since
+ */
+async function rebuildSessions(client, userId, since) {
+  const removed = await client.query(
+    `DELETE FROM attendance_sessions
+     WHERE user_id = $1
+       AND (checked_out_at IS NULL OR checked_out_at >= $2::timestamp)
+     RETURNING checked_in_at`,
+    [userId, since]
+  );
+
+  const start = removed.rows.reduce(
+    (earliest, row) =>
+      row.checked_in_at < earliest ? row.checked_in_at : earliest,
+    new Date(since)
+  );
+
+  const punches = await client.query(
+    `SELECT attendance_id, type, "timestamp", location_id
+     FROM "Attendance"
+     WHERE user_id = $1
+       AND type IN ('check-in', 'checkout')
+       AND voided_at IS NULL
+       AND "timestamp" >= $2::timestamp
+     ORDER BY "timestamp", attendance_id`,
+    [userId, start]
+  );
+
+  let open = null;
+  for (const punch of punches.rows) {
+    if (punch.type === "check-in") {
+      if (!open) open = punch;
+      continue;
+    }
+    if (!open) continue;
+
+    await client.query(
+      `INSERT INTO attendance_sessions
+       (user_id, location_id, checkin_attendance_id, checked_in_at,
+        checkout_attendance_id, checked_out_at, duration_seconds)
+       VALUES ($1, $2, $3, $4, $5, $6,
+               EXTRACT(EPOCH FROM ($6::timestamp - $4::timestamp))::integer)`,
+      [
+        userId,
+        open.location_id,
+        open.attendance_id,
+        open.timestamp,
+        punch.attendance_id,
+        punch.timestamp,
+      ]
+    );
+    open = null;
+  }
+
+  if (open) {
+    await client.query(
+      `INSERT INTO attendance_sessions
+       (user_id, location_id, checkin_attendance_id, checked_in_at)
+       VALUES ($1, $2, $3, $4)`,
+      [userId, open.location_id, open.attendance_id, open.timestamp]
+    );
+  }
+}
+
+// brings sessions, ratings, absences and class links in line after a change
+async function refresh(client, before, after) {
+  const record = after || before;
+  const records = [before, after].filter(Boolean);
+
+  const since = records
+    .map((r) => r.timestamp)
+    .reduce((earliest, t) => (t < earliest ? t : earliest));
+  await rebuildSessions(client, record.user_id, since);
+
+  for (const day of new Set(records.map((r) => r.day))) {
+    await evaluateAttendance(client, {
+      from: day,
+      to: day,
+      userId: record.user_id,
+    });
+  }
+
+  if (after && after.voided_at === null && after.type === "check-in") {
+    await attachClassSession(client, after.attendance_id);
+  } else if (after && after.class_schedule_id !== null) {
+    await client.query(
+      `UPDATE "Attendance" SET class_schedule_id = NULL WHERE attendance_id = $1`,
+      [after.attendance_id]
+    );
+  }
+}
+
+/**
+ * Validates the fields of a manual insert or edit. With `partial`, every
+ * field is optional.
+ *
+ * @returns {{ changes: object } | { error: string }}
+ */
+export function parseAttendanceChanges(
+  { type, timestamp, locationId, notes },
+  partial = false
+) {
+  if (!partial && (!type || !timestamp || !locationId)) {
+    return { error: "type, timestamp and locationId are required" };
+  }
+  if (type != null && !EDITABLE_TYPES.includes(type)) {
+    return { error: 'type must be "check-in" or "checkout"' };
+  }
+  if (timestamp != null) {
+    if (isNaN(Date.parse(timestamp))) {
+      return { error: "Invalid timestamp" };
+    }
+    if (Date.parse(timestamp) > Date.now()) {
+      return { error: "timestamp must not be in the future" };
+    }
+  }
+
+  const changes = {};
+  if (type != null) changes.type = type;
+  if (timestamp != null) changes.timestamp = new Date(timestamp);
+  if (locationId != null) changes.locationId = locationId;
+  if (notes !== undefined) changes.notes = notes;
+  return { changes };
+}
+
+/**
+ * Inserts a check-in or checkout by hand.
+ *
+ * @param {import("pg").PoolClient} client
+ * @param {{ userId: number, type: string, timestamp: Date, locationId: number,
+ *           notes?: string, localTimestamp?: string }} record
+ *   localTimestamp, campus time as stored ("2025-03-03 08:00:00"), is taken
+ *   as it is instead of timestamp
+ * @param {{ reason: string, changedBy: number, correctionId?: number }} meta
+ * @returns {Promise<object>} the new row
+ */
+export async function addAttendanceRecord(client, record, meta) {
+  const inserted = await client.query(
+    `INSERT INTO "Attendance" (user_id, location_id, type, "timestamp", notes)
+     VALUES ($1, $2, $3, COALESCE($6::timestamp, $4::timestamptz::timestamp), $5)
+     RETURNING attendance_id`,
+    [
+      record.userId,
+      record.locationId,
+      record.type,
+      record.timestamp ?? null,
+      record.notes ?? null,
+      record.localTimestamp ?? null,
+    ]
+  );
+  const id = inserted.rows[0].attendance_id;
+
+  await refresh(client, null, await getRecord(client, id));
+
+  const after = await getRecord(client, id);
+  await addRevision(client, "create", null, after, meta);
+  return snapshot(after);
+}
+
+/**
+ * Changes the type, time, location or notes of a check-in or checkout.
+ * changes.localTimestamp is taken as it is, like addAttendanceRecord's.
+ *
+ * @returns {Promise<{ before: object, after: object } | { error: string }>}
+ */
+export async function editAttendanceRecord(
+  client,
+  attendanceId,
+  changes,
+  meta
+) {
+  const before = await getRecord(client, attendanceId, true);
+  if (!before) {
+    return { error: "Attendance record not found" };
+  }
+  if (before.voided_at !== null) {
+    return { error: "Voided records cannot be changed" };
+  }
+  if (!EDITABLE_TYPES.includes(before.type)) {
+    return { error: "Only check-in and checkout records can be changed" };
+  }
+
+  await client.query(
+    `UPDATE "Attendance"
+     SET type = COALESCE($2, type),
+         "timestamp" = COALESCE($7::timestamp, $3::timestamptz::timestamp, "timestamp"),
+         location_id = COALESCE($4, location_id),
+         notes = CASE WHEN $5 THEN $6 ELSE notes END
+     WHERE attendance_id = $1`,
+    [
+      attendanceId,
+      changes.type ?? null,
+      changes.timestamp ?? null,
+      changes.locationId ?? null,
+      changes.notes !== undefined,
+      changes.notes ?? null,
+      changes.localTimestamp ?? null,
+    ]
+  );
+
+  await refresh(client, before, await getRecord(client, attendanceId));
+
+  const after = await getRecord(client, attendanceId);
+  await addRevision(client, "edit", before, after, meta);
+  return { before: snapshot(before), after: snapshot(after) };
+}
+
+/**
+ * Marks a check-in or checkout as void. The row stays for the history.
+ *
+ * @returns {Promise<{ before: object, after: object } | { error: string }>}
+ */
+export async function voidAttendanceRecord(client, attendanceId, meta) {
+  const before = await getRecord(client, attendanceId, true);
+  if (!before) {
+    return { error: "Attendance record not found" };
+  }
+  if (before.voided_at !== null) {
+    return { error: "Voided records cannot be changed" };
+  }
+  if (!EDITABLE_TYPES.includes(before.type)) {
+    return { error: "Only check-in and checkout records can be changed" };
+  }
+
+  await client.query(
+    `UPDATE "Attendance"
+     SET voided_at = NOW(), voided_by = $2, void_reason = $3
+     WHERE attendance_id = $1`,
+    [attendanceId, meta.changedBy, meta.reason]
+  );
+
+  await refresh(client, before, await getRecord(client, attendanceId));
+
+  const after = await getRecord(client, attendanceId);
+  await addRevision(client, "void", before, after, meta);
+  return { before: snapshot(before), after: snapshot(after) };
+}
+
+/**
+ * Validates the fields of a correction request: "add" needs the type and
+ * time of the missing record, "edit" the new type and/or time.
+ *
+ * @returns {{ request: object } | { error: string }}
+ */
+export function parseCorrectionRequest({
+  attendanceId,
+  action,
+  requestedType,
+  requestedTimestamp,
+  requestedLocationId,
+  reason,
+}) {
+  if (!attendanceId || !action || !reason) {
+    return { error: "attendanceId, action and reason are required" };
+  }
+  if (!CORRECTION_ACTIONS.includes(action)) {
+    return { error: `action must be one of ${CORRECTION_ACTIONS.join(", ")}` };
+  }
+  if (action === "add" && (!requestedType || !requestedTimestamp)) {
+    return { error: "requestedType and requestedTimestamp are required" };
+  }
+  if (action === "edit" && !requestedType && !requestedTimestamp) {
+    return { error: "requestedType or requestedTimestamp is required" };
+  }
+
+  if (action === "void") {
+    return { request: { attendanceId, action, reason: String(reason) } };
+  }
+
+  const { error } = parseAttendanceChanges(
+    { type: requestedType, timestamp: requestedTimestamp },
+    true
+  );
+  if (error) {
+    return { error };
+  }
+
+  return {
+    request: {
+      attendanceId,
+      action,
+      requestedType,
+      requestedTimestamp,
+      requestedLocationId,
+      reason: String(reason),
+    },
+  };
+}
+
+/**
+ * Files a correction request against one of the user's records.
+ *
+ * @param {{ attendanceId: number, action: string, requestedType?: string,
+ *           requestedTimestamp?: string, requestedLocationId?: number,
+ *           reason: string }} request
+ * @returns {Promise<object | { error: string }>} the new row
+ */
+export async function createCorrection(pool, userId, request) {
+  const record = await getRecord(pool, request.attendanceId);
+  if (!record || record.user_id !== userId) {
+    return { error: "Attendance record not found" };
+  }
+  if (record.voided_at !== null) {
+    return { error: "Voided records cannot be changed" };
+  }
+  if (request.action !== "add" && !EDITABLE_TYPES.includes(record.type)) {
+    return { error: "Only check-in and checkout records can be changed" };
+  }
+  if (
+    request.action === "add" &&
+    !request.requestedLocationId &&
+    !record.location_id
+  ) {
+    return { error: "requestedLocationId is required" };
+  }
+
+  const result = await pool.query(
+    `INSERT INTO attendance_corrections
+     (user_id, attendance_id, action, requested_type, requested_timestamp,
+      requested_location_id, reason)
+     VALUES ($1, $2, $3, $4, $5::timestamptz, $6, $7)
+     RETURNING *`,
+    [
+      userId,
+      request.attendanceId,
+      request.action,
+      request.requestedType ?? null,
+      request.requestedTimestamp ?? null,
+      request.requestedLocationId ?? null,
+      request.reason,
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Approves (and applies) or rejects a pending correction request and
+ * notifies the user.
+ *
+ * @param {{ decision: "approved"|"rejected", reviewedBy: number, note?: string }} review
+ * @returns {Promise<{ before: object, after: object, applied: object|null } | { error: string }>}
+ */
+export async function reviewCorrection(pool, correctionId, review) {
+  return withTransaction(pool, async (client) => {
+    const locked = await client.query(
+      // the requested time as text: a Date would be read in the server's
+      // time zone instead of campus time
+      `SELECT *, requested_timestamp::text AS requested_local_timestamp
+       FROM attendance_corrections WHERE correction_id = $1 FOR UPDATE`,
+      [correctionId]
+    );
+    const before = locked.rows[0];
+    if (!before) {
+      return { error: "Correction request not found" };
+    }
+    if (before.status !== "pending") {
+      return { error: "Correction request has already been decided" };
+    }
+
+    let applied = null;
+    if (review.decision === "approved") {
+      const meta = {
+        reason: `Correction request #${correctionId}: ${before.reason}`,
+        changedBy: review.reviewedBy,
+        correctionId,
+      };
+
+      if (before.action === "add") {
+        const record = await getRecord(client, before.attendance_id);
+        applied = await addAttendanceRecord(
+          client,
+          {
+            userId: before.user_id,
+            type: before.requested_type,
+            localTimestamp: before.requested_local_timestamp,
+            locationId: before.requested_location_id || record.location_id,
+          },
+          meta
+        );
+      } else {
+        const result =
+          before.action === "edit"
+            ? await editAttendanceRecord(
+                client,
+                before.attendance_id,
+                {
+                  type: before.requested_type ?? undefined,
+                  localTimestamp: before.requested_local_timestamp ?? undefined,
+                  locationId: before.requested_location_id ?? undefined,
+                },
+                meta
+              )
+            : await voidAttendanceRecord(client, before.attendance_id, meta);
+        if (result.error) {
+          return result;
+        }
+        applied = result.after;
+      }
+    }
+
+    const updated = await client.query(
+      `UPDATE attendance_corrections
+       SET status = $2, reviewed_by = $3, reviewed_at = NOW(), review_note = $4,
+           updated_at = NOW()
+       WHERE correction_id = $1
+       RETURNING *`,
+      [correctionId, review.decision, review.reviewedBy, review.note || null]
+    );
+    const after = updated.rows[0];
+
+    await notifyUser(
+      client,
+      after.user_id,
+      review.decision === "approved"
+        ? "Attendance correction approved"
+        : "Attendance correction rejected",
+      `Your correction request #${correctionId} was ${review.decision}.` +
+        (review.note ? ` Note: ${review.note}` : "")
+    );
+
+    return { before, after, applied };
+  });
+}
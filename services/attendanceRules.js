@@ -0,0 +1,384 @@
+import { withTransaction } from "./db.js";
+
+// Rates attendance against the attendance_rules table. Each role can have
+// its own rule; roles without one use the rule stored under "default".
+//
+// Per user and day, only the first check-in and the last checkout are rated:
+//   check-in  on_time | late         against expected_start + late grace
+//   checkout  on_time | early_leave  against expected_end - early leave grace
+// Every other punch, and any punch on a day that is not a working day for
+// its user, gets a null status. A user with no check-in on a past working
+// day gets an "absent" row for that day, with status "excused" when an
+// approved leave request covers the day. Only users of ABSENCE_ROLES are
+// marked absent; staff and admin accounts are not expected to check in.
+// Voided records (see attendanceEdits.js) and automatic checkouts (status
+// "auto_checkout", see jobs.js) are left out and keep their status.
+//
+// Whether a day is a working day for a user is decided by the first of
+// these that says anything about it:
+//   1. calendar entries of one of the user's class groups
+//   2. calendar entries of a location where one of those groups meets that day
+//   3. calendar entries for everyone
+//   4. the rule's working_days (ISO weekdays, 1 = Monday)
+// Entries whose is_working_day is null (a semester, an exam week) say
+// nothing. Within one level a working day wins, so a make-up day can be
+// declared inside a longer break (see calendar.js).
+
+export const DEFAULT_RULE_ROLE = "default";
+
+// the roles whose users are marked absent on days they did not check in,
+// e.g. ABSENCE_ROLES=student,teacher
+export const ABSENCE_ROLES = (process.env.ABSENCE_ROLES || "student,teacher")
+  .split(",")
+  .map((role) => role.trim())
+  .filter((role) => role !== "");
+
+// the longest range a single evaluation may cover
+export const MAX_EVALUATION_DAYS = 366;
+
+// the rule that applies to the user `u` of the surrounding query
+const RULE_FOR_USER = `JOIN LATERAL (
+       SELECT * FROM attendance_rules ar
+       WHERE ar.role = u.role OR ar.role = '${DEFAULT_RULE_ROLE}'
+       ORDER BY ar.role = '${DEFAULT_RULE_ROLE}'
+       LIMIT 1
+     ) r ON true`;
+
+// whether an approved leave request of the user covers the day
+function onLeave(userId, day) {
+  return `EXISTS (
+         SELECT 1 FROM leave_requests lr
+         WHERE lr.user_id = ${userId}
+           AND lr.status = 'approved'
+           AND ${day}::date BETWEEN lr.start_date AND lr.end_date
+       )`;
+}
+
+// whether the calendar entries matching `scope` make the day a working day:
+// true or false, or null when none of them decides it
+function calendarSays(scope, day) {
+  return `(SELECT bool_or(ce.is_working_day) FROM calendar_entries ce
+         WHERE ${day}::date BETWEEN ce.start_date AND ce.end_date
+           AND ${scope})`;
+}
+
+const EVERYONE = "ce.location_id IS NULL AND ce.group_id IS NULL";
+
+// the class groups of the user, as a student or as their teacher
+function groupsOf(userId) {
+  return `(SELECT e.group_id FROM enrollments e WHERE e.user_id = ${userId}
+          UNION
+          SELECT g.group_id FROM class_groups g WHERE g.teacher_id = ${userId})`;
+}
+
+// the locations where one of the user's groups meets on the day
+function locationsOf(userId, day) {
+  return `(SELECT cs.location_id FROM class_schedules cs
+          WHERE cs.group_id IN ${groupsOf(userId)}
+            AND cs.weekday = EXTRACT(ISODOW FROM ${day})::integer
+            AND ${day}::date >= cs.valid_from
+            AND (cs.valid_until IS NULL OR ${day}::date <= cs.valid_until))`;
+}
+
+// whether the day is a working day for the user, given the working_days of
+// the rule that applies to them
+function workingDay(userId, day, workingDays) {
+  return `COALESCE(
+         ${calendarSays(`ce.group_id IN ${groupsOf(userId)}`, day)},
+         ${calendarSays(`ce.location_id IN ${locationsOf(userId, day)}`, day)},
+         ${calendarSays(EVERYONE, day)},
+         EXTRACT(ISODOW FROM ${day})::integer = ANY (${workingDays})
+       )`;
+}
+
+/**
+ * SQL for whether a class group meets at a location on a day, all three
+ * given as SQL expressions. Classes are held on their scheduled weekday
+ * unless the calendar of the group, of the location or of everyone says
+ * otherwise.
+ *
+ * @returns {string}
+ */
+export function classMeetsSql(groupId, locationId, day) {
+  return `COALESCE(
+         ${calendarSays(`ce.group_id = ${groupId}`, day)},
+         ${calendarSays(`ce.location_id = ${locationId}`, day)},
+         ${calendarSays(EVERYONE, day)},
+         true
+       )`;
+}
+
+export function mapAttendanceRule(row) {
+  return {
+    role: row.role,
+    expectedStart: row.expected_start,
+    expectedEnd: row.expected_end,
+    lateGraceMinutes: row.late_grace_minutes,
+    earlyLeaveGraceMinutes: row.early_leave_grace_minutes,
+    workingDays: row.working_days,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Re-rates every check-in and checkout between `from` and `to` (inclusive
+ * YYYY-MM-DD dates) and brings the absent rows of that range in line with
+ * the current rules. Safe to run as often as needed.
+ *
+ * @param {import("pg").Pool | import("pg").PoolClient} db
+ * @param {{ from: string, to: string, userId?: number }} range
+ * @returns {Promise<{ rated: number, absentCreated: number, absentRemoved: number }>}
+ */
+export async function evaluateAttendance(db, { from, to, userId = null }) {
+  const values = [from, to, userId];
+
+  const rated = await db.query(
+    `WITH punches AS (
+       SELECT a.attendance_id, a.type, a."timestamp",
+              r.expected_start, r.expected_end, r.late_grace_minutes,
+              r.early_leave_grace_minutes,
+              ${workingDay(
+                "a.user_id",
+                'a."timestamp"',
+                "r.working_days"
+              )} AS working_day,
+              row_number() OVER (
+                PARTITION BY a.user_id, a.type, a."timestamp"::date
+                ORDER BY a."timestamp", a.attendance_id
+              ) AS nth_first,
+              row_number() OVER (
+                PARTITION BY a.user_id, a.type, a."timestamp"::date
+                ORDER BY a."timestamp" DESC, a.attendance_id DESC
+              ) AS nth_last
+       FROM "Attendance" a
+       JOIN "User" u ON u.user_id = a.user_id
+       ${RULE_FOR_USER}
+       WHERE a.type IN ('check-in', 'checkout')
+         AND a.voided_at IS NULL
+         AND a.status IS DISTINCT FROM 'auto_checkout'
+         AND a."timestamp" >= $1::date
+         AND a."timestamp" < $2::date + 1
+         AND ($3::integer IS NULL OR a.user_id = $3)
+     ),
+     rated AS (
+       SELECT attendance_id,
+              CASE
+                WHEN NOT working_day THEN NULL
+                WHEN type = 'check-in' AND nth_first = 1 THEN
+                  CASE
+                    WHEN "timestamp" > "timestamp"::date + expected_start + make_interval(mins => late_grace_minutes)
+                      THEN 'late'
+                    ELSE 'on_time'
+                  END
+                WHEN type = 'checkout' AND nth_last = 1 THEN
+                  CASE
+                    WHEN "timestamp" < "timestamp"::date + expected_end - make_interval(mins => early_leave_grace_minutes)
+                      THEN 'early_leave'
+                    ELSE 'on_time'
+                  END
+              END AS status
+       FROM punches
+     )
+     UPDATE "Attendance" a
+     SET status = rated.status
+     FROM rated
+     WHERE a.attendance_id = rated.attendance_id
+       AND a.status IS DISTINCT FROM rated.status`,
+    values
+  );
+
+  const absenceValues = [...values, ABSENCE_ROLES];
+
+  // today is still running, so only past days can be missed
+  const created = await db.query(
+    `INSERT INTO "Attendance" (user_id, location_id, type, "timestamp", status)
+     SELECT u.user_id, NULL, 'absent', d.day,
+            CASE WHEN ${onLeave(
+              "u.user_id",
+              "d.day"
+            )} THEN 'excused' ELSE 'absent' END
+     FROM generate_series(
+            $1::date::timestamp,
+            LEAST($2::date, CURRENT_DATE - 1)::timestamp,
+            INTERVAL '1 day'
+          ) AS d(day)
+     CROSS JOIN "User" u
+     ${RULE_FOR_USER}
+     WHERE ${workingDay("u.user_id", "d.day", "r.working_days")}
+       AND ($3::integer IS NULL OR u.user_id = $3)
+       AND u.role = ANY($4::varchar[])
+       AND NOT EXISTS (
+         SELECT 1 FROM "Attendance" c
+         WHERE c.user_id = u.user_id
+           AND c.type = 'check-in'
+           AND c.voided_at IS NULL
+           AND c."timestamp" >= d.day
+           AND c."timestamp" < d.day + INTERVAL '1 day'
+       )
+     ON CONFLICT DO NOTHING`,
+    absenceValues
+  );
+
+  const removed = await db.query(
+    `DELETE FROM "Attendance" a
+     USING "User" u
+     ${RULE_FOR_USER}
+     WHERE u.user_id = a.user_id
+       AND a.type = 'absent'
+       AND a."timestamp" >= $1::date
+       AND a."timestamp" < $2::date + 1
+       AND ($3::integer IS NULL OR a.user_id = $3)
+       AND (
+         u.role IS NULL
+         OR NOT (u.role = ANY($4::varchar[]))
+         OR NOT ${workingDay("a.user_id", 'a."timestamp"', "r.working_days")}
+         OR EXISTS (
+           SELECT 1 FROM "Attendance" c
+           WHERE c.user_id = a.user_id
+             AND c.type = 'check-in'
+             AND c.voided_at IS NULL
+             AND c."timestamp" >= a."timestamp"::date
+             AND c."timestamp" < a."timestamp"::date + 1
+         )
+       )`,
+    absenceValues
+  );
+
+  // leave approved or withdrawn after the absence was recorded
+  const excused = await db.query(
+    `UPDATE "Attendance" a
+     SET status = judged.status
+     FROM (
+       SELECT x.attendance_id,
+              CASE WHEN ${onLeave(
+                "x.user_id",
+                'x."timestamp"'
+              )} THEN 'excused' ELSE 'absent' END AS status
+       FROM "Attendance" x
+       WHERE x.type = 'absent'
+         AND x."timestamp" >= $1::date
+         AND x."timestamp" < $2::date + 1
+         AND ($3::integer IS NULL OR x.user_id = $3)
+     ) judged
+     WHERE a.attendance_id = judged.attendance_id
+       AND a.status IS DISTINCT FROM judged.status`,
+    values
+  );
+
+  return {
+    rated: rated.rowCount + excused.rowCount,
+    absentCreated: created.rowCount,
+    absentRemoved: removed.rowCount,
+  };
+}
+
+/**
+ * Rates the punches of the day an attendance row belongs to and returns the
+ * row's resulting status. Used right after a check-in or checkout.
+ *
+ * @param {import("pg").PoolClient} client
+ * @returns {Promise<string|null>}
+ */
+export async function ratePunch(client, userId, attendanceId) {
+  const day = await client.query(
+    `SELECT to_char("timestamp", 'YYYY-MM-DD') AS day FROM "Attendance" WHERE attendance_id = $1`,
+    [attendanceId]
+  );
+  const { day: date } = day.rows[0];
+
+  await evaluateAttendance(client, { from: date, to: date, userId });
+
+  const result = await client.query(
+    `SELECT status FROM "Attendance" WHERE attendance_id = $1`,
+    [attendanceId]
+  );
+  return result.rows[0].status;
+}
+
+/**
+ * Evaluates yesterday, which is when absences get recorded. Run hourly by
+ * the scheduler (see jobs.js); repeated runs change nothing.
+ *
+ * @returns {Promise<{ day: string, rated: number, absentCreated: number, absentRemoved: number }>}
+ */
+export async function evaluateYesterday(pool) {
+  const result = await pool.query(
+    "SELECT to_char(CURRENT_DATE - 1, 'YYYY-MM-DD') AS day"
+  );
+  const { day } = result.rows[0];
+
+  const counts = await withTransaction(pool, (client) =>
+    evaluateAttendance(client, { from: day, to: day })
+  );
+  return { day, ...counts };
+}
+
+/**
+ * Tells for each day from `from` to `to` (inclusive YYYY-MM-DD dates)
+ * whether it is a working day for the user, which level decided it and the
+ * calendar entries that concern the user on that day. A user whose role has
+ * no rule (and no default rule exists) has no working days of their own.
+ *
+ * @returns {Promise<object[]|null>} one entry per day, or null when the user
+ *   does not exist or `to` is before `from`
+ */
+export async function listWorkingDays(db, userId, { from, to }) {
+  const result = await db.query(
+    `SELECT to_char(d.day, 'YYYY-MM-DD') AS date,
+            ${calendarSays(
+              `ce.group_id IN ${groupsOf("u.user_id")}`,
+              "d.day"
+            )} AS by_group,
+            ${calendarSays(
+              `ce.location_id IN ${locationsOf("u.user_id", "d.day")}`,
+              "d.day"
+            )} AS by_location,
+            ${calendarSays(EVERYONE, "d.day")} AS by_calendar,
+            COALESCE(EXTRACT(ISODOW FROM d.day)::integer = ANY (r.working_days), false) AS by_rule,
+            (
+              SELECT COALESCE(json_agg(json_build_object(
+                       'entryId', ce.entry_id,
+                       'title', ce.title,
+                       'kind', ce.kind,
+                       'workingDay', ce.is_working_day
+                     ) ORDER BY ce.start_date, ce.entry_id), '[]')
+              FROM calendar_entries ce
+              WHERE d.day::date BETWEEN ce.start_date AND ce.end_date
+                AND (${EVERYONE}
+                     OR ce.group_id IN ${groupsOf("u.user_id")}
+                     OR ce.location_id IN ${locationsOf("u.user_id", "d.day")})
+            ) AS entries
+     FROM "User" u
+     LEFT ${RULE_FOR_USER}
+     CROSS JOIN generate_series($2::date::timestamp, $3::date::timestamp, INTERVAL '1 day') AS d(day)
+     WHERE u.user_id = $1
+     ORDER BY d.day`,
+    [userId, from, to]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return result.rows.map((row) => {
+    const source = ["group", "location", "calendar", "rule"].find(
+      (level) => row[`by_${level}`] !== null
+    );
+    return {
+      date: row.date,
+      workingDay: row[`by_${source}`],
+      decidedBy: source,
+      entries: row.entries,
+    };
+  });
+}
+
+/**
+ * @param {string} day YYYY-MM-DD
+ * @returns {Promise<boolean|null>} whether the day is a working day for the
+ *   user, or null when the user does not exist
+ */
+export async function isWorkingDay(db, userId, day) {
+  const days = await listWorkingDays(db, userId, { from: day, to: day });
+  return days && days[0].workingDay;
+}
@@ -0,0 +1,208 @@
+import { parseGpsMetadata } from "./anomalies.js";
+import { DUPLICATE_EVENT, checkIn, checkOut } from "./attendance.js";
+import { getOpenCheckinWindow } from "./checkinWindows.js";
+import { resolveLocation } from "./locations.js";
+
+// Check-ins and checkouts queued on a device while it was offline. Each
+// event carries a client-generated idempotency key, stored with the record,
+// so a batch that is sent again after a lost response is not recorded
+// twice. Events are judged at the time they were captured: that time
+// becomes the record's timestamp and decides rating, class and QR window.
+
+// how long after capture an event may still be synced
+export const SYNC_MAX_DELAY_HOURS =
+  Number(process.env.SYNC_MAX_DELAY_HOURS) || 24;
+
+export const SYNC_MAX_EVENTS = 100;
+
+// device clocks running a little ahead are tolerated
+const MAX_FUTURE_SECONDS = 5 * 60;
+
+function parseEvent(event) {
+  if (!event || typeof event !== "object") {
+    return { error: "Event must be an object" };
+  }
+
+  const { idempotencyKey, type, capturedAt, userLatitude, userLongitude } =
+    event;
+
+  if (
+    typeof idempotencyKey !== "string" ||
+    idempotencyKey.length === 0 ||
+    idempotencyKey.length > 100
+  ) {
+    return { error: "idempotencyKey must be a string of 1 to 100 characters" };
+  }
+  if (type !== "check-in" && type !== "checkout") {
+    return { error: 'type must be "check-in" or "checkout"' };
+  }
+  if (!capturedAt || isNaN(Date.parse(capturedAt))) {
+    return { error: "capturedAt must be an ISO date" };
+  }
+  if (typeof userLatitude !== "number" || typeof userLongitude !== "number") {
+    return { error: "userLatitude and userLongitude are required" };
+  }
+
+  const { gps, error } = parseGpsMetadata(event);
+  if (error) {
+    return { error };
+  }
+
+  const captured = new Date(capturedAt);
+  const ageSeconds = (Date.now() - captured.getTime()) / 1000;
+  if (ageSeconds < -MAX_FUTURE_SECONDS) {
+    return { error: "capturedAt is in the future" };
+  }
+  if (ageSeconds > SYNC_MAX_DELAY_HOURS * 3600) {
+    return {
+      error: `Events must be synced within ${SYNC_MAX_DELAY_HOURS} hours`,
+    };
+  }
+
+  return {
+    event: {
+      idempotencyKey,
+      type,
+      capturedAt: captured,
+      latitude: userLatitude,
+      longitude: userLongitude,
+      notes: event.notes,
+      gps,
+    },
+  };
+}
+
+async function findSyncedRecord(pool, userId, idempotencyKey) {
+  const result = await pool.query(
+    `SELECT attendance_id FROM "Attendance"
+     WHERE user_id = $1 AND idempotency_key = $2`,
+    [userId, idempotencyKey]
+  );
+  return result.rows[0] || null;
+}
+
+async function recordEvent(pool, userId, event) {
+  const existing = await findSyncedRecord(pool, userId, event.idempotencyKey);
+  if (existing) {
+    return { result: "duplicate", attendanceId: existing.attendance_id };
+  }
+
+  // sessions are built in order, so nothing may go before a recorded punch
+  const later = await pool.query(
+    `SELECT 1 FROM "Attendance"
+     WHERE user_id = $1
+       AND type IN ('check-in', 'checkout')
+       AND voided_at IS NULL
+       AND "timestamp" >= $2::timestamptz
+     LIMIT 1`,
+    [userId, event.capturedAt]
+  );
+  if (later.rows.length > 0) {
+    return {
+      result: "rejected",
+      error: "A later check-in or checkout is already recorded",
+    };
+  }
+
+  const match = await resolveLocation(pool, event.latitude, event.longitude);
+  if (!match) {
+    return {
+      result: "rejected",
+      error:
+        event.type === "check-in"
+          ? "You are outside the allowed check-in area"
+          : "You are outside the allowed checkout area",
+    };
+  }
+
+  // a QR code cannot be verified afterwards
+  if (
+    event.type === "check-in" &&
+    (await getOpenCheckinWindow(
+      pool,
+      match.location.location_id,
+      event.capturedAt
+    ))
+  ) {
+    return { result: "rejected", error: "Scan the QR code to check in here" };
+  }
+
+  const punch = {
+    locationId: match.location.location_id,
+    latitude: event.latitude,
+    longitude: event.longitude,
+    distance: match.distance,
+    notes: event.notes,
+    gps: event.gps,
+    capturedAt: event.capturedAt,
+    idempotencyKey: event.idempotencyKey,
+  };
+  const recorded =
+    event.type === "check-in"
+      ? await checkIn(pool, userId, punch)
+      : await checkOut(pool, userId, punch);
+
+  if (recorded.error === DUPLICATE_EVENT) {
+    // the same key arrived concurrently in another request
+    const record = await findSyncedRecord(pool, userId, event.idempotencyKey);
+    return { result: "duplicate", attendanceId: record.attendance_id };
+  }
+  if (recorded.error) {
+    return { result: "rejected", error: recorded.error };
+  }
+
+  const { attendance, session } = recorded;
+  return {
+    result: "accepted",
+    attendanceId: attendance.attendance_id,
+    timestamp: attendance.timestamp,
+    locationId: match.location.location_id,
+    distanceMeters: match.distance,
+    status: attendance.status,
+    sessionId: session.session_id,
+    underReview: attendance.review_status === "pending",
+  };
+}
+
+/**
+ * Records a batch of queued events for a user, oldest capture first, each
+ * on its own so one bad event does not hold back the others.
+ *
+ * @param {object[]} events as sent by the client
+ * @returns {Promise<object[]>} one outcome per event, in the order sent:
+ *   result "accepted", "duplicate" or "rejected" with the event's index and
+ *   idempotencyKey
+ */
+export async function syncAttendanceEvents(pool, userId, events) {
+  const outcomes = new Array(events.length);
+  const pending = [];
+
+  events.forEach((raw, index) => {
+    const parsed = parseEvent(raw);
+    if (parsed.error) {
+      outcomes[index] = {
+        index,
+        idempotencyKey: raw?.idempotencyKey ?? null,
+        result: "rejected",
+        error: parsed.error,
+      };
+    } else {
+      pending.push({ index, event: parsed.event });
+    }
+  });
+
+  pending.sort((a, b) => a.event.capturedAt - b.event.capturedAt);
+
+  for (const { index, event } of pending) {
+    const outcome = await recordEvent(pool, userId, event);
+    outcomes[index] = {
+      index,
+      idempotencyKey: event.idempotencyKey,
+      type: event.type,
+      capturedAt: event.capturedAt,
+      ...outcome,
+    };
+  }
+
+  return outcomes;
+}
@@ -0,0 +1,81 @@
+// Append-only trail of administrative changes (see the audit_log table; a
+// trigger rejects UPDATE and DELETE on it).
+
+// columns that must never be copied into the trail
+const REDACTED_FIELDS = ["password_hash", "secret", "refresh_token_hash"];
+
+function sanitize(data) {
+  if (!data) {
+    return null;
+  }
+  const clean = { ...data };
+  for (const field of REDACTED_FIELDS) {
+    if (field in clean) {
+      clean[field] = "[redacted]";
+    }
+  }
+  return clean;
+}
+
+/**
+ * Field-by-field difference between two snapshots.
+ *
+ * @returns {Object<string, { before: any, after: any }>}
+ */
+export function diffSnapshots(before, after) {
+  const changes = {};
+  const keys = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  for (const key of keys) {
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[key] = { before: from ?? null, after: to ?? null };
+    }
+  }
+
+  return changes;
+}
+
+/**
+ * Appends an entry to the audit trail. Passwords and secrets are replaced by
+ * "[redacted]" before anything is stored; a changed password still shows up
+ * as a change because the raw values are compared first.
+ *
+ * @param {import("pg").Pool | import("pg").PoolClient} db
+ * @param {import("express").Request} req the request of the acting admin
+ * @param {{ action: string, entityType: string, entityId?: string|number,
+ *           before?: object, after?: object }} entry
+ */
+export async function recordAudit(
+  db,
+  req,
+  { action, entityType, entityId, before, after }
+) {
+  const changes = diffSnapshots(before, after);
+  for (const field of REDACTED_FIELDS) {
+    if (changes[field]) {
+      changes[field] = { before: "[redacted]", after: "[redacted]" };
+    }
+  }
+
+  await db.query(
+    `INSERT INTO audit_log
+     (actor_user_id, actor_email, action, entity_type, entity_id, before_data, after_data, changes, ip_address)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+    [
+      req.user ? req.user.userId : null,
+      req.user ? req.user.email : null,
+      action,
+      entityType,
+      entityId == null ? null : String(entityId),
+      before ? JSON.stringify(sanitize(before)) : null,
+      after ? JSON.stringify(sanitize(after)) : null,
+      JSON.stringify(changes),
+      req.ip || null,
+    ]
+  );
+}
@@ -0,0 +1,106 @@
+import crypto from "crypto";
+import { withTransaction } from "./db.js";
+import { hashToken } from "./tokens.js";
+import { matchTotpStep } from "./totp.js";
+
+const BACKUP_CODE_COUNT = 10;
+const BACKUP_CODE_ALPHABET = "abcdefghjkmnpqrstuvwxyz23456789";
+
+/**
+ * @returns {Promise<boolean>} whether the user has a confirmed authenticator
+ */
+export async function hasAuthenticator(pool, userId) {
+  const result = await pool.query(
+    "SELECT 1 FROM user_totp WHERE user_id = $1 AND confirmed_at IS NOT NULL",
+    [userId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Checks a code from the user's authenticator app. A code is accepted only
+ * once: its time step is remembered and older steps are rejected.
+ *
+ * @param {import("pg").Pool | import("pg").PoolClient} db
+ * @param {{ secret: string, last_used_step: string|null }} totp
+ * @returns {Promise<boolean>}
+ */
+export async function useTotpCode(db, userId, totp, code) {
+  const step = matchTotpStep(totp.secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  const result = await db.query(
+    `UPDATE user_totp SET last_used_step = $2
+     WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)`,
+    [userId, step]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Verifies a second factor for a user with a confirmed authenticator:
+ * either a current TOTP code or one of their unused backup codes.
+ *
+ * @returns {Promise<"totp"|"backup"|null>} which factor matched
+ */
+export async function verifyAuthenticatorCode(pool, userId, code) {
+  const totpResult = await pool.query(
+    "SELECT secret, last_used_step FROM user_totp WHERE user_id = $1 AND confirmed_at IS NOT NULL",
+    [userId]
+  );
+  if (totpResult.rows.length === 0) {
+    return null;
+  }
+
+  if (await useTotpCode(pool, userId, totpResult.rows[0], code)) {
+    return "totp";
+  }
+
+  const backupResult = await pool.query(
+    `UPDATE user_backup_codes SET used_at = NOW()
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING code_id`,
+    [userId, hashToken(normalizeBackupCode(code))]
+  );
+  return backupResult.rows.length > 0 ? "backup" : null;
+}
+
+/**
+ * Replaces all of a user's backup codes with a fresh set.
+ *
+ * @returns {Promise<string[]>} the new codes, in plaintext; only their
+ *   hashes are stored, so this is the one chance to show them
+ */
+export async function createBackupCodes(pool, userId) {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, generateBackupCode);
+
+  await withTransaction(pool, async (client) => {
+    await client.query("DELETE FROM user_backup_codes WHERE user_id = $1", [
+      userId,
+    ]);
+    await client.query(
+      `INSERT INTO user_backup_codes (user_id, code_hash)
+       SELECT $1, unnest($2::text[])`,
+      [userId, codes.map((code) => hashToken(normalizeBackupCode(code)))]
+    );
+  });
+
+  return codes;
+}
+
+// xxxxx-xxxxx, about 49 bits of entropy
+function generateBackupCode() {
+  const chars = Array.from(
+    { length: 10 },
+    () => BACKUP_CODE_ALPHABET[crypto.randomInt(BACKUP_CODE_ALPHABET.length)]
+  ).join("");
+  return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+}
+
+function normalizeBackupCode(code) {
+  return String(code)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
@@ -0,0 +1,370 @@
+import { evaluateAttendance } from "./attendanceRules.js";
+import { withTransaction } from "./db.js";
+
+// The academic calendar: holidays, semesters, breaks, exam weeks and special
+// days, each a range of whole days. An entry applies to everyone, or only to
+// one location or one class group. Its is_working_day says what it does to
+// the days it covers: false closes them (a holiday), true opens them (a
+// make-up day on a Saturday) and null leaves them as they are (a semester).
+// How entries combine with the attendance rules into "is this a working day
+// for this user" is described in attendanceRules.js.
+//
+// Adding, changing or removing an entry that opens or closes days
+// re-evaluates the attendance of those days.
+
+export const CALENDAR_KINDS = [
+  "holiday",
+  "semester",
+  "break",
+  "exam",
+  "special",
+];
+
+// what an entry of each kind does to its days unless told otherwise
+export const DEFAULT_WORKING_DAY = {
+  holiday: false,
+  semester: null,
+  break: false,
+  exam: null,
+  special: null,
+};
+
+// dates as plain YYYY-MM-DD strings, not shifted by the server's timezone
+export const CALENDAR_COLUMNS = `entry_id, title, kind,
+  to_char(start_date, 'YYYY-MM-DD') AS start_date,
+  to_char(end_date, 'YYYY-MM-DD') AS end_date,
+  is_working_day, location_id, group_id, notes, source_uid, created_by,
+  created_at, updated_at`;
+
+// the most events a single import may hold
+export const MAX_IMPORT_EVENTS = 1000;
+
+// the longest range a single entry may cover
+const MAX_ENTRY_DAYS = 366;
+
+function rangeError(startDate, endDate) {
+  if (isNaN(Date.parse(startDate)) || isNaN(Date.parse(endDate))) {
+    return "Invalid startDate or endDate";
+  }
+  const days = (Date.parse(endDate) - Date.parse(startDate)) / 86400000 + 1;
+  if (days < 1) {
+    return "endDate must not be before startDate";
+  }
+  if (days > MAX_ENTRY_DAYS) {
+    return `An entry must not exceed ${MAX_ENTRY_DAYS} days`;
+  }
+  return null;
+}
+
+export function mapCalendarEntry(row) {
+  return {
+    entryId: row.entry_id,
+    title: row.title,
+    kind: row.kind,
+    startDate: row.start_date,
+    endDate: row.end_date,
+    workingDay: row.is_working_day,
+    locationId: row.location_id,
+    groupId: row.group_id,
+    notes: row.notes,
+    sourceUid: row.source_uid,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * @returns {Promise<object|null>} the calendar_entries row
+ */
+export async function getCalendarEntry(db, entryId) {
+  const result = await db.query(
+    `SELECT ${CALENDAR_COLUMNS} FROM calendar_entries WHERE entry_id = $1`,
+    [entryId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Validates the fields of a calendar entry. With `partial`, only the fields
+ * present are checked and returned, for an edit.
+ *
+ * @returns {{ entry: object } | { error: string }}
+ */
+export function parseCalendarEntry(body, partial = false) {
+  const entry = {};
+
+  if (body.title !== undefined || !partial) {
+    if (typeof body.title !== "string" || !body.title.trim()) {
+      return { error: "title is required" };
+    }
+    if (body.title.length > 150) {
+      return { error: "title must not exceed 150 characters" };
+    }
+    entry.title = body.title.trim();
+  }
+
+  if (body.kind !== undefined || !partial) {
+    if (!CALENDAR_KINDS.includes(body.kind)) {
+      return { error: `kind must be one of ${CALENDAR_KINDS.join(", ")}` };
+    }
+    entry.kind = body.kind;
+  }
+
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  for (const field of ["startDate", "endDate"]) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (!datePattern.test(value) || isNaN(Date.parse(value))) {
+      return { error: `Invalid ${field}` };
+    }
+    entry[field] = value;
+  }
+  if (!partial) {
+    if (!entry.startDate) {
+      return { error: "startDate is required" };
+    }
+    entry.endDate = entry.endDate || entry.startDate;
+  }
+  if (entry.startDate && entry.endDate) {
+    const error = rangeError(entry.startDate, entry.endDate);
+    if (error) {
+      return { error };
+    }
+  }
+
+  if (body.workingDay !== undefined) {
+    if (body.workingDay !== null && typeof body.workingDay !== "boolean") {
+      return { error: "workingDay must be true, false or null" };
+    }
+    entry.workingDay = body.workingDay;
+  } else if (!partial) {
+    entry.workingDay = DEFAULT_WORKING_DAY[entry.kind];
+  }
+
+  for (const field of ["locationId", "groupId"]) {
+    const value = body[field];
+    if (value === undefined) continue;
+    if (value !== null && !Number.isInteger(value)) {
+      return { error: `${field} must be an integer or null` };
+    }
+    entry[field] = value;
+  }
+  if (entry.locationId && entry.groupId) {
+    return {
+      error: "An entry applies to a location or a class group, not both",
+    };
+  }
+
+  if (body.notes !== undefined) {
+    entry.notes = body.notes === null ? null : String(body.notes);
+  }
+
+  return { entry };
+}
+
+// re-evaluates the days opened or closed by the entry rows given (null rows
+// and rows that only inform are skipped)
+async function reevaluate(client, ...rows) {
+  const ranges = rows.filter((row) => row && row.is_working_day !== null);
+  if (ranges.length === 0) {
+    return;
+  }
+
+  const from = ranges.map((row) => row.start_date).sort()[0];
+  const to = ranges
+    .map((row) => row.end_date)
+    .sort()
+    .reverse()[0];
+  await evaluateAttendance(client, { from, to });
+}
+
+/**
+ * @param {object} entry as returned by parseCalendarEntry
+ * @returns {Promise<object>} the new calendar_entries row
+ */
+export async function addCalendarEntry(pool, entry, createdBy) {
+  return withTransaction(pool, async (client) => {
+    const inserted = await client.query(
+      `INSERT INTO calendar_entries
+       (title, kind, start_date, end_date, is_working_day, location_id, group_id, notes, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING entry_id`,
+      [
+        entry.title,
+        entry.kind,
+        entry.startDate,
+        entry.endDate,
+        entry.workingDay,
+        entry.locationId ?? null,
+        entry.groupId ?? null,
+        entry.notes ?? null,
+        createdBy,
+      ]
+    );
+    const row = await getCalendarEntry(client, inserted.rows[0].entry_id);
+
+    await reevaluate(client, row);
+    return row;
+  });
+}
+
+/**
+ * Applies the fields given (as returned by parseCalendarEntry with
+ * `partial`) to an entry.
+ *
+ * @returns {Promise<{ before: object, after: object } | { error: string }>}
+ */
+export async function editCalendarEntry(pool, entryId, changes) {
+  return withTransaction(pool, async (client) => {
+    const locked = await client.query(
+      "SELECT 1 FROM calendar_entries WHERE entry_id = $1 FOR UPDATE",
+      [entryId]
+    );
+    if (locked.rows.length === 0) {
+      return { error: "Calendar entry not found" };
+    }
+
+    const before = await getCalendarEntry(client, entryId);
+    const merged = {
+      title: changes.title ?? before.title,
+      kind: changes.kind ?? before.kind,
+      startDate: changes.startDate ?? before.start_date,
+      endDate: changes.endDate ?? before.end_date,
+      workingDay:
+        "workingDay" in changes ? changes.workingDay : before.is_working_day,
+      locationId:
+        "locationId" in changes ? changes.locationId : before.location_id,
+      groupId: "groupId" in changes ? changes.groupId : before.group_id,
+      notes: "notes" in changes ? changes.notes : before.notes,
+    };
+    const error = rangeError(merged.startDate, merged.endDate);
+    if (error) {
+      return { error };
+    }
+    if (merged.locationId && merged.groupId) {
+      return {
+        error: "An entry applies to a location or a class group, not both",
+      };
+    }
+
+    await client.query(
+      `UPDATE calendar_entries
+       SET title = $2, kind = $3, start_date = $4, end_date = $5,
+           is_working_day = $6, location_id = $7, group_id = $8, notes = $9,
+           updated_at = NOW()
+       WHERE entry_id = $1`,
+      [
+        entryId,
+        merged.title,
+        merged.kind,
+        merged.startDate,
+        merged.endDate,
+        merged.workingDay,
+        merged.locationId,
+        merged.groupId,
+        merged.notes,
+      ]
+    );
+    const after = await getCalendarEntry(client, entryId);
+
+    await reevaluate(client, before, after);
+    return { before, after };
+  });
+}
+
+/**
+ * @returns {Promise<object|null>} the deleted row, or null when not found
+ */
+export async function deleteCalendarEntry(pool, entryId) {
+  return withTransaction(pool, async (client) => {
+    const before = await getCalendarEntry(client, entryId);
+    if (!before) {
+      return null;
+    }
+
+    await client.query("DELETE FROM calendar_entries WHERE entry_id = $1", [
+      entryId,
+    ]);
+
+    await reevaluate(client, before);
+    return before;
+  });
+}
+
+/**
+ * Adds the events read from an iCalendar file (see ical.js) as entries of
+ * one kind and scope. Events are matched on their UID, so importing a file
+ * again updates the entries it created instead of adding them twice.
+ *
+ * Events longer than 366 days are skipped with a reason, as parseICalendar
+ * skips the events it cannot read.
+ *
+ * @param {object[]} events as returned by parseICalendar
+ * @param {{ kind: string, workingDay: boolean|null, locationId?: number,
+ *           groupId?: number }} options
+ * @returns {Promise<{ created: number, updated: number, skipped: object[] }>}
+ *   skipped events as { uid, title, reason }
+ */
+export async function importCalendarEvents(pool, events, options, createdBy) {
+  const valid = [];
+  const skipped = [];
+  for (const event of events) {
+    const error = rangeError(event.startDate, event.endDate);
+    if (error) {
+      skipped.push({ uid: event.uid, title: event.title, reason: error });
+    } else {
+      valid.push(event);
+    }
+  }
+
+  return withTransaction(pool, async (client) => {
+    let created = 0;
+    let updated = 0;
+    const rows = [];
+
+    for (const event of valid) {
+      // an updated entry's old dates need re-evaluating too
+      if (event.uid) {
+        const previous = await client.query(
+          `SELECT ${CALENDAR_COLUMNS} FROM calendar_entries WHERE source_uid = $1`,
+          [event.uid]
+        );
+        rows.push(previous.rows[0]);
+      }
+
+      const result = await client.query(
+        `INSERT INTO calendar_entries
+         (title, kind, start_date, end_date, is_working_day, location_id, group_id, notes, source_uid, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+         ON CONFLICT (source_uid) DO UPDATE
+         SET title = EXCLUDED.title, kind = EXCLUDED.kind,
+             start_date = EXCLUDED.start_date, end_date = EXCLUDED.end_date,
+             is_working_day = EXCLUDED.is_working_day,
+             location_id = EXCLUDED.location_id, group_id = EXCLUDED.group_id,
+             notes = EXCLUDED.notes, updated_at = NOW()
+         RETURNING (xmax = 0) AS inserted, to_char(start_date, 'YYYY-MM-DD') AS start_date,
+                   to_char(end_date, 'YYYY-MM-DD') AS end_date, is_working_day`,
+        [
+          event.title,
+          options.kind,
+          event.startDate,
+          event.endDate,
+          options.workingDay,
+          options.locationId ?? null,
+          options.groupId ?? null,
+          event.description,
+          event.uid,
+          createdBy,
+        ]
+      );
+      const row = result.rows[0];
+      if (row.inserted) created++;
+      else updated++;
+      rows.push(row);
+    }
+
+    await reevaluate(client, ...rows);
+    return { created, updated, skipped };
+  });
+}
@@ -0,0 +1,157 @@
+import crypto from "crypto";
+import { generateToken } from "./tokens.js";
+
+// A check-in window is opened by a teacher or admin for one location. While
+// it is open, the projector shows a QR code holding
+//
+//   <windowId>.<step>.<signature>
+//
+// where step counts rotation periods since the epoch and the signature is an
+// HMAC-SHA256 of "<windowId>.<step>" with the window's own secret, cut to 16
+// bytes to keep the QR code small. A token is accepted during its own step
+// and the next one, so a code scanned just before it rotates still works.
+// Each user can check in through a window once.
+
+export const QR_ROTATION_SECONDS =
+  Number(process.env.QR_ROTATION_SECONDS) || 30;
+
+export const QR_TOKEN_USED = "This QR code has already been used";
+
+export function mapCheckinWindow(row) {
+  return {
+    windowId: row.window_id,
+    locationId: row.location_id,
+    scheduleId: row.schedule_id,
+    openedBy: row.opened_by,
+    rotationSeconds: row.rotation_seconds,
+    opensAt: row.opens_at,
+    closesAt: row.closes_at,
+    closedAt: row.closed_at,
+  };
+}
+
+function sign(secret, windowId, step) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(`${windowId}.${step}`)
+    .digest()
+    .subarray(0, 16)
+    .toString("base64url");
+}
+
+function currentStep(rotationSeconds, now = Date.now()) {
+  return Math.floor(now / 1000 / rotationSeconds);
+}
+
+/**
+ * @param {{ locationId: number, scheduleId?: number, openedBy: number,
+ *           durationMinutes: number, rotationSeconds?: number }} options
+ * @returns {Promise<object>} the new checkin_windows row
+ */
+export async function openCheckinWindow(
+  pool,
+  {
+    locationId,
+    scheduleId = null,
+    openedBy,
+    durationMinutes,
+    rotationSeconds = QR_ROTATION_SECONDS,
+  }
+) {
+  const result = await pool.query(
+    `INSERT INTO checkin_windows
+     (location_id, schedule_id, opened_by, secret, rotation_seconds, closes_at)
+     VALUES ($1, $2, $3, $4, $5, NOW() + make_interval(mins => $6))
+     RETURNING *`,
+    [
+      locationId,
+      scheduleId,
+      openedBy,
+      generateToken(),
+      rotationSeconds,
+      durationMinutes,
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * The token to show right now for a window.
+ *
+ * @param {{ window_id: number, secret: string, rotation_seconds: number }} window
+ * @returns {{ token: string, expiresAt: Date }}
+ */
+export function issueCheckinToken(window, now = Date.now()) {
+  const step = currentStep(window.rotation_seconds, now);
+  return {
+    token: `${window.window_id}.${step}.${sign(
+      window.secret,
+      window.window_id,
+      step
+    )}`,
+    expiresAt: new Date((step + 1) * window.rotation_seconds * 1000),
+  };
+}
+
+/**
+ * Checks a scanned token: signature, freshness and that its window is still
+ * open. Does not check whether the user already used the window.
+ *
+ * @returns {Promise<{ window: object, step: number } | { error: string }>}
+ */
+export async function verifyCheckinToken(pool, token) {
+  const match = /^(\d+)\.(\d+)\.([A-Za-z0-9_-]{22})$/.exec(String(token));
+  if (!match) {
+    return { error: "Invalid QR code" };
+  }
+  const [, windowId, stepText, signature] = match;
+  const step = Number(stepText);
+
+  const result = await pool.query(
+    `SELECT *, (closed_at IS NULL AND opens_at <= NOW() AND closes_at > NOW()) AS is_open
+     FROM checkin_windows WHERE window_id = $1`,
+    [windowId]
+  );
+  const window = result.rows[0];
+  if (!window) {
+    return { error: "Invalid QR code" };
+  }
+
+  const expected = Buffer.from(sign(window.secret, window.window_id, step));
+  const given = Buffer.from(signature);
+  if (
+    expected.length !== given.length ||
+    !crypto.timingSafeEqual(expected, given)
+  ) {
+    return { error: "Invalid QR code" };
+  }
+
+  if (!window.is_open) {
+    return { error: "The check-in window is closed" };
+  }
+
+  const now = currentStep(window.rotation_seconds);
+  if (step > now || step < now - 1) {
+    return { error: "This QR code has expired" };
+  }
+
+  return { window, step };
+}
+
+/**
+ * @param {Date} [at] when to look, default now
+ * @returns {Promise<object|null>} a window open at the location at that time
+ */
+export async function getOpenCheckinWindow(pool, locationId, at = null) {
+  const result = await pool.query(
+    `SELECT * FROM checkin_windows
+     WHERE location_id = $1
+       AND opens_at <= COALESCE($2::timestamptz, NOW())
+       AND closes_at > COALESCE($2::timestamptz, NOW())
+       AND (closed_at IS NULL OR closed_at > COALESCE($2::timestamptz, NOW()))
+     ORDER BY opens_at DESC
+     LIMIT 1`,
+    [locationId, at]
+  );
+  return result.rows[0] || null;
+}
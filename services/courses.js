@@ -0,0 +1,255 @@
+import { classMeetsSql } from "./attendanceRules.js";
+
+// Courses are split into class groups; each group has one teacher, its
+// enrolled students and weekly class_schedules that put it in a room (a
+// "Locations" row) on a weekday between two times. A class session is one
+// occurrence of a schedule, identified by the schedule and the date. No
+// session takes place on a day the academic calendar closes for the group,
+// its room or everyone (see calendar.js).
+
+// how early before the start of a class a check-in still counts for it
+export const CLASS_CHECKIN_EARLY_MINUTES =
+  Number(process.env.CLASS_CHECKIN_EARLY_MINUTES) || 15;
+
+// dates as plain YYYY-MM-DD strings, not shifted by the server's timezone
+export const SCHEDULE_COLUMNS = `schedule_id, group_id, location_id, weekday, start_time, end_time,
+  to_char(valid_from, 'YYYY-MM-DD') AS valid_from,
+  to_char(valid_until, 'YYYY-MM-DD') AS valid_until`;
+
+export function mapCourse(row) {
+  return {
+    courseId: row.course_id,
+    code: row.code,
+    name: row.name,
+    createdAt: row.created_at,
+  };
+}
+
+export function mapClassGroup(row) {
+  return {
+    groupId: row.group_id,
+    courseId: row.course_id,
+    name: row.name,
+    teacherId: row.teacher_id,
+    createdAt: row.created_at,
+  };
+}
+
+export function mapClassSchedule(row) {
+  return {
+    scheduleId: row.schedule_id,
+    groupId: row.group_id,
+    locationId: row.location_id,
+    weekday: row.weekday,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    validFrom: row.valid_from,
+    validUntil: row.valid_until,
+  };
+}
+
+/**
+ * Links a check-in to the class session taking place where and when it was
+ * made, if the user teaches or is enrolled in that class. When classes
+ * overlap, the one starting first wins.
+ *
+ * @param {import("pg").Pool | import("pg").PoolClient} db
+ * @returns {Promise<object|null>} the class session, or null when none matches
+ */
+export async function attachClassSession(db, attendanceId) {
+  const result = await db.query(
+    `UPDATE "Attendance" a
+     SET class_schedule_id = (
+       SELECT cs.schedule_id
+       FROM class_schedules cs
+       JOIN class_groups g ON g.group_id = cs.group_id
+       WHERE cs.location_id = a.location_id
+         AND cs.weekday = EXTRACT(ISODOW FROM a."timestamp")::integer
+         AND a."timestamp"::date >= cs.valid_from
+         AND (cs.valid_until IS NULL OR a."timestamp"::date <= cs.valid_until)
+         AND a."timestamp" >= a."timestamp"::date + cs.start_time - make_interval(mins => $2)
+         AND a."timestamp" < a."timestamp"::date + cs.end_time
+         AND ${classMeetsSql("cs.group_id", "cs.location_id", 'a."timestamp"')}
+         AND (
+           g.teacher_id = a.user_id
+           OR EXISTS (
+             SELECT 1 FROM enrollments e
+             WHERE e.group_id = g.group_id AND e.user_id = a.user_id
+           )
+         )
+       ORDER BY cs.start_time, cs.schedule_id
+       LIMIT 1
+     )
+     WHERE a.attendance_id = $1
+     RETURNING a.class_schedule_id, to_char(a."timestamp", 'YYYY-MM-DD') AS session_date`,
+    [attendanceId, CLASS_CHECKIN_EARLY_MINUTES]
+  );
+
+  const { class_schedule_id, session_date } = result.rows[0];
+  if (class_schedule_id === null) {
+    return null;
+  }
+
+  const session = await db.query(
+    `SELECT cs.schedule_id, cs.start_time, cs.end_time, g.group_id, g.name AS group_name,
+            c.course_id, c.code AS course_code, c.name AS course_name
+     FROM class_schedules cs
+     JOIN class_groups g ON g.group_id = cs.group_id
+     JOIN courses c ON c.course_id = g.course_id
+     WHERE cs.schedule_id = $1`,
+    [class_schedule_id]
+  );
+  const row = session.rows[0];
+
+  return {
+    scheduleId: row.schedule_id,
+    date: session_date,
+    startTime: row.start_time,
+    endTime: row.end_time,
+    groupId: row.group_id,
+    groupName: row.group_name,
+    courseId: row.course_id,
+    courseCode: row.course_code,
+    courseName: row.course_name,
+  };
+}
+
+/**
+ * The weekly timetable of a user: the classes they are enrolled in and the
+ * ones they teach, currently valid, ordered by weekday and time.
+ *
+ * @returns {Promise<object[]>}
+ */
+export async function listUserSchedule(pool, userId) {
+  const result = await pool.query(
+    `SELECT cs.*, g.name AS group_name, g.teacher_id, t.name AS teacher_name,
+            c.course_id, c.code AS course_code, c.name AS course_name,
+            l.location_name,
+            CASE WHEN g.teacher_id = $1 THEN 'teacher' ELSE 'student' END AS participation
+     FROM (SELECT ${SCHEDULE_COLUMNS} FROM class_schedules) cs
+     JOIN class_groups g ON g.group_id = cs.group_id
+     JOIN courses c ON c.course_id = g.course_id
+     JOIN "Locations" l ON l.location_id = cs.location_id
+     LEFT JOIN "User" t ON t.user_id = g.teacher_id
+     WHERE (cs.valid_until IS NULL OR cs.valid_until::date >= CURRENT_DATE)
+       AND (
+         g.teacher_id = $1
+         OR EXISTS (
+           SELECT 1 FROM enrollments e
+           WHERE e.group_id = g.group_id AND e.user_id = $1
+         )
+       )
+     ORDER BY cs.weekday, cs.start_time`,
+    [userId]
+  );
+
+  return result.rows.map((row) => ({
+    ...mapClassSchedule(row),
+    participation: row.participation,
+    groupName: row.group_name,
+    courseId: row.course_id,
+    courseCode: row.course_code,
+    courseName: row.course_name,
+    teacherId: row.teacher_id,
+    teacherName: row.teacher_name,
+    locationName: row.location_name,
+  }));
+}
+
+/**
+ * Who attended each session of a class group between `from` and `to`
+ * (inclusive YYYY-MM-DD dates, default: the last 7 days). Sessions after
+ * today are left out. A student counts as attending with a check-in linked
+ * to the session, and as late when that check-in came after its start. A
+ * missing student with approved leave for the day is excused.
+ *
+ * @returns {Promise<object[]>} sessions, newest first
+ */
+export async function listClassAttendance(pool, groupId, { from, to } = {}) {
+  const result = await pool.query(
+    `WITH occurrences AS (
+       SELECT cs.schedule_id, cs.start_time, cs.end_time, cs.location_id,
+              d.day::date AS session_date
+       FROM class_schedules cs
+       CROSS JOIN generate_series(
+         COALESCE($2::date, CURRENT_DATE - 6)::timestamp,
+         LEAST(COALESCE($3::date, CURRENT_DATE), CURRENT_DATE)::timestamp,
+         INTERVAL '1 day'
+       ) AS d(day)
+       WHERE cs.group_id = $1
+         AND cs.weekday = EXTRACT(ISODOW FROM d.day)::integer
+         AND d.day::date >= cs.valid_from
+         AND (cs.valid_until IS NULL OR d.day::date <= cs.valid_until)
+         AND ${classMeetsSql("cs.group_id", "cs.location_id", "d.day")}
+     )
+     SELECT o.schedule_id, to_char(o.session_date, 'YYYY-MM-DD') AS session_date,
+            o.start_time, o.end_time, o.location_id,
+            u.user_id, u.name, u.nim_nip,
+            a.attendance_id, a."timestamp" AS checked_in_at,
+            CASE
+              WHEN a.attendance_id IS NULL AND EXISTS (
+                SELECT 1 FROM leave_requests lr
+                WHERE lr.user_id = e.user_id
+                  AND lr.status = 'approved'
+                  AND o.session_date BETWEEN lr.start_date AND lr.end_date
+              ) THEN 'excused'
+              WHEN a.attendance_id IS NULL THEN 'absent'
+              WHEN a."timestamp" > o.session_date + o.start_time THEN 'late'
+              ELSE 'present'
+            END AS status
+     FROM occurrences o
+     LEFT JOIN enrollments e ON e.group_id = $1
+     LEFT JOIN "User" u ON u.user_id = e.user_id
+     LEFT JOIN LATERAL (
+       SELECT attendance_id, "timestamp" FROM "Attendance"
+       WHERE user_id = e.user_id
+         AND class_schedule_id = o.schedule_id
+         AND voided_at IS NULL
+         AND "timestamp"::date = o.session_date
+       ORDER BY "timestamp"
+       LIMIT 1
+     ) a ON true
+     ORDER BY o.session_date DESC, o.start_time, o.schedule_id, u.name`,
+    [groupId, from || null, to || null]
+  );
+
+  const sessions = [];
+  for (const row of result.rows) {
+    let session = sessions[sessions.length - 1];
+    if (
+      !session ||
+      session.scheduleId !== row.schedule_id ||
+      session.date !== row.session_date
+    ) {
+      session = {
+        scheduleId: row.schedule_id,
+        date: row.session_date,
+        startTime: row.start_time,
+        endTime: row.end_time,
+        locationId: row.location_id,
+        enrolledCount: 0,
+        presentCount: 0,
+        attendees: [],
+      };
+      sessions.push(session);
+    }
+
+    // a group without students still lists its sessions
+    if (row.user_id === null) continue;
+
+    session.enrolledCount += 1;
+    if (row.status === "present" || row.status === "late") {
+      session.presentCount += 1;
+    }
+    session.attendees.push({
+      userId: row.user_id,
+      name: row.name,
+      nimNip: row.nim_nip,
+      status: row.status,
+      attendanceId: row.attendance_id,
+      checkedInAt: row.checked_in_at,
+    });
+  }
+
+  return sessions;
+}
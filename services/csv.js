@@ -0,0 +1,74 @@
+// A CSV (RFC 4180) reader for spreadsheet exports: quoted fields may hold
+// separators, quotes ("") and line breaks. Excel writes ";" instead of ","
+// in locales that use a decimal comma, so the separator is taken from the
+// header line.
+
+function detectSeparator(text) {
+  const header = text.slice(0, text.search(/\r?\n|$/));
+  const commas = header.split(",").length;
+  const semicolons = header.split(";").length;
+  return semicolons > commas ? ";" : ",";
+}
+
+/**
+ * Reads the records of a CSV file.
+ *
+ * @param {string} text the file's content
+ * @returns {{ rows: { line: number, fields: string[] }[] } | { error: string }}
+ *   every record with the line it starts on, blank lines left out
+ */
+export function parseCsv(text) {
+  // Excel starts UTF-8 files with a byte order mark
+  const input = text.replace(/^\uFEFF/, "");
+  const separator = detectSeparator(input);
+
+  const rows = [];
+  let line = 1;
+  let start = 1;
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"' && field === "") {
+      quoted = true;
+    } else if (char === separator) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      if (row.some((value) => value !== "")) {
+        rows.push({ line: start, fields: row });
+      }
+      line++;
+      start = line;
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    return { error: "The file ends inside a quoted field" };
+  }
+  row.push(field);
+  if (row.some((value) => value !== "")) {
+    rows.push({ line: start, fields: row });
+  }
+
+  return { rows };
+}
@@ -0,0 +1,45 @@
+/**
+ * Runs `callback(client)` inside a transaction on a dedicated client.
+ * Commits when the callback resolves, rolls back and rethrows when it throws.
+ *
+ * @template T
+ * @param {import("pg").Pool} pool
+ * @param {(client: import("pg").PoolClient) => Promise<T>} callback
+ * @returns {Promise<T>}
+ */
+export async function withTransaction(pool, callback) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const result = await callback(client);
+    await client.query("COMMIT");
+    return result;
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Sets the time zone of every connection the pool opens. Timestamps are
+ * stored without a time zone, and days are split with ::date and
+ * CURRENT_DATE, so this decides which day a check-in, an absence or an
+ * automatic checkout falls on.
+ *
+ * @param {import("pg").Pool} pool
+ * @param {string|null} timezone e.g. "Asia/Jakarta"; null keeps the
+ *   server's default
+ */
+export function setSessionTimeZone(pool, timezone) {
+  if (!timezone) {
+    return;
+  }
+  // runs before any query of the client that just connected
+  pool.on("connect", (client) => {
+    client
+      .query("SELECT set_config('TimeZone', $1, false)", [timezone])
+      .catch((err) => console.error("Failed to set the time zone:", err));
+  });
+}
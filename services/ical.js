@@ -0,0 +1,161 @@
+// A small iCalendar (RFC 5545) reader, enough to import holiday calendars:
+// it reads each VEVENT as a range of whole days and ignores everything else
+// in the file (time zones, alarms, to-dos). Times of day are dropped, so an
+// event is placed on the dates written in the file.
+
+// the longest file accepted by POST /admin/import-calendar
+export const ICAL_MAX_BYTES = 1024 * 1024;
+
+// long lines are folded onto continuation lines starting with a space or tab
+function unfold(text) {
+  return text
+    .replace(/\r\n?/g, "\n")
+    .replace(/\n[ \t]/g, "")
+    .split("\n")
+    .filter((line) => line.length > 0);
+}
+
+// NAME;PARAM=VALUE;...:value, where quoted parameter values may hold ":"
+function parseLine(line) {
+  let quoted = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') quoted = !quoted;
+    if (line[i] === ":" && !quoted) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) {
+    return null;
+  }
+
+  // parameters such as VALUE=DATE are not needed: the value tells
+  const name = line.slice(0, colon).split(";")[0];
+  return { name: name.toUpperCase(), value: line.slice(colon + 1) };
+}
+
+function unescapeText(value) {
+  return value.replace(/\\([\\;,nN])/g, (match, char) =>
+    char === "n" || char === "N" ? "\n" : char
+  );
+}
+
+// 20250331 or 20250331T090000(Z) as { date: "2025-03-31", midnight }
+function parseDateValue(value) {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{6}))?Z?$/.exec(value.trim());
+  if (!match) {
+    return null;
+  }
+  const [, year, month, day, time] = match;
+  // 20250231 and the like
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== Number(day)) {
+    return null;
+  }
+  return {
+    date: `${year}-${month}-${day}`,
+    midnight: time === undefined || time === "000000",
+  };
+}
+
+function addDays(date, days) {
+  const time = Date.parse(`${date}T00:00:00Z`) + days * 86400000;
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function toEvent(props) {
+  const title = props.SUMMARY ? unescapeText(props.SUMMARY.value).trim() : "";
+  const uid = props.UID ? props.UID.value.trim() : null;
+  const skip = (reason) => ({ skipped: { uid, title, reason } });
+
+  if (props.RRULE) {
+    return skip("Recurring events are not supported");
+  }
+  if (props.STATUS && props.STATUS.value.toUpperCase() === "CANCELLED") {
+    return skip("The event is cancelled");
+  }
+  if (!title) {
+    return skip("The event has no SUMMARY");
+  }
+
+  const start = props.DTSTART && parseDateValue(props.DTSTART.value);
+  if (!start) {
+    return skip("The event has no valid DTSTART");
+  }
+
+  let endDate = start.date;
+  if (props.DTEND) {
+    const end = parseDateValue(props.DTEND.value);
+    if (!end) {
+      return skip("The event has an invalid DTEND");
+    }
+    // the end is exclusive: an all-day event on the 1st ends on the 2nd
+    endDate =
+      end.midnight && end.date > start.date ? addDays(end.date, -1) : end.date;
+  } else if (props.DURATION) {
+    const weeks = /^P(\d+)W$/.exec(props.DURATION.value);
+    const days = /^P(\d+)D/.exec(props.DURATION.value);
+    const length = weeks ? weeks[1] * 7 : days ? Number(days[1]) : 1;
+    endDate = addDays(start.date, Math.max(length, 1) - 1);
+  }
+  if (endDate < start.date) {
+    return skip("The event ends before it starts");
+  }
+
+  return {
+    event: {
+      uid: uid ? uid.slice(0, 255) : null,
+      title: title.slice(0, 150),
+      startDate: start.date,
+      endDate,
+      description: props.DESCRIPTION
+        ? unescapeText(props.DESCRIPTION.value)
+        : null,
+    },
+  };
+}
+
+/**
+ * Reads the events of an iCalendar file.
+ *
+ * @param {string} text the file's content
+ * @returns {{ events: object[], skipped: object[] } | { error: string }}
+ *   events as { uid, title, startDate, endDate, description } and the
+ *   events that could not be read as { uid, title, reason }
+ */
+export function parseICalendar(text) {
+  const lines = unfold(text);
+  if (lines[0]?.trim().toUpperCase() !== "BEGIN:VCALENDAR") {
+    return { error: "The file is not an iCalendar file" };
+  }
+
+  const events = [];
+  const skipped = [];
+  // properties of the VEVENT being read, and how deep inside it we are
+  let props = null;
+  let nested = 0;
+
+  for (const line of lines) {
+    const prop = parseLine(line.trim());
+    if (!prop) continue;
+    const value = prop.value.trim().toUpperCase();
+
+    if (prop.name === "BEGIN" && value === "VEVENT" && !props) {
+      props = {};
+    } else if (props && prop.name === "BEGIN") {
+      nested++;
+    } else if (props && prop.name === "END" && nested > 0) {
+      nested--;
+    } else if (props && prop.name === "END" && value === "VEVENT") {
+      const parsed = toEvent(props);
+      if (parsed.event) events.push(parsed.event);
+      else skipped.push(parsed.skipped);
+      props = null;
+    } else if (props && nested === 0 && !(prop.name in props)) {
+      props[prop.name] = prop;
+    }
+  }
+
+  return { events, skipped };
+}
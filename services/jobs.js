@@ -0,0 +1,68 @@
+import { evaluateYesterday } from "./attendanceRules.js";
+import { closeOverdueSessions, remindOpenSessions } from "./attendance.js";
+import { purgeOutbox } from "./mailer.js";
+import { expireReportExports, runPendingExports } from "./reports.js";
+import { expireThrottle } from "./throttle.js";
+
+// The jobs run by the scheduler (see scheduler.js), every intervalSeconds:
+//   evaluate-attendance  rate yesterday and record its absences
+//   auto-checkout        close sessions left open past AUTO_CHECKOUT_TIME
+//   checkout-reminders   remind users open for CHECKOUT_REMINDER_HOURS
+//   expire-2fa-codes     delete two-factor codes that can no longer be used
+//   expire-throttle      delete failed-login counts idle past AUTH_LOCKOUT_MINUTES
+//   purge-outbox         delete emails sent or failed MAIL_RETENTION_DAYS ago
+//   report-exports       write the attendance reports queued for download
+//   expire-exports       delete downloads past EXPORT_TTL_HOURS
+
+/**
+ * @returns {Promise<{ deleted: number }>}
+ */
+export async function expireTwoFactorCodes(pool) {
+  const result = await pool.query(
+    "DELETE FROM user_2fa_codes WHERE expires_at < NOW() OR user_id IS NULL"
+  );
+  return { deleted: result.rowCount };
+}
+
+export const JOBS = [
+  {
+    name: "evaluate-attendance",
+    intervalSeconds: 60 * 60,
+    run: evaluateYesterday,
+  },
+  {
+    name: "auto-checkout",
+    intervalSeconds: 5 * 60,
+    run: (pool) => closeOverdueSessions(pool),
+  },
+  {
+    name: "checkout-reminders",
+    intervalSeconds: 15 * 60,
+    run: (pool) => remindOpenSessions(pool),
+  },
+  {
+    name: "expire-2fa-codes",
+    intervalSeconds: 60 * 60,
+    run: expireTwoFactorCodes,
+  },
+  {
+    name: "expire-throttle",
+    intervalSeconds: 60 * 60,
+    run: expireThrottle,
+  },
+  {
+    name: "purge-outbox",
+    intervalSeconds: 24 * 60 * 60,
+    run: purgeOutbox,
+  },
+  {
+    name: "report-exports",
+    intervalSeconds: 60,
+    run: runPendingExports,
+  },
+  {
+    name: "expire-exports",
+    intervalSeconds: 60 * 60,
+    run: expireReportExports,
+  },
+];
@@ -0,0 +1,314 @@
+import fs from "fs/promises";
+import path from "path";
+import { evaluateAttendance } from "./attendanceRules.js";
+import { withTransaction } from "./db.js";
+import { notifyUser } from "./notifications.js";
+import { getRolePermissions } from "./permissions.js";
+import { generateToken } from "./tokens.js";
+
+// A leave request excuses a user for a range of days: izin (permission),
+// sakit (sick) or dispensasi (official dispensation). It is reviewed by the
+// teacher the user designates, or by anyone with the "leave:write"
+// permission. Once approved, the absences of those days are recorded as
+// "excused" (see attendanceRules.js). The requester and the reviewer are
+// notified at every step.
+//
+// An optional attachment (a doctor's note, a letter) is stored on local disk
+// under LEAVE_UPLOAD_DIR; the row keeps its path relative to that directory.
+
+export const LEAVE_TYPES = ["izin", "sakit", "dispensasi"];
+
+export const LEAVE_UPLOAD_DIR = process.env.LEAVE_UPLOAD_DIR || "uploads/leave";
+
+export const LEAVE_ATTACHMENT_MAX_BYTES =
+  Number(process.env.LEAVE_ATTACHMENT_MAX_BYTES) || 5 * 1024 * 1024;
+
+// accepted attachment types and the extension they are stored with
+export const LEAVE_ATTACHMENT_TYPES = {
+  "application/pdf": ".pdf",
+  "image/jpeg": ".jpg",
+  "image/png": ".png",
+};
+
+// the longest range a single request may cover
+export const MAX_LEAVE_DAYS = 30;
+
+export const LEAVE_COLUMNS = `leave_id, user_id, type,
+  to_char(start_date, 'YYYY-MM-DD') AS start_date,
+  to_char(end_date, 'YYYY-MM-DD') AS end_date,
+  reason, status, reviewer_id, reviewed_by, reviewed_at, review_note,
+  attachment_path, attachment_name, attachment_type, attachment_size,
+  created_at, updated_at`;
+
+export function mapLeaveRequest(row) {
+  return {
+    leaveId: row.leave_id,
+    userId: row.user_id,
+    type: row.type,
+    startDate: row.start_date,
+    endDate: row.end_date,
+    reason: row.reason,
+    status: row.status,
+    reviewerId: row.reviewer_id,
+    reviewedBy: row.reviewed_by,
+    reviewedAt: row.reviewed_at,
+    reviewNote: row.review_note,
+    attachment: row.attachment_path
+      ? {
+          fileName: row.attachment_name,
+          contentType: row.attachment_type,
+          size: row.attachment_size,
+        }
+      : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function describe(leave) {
+  return leave.start_date === leave.end_date
+    ? `${leave.type} on ${leave.start_date}`
+    : `${leave.type} from ${leave.start_date} to ${leave.end_date}`;
+}
+
+/**
+ * @returns {Promise<object|null>} the leave_requests row
+ */
+export async function getLeaveRequest(db, leaveId) {
+  const result = await db.query(
+    `SELECT ${LEAVE_COLUMNS} FROM leave_requests WHERE leave_id = $1`,
+    [leaveId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * Validates the fields of a new leave request.
+ *
+ * @returns {{ leave: object } | { error: string }}
+ */
+export function parseLeaveRequest({ type, startDate, endDate, reason }) {
+  if (!type || !startDate || !endDate || !reason) {
+    return { error: "type, startDate, endDate and reason are required" };
+  }
+  if (!LEAVE_TYPES.includes(type)) {
+    return { error: `type must be one of ${LEAVE_TYPES.join(", ")}` };
+  }
+
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  const days = (Date.parse(endDate) - Date.parse(startDate)) / 86400000 + 1;
+  if (
+    !datePattern.test(startDate) ||
+    !datePattern.test(endDate) ||
+    isNaN(days) ||
+    days < 1
+  ) {
+    return { error: "Invalid startDate or endDate" };
+  }
+  if (days > MAX_LEAVE_DAYS) {
+    return { error: `Leave must not exceed ${MAX_LEAVE_DAYS} days` };
+  }
+
+  return { leave: { type, startDate, endDate, reason: String(reason) } };
+}
+
+/**
+ * Files a leave request and notifies its reviewer.
+ *
+ * @param {{ type: string, startDate: string, endDate: string,
+ *           reason: string, reviewerId?: number }} leave
+ * @returns {Promise<object>} the new leave_requests row
+ */
+export async function createLeaveRequest(pool, userId, leave) {
+  return withTransaction(pool, async (client) => {
+    const inserted = await client.query(
+      `INSERT INTO leave_requests
+       (user_id, type, start_date, end_date, reason, reviewer_id)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING leave_id`,
+      [
+        userId,
+        leave.type,
+        leave.startDate,
+        leave.endDate,
+        leave.reason,
+        leave.reviewerId ?? null,
+      ]
+    );
+    const row = await getLeaveRequest(client, inserted.rows[0].leave_id);
+
+    if (row.reviewer_id !== null) {
+      const requester = await client.query(
+        `SELECT name FROM "User" WHERE user_id = $1`,
+        [userId]
+      );
+      await notifyUser(
+        client,
+        row.reviewer_id,
+        "Leave request to review",
+        `${requester.rows[0].name} requested ${describe(row)}.`
+      );
+    }
+
+    return row;
+  });
+}
+
+/**
+ * Whether a user may approve or reject a request: the reviewer it names and
+ * roles with "leave:write" may, the requester never does.
+ *
+ * @param {{ userId: number, role: string }} user
+ * @returns {Promise<boolean>}
+ */
+export async function canReviewLeave(db, leave, user) {
+  if (leave.user_id === user.userId) {
+    return false;
+  }
+  if (leave.reviewer_id === user.userId) {
+    return true;
+  }
+  const granted = await getRolePermissions(db, user.role);
+  return granted.includes("leave:write");
+}
+
+/**
+ * Approves or rejects a pending request, re-evaluates the covered days when
+ * it is approved and notifies the requester.
+ *
+ * @param {{ decision: "approved"|"rejected", reviewedBy: number, note?: string }} review
+ * @returns {Promise<{ before: object, after: object } | { error: string }>}
+ */
+export async function reviewLeaveRequest(pool, leaveId, review) {
+  return withTransaction(pool, async (client) => {
+    const locked = await client.query(
+      "SELECT status FROM leave_requests WHERE leave_id = $1 FOR UPDATE",
+      [leaveId]
+    );
+    if (locked.rows.length === 0) {
+      return { error: "Leave request not found" };
+    }
+    if (locked.rows[0].status !== "pending") {
+      return { error: "Leave request has already been decided" };
+    }
+
+    const before = await getLeaveRequest(client, leaveId);
+
+    await client.query(
+      `UPDATE leave_requests
+       SET status = $2, reviewed_by = $3, reviewed_at = NOW(), review_note = $4,
+           updated_at = NOW()
+       WHERE leave_id = $1`,
+      [leaveId, review.decision, review.reviewedBy, review.note || null]
+    );
+    const after = await getLeaveRequest(client, leaveId);
+
+    if (review.decision === "approved") {
+      await evaluateAttendance(client, {
+        from: after.start_date,
+        to: after.end_date,
+        userId: after.user_id,
+      });
+    }
+
+    await notifyUser(
+      client,
+      after.user_id,
+      review.decision === "approved"
+        ? "Leave request approved"
+        : "Leave request rejected",
+      `Your request for ${describe(after)} was ${review.decision}.` +
+        (review.note ? ` Note: ${review.note}` : "")
+    );
+
+    return { before, after };
+  });
+}
+
+/**
+ * Withdraws a pending request of the user and notifies its reviewer.
+ *
+ * @returns {Promise<{ before: object, after: object } | { error: string }>}
+ */
+export async function cancelLeaveRequest(pool, userId, leaveId) {
+  return withTransaction(pool, async (client) => {
+    const locked = await client.query(
+      `SELECT status FROM leave_requests
+       WHERE leave_id = $1 AND user_id = $2
+       FOR UPDATE`,
+      [leaveId, userId]
+    );
+    if (locked.rows.length === 0) {
+      return { error: "Leave request not found" };
+    }
+    if (locked.rows[0].status !== "pending") {
+      return { error: "Leave request has already been decided" };
+    }
+
+    const before = await getLeaveRequest(client, leaveId);
+    await client.query(
+      `UPDATE leave_requests SET status = 'cancelled', updated_at = NOW()
+       WHERE leave_id = $1`,
+      [leaveId]
+    );
+    const after = await getLeaveRequest(client, leaveId);
+
+    if (after.reviewer_id !== null) {
+      await notifyUser(
+        client,
+        after.reviewer_id,
+        "Leave request cancelled",
+        `The request for ${describe(after)} was withdrawn.`
+      );
+    }
+
+    return { before, after };
+  });
+}
+
+/**
+ * Stores an attachment for a request, replacing any previous one.
+ *
+ * @param {object} leave the leave_requests row
+ * @param {{ data: Buffer, contentType: string, fileName?: string }} file
+ * @returns {Promise<object>} the updated row
+ */
+export async function saveLeaveAttachment(pool, leave, file) {
+  const relative = `${leave.leave_id}-${generateToken().slice(0, 16)}${
+    LEAVE_ATTACHMENT_TYPES[file.contentType]
+  }`;
+  await fs.mkdir(LEAVE_UPLOAD_DIR, { recursive: true });
+  await fs.writeFile(path.join(LEAVE_UPLOAD_DIR, relative), file.data);
+
+  await pool.query(
+    `UPDATE leave_requests
+     SET attachment_path = $2, attachment_name = $3, attachment_type = $4,
+         attachment_size = $5, updated_at = NOW()
+     WHERE leave_id = $1`,
+    [
+      leave.leave_id,
+      relative,
+      file.fileName || path.basename(relative),
+      file.contentType,
+      file.data.length,
+    ]
+  );
+
+  if (leave.attachment_path) {
+    await fs
+      .rm(path.join(LEAVE_UPLOAD_DIR, leave.attachment_path), { force: true })
+      .catch((err) => console.error("Failed to remove attachment:", err));
+  }
+
+  return getLeaveRequest(pool, leave.leave_id);
+}
+
+/**
+ * @param {object} leave the leave_requests row
+ * @returns {string|null} absolute path of the stored attachment
+ */
+export function getLeaveAttachmentPath(leave) {
+  return leave.attachment_path
+    ? path.resolve(LEAVE_UPLOAD_DIR, leave.attachment_path)
+    : null;
+}
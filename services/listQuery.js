@@ -0,0 +1,255 @@
+import { CAMPUS_TIMEZONE } from "./summaries.js";
+
+// Filtering, sorting, search and cursor pagination for list endpoints.
+// A list is described once, as the SQL it selects from and what its query
+// parameters may do:
+//
+//   {
+//     select: 'a.attendance_id, a.status, u.name AS user_name',
+//     from: '"Attendance" a JOIN "User" u ON u.user_id = a.user_id',
+//     key: "a.attendance_id",          // unique integer: breaks ties
+//     sorts: {                         // ?sort=name or ?sort=-name (descending)
+//       timestamp: { sql: 'a."timestamp"', type: "timestamp" },
+//     },
+//     defaultSort: "-timestamp",
+//     filters: {                       // ?status=late,absent
+//       status: { sql: "a.status", type: "text" },
+//     },
+//     search: ["u.name", "u.username_email"],  // ?q=alice
+//   }
+//
+// Filter types:
+//   integer, text  a comma-separated list of values, any of which matches
+//   boolean        "true" or "false", for a boolean SQL expression
+//   fromDate       YYYY-MM-DD, rows on or after that campus day
+//   toDate         YYYY-MM-DD, rows on or before that campus day
+//
+// Pages are read with keyset pagination: the cursor holds the sort value and
+// key of the last row sent, so pages stay stable while rows are added, and
+// a page deep into a large table costs as much as the first. Sort
+// expressions must not be null, or rows would be skipped; wrap nullable
+// columns in COALESCE.
+
+export const LIST_DEFAULT_LIMIT = 100;
+
+export const LIST_MAX_LIMIT = 500;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// a timestamp as Postgres writes it as text
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}(\.\d{1,6})?$/;
+
+// fits an SQL integer
+function isInteger(value) {
+  return /^-?\d+$/.test(String(value)) && Math.abs(Number(value)) <= 2147483647;
+}
+
+// the campus time zone as SQL, given the placeholder holding CAMPUS_TIMEZONE
+function campusZone(placeholder) {
+  return `COALESCE(${placeholder}::text, current_setting('TimeZone'))`;
+}
+
+function encodeCursor(cursor) {
+  return Buffer.from(JSON.stringify(cursor)).toString("base64url");
+}
+
+// a cursor whose values can be cast to the sort's type and the key, or null
+function decodeCursor(text, sorts) {
+  try {
+    const cursor = JSON.parse(Buffer.from(text, "base64url").toString());
+    const [sortValue, keyValue] = Array.isArray(cursor?.after)
+      ? cursor.after
+      : [];
+    const sortBy =
+      typeof cursor.sort === "string" && sorts[cursor.sort.replace(/^-/, "")];
+    if (
+      sortBy &&
+      cursor.after.length === 2 &&
+      typeof sortValue === "string" &&
+      !sortValue.includes("\0") &&
+      (sortBy.type !== "integer" || isInteger(sortValue)) &&
+      (sortBy.type !== "timestamp" || TIMESTAMP_PATTERN.test(sortValue)) &&
+      Number.isInteger(keyValue) &&
+      isInteger(keyValue)
+    ) {
+      return cursor;
+    }
+  } catch {
+    // answered below
+  }
+  return null;
+}
+
+// a condition on one filter, or { error }
+function filterCondition(name, filter, value, param) {
+  if (filter.type === "integer" || filter.type === "text") {
+    const values = String(value)
+      .split(",")
+      .map((item) => item.trim())
+      .filter((item) => item !== "");
+    if (filter.type === "integer" && !values.every(isInteger)) {
+      return { error: `${name} must be an integer or a list of integers` };
+    }
+    if (values.length === 0) {
+      return { sql: null };
+    }
+    return {
+      sql: `${filter.sql} = ANY(${param(values)}::${filter.type}[])`,
+    };
+  }
+
+  if (filter.type === "boolean") {
+    if (value !== "true" && value !== "false") {
+      return { error: `${name} must be true or false` };
+    }
+    return { sql: `(${filter.sql}) = ${param(value === "true")}` };
+  }
+
+  if (filter.type === "fromDate" || filter.type === "toDate") {
+    if (!DATE_PATTERN.test(value) || isNaN(Date.parse(value))) {
+      return { error: `Invalid ${name} date` };
+    }
+    const zone = campusZone(param(CAMPUS_TIMEZONE));
+    return filter.type === "fromDate"
+      ? {
+          sql: `${filter.sql} >= (${param(
+            value
+          )}::date::timestamp AT TIME ZONE ${zone})::timestamp`,
+        }
+      : {
+          sql: `${filter.sql} < ((${param(
+            value
+          )}::date + 1)::timestamp AT TIME ZONE ${zone})::timestamp`,
+        };
+  }
+
+  throw new Error(`Unknown filter type: ${filter.type}`);
+}
+
+/**
+ * @returns {boolean} whether the query holds any of the list's parameters,
+ *   for endpoints that keep their old response when called without them
+ */
+export function hasListParameters(list, query) {
+  const names = ["q", "sort", "limit", "cursor", ...Object.keys(list.filters)];
+  return names.some((name) => query[name] !== undefined);
+}
+
+// "%" and "_" in a search are matched literally
+function likePattern(text) {
+  return `%${text.replace(/[\\%_]/g, (char) => `\\${char}`)}%`;
+}
+
+/**
+ * Reads one page of a list.
+ *
+ * @param {object} list the list, described above
+ * @param {object} query the request's query parameters: the list's filters,
+ *   sort, q (search), limit (default 100, at most 500) and cursor (from the
+ *   previous page's pageInfo.nextCursor)
+ * @returns {Promise<{ rows: object[], pageInfo: object } | { error: string }>}
+ *   the page's rows and { total, limit, sort, hasMore, nextCursor }, where
+ *   total counts every row matching the filters and search
+ */
+export async function queryList(db, list, query) {
+  const values = [];
+  const param = (value) => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  const sort = query.sort || list.defaultSort;
+  const descending = sort.startsWith("-");
+  const sortName = descending ? sort.slice(1) : sort;
+  const sortBy = list.sorts[sortName];
+  if (!sortBy) {
+    const names = Object.keys(list.sorts);
+    return {
+      error: `sort must be one of ${names.join(
+        ", "
+      )}, optionally prefixed with -`,
+    };
+  }
+
+  const conditions = list.where ? [list.where] : [];
+  for (const [name, filter] of Object.entries(list.filters)) {
+    const value = query[name];
+    if (value === undefined || value === "") continue;
+    const condition = filterCondition(name, filter, value, param);
+    if (condition.error) {
+      return { error: condition.error };
+    }
+    if (condition.sql) conditions.push(condition.sql);
+  }
+
+  const search = typeof query.q === "string" ? query.q.trim() : "";
+  if (search && list.search) {
+    const pattern = param(likePattern(search));
+    conditions.push(
+      `(${list.search.map((sql) => `${sql} ILIKE ${pattern}`).join(" OR ")})`
+    );
+  }
+
+  let limit = LIST_DEFAULT_LIMIT;
+  if (query.limit !== undefined && query.limit !== "") {
+    if (!/^\d+$/.test(query.limit) || Number(query.limit) < 1) {
+      return { error: "limit must be a positive integer" };
+    }
+    limit = Math.min(Number(query.limit), LIST_MAX_LIMIT);
+  }
+
+  // the count ignores the cursor, so it needs only the values so far
+  const countValues = [...values];
+  const filtered = conditions.length ? `WHERE ${conditions.join(" AND ")}` : "";
+
+  const pageConditions = [...conditions];
+  if (query.cursor) {
+    const cursor = decodeCursor(String(query.cursor), list.sorts);
+    if (!cursor) {
+      return { error: "Invalid cursor" };
+    }
+    if (cursor.sort !== sort) {
+      return { error: "The cursor belongs to another sort" };
+    }
+    const [sortValue, keyValue] = cursor.after;
+    pageConditions.push(
+      `(${sortBy.sql}, ${list.key}) ${descending ? "<" : ">"} (${param(
+        sortValue
+      )}::${sortBy.type}, ${param(keyValue)}::integer)`
+    );
+  }
+
+  const direction = descending ? "DESC" : "ASC";
+  const [page, count] = await Promise.all([
+    db.query(
+      `SELECT ${list.select},
+              (${sortBy.sql})::text AS list_sort_value, ${list.key} AS list_key
+       FROM ${list.from}
+       ${pageConditions.length ? `WHERE ${pageConditions.join(" AND ")}` : ""}
+       ORDER BY ${sortBy.sql} ${direction}, ${list.key} ${direction}
+       LIMIT ${param(limit + 1)}`,
+      values
+    ),
+    db.query(
+      `SELECT COUNT(*)::integer AS total FROM ${list.from} ${filtered}`,
+      countValues
+    ),
+  ]);
+
+  const hasMore = page.rows.length > limit;
+  const rows = page.rows.slice(0, limit);
+  const last = rows[rows.length - 1];
+
+  return {
+    rows: rows.map(({ list_sort_value, list_key, ...row }) => row),
+    pageInfo: {
+      total: count.rows[0].total,
+      limit,
+      sort,
+      hasMore,
+      nextCursor: hasMore
+        ? encodeCursor({ sort, after: [last.list_sort_value, last.list_key] })
+        : null,
+    },
+  };
+}
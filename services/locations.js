@@ -0,0 +1,121 @@
+import { findNearestLocation, measureGeofence } from "../lib.js";
+
+// Extra meters a check-in may be outside a geofence, to absorb GPS error.
+export const GEOFENCE_TOLERANCE_METERS =
+  Number(process.env.GEOFENCE_TOLERANCE_METERS) || 0;
+
+export const LOCATION_COLUMNS =
+  "location_id, location_name, latitude, longitude, radius, boundary, created_at, is_active";
+
+export function mapLocation(row) {
+  return {
+    locationId: row.location_id,
+    locationName: row.location_name,
+    latitude: row.latitude,
+    longitude: row.longitude,
+    radius: row.radius,
+    boundary: row.boundary,
+    isActive: row.is_active,
+    createdAt: row.created_at,
+  };
+}
+
+function isPosition(position) {
+  return (
+    Array.isArray(position) &&
+    position.length >= 2 &&
+    Number.isFinite(position[0]) &&
+    Number.isFinite(position[1]) &&
+    Math.abs(position[0]) <= 180 &&
+    Math.abs(position[1]) <= 90
+  );
+}
+
+function isLinearRing(ring) {
+  if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isPosition)) {
+    return false;
+  }
+  const first = ring[0];
+  const last = ring[ring.length - 1];
+  return first[0] === last[0] && first[1] === last[1];
+}
+
+function isPolygon(rings) {
+  return Array.isArray(rings) && rings.length > 0 && rings.every(isLinearRing);
+}
+
+/**
+ * Validates a boundary sent by a client. Accepts a GeoJSON Polygon or
+ * MultiPolygon geometry, or a Feature wrapping one, and keeps only the
+ * geometry.
+ *
+ * @returns {{ boundary: object } | { error: string }}
+ */
+export function parseBoundary(value) {
+  const geometry = value && value.type === "Feature" ? value.geometry : value;
+
+  if (!geometry || typeof geometry !== "object") {
+    return { error: "boundary must be a GeoJSON Polygon or MultiPolygon" };
+  }
+
+  const valid =
+    geometry.type === "Polygon"
+      ? isPolygon(geometry.coordinates)
+      : geometry.type === "MultiPolygon" &&
+        Array.isArray(geometry.coordinates) &&
+        geometry.coordinates.length > 0 &&
+        geometry.coordinates.every(isPolygon);
+
+  if (!valid) {
+    return { error: "boundary must be a GeoJSON Polygon or MultiPolygon" };
+  }
+
+  return {
+    boundary: { type: geometry.type, coordinates: geometry.coordinates },
+  };
+}
+
+/**
+ * Resolves a position to the nearest active location whose geofence
+ * contains it. Locations with a boundary polygon are matched against the
+ * polygon (distance 0 inside it), the others against their radius.
+ *
+ * @param {import("pg").Pool} pool
+ * @returns {Promise<{ location: object, distance: number } | null>}
+ */
+export async function resolveLocation(pool, latitude, longitude) {
+  const result = await pool.query(
+    `SELECT ${LOCATION_COLUMNS} FROM "Locations" WHERE is_active`
+  );
+  return findNearestLocation(
+    result.rows,
+    latitude,
+    longitude,
+    GEOFENCE_TOLERANCE_METERS
+  );
+}
+
+/**
+ * Checks a position against the geofence of one particular active location.
+ *
+ * @returns {Promise<{ location: object, distance: number } | null>} null when
+ *   the location is unknown, inactive, or the position is outside it
+ */
+export async function checkLocation(pool, locationId, latitude, longitude) {
+  const result = await pool.query(
+    `SELECT ${LOCATION_COLUMNS} FROM "Locations" WHERE location_id = $1 AND is_active`,
+    [locationId]
+  );
+  const location = result.rows[0];
+  if (!location) {
+    return null;
+  }
+
+  const fence = measureGeofence(
+    location,
+    latitude,
+    longitude,
+    GEOFENCE_TOLERANCE_METERS
+  );
+  return fence && fence.inside ? { location, distance: fence.distance } : null;
+}
@@ -0,0 +1,118 @@
+// Email templates. Each one takes its data object and returns
+// { subject, text, html }; the text part is what plain mail clients show.
+
+const APP_NAME = process.env.APP_NAME || "MyApp";
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function layout(title, bodyHtml) {
+  return `<!DOCTYPE html>
+<html>
+  <body style="font-family: Arial, sans-serif; color: #222; background: #f5f5f5; padding: 24px;">
+    <div style="max-width: 480px; margin: 0 auto; background: #fff; padding: 24px; border-radius: 8px;">
+      <h2 style="margin-top: 0;">${escapeHtml(title)}</h2>
+      ${bodyHtml}
+      <p style="color: #888; font-size: 12px; margin-top: 32px;">${escapeHtml(
+        APP_NAME
+      )}</p>
+    </div>
+  </body>
+</html>`;
+}
+
+export const templates = {
+  /**
+   * data: { code: string, minutes: number }
+   */
+  "two-factor-code": ({ code, minutes = 5 }) => ({
+    subject: "Your 2FA code",
+    text: `Your 2FA code is: ${code}\nIt expires in ${minutes} minutes.`,
+    html: layout(
+      "Your 2FA code",
+      `<p>Your 2FA code is:</p>
+      <p style="font-size: 28px; letter-spacing: 4px; font-weight: bold;">${escapeHtml(
+        code
+      )}</p>
+      <p>It expires in ${escapeHtml(minutes)} minutes.</p>`
+    ),
+  }),
+
+  /**
+   * data: { token: string, link?: string, minutes: number }
+   */
+  "password-reset": ({ token, link, minutes = 30 }) => ({
+    subject: "Reset your password",
+    text:
+      `Your password reset token is: ${token}\nIt expires in ${minutes} minutes.` +
+      (link ? `\n\nOr open: ${link}` : ""),
+    html: layout(
+      "Reset your password",
+      `<p>Your password reset token is:</p>
+      <p style="font-family: monospace; word-break: break-all;">${escapeHtml(
+        token
+      )}</p>
+      ${
+        link
+          ? `<p><a href="${escapeHtml(link)}">Reset your password</a></p>`
+          : ""
+      }
+      <p>It expires in ${escapeHtml(minutes)} minutes. If you did not ask for
+      a reset, you can ignore this email.</p>`
+    ),
+  }),
+
+  /**
+   * data: { name: string, email: string, token: string, link?: string,
+   *         days: number }
+   */
+  welcome: ({ name, email, token, link, days = 7 }) => ({
+    subject: `Welcome to ${APP_NAME}`,
+    text:
+      `Hello ${name},\n\nAn account has been created for you. Sign in with ${email}.\n` +
+      `To set your password, use this token: ${token}\nIt expires in ${days} days.` +
+      (link ? `\n\nOr open: ${link}` : ""),
+    html: layout(
+      `Welcome to ${APP_NAME}`,
+      `<p>Hello ${escapeHtml(name)},</p>
+      <p>An account has been created for you. Sign in with
+      <strong>${escapeHtml(email)}</strong>.</p>
+      <p>To set your password, use this token:</p>
+      <p style="font-family: monospace; word-break: break-all;">${escapeHtml(
+        token
+      )}</p>
+      ${
+        link ? `<p><a href="${escapeHtml(link)}">Set your password</a></p>` : ""
+      }
+      <p>It expires in ${escapeHtml(days)} days.</p>`
+    ),
+  }),
+
+  /**
+   * data: { title: string, message: string }
+   */
+  notification: ({ title, message }) => ({
+    subject: title,
+    text: message,
+    html: layout(title, `<p>${escapeHtml(message)}</p>`),
+  }),
+};
+
+/**
+ * @param {string} name one of the keys of `templates`
+ * @param {object} data
+ * @returns {{ subject: string, text: string, html: string }}
+ */
+export function renderTemplate(name, data) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown mail template: ${name}`);
+  }
+  return template(data);
+}
@@ -0,0 +1,226 @@
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+import { renderTemplate } from "./mailTemplates.js";
+
+// Every email goes through the mail_outbox table. sendMail() stores the
+// rendered message and tries to deliver it right away; failed deliveries are
+// retried by the outbox worker with exponential backoff.
+//
+// Messages carry 2FA codes and password tokens, so their bodies are cleared
+// as soon as a message is sent or finally fails, and the rows themselves are
+// purged by the "purge-outbox" job after MAIL_RETENTION_DAYS.
+//
+// MAIL_TRANSPORT selects how mail leaves the process:
+//   smtp    - SMTP_HOST/SMTP_PORT/SMTP_SECURE/SMTP_USER/SMTP_PASS, or, without
+//             SMTP_HOST, the Gmail service with EMAIL_USER/EMAIL_PASS (default)
+//   file    - writes each message as JSON into MAIL_OUTBOX_DIR (./outbox)
+//   console - prints each message to stdout
+
+const MAIL_FROM = process.env.MAIL_FROM || '"MyApp" <no-reply@myapp.com>';
+const MAX_ATTEMPTS = Number(process.env.MAIL_MAX_ATTEMPTS) || 5;
+const RETRY_BASE_SECONDS = Number(process.env.MAIL_RETRY_BASE_SECONDS) || 60;
+
+// how long sent and failed messages stay in the outbox
+export const MAIL_RETENTION_DAYS =
+  Number(process.env.MAIL_RETENTION_DAYS) || 30;
+
+let transport;
+
+function createTransport() {
+  const kind = process.env.MAIL_TRANSPORT || "smtp";
+
+  if (kind === "console") {
+    const json = nodemailer.createTransport({ jsonTransport: true });
+    return {
+      async send(message) {
+        const info = await json.sendMail(message);
+        console.log("[mail]", info.message);
+        return info;
+      },
+    };
+  }
+
+  if (kind === "file") {
+    const dir = process.env.MAIL_OUTBOX_DIR || "outbox";
+    const json = nodemailer.createTransport({ jsonTransport: true });
+    return {
+      async send(message) {
+        const info = await json.sendMail(message);
+        await fs.mkdir(dir, { recursive: true });
+        await fs.writeFile(
+          path.join(
+            dir,
+            `${Date.now()}-${info.messageId.replace(/[<>@]/g, "")}.json`
+          ),
+          info.message
+        );
+        return info;
+      },
+    };
+  }
+
+  if (kind !== "smtp") {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${kind}`);
+  }
+
+  const smtp = process.env.SMTP_HOST
+    ? nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: Number(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === "true",
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined,
+      })
+    : nodemailer.createTransport({
+        service: "gmail",
+        auth: {
+          user: process.env.EMAIL_USER,
+          pass: process.env.EMAIL_PASS,
+        },
+      });
+
+  return { send: (message) => smtp.sendMail(message) };
+}
+
+function getTransport() {
+  if (!transport) {
+    transport = createTransport();
+  }
+  return transport;
+}
+
+/**
+ * Queues an email and starts delivering it. Never throws because of a
+ * delivery problem; only a failure to store the message is an error.
+ *
+ * @param {import("pg").Pool} pool
+ * @param {{ to: string, template: string, data: object }} mail
+ * @returns {Promise<number>} the outbox mail_id
+ */
+export async function sendMail(pool, { to, template, data }) {
+  const { subject, text, html } = renderTemplate(template, data);
+
+  const result = await pool.query(
+    `INSERT INTO mail_outbox (to_address, template, subject, text_body, html_body)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING mail_id`,
+    [to, template, subject, text, html]
+  );
+  const mailId = result.rows[0].mail_id;
+
+  deliver(pool, mailId).catch((err) => console.error(err));
+
+  return mailId;
+}
+
+/**
+ * Delivers one outbox row if it is due. Claims the row first so the worker
+ * and the request that queued it never send it twice; a claim left behind by
+ * a crashed process expires after 10 minutes.
+ */
+async function deliver(pool, mailId) {
+  const claimed = await pool.query(
+    `UPDATE mail_outbox
+     SET status = 'sending',
+         attempts = attempts + 1,
+         next_attempt_at = NOW() + INTERVAL '10 minutes'
+     WHERE mail_id = $1
+       AND status IN ('pending', 'sending')
+       AND next_attempt_at <= NOW()
+     RETURNING mail_id, to_address, subject, text_body, html_body, attempts`,
+    [mailId]
+  );
+  if (claimed.rows.length === 0) {
+    return;
+  }
+
+  const mail = claimed.rows[0];
+  try {
+    await getTransport().send({
+      from: MAIL_FROM,
+      to: mail.to_address,
+      subject: mail.subject,
+      text: mail.text_body,
+      html: mail.html_body || undefined,
+    });
+
+    await pool.query(
+      `UPDATE mail_outbox
+       SET status = 'sent', sent_at = NOW(), last_error = NULL,
+           text_body = NULL, html_body = NULL
+       WHERE mail_id = $1`,
+      [mailId]
+    );
+  } catch (err) {
+    console.error(`Mail ${mailId} failed (attempt ${mail.attempts}):`, err);
+
+    await pool.query(
+      `UPDATE mail_outbox
+       SET status = CASE WHEN attempts >= $2 THEN 'failed' ELSE 'pending' END,
+           text_body = CASE WHEN attempts >= $2 THEN NULL ELSE text_body END,
+           html_body = CASE WHEN attempts >= $2 THEN NULL ELSE html_body END,
+           last_error = $3,
+           next_attempt_at = NOW() + make_interval(secs => $4 * power(2, attempts - 1))
+       WHERE mail_id = $1`,
+      [mailId, MAX_ATTEMPTS, String(err.message || err), RETRY_BASE_SECONDS]
+    );
+  }
+}
+
+/**
+ * Retries every pending message that is due.
+ *
+ * @returns {Promise<number>} how many messages were attempted
+ */
+export async function processOutbox(pool) {
+  const due = await pool.query(
+    `SELECT mail_id FROM mail_outbox
+     WHERE status IN ('pending', 'sending') AND next_attempt_at <= NOW()
+     ORDER BY next_attempt_at
+     LIMIT 50`
+  );
+
+  for (const { mail_id } of due.rows) {
+    await deliver(pool, mail_id);
+  }
+
+  return due.rows.length;
+}
+
+/**
+ * Deletes sent and failed messages older than MAIL_RETENTION_DAYS.
+ *
+ * @returns {Promise<{ deleted: number }>}
+ */
+export async function purgeOutbox(pool) {
+  const result = await pool.query(
+    `DELETE FROM mail_outbox
+     WHERE status IN ('sent', 'failed')
+       AND created_at < NOW() - make_interval(days => $1)`,
+    [MAIL_RETENTION_DAYS]
+  );
+  return { deleted: result.rowCount };
+}
+
+/**
+ * Polls the outbox every `intervalMs` milliseconds.
+ *
+ * @returns {NodeJS.Timeout}
+ */
+export function startOutboxWorker(pool, intervalMs = 30000) {
+  let running = false;
+
+  return setInterval(async () => {
+    if (running) return;
+    running = true;
+    try {
+      await processOutbox(pool);
+    } catch (err) {
+      console.error("Outbox worker error:", err);
+    } finally {
+      running = false;
+    }
+  }, intervalMs);
+}
@@ -0,0 +1,16 @@
+/**
+ * Stores an in-app notification for one user, shown by
+ * GET /user/get-notifications-all.
+ *
+ * @param {import("pg").Pool | import("pg").PoolClient} db
+ * @returns {Promise<object>} the new notifications row
+ */
+export async function notifyUser(db, userId, title, message) {
+  const result = await db.query(
+    `INSERT INTO notifications (user_id, title, message, created_at)
+     VALUES ($1, $2, $3, NOW())
+     RETURNING *`,
+    [userId, title, message]
+  );
+  return result.rows[0];
+}
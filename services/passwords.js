@@ -0,0 +1,85 @@
+import crypto from "crypto";
+import { promisify } from "util";
+
+const scrypt = promisify(crypto.scrypt);
+
+// Stored format: $scrypt$v=1$N=16384,r=8,p=1$<salt>$<hash> (salt and hash in base64).
+// Anything that does not start with "$scrypt$" is a legacy plaintext value.
+const PREFIX = "$scrypt$";
+const CURRENT_VERSION = 1;
+const PARAMS = { N: 16384, r: 8, p: 1 };
+const SALT_BYTES = 16;
+const KEY_BYTES = 32;
+
+// stored for users who have not set a password yet: no password matches it
+export const UNUSABLE_PASSWORD_HASH = `${PREFIX}unusable`;
+
+/**
+ * Hashes a password with a fresh random salt.
+ *
+ * @param {string} password
+ * @returns {Promise<string>} value for the `password_hash` column
+ */
+export async function hashPassword(password) {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const key = await scrypt(password, salt, KEY_BYTES, PARAMS);
+  const { N, r, p } = PARAMS;
+  return `${PREFIX}v=${CURRENT_VERSION}$N=${N},r=${r},p=${p}$${salt.toString(
+    "base64"
+  )}$${key.toString("base64")}`;
+}
+
+/**
+ * Checks a password against a stored `password_hash` value.
+ *
+ * `needsRehash` is true when the stored value is legacy plaintext or was
+ * produced with older parameters, so the caller can upgrade it after a
+ * successful login.
+ *
+ * @param {string} password
+ * @param {string} stored
+ * @returns {Promise<{ valid: boolean, needsRehash: boolean }>}
+ */
+export async function verifyPassword(password, stored) {
+  if (!stored) {
+    return { valid: false, needsRehash: false };
+  }
+
+  if (!stored.startsWith(PREFIX)) {
+    return { valid: safeEqual(password, stored), needsRehash: true };
+  }
+
+  const [version, params, salt, hash] = stored.slice(PREFIX.length).split("$");
+  if (!version || !params || !salt || !hash) {
+    return { valid: false, needsRehash: false };
+  }
+
+  const options = Object.fromEntries(
+    params.split(",").map((pair) => {
+      const [name, value] = pair.split("=");
+      return [name, Number(value)];
+    })
+  );
+  const expected = Buffer.from(hash, "base64");
+  const key = await scrypt(
+    password,
+    Buffer.from(salt, "base64"),
+    expected.length,
+    options
+  );
+
+  return {
+    valid: crypto.timingSafeEqual(key, expected),
+    needsRehash:
+      version !== `v=${CURRENT_VERSION}` ||
+      options.N !== PARAMS.N ||
+      options.r !== PARAMS.r ||
+      options.p !== PARAMS.p,
+  };
+}
+
+function safeEqual(a, b) {
+  const left = crypto.createHash("sha256").update(a).digest();
+  const right = crypto.createHash("sha256").update(b).digest();
+  return crypto.timingSafeEqual(left, right);
+}
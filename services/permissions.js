@@ -0,0 +1,38 @@
+// Every permission a route can require. Roles are granted permissions through
+// the role_permissions table (see PUT /admin/set-role-permissions).
+export const PERMISSIONS = [
+  "attendance:read",
+  "attendance:write",
+  "audit:read",
+  "calendar:read",
+  "calendar:write",
+  "courses:read",
+  "courses:write",
+  "jobs:read",
+  "leave:read",
+  "leave:write",
+  "locations:read",
+  "locations:write",
+  "notifications:read",
+  "notifications:write",
+  "roles:read",
+  "roles:write",
+  "security:read",
+  "security:write",
+  "sessions:write",
+  "users:read",
+  "users:write",
+];
+
+/**
+ * @param {import("pg").Pool} pool
+ * @param {string} role
+ * @returns {Promise<string[]>} permissions granted to the role
+ */
+export async function getRolePermissions(pool, role) {
+  const result = await pool.query(
+    "SELECT permission FROM role_permissions WHERE role = $1 ORDER BY permission",
+    [role]
+  );
+  return result.rows.map((row) => row.permission);
+}
@@ -0,0 +1,599 @@
+import { once } from "events";
+import ExcelJS from "exceljs";
+import { createWriteStream } from "fs";
+import fs from "fs/promises";
+import path from "path";
+import PDFDocument from "pdfkit";
+import { finished } from "stream/promises";
+import { notifyUser } from "./notifications.js";
+import { getCampusToday, summarizeAttendance } from "./summaries.js";
+import { generateToken } from "./tokens.js";
+
+// Attendance reports for the faculty administration. CSV and XLSX list the
+// attendance records of a date range, one row each, with the user's name,
+// NIM/NIP and the location. The PDF is a printable recap: one line of totals
+// per user (see summaries.js) and a signature block.
+//
+// A report is written straight into the response when it is small enough.
+// Larger ones become a row in report_exports that the "report-exports" job
+// (see jobs.js) writes to a file under EXPORT_DIR; the requester is notified
+// and downloads it until it expires.
+
+export const REPORT_FORMATS = ["csv", "xlsx", "pdf"];
+
+export const REPORT_CONTENT_TYPES = {
+  csv: "text/csv; charset=utf-8",
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  pdf: "application/pdf",
+};
+
+export const EXPORT_DIR = process.env.EXPORT_DIR || "uploads/exports";
+
+// reports with more records than this run in the background
+export const EXPORT_SYNC_MAX_ROWS =
+  Number(process.env.EXPORT_SYNC_MAX_ROWS) || 5000;
+
+// how long a finished export can be downloaded
+export const EXPORT_TTL_HOURS = Number(process.env.EXPORT_TTL_HOURS) || 24;
+
+// printed above the PDF recap
+const REPORT_INSTITUTION = process.env.REPORT_INSTITUTION || "";
+
+// the longest range a single report may cover
+const MAX_REPORT_DAYS = 366;
+
+// records fetched per query while writing a report
+const BATCH_SIZE = 1000;
+
+// an export left running this long is assumed lost with its instance
+const STALE_EXPORT_MINUTES = 60;
+
+const COLUMNS = [
+  { header: "Date", key: "date", width: 12 },
+  { header: "Time", key: "time", width: 10 },
+  { header: "Name", key: "name", width: 30 },
+  { header: "NIM/NIP", key: "nim_nip", width: 16 },
+  { header: "Role", key: "role", width: 12 },
+  { header: "Type", key: "type", width: 10 },
+  { header: "Status", key: "status", width: 14 },
+  { header: "Location", key: "location_name", width: 24 },
+  { header: "Distance (m)", key: "distance", width: 12 },
+  { header: "Review", key: "review_status", width: 10 },
+  { header: "Notes", key: "notes", width: 40 },
+];
+
+// $1 from, $2 to, $3 campus time zone, $4 role, $5 group, $6 location.
+// Absent rows mark a whole day and are matched on their date alone.
+const REPORT_FILTER = `a.voided_at IS NULL
+  AND CASE
+        WHEN a.type = 'absent' THEN a."timestamp"::date BETWEEN $1::date AND $2::date
+        ELSE a."timestamp" >= ($1::date::timestamp AT TIME ZONE $3)::timestamp
+         AND a."timestamp" < (($2::date + 1)::timestamp AT TIME ZONE $3)::timestamp
+      END
+  AND ($4::varchar IS NULL OR u.role = $4)
+  AND ($5::integer IS NULL OR a.user_id IN (
+        SELECT e.user_id FROM enrollments e WHERE e.group_id = $5
+      ))
+  AND ($6::integer IS NULL OR a.location_id = $6)`;
+
+export function mapReportExport(row) {
+  return {
+    exportId: row.export_id,
+    requestedBy: row.requested_by,
+    format: row.format,
+    filters: row.filters,
+    status: row.status,
+    rowCount: row.row_count,
+    fileSize: row.file_size,
+    error: row.error,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    expiresAt: row.expires_at,
+  };
+}
+
+/**
+ * Validates the filters of a report.
+ *
+ * @returns {{ filters: object } | { error: string }}
+ */
+export function parseReportFilters({ from, to, role, groupId, locationId }) {
+  if (!from || !to) {
+    return { error: "from and to are required" };
+  }
+
+  const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+  const days = (Date.parse(to) - Date.parse(from)) / 86400000 + 1;
+  if (!datePattern.test(from) || !datePattern.test(to) || isNaN(days)) {
+    return { error: "Invalid from or to date" };
+  }
+  if (days < 1) {
+    return { error: "to must not be before from" };
+  }
+  if (days > MAX_REPORT_DAYS) {
+    return { error: `Range must not exceed ${MAX_REPORT_DAYS} days` };
+  }
+
+  for (const [field, value] of Object.entries({ groupId, locationId })) {
+    if (value != null && value !== "" && !Number.isInteger(Number(value))) {
+      return { error: `${field} must be an integer` };
+    }
+  }
+
+  return {
+    filters: {
+      from,
+      to,
+      role: role || null,
+      groupId: groupId ? Number(groupId) : null,
+      locationId: locationId ? Number(locationId) : null,
+    },
+  };
+}
+
+function filterValues(filters, timezone) {
+  return [
+    filters.from,
+    filters.to,
+    timezone,
+    filters.role,
+    filters.groupId,
+    filters.locationId,
+  ];
+}
+
+/**
+ * @returns {Promise<number>} how many attendance records the report covers
+ */
+export async function countReportRows(db, filters) {
+  const { timezone } = await getCampusToday(db);
+  const result = await db.query(
+    `SELECT COUNT(*)::integer AS count
+     FROM "Attendance" a
+     JOIN "User" u ON u.user_id = a.user_id
+     WHERE ${REPORT_FILTER}`,
+    filterValues(filters, timezone)
+  );
+  return result.rows[0].count;
+}
+
+// the report's records in batches, oldest first, with times in campus time
+async function* reportRows(db, filters) {
+  const { timezone } = await getCampusToday(db);
+  let after = null;
+
+  for (;;) {
+    const result = await db.query(
+      `SELECT a.attendance_id, a."timestamp"::text AS cursor_timestamp,
+              a.type, a.status,
+              ROUND(a.distance_meters) AS distance,
+              a.review_status, a.notes, u.name, u.nim_nip, u.role,
+              l.location_name,
+              CASE
+                WHEN a.type = 'absent' THEN to_char(a."timestamp", 'YYYY-MM-DD')
+                ELSE to_char(a."timestamp"::timestamptz AT TIME ZONE $3, 'YYYY-MM-DD')
+              END AS date,
+              CASE
+                WHEN a.type = 'absent' THEN NULL
+                ELSE to_char(a."timestamp"::timestamptz AT TIME ZONE $3, 'HH24:MI:SS')
+              END AS time
+       FROM "Attendance" a
+       JOIN "User" u ON u.user_id = a.user_id
+       LEFT JOIN "Locations" l ON l.location_id = a.location_id
+       WHERE ${REPORT_FILTER}
+         AND ($7::timestamp IS NULL
+              OR (a."timestamp", a.attendance_id) > ($7::timestamp, $8::integer))
+       ORDER BY a."timestamp", a.attendance_id
+       LIMIT $9`,
+      [
+        ...filterValues(filters, timezone),
+        after?.cursor_timestamp ?? null,
+        after?.attendance_id ?? null,
+        BATCH_SIZE,
+      ]
+    );
+
+    yield result.rows;
+    if (result.rows.length < BATCH_SIZE) return;
+    // as text: a Date would drop the microseconds and repeat the last row
+    after = result.rows[result.rows.length - 1];
+  }
+}
+
+// quotes a CSV field and defuses values a spreadsheet would run as a formula
+function csvField(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+async function write(stream, chunk) {
+  if (!stream.write(chunk)) {
+    await once(stream, "drain");
+  }
+}
+
+async function writeCsv(db, filters, stream) {
+  let count = 0;
+  // the BOM makes Excel read the file as UTF-8
+  await write(
+    stream,
+    "\uFEFF" + COLUMNS.map((column) => column.header).join(",") + "\r\n"
+  );
+
+  for await (const rows of reportRows(db, filters)) {
+    const lines = rows.map(
+      (row) =>
+        COLUMNS.map((column) => csvField(row[column.key])).join(",") + "\r\n"
+    );
+    if (lines.length > 0) {
+      await write(stream, lines.join(""));
+    }
+    count += rows.length;
+  }
+
+  stream.end();
+  return count;
+}
+
+async function writeXlsx(db, filters, stream) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({
+    stream,
+    useStyles: true,
+  });
+  const sheet = workbook.addWorksheet("Attendance", {
+    views: [{ state: "frozen", ySplit: 1 }],
+  });
+  sheet.columns = COLUMNS;
+  sheet.getRow(1).font = { bold: true };
+
+  let count = 0;
+  for await (const rows of reportRows(db, filters)) {
+    for (const row of rows) {
+      sheet.addRow(row).commit();
+    }
+    count += rows.length;
+  }
+
+  sheet.commit();
+  // ends the stream
+  await workbook.commit();
+  return count;
+}
+
+const RECAP_COLUMNS = [
+  { header: "No", width: 26, align: "right", value: (row, i) => i + 1 },
+  { header: "NIM/NIP", width: 72, value: (row) => row.nimNip ?? "" },
+  { header: "Name", width: 150, value: (row) => row.name },
+  {
+    header: "Present",
+    width: 44,
+    align: "right",
+    value: (row) => row.daysAttended,
+  },
+  { header: "Late", width: 36, align: "right", value: (row) => row.lateCount },
+  {
+    header: "Absent",
+    width: 40,
+    align: "right",
+    value: (row) => row.absentCount,
+  },
+  {
+    header: "Excused",
+    width: 44,
+    align: "right",
+    value: (row) => row.excusedCount,
+  },
+  {
+    header: "Hours",
+    width: 44,
+    align: "right",
+    value: (row) => row.workedHours.toFixed(1),
+  },
+  {
+    header: "Arrival",
+    width: 40,
+    align: "right",
+    value: (row) => row.averageArrivalTime ?? "-",
+  },
+];
+
+function drawRecapRow(doc, cells, { bold = false } = {}) {
+  const y = doc.y;
+  let x = doc.page.margins.left;
+  doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(8);
+  RECAP_COLUMNS.forEach((column, i) => {
+    doc.text(String(cells[i]), x + 2, y + 3, {
+      width: column.width - 4,
+      align: column.align || "left",
+      lineBreak: false,
+      ellipsis: true,
+    });
+    x += column.width;
+  });
+  const width = RECAP_COLUMNS.reduce((sum, column) => sum + column.width, 0);
+  doc
+    .moveTo(doc.page.margins.left, y + 14)
+    .lineTo(doc.page.margins.left + width, y + 14)
+    .lineWidth(0.5)
+    .stroke();
+  doc.x = doc.page.margins.left;
+  doc.y = y + 14;
+}
+
+async function writePdfRecap(db, filters, stream) {
+  const { timezone } = await getCampusToday(db);
+  const { users, totals } = await summarizeAttendance(db, {
+    from: filters.from,
+    to: filters.to,
+    timezone,
+    groupId: filters.groupId,
+    role: filters.role,
+  });
+
+  let groupName = null;
+  if (filters.groupId) {
+    const group = await db.query(
+      `SELECT c.code, g.name FROM class_groups g
+       JOIN courses c ON c.course_id = g.course_id
+       WHERE g.group_id = $1`,
+      [filters.groupId]
+    );
+    if (group.rows[0]) {
+      groupName = `${group.rows[0].code} ${group.rows[0].name}`;
+    }
+  }
+
+  const doc = new PDFDocument({ size: "A4", margin: 40, bufferPages: true });
+  doc.pipe(stream);
+
+  doc.font("Helvetica-Bold").fontSize(14).text("ATTENDANCE RECAP", {
+    align: "center",
+  });
+  if (REPORT_INSTITUTION) {
+    doc.font("Helvetica").fontSize(11).text(REPORT_INSTITUTION, {
+      align: "center",
+    });
+  }
+  doc.moveDown();
+  doc.font("Helvetica").fontSize(9);
+  doc.text(`Period: ${filters.from} to ${filters.to} (${timezone})`);
+  if (filters.role) doc.text(`Role: ${filters.role}`);
+  if (groupName) doc.text(`Class group: ${groupName}`);
+  doc.text(`Users: ${users.length}`);
+  doc.moveDown();
+
+  const bottom = () => doc.page.height - doc.page.margins.bottom - 14;
+  const header = RECAP_COLUMNS.map((column) => column.header);
+  drawRecapRow(doc, header, { bold: true });
+  users.forEach((user, i) => {
+    if (doc.y > bottom()) {
+      doc.addPage();
+      drawRecapRow(doc, header, { bold: true });
+    }
+    drawRecapRow(
+      doc,
+      RECAP_COLUMNS.map((column) => column.value(user, i))
+    );
+  });
+  if (doc.y > bottom()) doc.addPage();
+  drawRecapRow(
+    doc,
+    [
+      "",
+      "",
+      "Total",
+      totals.daysAttended,
+      totals.lateCount,
+      totals.absentCount,
+      totals.excusedCount,
+      totals.workedHours.toFixed(1),
+      totals.averageArrivalTime ?? "-",
+    ],
+    { bold: true }
+  );
+
+  // signature block
+  if (doc.y > doc.page.height - doc.page.margins.bottom - 110) doc.addPage();
+  const left = doc.page.width - doc.page.margins.right - 180;
+  doc.font("Helvetica").fontSize(9);
+  doc.text("Approved by,", left, doc.y + 30, { width: 180 });
+  doc.text("(______________________________)", left, doc.y + 50, {
+    width: 180,
+  });
+  doc.text("NIP.", left, doc.y + 2, { width: 180 });
+
+  const pages = doc.bufferedPageRange();
+  for (let i = 0; i < pages.count; i++) {
+    doc.switchToPage(pages.start + i);
+    // text below the bottom margin would otherwise start a new page
+    const { bottom } = doc.page.margins;
+    doc.page.margins.bottom = 0;
+    doc.font("Helvetica").fontSize(8);
+    doc.text(
+      `Page ${i + 1} of ${pages.count}`,
+      doc.page.margins.left,
+      doc.page.height - bottom + 10,
+      {
+        width: doc.page.width - doc.page.margins.left - doc.page.margins.right,
+        align: "center",
+        lineBreak: false,
+      }
+    );
+    doc.page.margins.bottom = bottom;
+  }
+
+  doc.end();
+  return users.length;
+}
+
+/**
+ * Writes a report to a stream and ends it.
+ *
+ * @param {"csv"|"xlsx"|"pdf"} format
+ * @param {object} filters as returned by parseReportFilters
+ * @param {import("stream").Writable} stream
+ * @returns {Promise<number>} records written (users for the PDF recap)
+ */
+export async function writeReport(db, format, filters, stream) {
+  const writer = { csv: writeCsv, xlsx: writeXlsx, pdf: writePdfRecap }[format];
+  const count = await writer(db, filters, stream);
+  await finished(stream);
+  return count;
+}
+
+/**
+ * @returns {string} a file name for the report, e.g.
+ *   attendance-2025-12-01-2025-12-31.xlsx
+ */
+export function reportFileName(format, filters) {
+  const kind = format === "pdf" ? "attendance-recap" : "attendance";
+  return `${kind}-${filters.from}-${filters.to}.${format}`;
+}
+
+/**
+ * Queues a report for the background job.
+ *
+ * @returns {Promise<object>} the new report_exports row
+ */
+export async function createReportExport(pool, userId, format, filters) {
+  const result = await pool.query(
+    `INSERT INTO report_exports (requested_by, format, filters)
+     VALUES ($1, $2, $3)
+     RETURNING *`,
+    [userId, format, filters]
+  );
+  return result.rows[0];
+}
+
+/**
+ * @returns {Promise<object|null>} the report_exports row
+ */
+export async function getReportExport(db, exportId) {
+  const result = await db.query(
+    "SELECT * FROM report_exports WHERE export_id = $1",
+    [exportId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * @param {object} reportExport the report_exports row
+ * @returns {string|null} absolute path of the finished file
+ */
+export function getReportExportPath(reportExport) {
+  return reportExport.file_path
+    ? path.resolve(EXPORT_DIR, reportExport.file_path)
+    : null;
+}
+
+async function runExport(pool, job) {
+  const relative = `${job.export_id}-${generateToken().slice(0, 16)}.${
+    job.format
+  }`;
+  const file = path.join(EXPORT_DIR, relative);
+
+  try {
+    await fs.mkdir(EXPORT_DIR, { recursive: true });
+    const rowCount = await writeReport(
+      pool,
+      job.format,
+      job.filters,
+      createWriteStream(file)
+    );
+    const { size } = await fs.stat(file);
+
+    await pool.query(
+      `UPDATE report_exports
+       SET status = 'succeeded', row_count = $2, file_path = $3, file_size = $4,
+           finished_at = NOW(), expires_at = NOW() + make_interval(hours => $5)
+       WHERE export_id = $1`,
+      [job.export_id, rowCount, relative, size, EXPORT_TTL_HOURS]
+    );
+    await notifyUser(
+      pool,
+      job.requested_by,
+      "Export ready",
+      `Your ${job.format.toUpperCase()} attendance report for ${
+        job.filters.from
+      } to ${
+        job.filters.to
+      } is ready to download for ${EXPORT_TTL_HOURS} hours.`
+    );
+    return true;
+  } catch (err) {
+    console.error(`Export ${job.export_id} failed:`, err);
+    await fs.rm(file, { force: true }).catch(() => {});
+    await pool.query(
+      `UPDATE report_exports
+       SET status = 'failed', error = $2, finished_at = NOW(),
+           expires_at = NOW() + make_interval(hours => $3)
+       WHERE export_id = $1`,
+      [job.export_id, err.message, EXPORT_TTL_HOURS]
+    );
+    return false;
+  }
+}
+
+/**
+ * Writes every queued export, one at a time. Several instances may run this
+ * at once: each export is claimed with SKIP LOCKED.
+ *
+ * @returns {Promise<{ succeeded: number, failed: number }>}
+ */
+export async function runPendingExports(pool) {
+  let succeeded = 0;
+  let failed = 0;
+
+  for (;;) {
+    const claimed = await pool.query(
+      `UPDATE report_exports
+       SET status = 'running', started_at = NOW()
+       WHERE export_id = (
+         SELECT export_id FROM report_exports
+         WHERE status = 'pending'
+            OR (status = 'running' AND started_at < NOW() - make_interval(mins => $1))
+         ORDER BY created_at, export_id
+         LIMIT 1
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [STALE_EXPORT_MINUTES]
+    );
+    if (claimed.rows.length === 0) break;
+
+    if (await runExport(pool, claimed.rows[0])) succeeded++;
+    else failed++;
+  }
+
+  return { succeeded, failed };
+}
+
+/**
+ * Deletes expired exports and their files.
+ *
+ * @returns {Promise<{ deleted: number }>}
+ */
+export async function expireReportExports(pool) {
+  const result = await pool.query(
+    `DELETE FROM report_exports
+     WHERE expires_at < NOW()
+     RETURNING file_path`
+  );
+
+  for (const row of result.rows) {
+    if (row.file_path) {
+      await fs
+        .rm(path.join(EXPORT_DIR, row.file_path), { force: true })
+        .catch((err) => console.error("Failed to remove export:", err));
+    }
+  }
+
+  return { deleted: result.rowCount };
+}
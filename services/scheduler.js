@@ -0,0 +1,134 @@
+import os from "os";
+
+// Runs periodic jobs inside the API process. Several instances may run the
+// scheduler at once: each job has a row in scheduled_jobs, and an instance
+// only runs a job after claiming that row with a conditional UPDATE. The
+// claim expires after JOB_LOCK_SECONDS so a crashed instance cannot block a
+// job forever. Every run is logged in job_runs (GET /admin/get-job-runs).
+//
+// A job is { name, intervalSeconds, run(pool) }; whatever run() resolves to
+// is stored as the run's result.
+
+export const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+const JOB_LOCK_SECONDS = Number(process.env.JOB_LOCK_SECONDS) || 10 * 60;
+
+export function mapScheduledJob(row) {
+  return {
+    name: row.name,
+    intervalSeconds: row.interval_seconds,
+    nextRunAt: row.next_run_at,
+    lockedBy: row.locked_by,
+    lockedUntil: row.locked_until,
+    updatedAt: row.updated_at,
+  };
+}
+
+export function mapJobRun(row) {
+  return {
+    runId: row.run_id,
+    jobName: row.job_name,
+    instance: row.instance,
+    status: row.status,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    result: row.result,
+    error: row.error,
+  };
+}
+
+async function registerJobs(pool, jobs) {
+  for (const job of jobs) {
+    await pool.query(
+      `INSERT INTO scheduled_jobs (name, interval_seconds)
+       VALUES ($1, $2)
+       ON CONFLICT (name) DO UPDATE
+       SET interval_seconds = EXCLUDED.interval_seconds, updated_at = NOW()`,
+      [job.name, job.intervalSeconds]
+    );
+  }
+}
+
+// true when this instance now holds the job
+async function claimJob(pool, job) {
+  const result = await pool.query(
+    `UPDATE scheduled_jobs
+     SET locked_by = $2, locked_until = NOW() + make_interval(secs => $3),
+         updated_at = NOW()
+     WHERE name = $1
+       AND next_run_at <= NOW()
+       AND (locked_until IS NULL OR locked_until < NOW())`,
+    [job.name, INSTANCE_ID, JOB_LOCK_SECONDS]
+  );
+  return result.rowCount > 0;
+}
+
+async function runJob(pool, job) {
+  const run = await pool.query(
+    `INSERT INTO job_runs (job_name, instance) VALUES ($1, $2) RETURNING run_id`,
+    [job.name, INSTANCE_ID]
+  );
+  const { run_id } = run.rows[0];
+
+  try {
+    const result = await job.run(pool);
+    await pool.query(
+      `UPDATE job_runs
+       SET status = 'succeeded', finished_at = NOW(), result = $2
+       WHERE run_id = $1`,
+      [run_id, result ?? null]
+    );
+  } catch (err) {
+    console.error(`Job ${job.name} failed:`, err);
+    await pool.query(
+      `UPDATE job_runs
+       SET status = 'failed', finished_at = NOW(), error = $2
+       WHERE run_id = $1`,
+      [run_id, err.message]
+    );
+  } finally {
+    await pool.query(
+      `UPDATE scheduled_jobs
+       SET locked_by = NULL, locked_until = NULL,
+           next_run_at = NOW() + make_interval(secs => interval_seconds),
+           updated_at = NOW()
+       WHERE name = $1 AND locked_by = $2`,
+      [job.name, INSTANCE_ID]
+    );
+  }
+}
+
+/**
+ * Registers the jobs and runs every due one each `tickMs` milliseconds.
+ *
+ * @param {Array<{ name: string, intervalSeconds: number,
+ *                 run: (pool: import("pg").Pool) => Promise<object> }>} jobs
+ * @returns {NodeJS.Timeout}
+ */
+export function startScheduler(pool, jobs, tickMs = 30 * 1000) {
+  let registered = false;
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      if (!registered) {
+        await registerJobs(pool, jobs);
+        registered = true;
+      }
+      for (const job of jobs) {
+        if (await claimJob(pool, job)) {
+          await runJob(pool, job);
+        }
+      }
+    } catch (err) {
+      console.error("Scheduler error:", err);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  return setInterval(tick, tickMs);
+}
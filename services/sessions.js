@@ -0,0 +1,135 @@
+import {
+  ACCESS_TOKEN_TTL_SECONDS,
+  REFRESH_TOKEN_TTL_DAYS,
+  generateToken,
+  hashToken,
+  signAccessToken,
+} from "./tokens.js";
+
+/**
+ * Opens a new session for a user and returns the token pair for it.
+ *
+ * @param {import("pg").Pool} pool
+ * @param {{ user_id: number, role: string }} user
+ * @param {{ deviceName?: string, userAgent?: string, ip?: string }} device
+ */
+export async function createSession(pool, user, device = {}) {
+  const refreshToken = generateToken();
+
+  const result = await pool.query(
+    `INSERT INTO user_sessions
+     (user_id, refresh_token_hash, expires_at, device_name, user_agent, ip_address)
+     VALUES ($1, $2, NOW() + make_interval(days => $3), $4, $5, $6)
+     RETURNING session_id`,
+    [
+      user.user_id,
+      hashToken(refreshToken),
+      REFRESH_TOKEN_TTL_DAYS,
+      device.deviceName || null,
+      device.userAgent || null,
+      device.ip || null,
+    ]
+  );
+
+  return buildTokenPair(user, result.rows[0].session_id, refreshToken);
+}
+
+/**
+ * Exchanges a refresh token for a new token pair. The old refresh token
+ * stops working as soon as it has been used.
+ *
+ * @returns {Promise<object|null>} the new token pair, or null if the refresh
+ *   token is unknown, revoked or expired
+ */
+export async function rotateSession(pool, refreshToken, ip) {
+  const nextRefreshToken = generateToken();
+
+  const result = await pool.query(
+    `UPDATE user_sessions s
+     SET refresh_token_hash = $2,
+         last_seen_at = NOW(),
+         ip_address = COALESCE($3, s.ip_address)
+     FROM "User" u
+     WHERE s.refresh_token_hash = $1
+       AND s.revoked_at IS NULL
+       AND s.expires_at > NOW()
+       AND u.user_id = s.user_id
+     RETURNING s.session_id, u.user_id, u.role`,
+    [hashToken(refreshToken), hashToken(nextRefreshToken), ip || null]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+  return buildTokenPair(row, row.session_id, nextRefreshToken);
+}
+
+/**
+ * Lists a user's sessions that are still usable, most recently used first.
+ */
+export async function listSessions(pool, userId) {
+  const result = await pool.query(
+    `SELECT session_id, device_name, user_agent, ip_address, created_at, last_seen_at, expires_at
+     FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_seen_at DESC`,
+    [userId]
+  );
+  return result.rows;
+}
+
+/**
+ * Records activity on a session. Writes at most once a minute per session.
+ */
+export async function touchSession(pool, sessionId, ip) {
+  await pool.query(
+    `UPDATE user_sessions
+     SET last_seen_at = NOW(), ip_address = COALESCE($2, ip_address)
+     WHERE session_id = $1 AND last_seen_at < NOW() - INTERVAL '1 minute'`,
+    [sessionId, ip || null]
+  );
+}
+
+/**
+ * @param {number} [userId] when given, the session must belong to this user
+ * @returns {Promise<boolean>} whether an open session was revoked
+ */
+export async function revokeSession(pool, sessionId, userId) {
+  const result = await pool.query(
+    `UPDATE user_sessions SET revoked_at = NOW()
+     WHERE session_id = $1 AND revoked_at IS NULL
+       AND ($2::integer IS NULL OR user_id = $2)`,
+    [sessionId, userId || null]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Revokes every open session of a user, optionally sparing one.
+ *
+ * @returns {Promise<number>} number of sessions revoked
+ */
+export async function revokeAllSessions(pool, userId, exceptSessionId) {
+  const result = await pool.query(
+    `UPDATE user_sessions SET revoked_at = NOW()
+     WHERE user_id = $1 AND revoked_at IS NULL
+       AND ($2::integer IS NULL OR session_id <> $2)`,
+    [userId, exceptSessionId || null]
+  );
+  return result.rowCount;
+}
+
+function buildTokenPair(user, sessionId, refreshToken) {
+  return {
+    accessToken: signAccessToken({
+      userId: user.user_id,
+      role: user.role,
+      sessionId,
+    }),
+    refreshToken,
+    tokenType: "Bearer",
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+  };
+}
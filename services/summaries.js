@@ -0,0 +1,262 @@
+// Attendance totals per user over a period, computed in one query so that a
+// whole faculty can be summarised at once.
+//
+// Timestamps are stored without a time zone, in the database session's time
+// zone (that is what NOW() writes). Days and arrival times are counted in
+// campus time: CAMPUS_TIMEZONE when set, otherwise the session's own zone.
+// index.js sets the session zone to CAMPUS_TIMEZONE on every connection, so
+// the rating, absences and automatic checkout split days the same way; the
+// conversions here keep the figures right for connections made without it.
+// Absences are taken from the "absent" rows of attendanceRules.js, which
+// are already per day.
+
+// e.g. "Asia/Jakarta". Records are stored in the zone of the session that
+// wrote them, so records written before it was set keep the old zone.
+export const CAMPUS_TIMEZONE = process.env.CAMPUS_TIMEZONE || null;
+
+export const SUMMARY_PERIODS = ["day", "week", "month", "semester"];
+
+// a stored timestamp as campus wall-clock time ($3 is the time zone)
+function toCampus(column) {
+  return `(${column}::timestamptz AT TIME ZONE $3)`;
+}
+
+// a campus wall-clock time as a stored timestamp, for index-friendly bounds
+function fromCampus(local) {
+  return `(${local} AT TIME ZONE $3)::timestamp`;
+}
+
+function addDays(date, days) {
+  const time = Date.parse(`${date}T00:00:00Z`) + days * 86400000;
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+function formatSeconds(seconds) {
+  if (seconds === null) {
+    return null;
+  }
+  const hours = String(Math.floor(seconds / 3600)).padStart(2, "0");
+  const minutes = String(Math.floor((seconds % 3600) / 60)).padStart(2, "0");
+  return `${hours}:${minutes}`;
+}
+
+/**
+ * @returns {Promise<{ timezone: string, today: string }>} the campus time
+ *   zone and today's date there
+ */
+export async function getCampusToday(db) {
+  const result = await db.query(
+    `SELECT COALESCE($1::text, current_setting('TimeZone')) AS timezone,
+            to_char((NOW() AT TIME ZONE COALESCE($1::text, current_setting('TimeZone')))::date,
+                    'YYYY-MM-DD') AS today`,
+    [CAMPUS_TIMEZONE]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Works out the days a period covers.
+ *
+ * @param {{ period: string, date?: string, groupId?: number }} options
+ *   `date` is any day inside the period (default: today on campus);
+ *   semesters are looked up in the academic calendar, preferring one set
+ *   for the class group
+ * @returns {Promise<{ from: string, to: string, timezone: string } | { error: string }>}
+ */
+export async function resolvePeriod(db, { period, date, groupId = null }) {
+  if (!SUMMARY_PERIODS.includes(period)) {
+    return { error: `period must be one of ${SUMMARY_PERIODS.join(", ")}` };
+  }
+  if (date && (!/^\d{4}-\d{2}-\d{2}$/.test(date) || isNaN(Date.parse(date)))) {
+    return { error: "Invalid date" };
+  }
+
+  const { timezone, today } = await getCampusToday(db);
+  const day = date || today;
+
+  if (period === "day") {
+    return { from: day, to: day, timezone };
+  }
+  if (period === "week") {
+    // ISO weeks start on Monday
+    const weekday = (new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7;
+    return {
+      from: addDays(day, -weekday),
+      to: addDays(day, 6 - weekday),
+      timezone,
+    };
+  }
+  if (period === "month") {
+    const [year, month] = day.split("-").map(Number);
+    const last = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    const prefix = day.slice(0, 7);
+    return { from: `${prefix}-01`, to: `${prefix}-${last}`, timezone };
+  }
+
+  const semester = await db.query(
+    `SELECT to_char(start_date, 'YYYY-MM-DD') AS start_date,
+            to_char(end_date, 'YYYY-MM-DD') AS end_date
+     FROM calendar_entries
+     WHERE kind = 'semester'
+       AND $1::date BETWEEN start_date AND end_date
+       AND ((location_id IS NULL AND group_id IS NULL) OR group_id = $2)
+     ORDER BY group_id IS NULL, start_date DESC
+     LIMIT 1`,
+    [day, groupId]
+  );
+  if (semester.rows.length === 0) {
+    return { error: `No semester in the calendar covers ${day}` };
+  }
+  return {
+    from: semester.rows[0].start_date,
+    to: semester.rows[0].end_date,
+    timezone,
+  };
+}
+
+function mapAttendanceSummary(row) {
+  return {
+    userId: row.user_id,
+    name: row.name,
+    nimNip: row.nim_nip,
+    workedSeconds: row.worked_seconds,
+    workedHours: Math.round(row.worked_seconds / 36) / 100,
+    daysAttended: row.days_attended,
+    lateCount: row.late_count,
+    absentCount: row.absent_count,
+    excusedCount: row.excused_count,
+    autoCheckoutCount: row.auto_checkout_count,
+    averageArrivalTime: formatSeconds(row.arrival_seconds),
+  };
+}
+
+/**
+ * Summarises the attendance of a set of users between `from` and `to`
+ * (inclusive campus dates):
+ *   worked time     sum of the sessions that started in the range
+ *   days attended   days with at least one check-in
+ *   late            check-ins rated "late"
+ *   absences        "absent" and "excused" rows
+ *   arrival         average time of the first check-in of each day attended
+ * Voided records and records rejected in the anomaly review are left out.
+ *
+ * @param {{ from: string, to: string, timezone: string, userId?: number,
+ *           groupId?: number, role?: string, limit?: number,
+ *           offset?: number }} options
+ *   users are filtered by id, by enrollment in a class group and by role;
+ *   all users when none is given
+ * @returns {Promise<{ users: object[], totals: object }>} one summary per
+ *   user, by user id, and the totals of those users; the average arrival
+ *   time of the totals weighs each user by the days they attended
+ */
+export async function summarizeAttendance(db, options) {
+  const result = await db.query(
+    `WITH members AS (
+       SELECT u.user_id, u.name, u.nim_nip
+       FROM "User" u
+       WHERE ($4::integer IS NULL OR u.user_id = $4)
+         AND ($5::integer IS NULL OR u.user_id IN (
+           SELECT e.user_id FROM enrollments e WHERE e.group_id = $5
+         ))
+         AND ($6::varchar IS NULL OR u.role = $6)
+       ORDER BY u.user_id
+       LIMIT $7 OFFSET $8
+     ),
+     arrivals AS (
+       SELECT a.user_id, ${toCampus('a."timestamp"')}::date AS day,
+              MIN(${toCampus('a."timestamp"')}::time) AS arrival,
+              COUNT(*) FILTER (WHERE a.status = 'late') AS late
+       FROM "Attendance" a
+       JOIN members m ON m.user_id = a.user_id
+       WHERE a.type = 'check-in'
+         AND a.voided_at IS NULL
+         AND a.review_status IS DISTINCT FROM 'rejected'
+         AND a."timestamp" >= ${fromCampus("$1::date::timestamp")}
+         AND a."timestamp" < ${fromCampus("($2::date + 1)::timestamp")}
+       GROUP BY a.user_id, day
+     ),
+     attended AS (
+       SELECT user_id, COUNT(*) AS days, SUM(late) AS late,
+              ROUND(AVG(EXTRACT(EPOCH FROM arrival))) AS arrival_seconds
+       FROM arrivals
+       GROUP BY user_id
+     ),
+     worked AS (
+       SELECT s.user_id, SUM(s.duration_seconds) AS seconds,
+              COUNT(*) FILTER (WHERE co.status = 'auto_checkout') AS auto_checkouts
+       FROM attendance_sessions s
+       JOIN members m ON m.user_id = s.user_id
+       JOIN "Attendance" ci ON ci.attendance_id = s.checkin_attendance_id
+       LEFT JOIN "Attendance" co ON co.attendance_id = s.checkout_attendance_id
+       WHERE ci.review_status IS DISTINCT FROM 'rejected'
+         AND s.checked_in_at >= ${fromCampus("$1::date::timestamp")}
+         AND s.checked_in_at < ${fromCampus("($2::date + 1)::timestamp")}
+       GROUP BY s.user_id
+     ),
+     absences AS (
+       SELECT a.user_id,
+              COUNT(*) FILTER (WHERE a.status = 'absent') AS absent,
+              COUNT(*) FILTER (WHERE a.status = 'excused') AS excused
+       FROM "Attendance" a
+       JOIN members m ON m.user_id = a.user_id
+       WHERE a.type = 'absent'
+         AND a.voided_at IS NULL
+         AND a."timestamp" >= $1::date
+         AND a."timestamp" < $2::date + 1
+       GROUP BY a.user_id
+     )
+     SELECT m.user_id, m.name, m.nim_nip,
+            COALESCE(w.seconds, 0)::integer AS worked_seconds,
+            COALESCE(w.auto_checkouts, 0)::integer AS auto_checkout_count,
+            COALESCE(d.days, 0)::integer AS days_attended,
+            COALESCE(d.late, 0)::integer AS late_count,
+            d.arrival_seconds::integer AS arrival_seconds,
+            COALESCE(ab.absent, 0)::integer AS absent_count,
+            COALESCE(ab.excused, 0)::integer AS excused_count
+     FROM members m
+     LEFT JOIN attended d ON d.user_id = m.user_id
+     LEFT JOIN worked w ON w.user_id = m.user_id
+     LEFT JOIN absences ab ON ab.user_id = m.user_id
+     ORDER BY m.user_id`,
+    [
+      options.from,
+      options.to,
+      options.timezone,
+      options.userId ?? null,
+      options.groupId ?? null,
+      options.role ?? null,
+      options.limit ?? null,
+      options.offset ?? 0,
+    ]
+  );
+  const totals = {
+    users: result.rows.length,
+    workedSeconds: 0,
+    daysAttended: 0,
+    lateCount: 0,
+    absentCount: 0,
+    excusedCount: 0,
+    autoCheckoutCount: 0,
+  };
+  let arrivalSeconds = 0;
+  for (const row of result.rows) {
+    totals.workedSeconds += row.worked_seconds;
+    totals.daysAttended += row.days_attended;
+    totals.lateCount += row.late_count;
+    totals.absentCount += row.absent_count;
+    totals.excusedCount += row.excused_count;
+    totals.autoCheckoutCount += row.auto_checkout_count;
+    arrivalSeconds += (row.arrival_seconds ?? 0) * row.days_attended;
+  }
+
+  return {
+    users: result.rows.map(mapAttendanceSummary),
+    totals: {
+      ...totals,
+      workedHours: Math.round(totals.workedSeconds / 36) / 100,
+      averageArrivalTime: totals.daysAttended
+        ? formatSeconds(Math.round(arrivalSeconds / totals.daysAttended))
+        : null,
+    },
+  };
+}
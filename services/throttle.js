@@ -0,0 +1,127 @@
+// Failed authentication attempts are tracked per subject (a user id or an IP
+// address) and action ("login", "verify-2fa") in the auth_throttle table.
+//
+// Every failure blocks the subject for an exponentially growing delay
+// (BASE_DELAY_SECONDS * 2^(failures - 1)), never longer than LOCKOUT_MINUTES.
+// Once failures reach the threshold the subject is locked out for
+// LOCKOUT_MINUTES. The count starts over after a lockout has run out, or
+// after LOCKOUT_MINUTES without failures, so a shared IP address is never
+// blocked for longer than that. A success clears the counters of the account
+// and of the IP address it came from.
+
+export const THROTTLE = {
+  maxFailuresPerAccount: Number(process.env.AUTH_MAX_FAILURES_PER_ACCOUNT) || 5,
+  maxFailuresPerIp: Number(process.env.AUTH_MAX_FAILURES_PER_IP) || 50,
+  baseDelaySeconds: Number(process.env.AUTH_BASE_DELAY_SECONDS) || 1,
+  lockoutMinutes: Number(process.env.AUTH_LOCKOUT_MINUTES) || 15,
+  otpMaxAttempts: Number(process.env.OTP_MAX_ATTEMPTS) || 5,
+  resendCooldownSeconds: Number(process.env.OTP_RESEND_COOLDOWN_SECONDS) || 60,
+};
+
+/**
+ * Builds the subjects to track for a request.
+ *
+ * @param {import("express").Request} req
+ * @param {number} [userId] omitted when the account is unknown
+ */
+export function throttleSubjects(req, userId) {
+  const subjects = [{ type: "ip", value: req.ip }];
+  if (userId) {
+    subjects.push({ type: "user", value: String(userId) });
+  }
+  return subjects;
+}
+
+/**
+ * @returns {Promise<number>} seconds until the first subject is allowed to
+ *   try again, or 0 when none of them is blocked
+ */
+export async function getRetryAfter(pool, action, subjects) {
+  const result = await pool.query(
+    `SELECT CEIL(EXTRACT(EPOCH FROM MAX(locked_until) - NOW()))::integer AS retry_after
+     FROM auth_throttle
+     WHERE action = $1
+       AND (subject_type, subject) IN (SELECT * FROM unnest($2::text[], $3::text[]))
+       AND locked_until > NOW()`,
+    [action, subjects.map((s) => s.type), subjects.map((s) => s.value)]
+  );
+  return result.rows[0].retry_after || 0;
+}
+
+export async function recordFailure(pool, action, subjects) {
+  for (const { type, value } of subjects) {
+    const maxFailures =
+      type === "ip"
+        ? THROTTLE.maxFailuresPerIp
+        : THROTTLE.maxFailuresPerAccount;
+
+    // the failure count after this one
+    const failures = `CASE
+      WHEN t.locked_until <= NOW()
+        AND (t.failures >= $4 OR t.last_failed_at < NOW() - make_interval(mins => $6))
+      THEN 1
+      ELSE t.failures + 1
+    END`;
+
+    await pool.query(
+      `INSERT INTO auth_throttle AS t (subject_type, subject, action, failures, last_failed_at, locked_until)
+       VALUES ($1, $2, $3, 1, NOW(), NOW() + make_interval(secs => $5))
+       ON CONFLICT (subject_type, subject, action) DO UPDATE
+       SET failures = ${failures},
+           last_failed_at = NOW(),
+           locked_until = NOW() + CASE
+             WHEN ${failures} >= $4 THEN make_interval(mins => $6)
+             ELSE LEAST(
+               make_interval(secs => $5 * power(2, LEAST(${failures} - 1, 30))),
+               make_interval(mins => $6)
+             )
+           END`,
+      [
+        type,
+        value,
+        action,
+        maxFailures,
+        THROTTLE.baseDelaySeconds,
+        THROTTLE.lockoutMinutes,
+      ]
+    );
+  }
+}
+
+/**
+ * Clears the counters of the subjects after a success.
+ */
+export async function clearFailures(pool, action, subjects) {
+  await pool.query(
+    `DELETE FROM auth_throttle
+     WHERE action = $1
+       AND (subject_type, subject) IN (SELECT * FROM unnest($2::text[], $3::text[]))`,
+    [action, subjects.map((s) => s.type), subjects.map((s) => s.value)]
+  );
+}
+
+/**
+ * Deletes the counters that would start over on their next failure.
+ *
+ * @returns {Promise<{ deleted: number }>}
+ */
+export async function expireThrottle(pool) {
+  const result = await pool.query(
+    `DELETE FROM auth_throttle
+     WHERE locked_until <= NOW()
+       AND last_failed_at < NOW() - make_interval(mins => $1)`,
+    [THROTTLE.lockoutMinutes]
+  );
+  return { deleted: result.rowCount };
+}
+
+/**
+ * Sends the 429 answer for a blocked subject.
+ */
+export function sendTooManyAttempts(res, retryAfter) {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).send({
+    error: "Too many attempts, try again later",
+    retryAfter,
+  });
+}
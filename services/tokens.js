@@ -0,0 +1,100 @@
+import crypto from "crypto";
+
+// Access tokens are HS256 JWTs signed with JWT_SECRET.
+// Refresh and reset tokens are opaque random strings; only their SHA-256 is stored.
+
+export const ACCESS_TOKEN_TTL_SECONDS =
+  Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || 15 * 60;
+export const REFRESH_TOKEN_TTL_DAYS =
+  Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+function getSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new Error("JWT_SECRET is not set");
+  }
+  return secret;
+}
+
+function base64url(input) {
+  return Buffer.from(input).toString("base64url");
+}
+
+function sign(data) {
+  return crypto
+    .createHmac("sha256", getSecret())
+    .update(data)
+    .digest("base64url");
+}
+
+/**
+ * Signs an access token for a verified user.
+ *
+ * @param {{ userId: number, role: string, sessionId: number }} claims
+ * @returns {string} compact JWT
+ */
+export function signAccessToken({ userId, role, sessionId }) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64url(JSON.stringify({ alg: "HS256", typ: "JWT" }));
+  const payload = base64url(
+    JSON.stringify({
+      sub: userId,
+      role,
+      sid: sessionId,
+      iat: now,
+      exp: now + ACCESS_TOKEN_TTL_SECONDS,
+    })
+  );
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+/**
+ * Verifies an access token's signature and expiry.
+ *
+ * @param {string} token
+ * @returns {{ payload: object } | { error: string }}
+ */
+export function verifyAccessToken(token) {
+  const parts = token.split(".");
+  if (parts.length !== 3) {
+    return { error: "Invalid token" };
+  }
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (
+    expected.length !== actual.length ||
+    !crypto.timingSafeEqual(expected, actual)
+  ) {
+    return { error: "Invalid token" };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch {
+    return { error: "Invalid token" };
+  }
+
+  if (!claims.exp || claims.exp <= Math.floor(Date.now() / 1000)) {
+    return { error: "Token expired" };
+  }
+
+  return { payload: claims };
+}
+
+/**
+ * Random URL-safe secret, used for refresh tokens and password reset tokens.
+ */
+export function generateToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+/**
+ * SHA-256 of a random secret token, used for lookups in the database.
+ * Random tokens have enough entropy that a salt is unnecessary.
+ */
+export function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
@@ -0,0 +1,345 @@
+import ExcelJS from "exceljs";
+import { DEFAULT_RULE_ROLE } from "./attendanceRules.js";
+import { parseCsv } from "./csv.js";
+import { withTransaction } from "./db.js";
+import { sendMail } from "./mailer.js";
+import { UNUSABLE_PASSWORD_HASH, hashPassword } from "./passwords.js";
+import { generateToken, hashToken } from "./tokens.js";
+
+// Bulk import of users from a CSV or XLSX file, one user per row, matched
+// to existing users on their NIM/NIP: a known NIM/NIP updates that user's
+// name, email and role, an unknown one creates a user. Every row is checked
+// before anything is written, and the whole file is imported in one
+// transaction or not at all.
+//
+// New users get no usable password unless the file gives one, and can be
+// sent a welcome email with a token for POST /user/reset-password.
+
+// the file types accepted by POST /admin/import-users
+export const USER_IMPORT_TYPES = {
+  "text/csv": "csv",
+  "text/plain": "csv",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": "xlsx",
+};
+
+export const USER_IMPORT_MAX_BYTES = 5 * 1024 * 1024;
+
+// the most users a single import may hold
+export const USER_IMPORT_MAX_ROWS = 5000;
+
+// how long the password link of a welcome email stays valid
+export const WELCOME_TOKEN_DAYS = Number(process.env.WELCOME_TOKEN_DAYS) || 7;
+
+// "NIM" or "NIP" and digits, or digits alone
+const NIM_NIP_PATTERN = /^(NIM|NIP)?\d{5,20}$/;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// the header names accepted for each column, compared in lower case
+// without spaces or punctuation ("NIM/NIP" is "nimnip")
+const HEADERS = {
+  name: ["name", "fullname", "nama"],
+  email: ["email", "usernameemail"],
+  nimNip: ["nimnip", "nim", "nip"],
+  role: ["role"],
+  password: ["password"],
+};
+
+// the columns every file needs, as named in error messages
+const REQUIRED_HEADERS = { name: "name", email: "email", nimNip: "NIM/NIP" };
+
+async function readXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  try {
+    await workbook.xlsx.load(buffer);
+  } catch {
+    return { error: "The file is not an XLSX file" };
+  }
+
+  const sheet = workbook.worksheets[0];
+  if (!sheet) {
+    return { error: "The file has no worksheet" };
+  }
+
+  const rows = [];
+  sheet.eachRow((row, line) => {
+    const fields = [];
+    for (let i = 1; i <= row.cellCount; i++) {
+      // the text shown in the cell, so NIM/NIP numbers keep their digits
+      fields.push(row.getCell(i).text);
+    }
+    rows.push({ line, fields });
+  });
+  return { rows };
+}
+
+/**
+ * Reads the users of an import file. The first row holds the column names:
+ * name, email, NIM/NIP and optionally role and password.
+ *
+ * @param {Buffer} buffer the file
+ * @param {"csv"|"xlsx"} type
+ * @returns {Promise<{ rows: object[] } | { error: string }>} rows as
+ *   { row, name, email, nimNip, role, password } with the row's line in the
+ *   file
+ */
+export async function readUserFile(buffer, type) {
+  const parsed =
+    type === "xlsx" ? await readXlsx(buffer) : parseCsv(buffer.toString());
+  if (parsed.error) {
+    return parsed;
+  }
+
+  const [header, ...records] = parsed.rows;
+  if (!header) {
+    return { error: "The file is empty" };
+  }
+  if (records.length > USER_IMPORT_MAX_ROWS) {
+    return {
+      error: `The file must not hold more than ${USER_IMPORT_MAX_ROWS} users`,
+    };
+  }
+
+  const names = header.fields.map((field) =>
+    field.toLowerCase().replace(/[^a-z]/g, "")
+  );
+  const columns = {};
+  for (const [key, aliases] of Object.entries(HEADERS)) {
+    const index = names.findIndex((name) => aliases.includes(name));
+    if (index !== -1) columns[key] = index;
+  }
+  const missing = Object.keys(REQUIRED_HEADERS).filter(
+    (key) => !(key in columns)
+  );
+  if (missing.length > 0) {
+    const labels = missing.map((key) => REQUIRED_HEADERS[key]);
+    return { error: `The file has no ${labels.join(", ")} column` };
+  }
+
+  const value = (fields, key) =>
+    key in columns ? (fields[columns[key]] ?? "").trim() : "";
+
+  return {
+    rows: records.map(({ line, fields }) => ({
+      row: line,
+      name: value(fields, "name"),
+      email: value(fields, "email").toLowerCase(),
+      nimNip: value(fields, "nimNip").toUpperCase().replace(/\s+/g, ""),
+      role: value(fields, "role").toLowerCase() || null,
+      password: value(fields, "password") || null,
+    })),
+  };
+}
+
+// roles a user may be given: those granted permissions, with their own
+// attendance rule or held by a user already
+async function knownRoles(db) {
+  const result = await db.query(
+    `SELECT role FROM role_permissions
+     UNION SELECT role FROM attendance_rules WHERE role <> $1
+     UNION SELECT role FROM "User" WHERE role IS NOT NULL`,
+    [DEFAULT_RULE_ROLE]
+  );
+  return new Set(result.rows.map((row) => row.role));
+}
+
+/**
+ * Checks every row of an import against the file and the database, and
+ * works out what importing it would do.
+ *
+ * @param {object[]} rows as returned by readUserFile
+ * @param {boolean} lock lock the matching users until the transaction ends
+ * @returns {Promise<object[]>} one entry per row: { row, nimNip, email, name,
+ *   role, userId, action, errors } with action "create", "update",
+ *   "unchanged" or "error"
+ */
+export async function checkUserRows(db, rows, lock = false) {
+  const roles = await knownRoles(db);
+  const existing = await db.query(
+    `SELECT user_id, name, username_email, role, nim_nip FROM "User"
+     WHERE nim_nip = ANY($1::varchar[]) OR lower(username_email) = ANY($2::varchar[])
+     ${lock ? "FOR UPDATE" : ""}`,
+    [rows.map((row) => row.nimNip), rows.map((row) => row.email)]
+  );
+  const byNimNip = new Map();
+  const byEmail = new Map();
+  for (const user of existing.rows) {
+    if (user.nim_nip) byNimNip.set(user.nim_nip, user);
+    byEmail.set(user.username_email.toLowerCase(), user);
+  }
+
+  // the first row of the file holding each NIM/NIP and email
+  const firstNimNip = new Map();
+  const firstEmail = new Map();
+
+  return rows.map((row) => {
+    const errors = [];
+
+    if (!row.name) {
+      errors.push("name is required");
+    } else if (row.name.length > 100) {
+      errors.push("name must not exceed 100 characters");
+    }
+
+    if (!row.email) {
+      errors.push("email is required");
+    } else if (!EMAIL_PATTERN.test(row.email) || row.email.length > 150) {
+      errors.push("Invalid email");
+    } else if (firstEmail.has(row.email)) {
+      errors.push(`Duplicate email, also in row ${firstEmail.get(row.email)}`);
+    } else {
+      firstEmail.set(row.email, row.row);
+    }
+
+    if (!row.nimNip) {
+      errors.push("NIM/NIP is required");
+    } else if (!NIM_NIP_PATTERN.test(row.nimNip)) {
+      errors.push("Invalid NIM/NIP");
+    } else if (firstNimNip.has(row.nimNip)) {
+      errors.push(
+        `Duplicate NIM/NIP, also in row ${firstNimNip.get(row.nimNip)}`
+      );
+    } else {
+      firstNimNip.set(row.nimNip, row.row);
+    }
+
+    const user = byNimNip.get(row.nimNip) || null;
+    const emailOwner = byEmail.get(row.email);
+    if (emailOwner && emailOwner.user_id !== user?.user_id) {
+      errors.push(
+        `email is already used by user ${emailOwner.user_id}` +
+          (emailOwner.nim_nip ? ` (${emailOwner.nim_nip})` : "")
+      );
+    }
+
+    if (row.role && !roles.has(row.role)) {
+      errors.push(`Unknown role: ${row.role}`);
+    } else if (!row.role && !user) {
+      errors.push("role is required for a new user");
+    }
+
+    let action = "error";
+    if (errors.length === 0 && !user) {
+      action = "create";
+    } else if (errors.length === 0) {
+      const unchanged =
+        user.name === row.name &&
+        user.username_email === row.email &&
+        (!row.role || user.role === row.role);
+      action = unchanged ? "unchanged" : "update";
+    }
+
+    return {
+      row: row.row,
+      nimNip: row.nimNip,
+      email: row.email,
+      name: row.name,
+      role: row.role ?? user?.role ?? null,
+      userId: user?.user_id ?? null,
+      action,
+      errors,
+    };
+  });
+}
+
+export function summarizeUserRows(report) {
+  const count = (action) =>
+    report.filter((entry) => entry.action === action).length;
+  return {
+    rows: report.length,
+    created: count("create"),
+    updated: count("update"),
+    unchanged: count("unchanged"),
+    errors: count("error"),
+  };
+}
+
+/**
+ * Imports the rows of a user file in one transaction. Nothing is written
+ * when any row has an error.
+ *
+ * @param {object[]} rows as returned by readUserFile
+ * @param {{ sendWelcome?: boolean }} options email new users a welcome with
+ *   a token to set their password
+ * @returns {Promise<{ imported: boolean, report: object[] }>} the report of
+ *   checkUserRows, with the ids of the users created
+ */
+export async function importUsers(pool, rows, { sendWelcome = false } = {}) {
+  const welcomes = [];
+
+  // hashed before the transaction, which holds the users' locks
+  const passwordHashes = new Map();
+  for (const row of rows) {
+    if (row.password) {
+      passwordHashes.set(row, await hashPassword(row.password));
+    }
+  }
+
+  const result = await withTransaction(pool, async (client) => {
+    const report = await checkUserRows(client, rows, true);
+    if (report.some((entry) => entry.action === "error")) {
+      return { imported: false, report };
+    }
+
+    for (const [i, entry] of report.entries()) {
+      if (entry.action === "update") {
+        await client.query(
+          `UPDATE "User" SET name = $2, username_email = $3, role = $4
+           WHERE user_id = $1`,
+          [entry.userId, entry.name, entry.email, entry.role]
+        );
+      } else if (entry.action === "create") {
+        // without a password in the file, the user sets one from the
+        // welcome email
+        const inserted = await client.query(
+          `INSERT INTO "User" (name, username_email, password_hash, role, nim_nip)
+           VALUES ($1, $2, $3, $4, $5)
+           RETURNING user_id`,
+          [
+            entry.name,
+            entry.email,
+            passwordHashes.get(rows[i]) ?? UNUSABLE_PASSWORD_HASH,
+            entry.role,
+            entry.nimNip,
+          ]
+        );
+        entry.userId = inserted.rows[0].user_id;
+
+        if (sendWelcome) {
+          const token = generateToken();
+          await client.query(
+            `INSERT INTO password_reset_tokens (user_id, token_hash, expires_at)
+             VALUES ($1, $2, NOW() + make_interval(days => $3))`,
+            [entry.userId, hashToken(token), WELCOME_TOKEN_DAYS]
+          );
+          welcomes.push({ entry, token });
+        }
+      }
+    }
+
+    return { imported: true, report };
+  });
+
+  // only once the users exist
+  for (const { entry, token } of welcomes) {
+    try {
+      await sendMail(pool, {
+        to: entry.email,
+        template: "welcome",
+        data: {
+          name: entry.name,
+          email: entry.email,
+          token,
+          link: process.env.PASSWORD_RESET_URL
+            ? `${process.env.PASSWORD_RESET_URL}?token=${token}`
+            : null,
+          days: WELCOME_TOKEN_DAYS,
+        },
+      });
+    } catch (err) {
+      console.error(err);
+    }
+  }
+
+  return result;
+}
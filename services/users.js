@@ -0,0 +1,29 @@
+// GET /admin/get-user-all, read with queryList (see listQuery.js)
+export const USER_LIST = {
+  select: "user_id, name, username_email, role, nim_nip",
+  from: '"User"',
+  key: "user_id",
+  sorts: {
+    name: { sql: "name", type: "text" },
+    email: { sql: "username_email", type: "text" },
+    nimNip: { sql: "COALESCE(nim_nip, '')", type: "text" },
+    role: { sql: "COALESCE(role, '')", type: "text" },
+    userId: { sql: "user_id", type: "integer" },
+  },
+  defaultSort: "name",
+  filters: {
+    userId: { sql: "user_id", type: "integer" },
+    role: { sql: "role", type: "text" },
+  },
+  search: ["name", "username_email", "nim_nip"],
+};
+
+export function mapUser(row) {
+  return {
+    userId: row.user_id,
+    name: row.name,
+    usernameEmail: row.username_email,
+    role: row.role,
+    nimNip: row.nim_nip,
+  };
+}
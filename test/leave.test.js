@@ -0,0 +1,47 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { canReviewLeave } from "../services/leave.js";
+
+// a database granting each role the permissions listed for it
+function fakeDb(permissions) {
+  return {
+    async query(sql, [role]) {
+      return {
+        rows: (permissions[role] || []).map((permission) => ({ permission })),
+      };
+    },
+  };
+}
+
+const db = fakeDb({ admin: ["leave:read", "leave:write"] });
+const leave = { leave_id: 3, user_id: 7, reviewer_id: 9 };
+
+test("the named reviewer and leave:write holders may review a leave request", async () => {
+  assert.equal(
+    await canReviewLeave(db, leave, { userId: 9, role: "teacher" }),
+    true
+  );
+  assert.equal(
+    await canReviewLeave(db, leave, { userId: 1, role: "admin" }),
+    true
+  );
+  assert.equal(
+    await canReviewLeave(db, leave, { userId: 8, role: "student" }),
+    false
+  );
+});
+
+test("nobody may review their own leave request", async () => {
+  assert.equal(
+    await canReviewLeave(db, leave, { userId: 7, role: "admin" }),
+    false
+  );
+  assert.equal(
+    await canReviewLeave(
+      db,
+      { ...leave, reviewer_id: 7 },
+      { userId: 7, role: "teacher" }
+    ),
+    false
+  );
+});
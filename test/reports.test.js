@@ -0,0 +1,77 @@
+import assert from "node:assert/strict";
+import { test } from "node:test";
+import { PassThrough } from "stream";
+import { writeReport } from "../services/reports.js";
+
+const LOCATION = {
+  location_id: 1,
+  location_name: "Gedung A",
+  latitude: -6.9735,
+  longitude: 107.6302,
+  radius: 100,
+};
+
+// Answers the queries of a CSV report with one attendance record at LOCATION.
+// The location column is read the way Postgres reads it: l.<column> is that
+// column, l.name is the whole row as text cut to 63 bytes.
+function fakeDb() {
+  return {
+    async query(sql) {
+      if (sql.includes("current_setting('TimeZone')")) {
+        return { rows: [{ timezone: "Asia/Jakarta", today: "2025-03-03" }] };
+      }
+
+      const column = sql.match(/\bl\.(\w+)/)[1];
+      const location =
+        column === "name"
+          ? `(${Object.values(LOCATION).join(",")})`.slice(0, 63)
+          : LOCATION[column];
+      return {
+        rows: [
+          {
+            attendance_id: 1,
+            cursor_timestamp: "2025-03-03 08:01:02.123456",
+            type: "check-in",
+            status: "on-time",
+            distance: "12",
+            review_status: null,
+            notes: null,
+            name: "Budi",
+            nim_nip: "NIM12345",
+            role: "student",
+            location_name: location,
+            date: "2025-03-03",
+            time: "08:01:02",
+          },
+        ],
+      };
+    },
+  };
+}
+
+async function csvReport(db) {
+  const stream = new PassThrough();
+  const chunks = [];
+  stream.on("data", (chunk) => chunks.push(chunk));
+  const count = await writeReport(
+    db,
+    "csv",
+    { from: "2025-03-01", to: "2025-03-31" },
+    stream
+  );
+  return { count, lines: Buffer.concat(chunks).toString().split("\r\n") };
+}
+
+test("the CSV report lists the name of each record's location", async () => {
+  const { count, lines } = await csvReport(fakeDb());
+  const header = lines[0].replace(/^\uFEFF/, "").split(",");
+  const record = lines[1].split(",");
+
+  assert.equal(count, 1);
+  assert.equal(record[header.indexOf("Location")], "Gedung A");
+});
+
+test("the CSV report starts with a byte order mark for Excel", async () => {
+  const { lines } = await csvReport(fakeDb());
+  assert.ok(lines[0].startsWith("\uFEFFDate,Time,Name"));
+});